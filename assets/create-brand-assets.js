@@ -0,0 +1,310 @@
+/**
+ * Script to create the Apollo Theme icon and banners
+ * Builds the pixel-art extension icon and the social/marketplace banners from
+ * the palette roles in src/colors.js, so they follow the palette when a role
+ * changes, and keeps `galleryBanner` in package.json in step with them
+ *
+ * Usage:
+ *   node assets/create-brand-assets.js            Write the icon and banners as .svg and .png
+ *   node assets/create-brand-assets.js --svg-only Skip rasterizing
+ *   node assets/create-brand-assets.js --check    Exit non-zero if a committed SVG or galleryBanner is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const {
+  BLUES_TEALS,
+  PALETTE_GROUPS,
+  DARK_THEME_COLORS,
+  LIGHT_THEME_COLORS,
+  DARK_SYNTAX_COLORS
+} = require('../src/colors');
+const { contrastRatio } = require('../src/color-math');
+
+const ROOT = path.join(__dirname, '..');
+const PACKAGE_PATH = path.join(ROOT, 'package.json');
+
+const UI_FONT_FAMILY = 'Segoe UI, DejaVu Sans, Arial, sans-serif';
+
+// Icon grid: 16x16 cells of 8 pixels for the 128x128 marketplace icon
+const ICON_CELLS = 16;
+const ICON_CELL_SIZE = 8;
+
+// Palette roles the icon and banners are drawn with
+const BRAND = {
+  banner: BLUES_TEALS.DARKEST_BLUE,
+  face: BLUES_TEALS.DARK_BLUE,
+  rim: DARK_THEME_COLORS.accents.primary,
+  letter: DARK_THEME_COLORS.accents.primary,
+  letterHighlight: DARK_SYNTAX_COLORS.variable,
+  letterTop: DARK_SYNTAX_COLORS.function,
+  letterBar: DARK_SYNTAX_COLORS.constant,
+  letterFeet: DARK_THEME_COLORS.accents.secondary,
+  sparkles: [DARK_SYNTAX_COLORS.string, DARK_SYNTAX_COLORS.number, DARK_SYNTAX_COLORS.constant, DARK_SYNTAX_COLORS.boolean]
+};
+
+// The "A" on the icon face; each character names a BRAND role
+const LETTER = [
+  '..tttt..',
+  '.hA..hA.',
+  'hA....hA',
+  'hA....hA',
+  'hAbbbbhA',
+  'hA....hA',
+  'hA....hA',
+  'ff....ff',
+  'ff....ff'
+];
+const LETTER_ROLES = { t: 'letterTop', h: 'letterHighlight', A: 'letter', b: 'letterBar', f: 'letterFeet' };
+const LETTER_ORIGIN = { x: 4, y: 3 };
+
+// Sparkle cells, clockwise from the top left, colored by BRAND.sparkles
+const SPARKLES = [[3, 4], [12, 4], [12, 11], [3, 11]];
+
+const banners = [
+  { filename: 'banner-github', label: 'GitHub social preview', width: 1280, height: 640 },
+  { filename: 'banner-opengraph', label: 'Open Graph card', width: 1200, height: 630 },
+  { filename: 'banner-twitter', label: 'Twitter/X header', width: 1500, height: 500 }
+];
+
+/**
+ * Marketplace banner theme that reads best on a background: 'dark' when white
+ * text contrasts more than black, as VS Code Marketplace draws it
+ */
+function bannerThemeFor(color) {
+  return contrastRatio('#ffffff', color) >= contrastRatio('#000000', color) ? 'dark' : 'light';
+}
+
+/**
+ * Lay out the icon as a grid of palette colors, null for transparent cells.
+ * The face is a disc with a one-cell rim; the letter and sparkles sit on top.
+ * @returns {(string|null)[][]} Rows of cell colors
+ */
+function createIconGrid() {
+  const center = (ICON_CELLS - 1) / 2;
+  const radius = ICON_CELLS / 2 - 0.25;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < ICON_CELLS && y < ICON_CELLS &&
+    Math.hypot(x - center, y - center) <= radius;
+
+  const grid = [];
+  for (let y = 0; y < ICON_CELLS; y++) {
+    const row = [];
+    for (let x = 0; x < ICON_CELLS; x++) {
+      if (!inside(x, y)) {
+        row.push(null);
+      } else {
+        const edge = !inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1);
+        row.push(edge ? BRAND.rim : BRAND.face);
+      }
+    }
+    grid.push(row);
+  }
+
+  LETTER.forEach((line, dy) => {
+    [...line].forEach((cell, dx) => {
+      if (LETTER_ROLES[cell]) {
+        grid[LETTER_ORIGIN.y + dy][LETTER_ORIGIN.x + dx] = BRAND[LETTER_ROLES[cell]];
+      }
+    });
+  });
+
+  SPARKLES.forEach(([x, y], index) => {
+    grid[y][x] = BRAND.sparkles[index % BRAND.sparkles.length];
+  });
+
+  return grid;
+}
+
+/**
+ * Draw a cell grid as rects, merging horizontal runs of one color
+ */
+function gridRects(grid, cellSize, originX = 0, originY = 0) {
+  const rects = [];
+
+  grid.forEach((row, y) => {
+    let x = 0;
+    while (x < row.length) {
+      const color = row[x];
+      let run = 1;
+      while (x + run < row.length && row[x + run] === color) run++;
+      if (color) {
+        rects.push(`<rect x="${originX + x * cellSize}" y="${originY + y * cellSize}" width="${run * cellSize}" height="${cellSize}" fill="${color}"/>`);
+      }
+      x += run;
+    }
+  });
+
+  return rects;
+}
+
+function createIconSVG() {
+  const size = ICON_CELLS * ICON_CELL_SIZE;
+  const rects = gridRects(createIconGrid(), ICON_CELL_SIZE);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg" shape-rendering="crispEdges">`,
+    '  <!-- Generated by assets/create-brand-assets.js from src/colors.js; do not edit -->',
+    ...rects.map(rect => `  ${rect}`),
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render one banner: the icon, the name and tagline, and a strip of the
+ * palette by group along the bottom
+ */
+function createBannerSVG(width, height, theme) {
+  const text = theme === 'dark' ? DARK_THEME_COLORS.text : LIGHT_THEME_COLORS.text;
+  const margin = Math.round(height * 0.12);
+  const stripHeight = Math.round(height * 0.08);
+  const stripY = height - margin / 2 - stripHeight;
+  const cellSize = Math.floor(height * 0.6 / ICON_CELLS);
+  const iconSize = cellSize * ICON_CELLS;
+  const iconY = Math.round((stripY - iconSize) / 2);
+  const textX = margin + iconSize + margin;
+
+  // Sized to fit the space right of the icon: the title is about 7.5em wide, the tagline 25em
+  const textWidth = width - textX - margin;
+  const titleSize = Math.min(Math.round(iconSize * 0.25), Math.floor(textWidth / 7.5));
+  const taglineSize = Math.min(Math.round(titleSize * 0.36), Math.floor(textWidth / 25));
+
+  // Palette strip: one cell per color, a gap between groups
+  const groupGap = stripHeight / 2;
+  const colorCount = PALETTE_GROUPS.reduce((count, group) => count + Object.keys(group.colors).length, 0);
+  const stripWidth = width - margin * 2;
+  const swatchWidth = (stripWidth - groupGap * (PALETTE_GROUPS.length - 1)) / colorCount;
+  const swatches = [];
+  let swatchX = margin;
+  for (const group of PALETTE_GROUPS) {
+    for (const color of Object.values(group.colors)) {
+      swatches.push(`<rect x="${swatchX.toFixed(1)}" y="${stripY}" width="${swatchWidth.toFixed(1)}" height="${stripHeight}" fill="${color}"/>`);
+      swatchX += swatchWidth;
+    }
+    swatchX += groupGap;
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`,
+    '  <!-- Generated by assets/create-brand-assets.js from src/colors.js; do not edit -->',
+    `  <rect width="${width}" height="${height}" fill="${BRAND.banner}"/>`,
+    '  <g shape-rendering="crispEdges">',
+    ...gridRects(createIconGrid(), cellSize, margin, iconY).map(rect => `    ${rect}`),
+    '  </g>',
+    `  <text x="${textX}" y="${iconY + iconSize / 2}" font-family="${UI_FONT_FAMILY}" font-size="${titleSize}" font-weight="bold" fill="${text.primary}">Apollo Theme</text>`,
+    `  <text x="${textX}" y="${iconY + iconSize / 2 + taglineSize * 2}" font-family="${UI_FONT_FAMILY}" font-size="${taglineSize}" fill="${text.muted}">Dark, light and high contrast VS Code themes</text>`,
+    `  <text x="${textX}" y="${iconY + iconSize / 2 + taglineSize * 3.5}" font-family="${UI_FONT_FAMILY}" font-size="${taglineSize}" fill="${text.muted}">built on the 48-color Apollo palette</text>`,
+    '  <g shape-rendering="crispEdges">',
+    ...swatches.map(swatch => `    ${swatch}`),
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+function rasterize(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'original' },
+    font: {
+      loadSystemFonts: true,
+      defaultFontFamily: 'DejaVu Sans'
+    }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Check the banner color against `galleryBanner` in package.json: the color
+ * must be the BRAND.banner role and its luminance must suit the declared theme
+ * @returns {string[]} Problems found
+ */
+function checkGalleryBanner(galleryBanner = {}) {
+  const problems = [];
+  const expectedTheme = bannerThemeFor(BRAND.banner);
+
+  if (String(galleryBanner.color).toLowerCase() !== BRAND.banner) {
+    problems.push(`galleryBanner.color is ${galleryBanner.color}, the palette banner role is ${BRAND.banner}`);
+  }
+  if (galleryBanner.theme !== expectedTheme) {
+    problems.push(`galleryBanner.theme is "${galleryBanner.theme}", but ${BRAND.banner} needs "${expectedTheme}" text ` +
+      `(white ${contrastRatio('#ffffff', BRAND.banner).toFixed(2)}:1, black ${contrastRatio('#000000', BRAND.banner).toFixed(2)}:1)`);
+  }
+
+  return problems;
+}
+
+/**
+ * Write the icon, banners and galleryBanner color, or compare them with the
+ * committed files
+ * @returns {boolean} true when everything is written or up to date
+ */
+function createBrandAssets({ check = false, svgOnly = false } = {}) {
+  const packageJson = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+  const galleryBanner = packageJson.galleryBanner || {};
+  const theme = galleryBanner.theme === 'light' ? 'light' : 'dark';
+  let upToDate = true;
+
+  console.log(check ? '🔍 Checking Apollo brand assets...\n' : '🎨 Creating Apollo brand assets from src/colors.js...\n');
+
+  const assets = [
+    { filename: 'icon', label: 'Extension icon', svg: createIconSVG() },
+    ...banners.map(banner => ({ ...banner, svg: createBannerSVG(banner.width, banner.height, theme) }))
+  ];
+
+  for (const asset of assets) {
+    const svgPath = path.join(__dirname, `${asset.filename}.svg`);
+
+    if (check) {
+      const committed = fs.existsSync(svgPath) ? fs.readFileSync(svgPath, 'utf8') : '';
+      if (committed === asset.svg) {
+        console.log(`  ✅ assets/${asset.filename}.svg is up to date`);
+      } else {
+        console.log(`  ❌ assets/${asset.filename}.svg differs from generated output`);
+        upToDate = false;
+      }
+      continue;
+    }
+
+    fs.writeFileSync(svgPath, asset.svg);
+    console.log(`  ✅ Wrote assets/${asset.filename}.svg (${asset.label})`);
+
+    if (!svgOnly) {
+      const png = rasterize(asset.svg);
+      fs.writeFileSync(path.join(__dirname, `${asset.filename}.png`), png);
+      console.log(`  ✅ Wrote assets/${asset.filename}.png (${(png.length / 1024).toFixed(0)} KB)`);
+    }
+  }
+
+  if (!check && galleryBanner.color !== BRAND.banner) {
+    packageJson.galleryBanner = { ...galleryBanner, color: BRAND.banner };
+    fs.writeFileSync(PACKAGE_PATH, JSON.stringify(packageJson, null, 2) + '\n');
+    console.log(`  ✅ Set galleryBanner.color to ${BRAND.banner}`);
+  }
+
+  const problems = checkGalleryBanner(check ? galleryBanner : { ...galleryBanner, color: BRAND.banner });
+  if (problems.length === 0) {
+    console.log(`  ✅ galleryBanner ${BRAND.banner} suits the "${theme}" banner theme`);
+  } else {
+    problems.forEach(problem => console.log(`  ❌ ${problem}`));
+    upToDate = false;
+  }
+
+  if (check && !upToDate) {
+    console.log('\n🔧 Run "npm run brand:generate" and commit the regenerated assets.');
+  }
+
+  return upToDate;
+}
+
+if (require.main === module) {
+  const success = createBrandAssets({
+    check: process.argv.includes('--check'),
+    svgOnly: process.argv.includes('--svg-only')
+  });
+  process.exit(success ? 0 : 1);
+}
+
+module.exports = { BRAND, bannerThemeFor, checkGalleryBanner, createIconGrid, createIconSVG, createBannerSVG, createBrandAssets };
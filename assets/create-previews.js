@@ -1,227 +1,305 @@
 /**
- * Script to create placeholder preview images for Apollo Theme
- * This creates simple placeholder images that should be replaced with actual screenshots
+ * Script to create the Apollo Theme preview images
+ * Renders the sample files through the real themes: each sample is tokenized
+ * offline with the vendored grammars, laid out like a VS Code window colored
+ * from the theme's `colors`, and written as SVG and rasterized PNG
+ *
+ * Usage:
+ *   node assets/create-previews.js            Write every preview as .svg and .png
+ *   node assets/create-previews.js --svg-only Skip rasterizing
+ *   node assets/create-previews.js --check    Exit non-zero if a committed preview SVG is out of date
  */
 
 const fs = require('fs');
 const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { compositeOver } = require('../src/color-math');
+const { createRegistry, grammarForFile, readGrammar, tokenizeText } = require('../src/grammars');
+const { loadThemeRegistry } = require('../src/theme-registry');
 
-// SVG template for preview placeholders
-function createPreviewSVG(title, subtitle, width = 1200, height = 800, isDark = true) {
-  const bgColor = isDark ? '#090a14' : '#ebede9';
-  const textColor = isDark ? '#ebede9' : '#090a14';
-  const accentColor = '#73bed3';
-  const secondaryColor = '#a8ca58';
-  
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
-  <!-- Background -->
-  <rect width="${width}" height="${height}" fill="${bgColor}"/>
-  
-  <!-- Header bar -->
-  <rect x="0" y="0" width="${width}" height="60" fill="${isDark ? '#151d28' : '#c7cfcc'}"/>
-  
-  <!-- Sidebar -->
-  <rect x="0" y="60" width="250" height="${height - 60}" fill="${isDark ? '#10141f' : '#a8b5b2'}"/>
-  
-  <!-- Main editor area -->
-  <rect x="250" y="60" width="${width - 250}" height="${height - 120}" fill="${bgColor}"/>
-  
-  <!-- Status bar -->
-  <rect x="0" y="${height - 60}" width="${width}" height="60" fill="${isDark ? '#151d28' : '#c7cfcc'}"/>
-  
-  <!-- Title -->
-  <text x="${width / 2}" y="200" font-family="Arial, sans-serif" font-size="48" font-weight="bold" 
-        text-anchor="middle" fill="${accentColor}">${title}</text>
-  
-  <!-- Subtitle -->
-  <text x="${width / 2}" y="260" font-family="Arial, sans-serif" font-size="24" 
-        text-anchor="middle" fill="${textColor}">${subtitle}</text>
-  
-  <!-- Code preview simulation -->
-  <g transform="translate(300, 320)">
-    <!-- Line numbers -->
-    <text x="0" y="20" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">1</text>
-    <text x="0" y="40" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">2</text>
-    <text x="0" y="60" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">3</text>
-    <text x="0" y="80" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">4</text>
-    <text x="0" y="100" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">5</text>
-    
-    <!-- Code lines -->
-    <text x="30" y="20" font-family="monospace" font-size="14" fill="${isDark ? '#4f8fba' : '#3c5e8b'}">const</text>
-    <text x="80" y="20" font-family="monospace" font-size="14" fill="${isDark ? '#a4dddb' : '#253a5e'}">apolloTheme</text>
-    <text x="180" y="20" font-family="monospace" font-size="14" fill="${isDark ? '#a8b5b2' : '#202e37'}">=</text>
-    <text x="200" y="20" font-family="monospace" font-size="14" fill="${isDark ? '#a8ca58' : '#468232'}">"Apollo Dark"</text>
-    
-    <text x="30" y="40" font-family="monospace" font-size="14" fill="${isDark ? '#4f8fba' : '#3c5e8b'}">function</text>
-    <text x="110" y="40" font-family="monospace" font-size="14" fill="${isDark ? '#e8c170' : '#884b2b'}">applyTheme</text>
-    <text x="200" y="40" font-family="monospace" font-size="14" fill="${isDark ? '#a8b5b2' : '#202e37'}">()</text>
-    <text x="220" y="40" font-family="monospace" font-size="14" fill="${isDark ? '#a8b5b2' : '#202e37'}">{</text>
-    
-    <text x="50" y="60" font-family="monospace" font-size="14" fill="${isDark ? '#577277' : '#394a50'}">// Apply Apollo colors</text>
-    
-    <text x="50" y="80" font-family="monospace" font-size="14" fill="${isDark ? '#4f8fba' : '#3c5e8b'}">return</text>
-    <text x="110" y="80" font-family="monospace" font-size="14" fill="${isDark ? '#df84a5' : '#a23e8c'}">true</text>
-    
-    <text x="30" y="100" font-family="monospace" font-size="14" fill="${isDark ? '#a8b5b2' : '#202e37'}">}</text>
-  </g>
-  
-  <!-- Apollo logo placeholder -->
-  <circle cx="125" cy="200" r="40" fill="${accentColor}" opacity="0.3"/>
-  <text x="125" y="210" font-family="Arial, sans-serif" font-size="36" font-weight="bold" 
-        text-anchor="middle" fill="${accentColor}">A</text>
-  
-  <!-- Feature highlights -->
-  <g transform="translate(300, 500)">
-    <circle cx="0" cy="0" r="5" fill="${secondaryColor}"/>
-    <text x="15" y="5" font-family="Arial, sans-serif" font-size="16" fill="${textColor}">48 Apollo Colors</text>
-    
-    <circle cx="0" cy="30" r="5" fill="${secondaryColor}"/>
-    <text x="15" y="35" font-family="Arial, sans-serif" font-size="16" fill="${textColor}">Dual Theme Support</text>
-    
-    <circle cx="0" cy="60" r="5" fill="${secondaryColor}"/>
-    <text x="15" y="65" font-family="Arial, sans-serif" font-size="16" fill="${textColor}">Retro Pixel Art Aesthetic</text>
-    
-    <circle cx="0" cy="90" r="5" fill="${secondaryColor}"/>
-    <text x="15" y="95" font-family="Arial, sans-serif" font-size="16" fill="${textColor}">WCAG AA Compliant</text>
-  </g>
-  
-  <!-- Watermark -->
-  <text x="${width - 20}" y="${height - 20}" font-family="Arial, sans-serif" font-size="12" 
-        text-anchor="end" fill="${isDark ? '#577277' : '#394a50'}" opacity="0.7">
-    Apollo Theme Preview - Replace with actual screenshot
-  </text>
-</svg>`;
-}
+const SAMPLES_DIR = path.join(__dirname, 'samples');
+
+// Unquoted so resvg's font matching reads every name in the list
+const FONT_FAMILY = 'Fira Code, DejaVu Sans Mono, Menlo, Consolas, monospace';
+const UI_FONT_FAMILY = 'Segoe UI, DejaVu Sans, Arial, sans-serif';
+const FONT_SIZE = 13;
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const LINE_HEIGHT = 19;
+
+// Window regions, in pixels
+const TITLE_BAR_HEIGHT = 30;
+const ACTIVITY_BAR_WIDTH = 48;
+const TAB_HEIGHT = 35;
+const STATUS_BAR_HEIGHT = 22;
 
-// Create preview images
 const previews = [
-  {
-    filename: 'preview-dark.svg',
-    title: 'Apollo Dark Theme',
-    subtitle: 'Retro pixel art aesthetic for VS Code',
-    isDark: true
-  },
-  {
-    filename: 'preview-light.svg', 
-    title: 'Apollo Light Theme',
-    subtitle: 'Bright and accessible coding experience',
-    isDark: false
-  },
-  {
-    filename: 'screenshot-js.svg',
-    title: 'JavaScript Highlighting',
-    subtitle: 'Enhanced syntax colors for modern JS/TS',
-    width: 800,
-    height: 600,
-    isDark: true
-  },
-  {
-    filename: 'screenshot-html.svg',
-    title: 'HTML & CSS Support',
-    subtitle: 'Clear distinction for web development',
-    width: 800,
-    height: 600,
-    isDark: true
-  },
-  {
-    filename: 'screenshot-json.svg',
-    title: 'JSON Visualization',
-    subtitle: 'Structured data with Apollo colors',
-    width: 800,
-    height: 600,
-    isDark: true
-  },
-  {
-    filename: 'screenshot-md.svg',
-    title: 'Markdown Formatting',
-    subtitle: 'Beautiful documentation styling',
-    width: 800,
-    height: 600,
-    isDark: true
-  }
+  { filename: 'preview-dark', theme: 'Apollo Dark', sample: 'sample.js', width: 1200, height: 800 },
+  { filename: 'preview-dimmed', theme: 'Apollo Dimmed', sample: 'sample.js', width: 1200, height: 800 },
+  { filename: 'preview-light', theme: 'Apollo Light', sample: 'sample.js', width: 1200, height: 800 },
+  { filename: 'screenshot-js', theme: 'Apollo Dark', sample: 'sample.js', width: 800, height: 600 },
+  { filename: 'screenshot-html', theme: 'Apollo Dark', sample: 'sample.html', width: 800, height: 600 },
+  { filename: 'screenshot-json', theme: 'Apollo Dark', sample: 'sample.json', width: 800, height: 600 },
+  { filename: 'screenshot-md', theme: 'Apollo Dark', sample: 'sample.md', width: 800, height: 600 }
 ];
 
-// Ensure assets directory exists
-const assetsDir = path.join(__dirname);
-if (!fs.existsSync(assetsDir)) {
-  fs.mkdirSync(assetsDir, { recursive: true });
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-// Generate SVG files
-previews.forEach(preview => {
-  const svg = createPreviewSVG(
-    preview.title,
-    preview.subtitle,
-    preview.width || 1200,
-    preview.height || 800,
-    preview.isDark
-  );
-  
-  const filepath = path.join(assetsDir, preview.filename);
-  fs.writeFileSync(filepath, svg);
-  console.log(`Created ${preview.filename}`);
-});
-
-console.log('\nPlaceholder preview images created!');
-console.log('These SVG files should be replaced with actual VS Code screenshots.');
-console.log('Use the sample files in /assets/samples/ to generate real screenshots.');
-
-// Create a README for the assets directory
-const assetsReadme = `# Apollo Theme Assets
-
-This directory contains assets for the Apollo Theme extension.
-
-## Files
-
-### Icons
-- \`icon.svg\` - Source SVG icon
-- \`icon.png\` - Extension icon (128x128)
-
-### Preview Images (PLACEHOLDERS)
-- \`preview-dark.svg\` - Main dark theme preview (replace with PNG screenshot)
-- \`preview-light.svg\` - Main light theme preview (replace with PNG screenshot)
-- \`screenshot-js.svg\` - JavaScript syntax highlighting (replace with PNG screenshot)
-- \`screenshot-html.svg\` - HTML/CSS highlighting (replace with PNG screenshot)
-- \`screenshot-json.svg\` - JSON highlighting (replace with PNG screenshot)
-- \`screenshot-md.svg\` - Markdown highlighting (replace with PNG screenshot)
-
-### Sample Files
-- \`samples/sample.js\` - JavaScript/TypeScript demo code
-- \`samples/sample.html\` - HTML/CSS demo code
-- \`samples/sample.json\` - JSON configuration example
-- \`samples/sample.md\` - Markdown documentation example
-
-### Documentation
-- \`SCREENSHOTS.md\` - Guide for creating proper screenshots
-
-## TODO: Replace Placeholders
-
-The SVG files are placeholders. To complete the documentation:
-
-1. Open VS Code with Apollo Theme installed
-2. Open each sample file from \`samples/\`
-3. Take high-quality screenshots (PNG format)
-4. Replace the SVG placeholders with actual screenshots
-5. Ensure proper dimensions and file sizes per SCREENSHOTS.md
-
-## Image Requirements
-
-- **Format**: PNG (high quality, no compression artifacts)
-- **Main previews**: 1200x800 pixels, max 500KB
-- **Screenshots**: 800x600 pixels, max 300KB
-- **Icon**: 128x128 pixels, max 50KB
-
-## Usage
-
-These assets are referenced in:
-- README.md (preview images and screenshots)
-- package.json (icon and gallery banner)
-- VS Code Marketplace listing
-- Documentation and promotional materials
+/**
+ * Look up the first workbench color that is set, flattened over a backdrop so
+ * translucent colors render as VS Code draws them
+ */
+function themeColor(theme, keys, backdrop) {
+  const key = keys.find(candidate => theme.colors[candidate]);
+  const color = key ? theme.colors[key] : keys[keys.length - 1];
+  return backdrop ? compositeOver(color, backdrop) : color;
+}
+
+/**
+ * Render one preview as an SVG string
+ * @param {Object} theme - Parsed theme JSON
+ * @param {string} sample - Sample file name in assets/samples
+ * @param {{ text: string, foreground: string, fontStyle: string }[][]} lines - Tokenized sample
+ */
+function createPreviewSVG(theme, sample, language, lines, width, height) {
+  const c = (keys, backdrop) => themeColor(theme, keys, backdrop);
+  const editorBackground = c(['editor.background']);
+  const sideBarWidth = width >= 1000 ? 240 : 180;
+  const sideBarX = ACTIVITY_BAR_WIDTH;
+  const editorX = ACTIVITY_BAR_WIDTH + sideBarWidth;
+  const editorY = TITLE_BAR_HEIGHT + TAB_HEIGHT;
+  const editorHeight = height - editorY - STATUS_BAR_HEIGHT;
+  const samples = fs.readdirSync(SAMPLES_DIR).sort();
+
+  const visibleLines = lines.slice(0, Math.floor((editorHeight - 8) / LINE_HEIGHT));
+  const gutterWidth = Math.max(String(visibleLines.length).length, 3) * CHAR_WIDTH + 28;
+  const codeX = editorX + gutterWidth;
+  const activeLine = 0;
+  const parts = [];
+
+  // Title bar
+  const titleBackground = c(['titleBar.activeBackground', editorBackground]);
+  parts.push(`  <rect x="0" y="0" width="${width}" height="${TITLE_BAR_HEIGHT}" fill="${titleBackground}"/>`);
+  parts.push(`  <text x="${width / 2}" y="${TITLE_BAR_HEIGHT / 2 + 4}" text-anchor="middle" font-family="${UI_FONT_FAMILY}" font-size="12" fill="${c(['titleBar.activeForeground', 'editor.foreground'], titleBackground)}">${escapeXml(`${sample} — apollo-vscode-theme`)}</text>`);
+  ['#ff5f57', '#febc2e', '#28c840'].forEach((dot, index) => {
+    parts.push(`  <circle cx="${16 + index * 20}" cy="${TITLE_BAR_HEIGHT / 2}" r="6" fill="${dot}"/>`);
+  });
+
+  // Activity bar: the active view gets the indicator border
+  const activityBackground = c(['activityBar.background', 'sideBar.background', editorBackground]);
+  parts.push(`  <rect x="0" y="${TITLE_BAR_HEIGHT}" width="${ACTIVITY_BAR_WIDTH}" height="${height - TITLE_BAR_HEIGHT - STATUS_BAR_HEIGHT}" fill="${activityBackground}"/>`);
+  for (let index = 0; index < 5; index++) {
+    const y = TITLE_BAR_HEIGHT + 12 + index * 48;
+    const active = index === 0;
+    const iconColor = active ? c(['activityBar.foreground'], activityBackground) : c(['activityBar.inactiveForeground', 'activityBar.foreground'], activityBackground);
+    if (active) {
+      parts.push(`  <rect x="0" y="${y - 6}" width="2" height="36" fill="${c(['activityBar.activeBorder', 'focusBorder'], activityBackground)}"/>`);
+    }
+    parts.push(`  <rect x="${ACTIVITY_BAR_WIDTH / 2 - 11}" y="${y}" width="22" height="22" rx="4" fill="none" stroke="${iconColor}" stroke-width="2"/>`);
+  }
+  const badgeBackground = c(['activityBarBadge.background', 'badge.background'], activityBackground);
+  parts.push(`  <circle cx="${ACTIVITY_BAR_WIDTH / 2 + 10}" cy="${TITLE_BAR_HEIGHT + 12 + 48 + 20}" r="8" fill="${badgeBackground}"/>`);
+  parts.push(`  <text x="${ACTIVITY_BAR_WIDTH / 2 + 10}" y="${TITLE_BAR_HEIGHT + 12 + 48 + 24}" text-anchor="middle" font-family="${UI_FONT_FAMILY}" font-size="10" fill="${c(['activityBarBadge.foreground', 'badge.foreground'], badgeBackground)}">4</text>`);
+
+  // Side bar with the Explorer open on the samples folder
+  const sideBarBackground = c(['sideBar.background', editorBackground]);
+  const sideBarForeground = c(['sideBar.foreground', 'editor.foreground'], sideBarBackground);
+  const sectionBackground = c(['sideBarSectionHeader.background', 'sideBar.background', editorBackground], sideBarBackground);
+  parts.push(`  <rect x="${sideBarX}" y="${TITLE_BAR_HEIGHT}" width="${sideBarWidth}" height="${height - TITLE_BAR_HEIGHT - STATUS_BAR_HEIGHT}" fill="${sideBarBackground}"/>`);
+  parts.push(`  <text x="${sideBarX + 20}" y="${TITLE_BAR_HEIGHT + 23}" font-family="${UI_FONT_FAMILY}" font-size="11" fill="${c(['sideBarTitle.foreground', 'sideBar.foreground', 'editor.foreground'], sideBarBackground)}">EXPLORER</text>`);
+  parts.push(`  <rect x="${sideBarX}" y="${TITLE_BAR_HEIGHT + 35}" width="${sideBarWidth}" height="22" fill="${sectionBackground}"/>`);
+  parts.push(`  <text x="${sideBarX + 12}" y="${TITLE_BAR_HEIGHT + 50}" font-family="${UI_FONT_FAMILY}" font-size="11" font-weight="bold" fill="${c(['sideBarSectionHeader.foreground', 'sideBar.foreground', 'editor.foreground'], sectionBackground)}">APOLLO-VSCODE-THEME</text>`);
+
+  const tree = [
+    { label: 'assets', depth: 0, folder: true },
+    { label: 'samples', depth: 1, folder: true },
+    ...samples.map(file => ({ label: file, depth: 2, active: file === sample })),
+    { label: 'src', depth: 0, folder: true, collapsed: true },
+    { label: 'themes', depth: 0, folder: true, collapsed: true },
+    { label: 'package.json', depth: 0 },
+    { label: 'README.md', depth: 0 }
+  ];
+  tree.forEach((item, index) => {
+    const y = TITLE_BAR_HEIGHT + 57 + index * 22;
+    let foreground = sideBarForeground;
+    if (item.active) {
+      const selection = c(['list.activeSelectionBackground', 'list.inactiveSelectionBackground'], sideBarBackground);
+      foreground = c(['list.activeSelectionForeground', 'sideBar.foreground', 'editor.foreground'], selection);
+      parts.push(`  <rect x="${sideBarX}" y="${y}" width="${sideBarWidth}" height="22" fill="${selection}"/>`);
+    }
+    const chevron = item.folder ? (item.collapsed ? '›' : '⌄') : '';
+    parts.push(`  <text x="${sideBarX + 12 + item.depth * 14}" y="${y + 15}" font-family="${UI_FONT_FAMILY}" font-size="13" fill="${foreground}">${chevron ? `${chevron} ` : '  '}${escapeXml(item.label)}</text>`);
+  });
+  if (theme.colors['sideBar.border']) {
+    parts.push(`  <rect x="${editorX - 1}" y="${TITLE_BAR_HEIGHT}" width="1" height="${height - TITLE_BAR_HEIGHT - STATUS_BAR_HEIGHT}" fill="${c(['sideBar.border'], sideBarBackground)}"/>`);
+  }
+
+  // Tabs: the sample is the active tab, the other samples are open beside it
+  const tabsBackground = c(['editorGroupHeader.tabsBackground', 'tab.inactiveBackground', editorBackground]);
+  parts.push(`  <rect x="${editorX}" y="${TITLE_BAR_HEIGHT}" width="${width - editorX}" height="${TAB_HEIGHT}" fill="${tabsBackground}"/>`);
+  let tabX = editorX;
+  [sample, ...samples.filter(file => file !== sample)].forEach((file, index) => {
+    const active = index === 0;
+    const tabWidth = file.length * 7.5 + 40;
+    const background = active ? c(['tab.activeBackground', editorBackground], tabsBackground) : c(['tab.inactiveBackground', 'editorGroupHeader.tabsBackground', editorBackground], tabsBackground);
+    const foreground = active ? c(['tab.activeForeground', 'editor.foreground'], background) : c(['tab.inactiveForeground', 'tab.activeForeground', 'editor.foreground'], background);
+    parts.push(`  <rect x="${tabX}" y="${TITLE_BAR_HEIGHT}" width="${tabWidth}" height="${TAB_HEIGHT}" fill="${background}"/>`);
+    if (active && (theme.colors['tab.activeBorderTop'] || theme.colors['tab.activeBorder'])) {
+      const borderY = theme.colors['tab.activeBorderTop'] ? TITLE_BAR_HEIGHT : TITLE_BAR_HEIGHT + TAB_HEIGHT - 1;
+      parts.push(`  <rect x="${tabX}" y="${borderY}" width="${tabWidth}" height="1" fill="${c(['tab.activeBorderTop', 'tab.activeBorder'], background)}"/>`);
+    }
+    parts.push(`  <text x="${tabX + 20}" y="${TITLE_BAR_HEIGHT + 22}" font-family="${UI_FONT_FAMILY}" font-size="13" fill="${foreground}">${escapeXml(file)}</text>`);
+    if (theme.colors['tab.border']) {
+      parts.push(`  <rect x="${tabX + tabWidth - 1}" y="${TITLE_BAR_HEIGHT}" width="1" height="${TAB_HEIGHT}" fill="${c(['tab.border'], tabsBackground)}"/>`);
+    }
+    tabX += tabWidth;
+  });
+
+  // Editor with gutter, current line highlight and cursor
+  parts.push(`  <rect x="${editorX}" y="${editorY}" width="${width - editorX}" height="${editorHeight}" fill="${editorBackground}"/>`);
+  parts.push('  <clipPath id="editor">');
+  parts.push(`    <rect x="${editorX}" y="${editorY}" width="${width - editorX}" height="${editorHeight}"/>`);
+  parts.push('  </clipPath>');
+  parts.push('  <g clip-path="url(#editor)">');
+
+  const lineTop = index => editorY + 4 + index * LINE_HEIGHT;
+  const lineHighlight = c(['editor.lineHighlightBackground', editorBackground], editorBackground);
+  parts.push(`    <rect x="${editorX}" y="${lineTop(activeLine)}" width="${width - editorX}" height="${LINE_HEIGHT}" fill="${lineHighlight}"/>`);
+
+  visibleLines.forEach((tokens, index) => {
+    const baseline = lineTop(index) + 14;
+    const numberColor = index === activeLine
+      ? c(['editorLineNumber.activeForeground', 'editorLineNumber.foreground'], editorBackground)
+      : c(['editorLineNumber.foreground', 'editor.foreground'], editorBackground);
+    parts.push(`    <text x="${codeX - 20}" y="${baseline}" text-anchor="end" font-family="${FONT_FAMILY}" font-size="${FONT_SIZE}" fill="${numberColor}">${index + 1}</text>`);
+
+    let column = 0;
+    const spans = [];
+    for (const token of tokens) {
+      if (token.text.trim()) {
+        const style = token.fontStyle || '';
+        const attributes = [
+          `x="${(codeX + column * CHAR_WIDTH).toFixed(1)}"`,
+          `fill="${compositeOver(token.foreground, index === activeLine ? lineHighlight : editorBackground)}"`,
+          style.includes('italic') ? 'font-style="italic"' : '',
+          style.includes('bold') ? 'font-weight="bold"' : '',
+          style.includes('underline') ? 'text-decoration="underline"' : ''
+        ].filter(Boolean).join(' ');
+        spans.push(`<tspan ${attributes}>${escapeXml(token.text.trimEnd())}</tspan>`);
+      }
+      column += token.text.replace(/\t/g, '  ').length;
+    }
+    if (spans.length > 0) {
+      parts.push(`    <text y="${baseline}" font-family="${FONT_FAMILY}" font-size="${FONT_SIZE}" xml:space="preserve">${spans.join('')}</text>`);
+    }
+  });
+
+  parts.push(`    <rect x="${codeX}" y="${lineTop(activeLine) + 2}" width="2" height="${LINE_HEIGHT - 4}" fill="${c(['editorCursor.foreground', 'editor.foreground'], lineHighlight)}"/>`);
+  parts.push('  </g>');
+
+  // Status bar
+  const statusBackground = c(['statusBar.background', 'activityBar.background', editorBackground]);
+  const statusForeground = c(['statusBar.foreground', 'editor.foreground'], statusBackground);
+  const statusY = height - STATUS_BAR_HEIGHT;
+  parts.push(`  <rect x="0" y="${statusY}" width="${width}" height="${STATUS_BAR_HEIGHT}" fill="${statusBackground}"/>`);
+  if (theme.colors['statusBar.border']) {
+    parts.push(`  <rect x="0" y="${statusY}" width="${width}" height="1" fill="${c(['statusBar.border'], statusBackground)}"/>`);
+  }
+  parts.push(`  <text x="12" y="${statusY + 15}" xml:space="preserve" font-family="${UI_FONT_FAMILY}" font-size="12" fill="${statusForeground}">⎇ main   ⊗ 0  ⚠ 0</text>`);
+  parts.push(`  <text x="${width - 12}" y="${statusY + 15}" text-anchor="end" xml:space="preserve" font-family="${UI_FONT_FAMILY}" font-size="12" fill="${statusForeground}">${escapeXml(`Ln ${activeLine + 1}, Col 1    Spaces: 2    UTF-8    LF    ${language}`)}</text>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+${parts.join('\n')}
+</svg>
 `;
+}
+
+/**
+ * Rasterize an SVG to PNG at its own size
+ */
+function rasterize(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'original' },
+    font: {
+      loadSystemFonts: true,
+      defaultFontFamily: 'DejaVu Sans',
+      monospaceFamily: 'DejaVu Sans Mono'
+    }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Write every preview, or compare the generated SVGs with the committed files
+ * @returns {Promise<boolean>} true when everything is written or up to date
+ */
+async function createPreviews({ check = false, svgOnly = false } = {}) {
+  const registries = new Map();
+  const themes = loadThemeRegistry();
+  let upToDate = true;
+
+  if (check) {
+    console.log('🔍 Checking Apollo preview images...\n');
+  }
+
+  for (const preview of previews) {
+    const { theme } = themes.find(candidate => candidate.label === preview.theme);
+    if (!registries.has(preview.theme)) {
+      registries.set(preview.theme, createRegistry({ theme }));
+    }
+    const registry = registries.get(preview.theme);
+
+    const grammarEntry = grammarForFile(preview.sample);
+    const grammar = await registry.loadGrammar(grammarEntry.scopeName);
+    const text = fs.readFileSync(path.join(SAMPLES_DIR, preview.sample), 'utf8');
+    const lines = tokenizeText(grammar, text, registry);
+    const language = readGrammar(grammarEntry).displayName || grammarEntry.language;
+
+    const svg = createPreviewSVG(theme, preview.sample, language, lines, preview.width, preview.height);
+    const svgPath = path.join(__dirname, `${preview.filename}.svg`);
 
-fs.writeFileSync(path.join(assetsDir, 'README.md'), assetsReadme);
-console.log('Created assets/README.md with instructions');
+    if (check) {
+      const committed = fs.existsSync(svgPath) ? fs.readFileSync(svgPath, 'utf8') : '';
+      if (committed === svg) {
+        console.log(`  ✅ assets/${preview.filename}.svg is up to date`);
+      } else {
+        console.log(`  ❌ assets/${preview.filename}.svg differs from generated output`);
+        upToDate = false;
+      }
+      continue;
+    }
+
+    fs.writeFileSync(svgPath, svg);
+    console.log(`Created ${preview.filename}.svg (${preview.theme}, ${preview.sample})`);
+
+    if (!svgOnly) {
+      const png = rasterize(svg);
+      fs.writeFileSync(path.join(__dirname, `${preview.filename}.png`), png);
+      console.log(`Created ${preview.filename}.png (${preview.width}x${preview.height}, ${(png.length / 1024).toFixed(0)} KB)`);
+    }
+  }
+
+  if (!check) {
+    console.log('\nPreview images created from the current themes.');
+  } else if (!upToDate) {
+    console.log('\n🔧 Run "npm run screenshots:generate" and commit the regenerated previews.');
+  }
+
+  return upToDate;
+}
+
+if (require.main === module) {
+  createPreviews({
+    check: process.argv.includes('--check'),
+    svgOnly: process.argv.includes('--svg-only')
+  }).then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Preview generation failed:', error);
+    process.exit(1);
+  });
+}
 
-module.exports = { createPreviewSVG };
\ No newline at end of file
+module.exports = { createPreviewSVG, createPreviews };
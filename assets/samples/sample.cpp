@@ -0,0 +1,81 @@
+/*
+ * Apollo Theme Demo - C/C++ Example
+ * Showcasing syntax highlighting with the Apollo color palette
+ */
+#include <algorithm>
+#include <cstdint>
+#include <fstream>
+#include <iostream>
+#include <map>
+#include <optional>
+#include <string>
+#include "theme.h"
+
+#define APOLLO_MAX_THEMES 4
+#define RGB(r, g, b) ((static_cast<std::uint32_t>(r) << 16) | ((g) << 8) | (b))
+
+#ifndef NDEBUG
+#  define LOG(message) std::cerr << "[apollo] " << message << '\n'
+#else
+#  define LOG(message)
+#endif
+
+namespace apollo::theme {
+
+struct Color {
+    std::uint8_t red, green, blue;
+    float alpha = 1.0f;
+};
+
+enum class Variant : unsigned char { Dark, Light, HighContrastDark, HighContrastLight };
+
+template <typename Value>
+class Registry {
+public:
+    explicit Registry(std::size_t capacity = APOLLO_MAX_THEMES) : capacity_(capacity) {}
+    virtual ~Registry() = default;
+
+    bool add(const std::string& name, Value value) {
+        if (entries_.size() >= capacity_) {
+            return false;
+        }
+        entries_.emplace(name, std::move(value));
+        return true;
+    }
+
+    [[nodiscard]] std::optional<Value> find(const std::string& name) const noexcept {
+        auto it = entries_.find(name);
+        return it != entries_.end() ? std::optional<Value>{it->second} : std::nullopt;
+    }
+
+private:
+    std::size_t capacity_;
+    std::map<std::string, Value> entries_;
+};
+
+static int count_editor_colors(const char* path) {
+    std::ifstream file(path);
+    std::string line;
+    int count = 0;
+    while (std::getline(file, line)) {
+        count += line.find("\"editor.") != std::string::npos ? 1 : 0;
+    }
+    return count;
+}
+
+}  // namespace apollo::theme
+
+int main(int argc, char** argv) {
+    using namespace apollo::theme;
+
+    Registry<Variant> registry;
+    registry.add("Apollo Dark", Variant::Dark);
+    registry.add("Apollo Light", Variant::Light);
+
+    const auto accent = RGB(0x73, 0xbe, 0xd3);
+    const char* path = argc > 1 ? argv[1] : "themes/apollo-dark-color-theme.json";
+    int editor_colors = count_editor_colors(path);
+
+    LOG("loaded " << editor_colors << " editor colors, accent #" << std::hex << accent);
+    return registry.find("Apollo Dark").has_value() && editor_colors > 0 ? 0 : 1;
+}
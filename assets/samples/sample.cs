@@ -0,0 +1,75 @@
+// Apollo Theme Demo - C# Example
+// Showcasing syntax highlighting with the Apollo color palette
+#nullable enable
+#define APOLLO_DEBUG
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace Apollo.Theme
+{
+    public record Theme(string Name, bool Dark, IReadOnlyDictionary<string, string> Colors);
+
+    public interface IThemeLoader
+    {
+        Task<Theme> LoadAsync(string name);
+    }
+
+    [Serializable]
+    public sealed class ThemeManager : IThemeLoader, IDisposable
+    {
+        private const int MaxThemes = 4;
+        private readonly Dictionary<string, Theme> _themes = new();
+
+        public event EventHandler<Theme>? ThemeApplied;
+
+        public Theme? ActiveTheme { get; private set; }
+
+        public int Count => _themes.Count;
+
+        public async Task<Theme> LoadAsync(string name)
+        {
+            if (_themes.TryGetValue(name, out var cached))
+            {
+                return cached;
+            }
+
+            var path = Path.Combine("themes", $"{name}-color-theme.json");
+            await using var stream = File.OpenRead(path);
+            var theme = await JsonSerializer.DeserializeAsync<Theme>(stream)
+                ?? throw new InvalidDataException($"Theme '{name}' is empty");
+
+            _themes[name] = theme;
+            return theme;
+        }
+
+        public int Apply(Theme theme, double duration = 0.3)
+        {
+            var editorColors = theme.Colors
+                .Where(pair => pair.Key.StartsWith("editor.", StringComparison.Ordinal))
+                .OrderBy(pair => pair.Key)
+                .ToList();
+
+#if APOLLO_DEBUG
+            Console.WriteLine($"Applying {editorColors.Count} colors from {theme.Name} over {duration * 1000:F0}ms");
+#endif
+            ActiveTheme = theme;
+            ThemeApplied?.Invoke(this, theme);
+            return editorColors.Count;
+        }
+
+        public void Dispose() => _themes.Clear();
+
+        public static async Task Main(string[] args)
+        {
+            using var manager = new ThemeManager();
+            var theme = await manager.LoadAsync(args.FirstOrDefault() ?? "apollo-dark");
+            uint accent = 0x73bed3u;
+            Console.WriteLine(manager.Apply(theme) > 0 ? $"{theme.Name}: #{accent:x6}" : @"No colors in C:\themes");
+        }
+    }
+}
@@ -0,0 +1,84 @@
+// Apollo Theme Demo - Go Example
+// Showcasing syntax highlighting with the Apollo color palette
+package main
+
+import (
+	"encoding/json"
+	"errors"
+	"fmt"
+	"os"
+	"regexp"
+	"sort"
+	"strings"
+)
+
+var hexColor = regexp.MustCompile(`^#[0-9a-fA-F]{6}$`)
+
+// ErrNotFound is returned when a theme file does not exist
+var ErrNotFound = errors.New("theme not found")
+
+// Theme is a VS Code color theme
+type Theme struct {
+	Name   string            `json:"name"`
+	Type   string            `json:"type,omitempty"`
+	Colors map[string]string `json:"colors"`
+}
+
+// Loader reads themes from a directory
+type Loader interface {
+	Load(name string) (*Theme, error)
+}
+
+type fileLoader struct {
+	dir   string
+	cache map[string]*Theme
+}
+
+func (l *fileLoader) Load(name string) (*Theme, error) {
+	if theme, ok := l.cache[name]; ok {
+		return theme, nil
+	}
+
+	data, err := os.ReadFile(fmt.Sprintf("%s/%s-color-theme.json", l.dir, name))
+	if errors.Is(err, os.ErrNotExist) {
+		return nil, fmt.Errorf("%w: %s", ErrNotFound, name)
+	} else if err != nil {
+		return nil, err
+	}
+
+	theme := new(Theme)
+	if err := json.Unmarshal(data, theme); err != nil {
+		return nil, err
+	}
+	l.cache[name] = theme
+	return theme, nil
+}
+
+func editorColors(theme *Theme) []string {
+	keys := make([]string, 0, len(theme.Colors))
+	for key, value := range theme.Colors {
+		if strings.HasPrefix(key, "editor.") && hexColor.MatchString(value) {
+			keys = append(keys, key)
+		}
+	}
+	sort.Strings(keys)
+	return keys
+}
+
+func main() {
+	const maxThemes = 4
+	var loader Loader = &fileLoader{dir: "themes", cache: make(map[string]*Theme, maxThemes)}
+
+	done := make(chan bool, 1)
+	go func() {
+		defer close(done)
+		theme, err := loader.Load("apollo-dark")
+		if err != nil {
+			fmt.Fprintln(os.Stderr, err)
+			return
+		}
+		fmt.Printf("Applying %d editor colors from %q\n", len(editorColors(theme)), theme.Name)
+		done <- true
+	}()
+	<-done
+}
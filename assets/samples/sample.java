@@ -0,0 +1,78 @@
+/*
+ * Apollo Theme Demo - Java Example
+ * Showcasing syntax highlighting with the Apollo color palette
+ */
+package dev.apollo.theme;
+
+import java.io.IOException;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.util.Map;
+import java.util.Optional;
+import java.util.TreeMap;
+import java.util.regex.Pattern;
+
+/**
+ * Loads VS Code color themes and applies their editor colors.
+ *
+ * @author Apollo Team
+ */
+public final class ThemeManager implements AutoCloseable {
+    private static final Pattern HEX_COLOR = Pattern.compile("^#[0-9a-fA-F]{6}$");
+    private static final int MAX_THEMES = 4;
+
+    public record Theme(String name, boolean dark, Map<String, String> colors) {}
+
+    private final Map<String, Theme> themes = new TreeMap<>();
+    private volatile Theme activeTheme;
+
+    @FunctionalInterface
+    public interface ThemeListener {
+        void onApplied(Theme theme, long durationMillis);
+    }
+
+    public Optional<Theme> find(String name) {
+        return Optional.ofNullable(themes.get(name));
+    }
+
+    @SuppressWarnings("unchecked")
+    public Theme load(Path file) throws IOException {
+        if (themes.size() >= MAX_THEMES) {
+            throw new IllegalStateException("Too many themes: " + themes.size());
+        }
+        String json = Files.readString(file);
+        Theme theme = new Theme(file.getFileName().toString(), json.contains("\"dark\""), new TreeMap<>());
+        themes.put(theme.name(), theme);
+        return theme;
+    }
+
+    public int apply(String name, ThemeListener listener) {
+        Theme theme = find(name).orElseThrow(() -> new IllegalArgumentException("Theme '" + name + "' not found"));
+        long start = System.nanoTime();
+        int[] counts = new int[2];
+
+        for (var entry : theme.colors().entrySet()) {
+            boolean valid = entry.getKey().startsWith("editor.") && HEX_COLOR.matcher(entry.getValue()).matches();
+            counts[valid ? 0 : 1]++;
+        }
+
+        activeTheme = theme;
+        listener.onApplied(theme, (System.nanoTime() - start) / 1_000_000L);
+        return counts[0];
+    }
+
+    @Override
+    public void close() {
+        themes.clear();
+        activeTheme = null;
+    }
+
+    public static void main(String[] args) throws IOException {
+        try (var manager = new ThemeManager()) {
+            Theme dark = manager.load(Path.of("themes", "apollo-dark-color-theme.json"));
+            int applied = manager.apply(dark.name(), (theme, ms) -> System.out.printf("%s applied in %dms%n", theme.name(), ms));
+            char mark = applied > 0 ? '✓' : '✗';
+            System.out.println(mark + " " + applied + " colors, 0.5f opacity: " + 0.5f + ", " + 0x73bed3);
+        }
+    }
+}
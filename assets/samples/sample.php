@@ -0,0 +1,81 @@
+<?php
+/**
+ * Apollo Theme Demo - PHP Example
+ * Showcasing syntax highlighting with the Apollo color palette
+ */
+
+declare(strict_types=1);
+
+namespace Apollo\Theme;
+
+use InvalidArgumentException;
+use JsonException;
+
+interface ThemeLoader
+{
+    public function load(string $name): Theme;
+}
+
+final class Theme
+{
+    public function __construct(
+        public readonly string $name,
+        public readonly bool $dark = true,
+        private array $colors = [],
+    ) {
+    }
+
+    public function color(string $key): ?string
+    {
+        return $this->colors[$key] ?? null;
+    }
+
+    public function editorColors(): array
+    {
+        return array_filter(
+            $this->colors,
+            fn (string $value, string $key): bool => str_starts_with($key, 'editor.') && preg_match('/^#[0-9a-f]{6}$/i', $value) === 1,
+            ARRAY_FILTER_USE_BOTH
+        );
+    }
+}
+
+class FileThemeLoader implements ThemeLoader
+{
+    private const MAX_THEMES = 4;
+
+    /** @var array<string, Theme> */
+    private static array $cache = [];
+
+    public function __construct(private string $directory = __DIR__ . '/themes')
+    {
+    }
+
+    /**
+     * @throws JsonException
+     */
+    public function load(string $name): Theme
+    {
+        if (isset(self::$cache[$name])) {
+            return self::$cache[$name];
+        }
+
+        $path = "{$this->directory}/{$name}-color-theme.json";
+        if (!is_file($path)) {
+            throw new InvalidArgumentException("Theme '$name' not found at $path");
+        }
+
+        $data = json_decode(file_get_contents($path), true, 512, JSON_THROW_ON_ERROR);
+        if (count(self::$cache) >= self::MAX_THEMES) {
+            array_shift(self::$cache);
+        }
+
+        return self::$cache[$name] = new Theme($data['name'], ($data['type'] ?? 'dark') === 'dark', $data['colors']);
+    }
+}
+
+$loader = new FileThemeLoader();
+$theme = $loader->load('apollo-dark');
+$count = count($theme->editorColors());
+?>
+<p class="theme"><?= htmlspecialchars($theme->name) ?>: <?php echo $count, ' colors, background ', $theme->color('editor.background') ?? 'none'; ?></p>
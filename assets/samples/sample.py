@@ -0,0 +1,60 @@
+"""
+Apollo Theme Demo - Python Example
+Showcasing syntax highlighting with the Apollo color palette
+"""
+
+from __future__ import annotations
+
+import json
+from dataclasses import dataclass, field
+from functools import lru_cache
+from pathlib import Path
+
+THEMES_DIR = Path("themes")
+HEX_COLOR = r"^#[0-9a-fA-F]{6}$"
+
+
+class ThemeNotFound(LookupError):
+    """Raised when a theme file does not exist."""
+
+
+@dataclass(frozen=True)
+class Theme:
+    name: str
+    type: str = "dark"
+    colors: dict[str, str] = field(default_factory=dict)
+
+    @property
+    def background(self) -> str | None:
+        return self.colors.get("editor.background")
+
+    @classmethod
+    def from_file(cls, path: Path) -> Theme:
+        data = json.loads(path.read_text(encoding="utf-8"))
+        return cls(name=data["name"], type=data.get("type", "dark"), colors=data["colors"])
+
+    def __repr__(self) -> str:
+        return f"Theme({self.name!r}, {len(self.colors)} colors, background={self.background:>8})"
+
+
+@lru_cache(maxsize=None)
+def load_theme(name: str) -> Theme:
+    path = THEMES_DIR / f"{name}-color-theme.json"
+    if not path.exists():
+        raise ThemeNotFound(f"No theme at {path}")
+    return Theme.from_file(path)
+
+
+async def apply_theme(name: str, *, animate: bool = True, duration: float = 0.3) -> bool:
+    theme = load_theme(name)
+    editor_keys = sorted(key for key in theme.colors if key.startswith("editor."))
+    print(f"Applying {len(editor_keys)} editor colors from {theme.name} in {duration * 1000:.0f}ms")
+    return animate and bool(editor_keys)
+
+
+if __name__ == "__main__":
+    try:
+        dark = load_theme("apollo-dark")
+        print(repr(dark), isinstance(dark, Theme), None, 0x1F, 3.14)
+    except ThemeNotFound as error:
+        print(f"⚠️ {error}")
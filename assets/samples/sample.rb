@@ -0,0 +1,62 @@
+# Apollo Theme Demo - Ruby Example
+# Showcasing syntax highlighting with the Apollo color palette
+
+require 'json'
+require 'pathname'
+
+module Apollo
+  # Raised when a theme file does not exist
+  class ThemeNotFound < StandardError; end
+
+  class Theme
+    HEX_COLOR = /\A#[0-9a-f]{6}\z/i
+    MAX_THEMES = 4
+
+    attr_reader :name, :colors
+
+    @@loaded = 0
+    $apollo_debug = false
+
+    def initialize(name:, colors: {}, type: :dark)
+      @name = name
+      @colors = colors.freeze
+      @type = type
+      @@loaded += 1
+    end
+
+    def dark?
+      @type == :dark
+    end
+
+    def editor_colors
+      colors.select { |key, value| key.start_with?('editor.') && value.match?(HEX_COLOR) }
+            .sort_by(&:first)
+            .to_h
+    end
+
+    def to_s
+      "#{name} (#{colors.size} colors, #{dark? ? 'dark' : 'light'})"
+    end
+
+    def self.load(name, dir: Pathname.new('themes'))
+      path = dir.join("#{name}-color-theme.json")
+      raise ThemeNotFound, "No theme at #{path}" unless path.exist?
+
+      data = JSON.parse(path.read, symbolize_names: false)
+      new(name: data['name'], colors: data.fetch('colors', {}), type: data['type']&.to_sym || :dark)
+    end
+  end
+end
+
+begin
+  theme = Apollo::Theme.load('apollo-dark')
+  puts "Applying #{theme.editor_colors.length} editor colors from #{theme}"
+  %w[apollo-light apollo-hc-dark].each_with_index do |other, index|
+    printf("%d. %s\n", index + 1, other)
+  end
+  puts 0x73bed3.to_s(16), 3.14, nil.inspect, $apollo_debug
+rescue Apollo::ThemeNotFound => e
+  warn "⚠️  #{e.message}"
+ensure
+  puts :done
+end
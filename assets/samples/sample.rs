@@ -0,0 +1,68 @@
+//! Apollo Theme Demo - Rust Example
+//! Showcasing syntax highlighting with the Apollo color palette
+
+use std::collections::BTreeMap;
+use std::fmt;
+use std::fs;
+
+/// A VS Code color theme, borrowing its name from the file it was read from
+#[derive(Debug, Clone, PartialEq)]
+pub struct Theme<'a> {
+    pub name: &'a str,
+    pub dark: bool,
+    pub colors: BTreeMap<String, u32>,
+}
+
+pub trait Palette {
+    fn color(&self, key: &str) -> Option<u32>;
+
+    fn hex(&self, key: &str) -> Option<String> {
+        self.color(key).map(|rgb| format!("#{:06x}", rgb))
+    }
+}
+
+impl<'a> Palette for Theme<'a> {
+    fn color(&self, key: &str) -> Option<u32> {
+        self.colors.get(key).copied()
+    }
+}
+
+impl fmt::Display for Theme<'_> {
+    fn fmt(&self, f: &mut fmt::Formatter<'_>) -> fmt::Result {
+        write!(f, "{} ({} colors)", self.name, self.colors.len())
+    }
+}
+
+macro_rules! colors {
+    ($($key:literal => $value:expr),* $(,)?) => {{
+        let mut map = BTreeMap::new();
+        $(map.insert($key.to_string(), $value);)*
+        map
+    }};
+}
+
+fn longest<'a, 'b: 'a>(first: &'a str, second: &'b str) -> &'a str {
+    if first.len() >= second.len() { first } else { second }
+}
+
+fn main() -> Result<(), Box<dyn std::error::Error>> {
+    let source = fs::read_to_string("themes/apollo-dark-color-theme.json").unwrap_or_default();
+    let theme = Theme {
+        name: longest("Apollo Dark", "Apollo"),
+        dark: !source.is_empty(),
+        colors: colors! {
+            "editor.background" => 0x090a14,
+            "editor.foreground" => 0xebede9,
+        },
+    };
+
+    static ACCENT: u32 = 0x73_be_d3;
+    let scale = 1.5_f64 * f64::from(ACCENT as u8);
+
+    match theme.hex("editor.background") {
+        Some(ref hex) if hex.starts_with('#') => println!("{theme}: background {hex}, scale {scale:.1}"),
+        Some(_) | None => eprintln!("no background in {}", theme),
+    }
+    assert_eq!(theme.color("editor.foreground"), Some(0xebede9));
+    Ok(())
+}
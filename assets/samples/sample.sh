@@ -0,0 +1,61 @@
+#!/usr/bin/env bash
+# Apollo Theme Demo - Shell Example
+# Showcasing syntax highlighting with the Apollo color palette
+
+set -euo pipefail
+
+readonly THEMES_DIR="${APOLLO_THEMES_DIR:-./themes}"
+readonly DEFAULT_THEME="apollo-dark"
+declare -A BACKGROUNDS=()
+
+log() {
+  local level=$1
+  shift
+  printf '[%s] %s\n' "${level^^}" "$*" >&2
+}
+
+theme_path() {
+  echo "${THEMES_DIR}/${1:-$DEFAULT_THEME}-color-theme.json"
+}
+
+load_theme() {
+  local name="$1"
+  local path
+  path=$(theme_path "$name")
+
+  if [[ ! -f "$path" ]]; then
+    log error "Theme '$name' not found at $path"
+    return 1
+  fi
+
+  BACKGROUNDS[$name]=$(grep -o '"editor.background": "#[0-9a-f]\{6\}"' "$path" | cut -d'"' -f4)
+  log info "Loaded $name with background ${BACKGROUNDS[$name]:-none}"
+}
+
+count_editor_colors() {
+  local count=0
+  while IFS= read -r line; do
+    case "$line" in
+      *'"editor.'*) ((count++)) ;;
+    esac
+  done < "$(theme_path "$1")"
+  echo "$count"
+}
+
+main() {
+  local themes=("$@")
+  (( ${#themes[@]} > 0 )) || themes=("$DEFAULT_THEME" apollo-light)
+
+  for theme in "${themes[@]}"; do
+    load_theme "$theme" || continue
+    echo "$theme: $(count_editor_colors "$theme") editor colors, pid $$, exit $?"
+  done
+
+  cat <<EOF
+Themes directory: ${THEMES_DIR}
+Loaded at: `date +%H:%M`
+EOF
+}
+
+trap 'log warn "interrupted"; exit 130' INT
+main "$@"
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Contrast Auditor
+ * Measures WCAG 2.x and APCA contrast for the foreground/background pairs
+ * VS Code actually draws, compositing translucent colors over the surface
+ * underneath them
+ *
+ * Usage:
+ *   node audit-contrast.js                    Audit every theme at 4.5:1, Lc 60 / Lc 45
+ *   node audit-contrast.js --threshold <n>    Use a different minimum WCAG ratio
+ *   node audit-contrast.js --apca-text <Lc>   Minimum APCA Lc for body text (code)
+ *   node audit-contrast.js --apca-ui <Lc>     Minimum APCA Lc for UI chrome and large text
+ *   node audit-contrast.js --verbose          List passing pairs as well
+ *   node audit-contrast.js --baseline <file>  Only fail on pairs not in the baseline, or worse than it
+ *   node audit-contrast.js --baseline <file> --update-baseline
+ *                                             Rewrite the baseline with the current failures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compositeOver, contrastRatio, apcaContrast } = require('./src/color-math');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const { THEMES } = require('./build-themes');
+
+const DEFAULT_THRESHOLD = 4.5;
+
+// Minimum APCA |Lc| per text kind: body text is code, ui is chrome and large text
+const APCA_THRESHOLDS = {
+  text: 60,
+  ui: 45
+};
+
+/**
+ * Workbench pairs to audit. `surface` is the key painted underneath a
+ * translucent background; it defaults to editor.background. `kind` selects
+ * the APCA threshold and defaults to 'ui'.
+ */
+const CONTRAST_PAIRS = [
+  // Editor
+  { foreground: 'editor.foreground', background: 'editor.background', kind: 'text' },
+  { foreground: 'editor.foreground', background: 'editor.lineHighlightBackground', kind: 'text' },
+  { foreground: 'editor.foreground', background: 'editor.selectionBackground', kind: 'text' },
+  { foreground: 'editor.foreground', background: 'editor.selectionHighlightBackground', kind: 'text' },
+  { foreground: 'editor.foreground', background: 'editor.wordHighlightStrongBackground', kind: 'text' },
+  { foreground: 'editor.foreground', background: 'editor.findMatchHighlightBackground', kind: 'text' },
+  { foreground: 'editorLineNumber.foreground', background: 'editorGutter.background' },
+  { foreground: 'editorLineNumber.activeForeground', background: 'editorGutter.background' },
+  { foreground: 'editorCodeLens.foreground', background: 'editor.background' },
+  { foreground: 'terminal.foreground', background: 'terminal.background', kind: 'text' },
+
+  // Editor widgets
+  { foreground: 'editorWidget.foreground', background: 'editorWidget.background' },
+  { foreground: 'editorHoverWidget.foreground', background: 'editorHoverWidget.background' },
+  { foreground: 'editorSuggestWidget.foreground', background: 'editorSuggestWidget.background' },
+  { foreground: 'editorSuggestWidget.foreground', background: 'editorSuggestWidget.selectedBackground', surface: 'editorSuggestWidget.background' },
+  { foreground: 'editorSuggestWidget.highlightForeground', background: 'editorSuggestWidget.background' },
+  { foreground: 'peekViewTitleLabel.foreground', background: 'peekViewTitle.background' },
+  { foreground: 'peekViewTitleDescription.foreground', background: 'peekViewTitle.background' },
+  { foreground: 'peekViewResult.foreground', background: 'peekViewResult.background' },
+  { foreground: 'peekViewResult.selectionForeground', background: 'peekViewResult.selectionBackground', surface: 'peekViewResult.background' },
+
+  // Tabs and breadcrumbs
+  { foreground: 'tab.activeForeground', background: 'tab.activeBackground' },
+  { foreground: 'tab.inactiveForeground', background: 'tab.inactiveBackground' },
+  { foreground: 'tab.unfocusedActiveForeground', background: 'tab.activeBackground' },
+  { foreground: 'tab.unfocusedInactiveForeground', background: 'tab.inactiveBackground' },
+  { foreground: 'breadcrumb.foreground', background: 'breadcrumb.background' },
+  { foreground: 'breadcrumb.focusForeground', background: 'breadcrumb.background' },
+
+  // Activity bar, side bar and lists
+  { foreground: 'activityBar.foreground', background: 'activityBar.background' },
+  { foreground: 'activityBar.inactiveForeground', background: 'activityBar.background' },
+  { foreground: 'activityBarBadge.foreground', background: 'activityBarBadge.background' },
+  { foreground: 'sideBar.foreground', background: 'sideBar.background' },
+  { foreground: 'sideBarTitle.foreground', background: 'sideBar.background' },
+  { foreground: 'sideBarSectionHeader.foreground', background: 'sideBarSectionHeader.background' },
+  { foreground: 'list.activeSelectionForeground', background: 'list.activeSelectionBackground', surface: 'sideBar.background' },
+  { foreground: 'list.inactiveSelectionForeground', background: 'list.inactiveSelectionBackground', surface: 'sideBar.background' },
+  { foreground: 'list.focusForeground', background: 'list.focusBackground', surface: 'sideBar.background' },
+  { foreground: 'list.hoverForeground', background: 'list.hoverBackground', surface: 'sideBar.background' },
+  { foreground: 'list.highlightForeground', background: 'sideBar.background' },
+
+  // Status bar, title bar and panel
+  { foreground: 'statusBar.foreground', background: 'statusBar.background' },
+  { foreground: 'statusBar.foreground', background: 'statusBarItem.hoverBackground', surface: 'statusBar.background' },
+  { foreground: 'statusBar.debuggingForeground', background: 'statusBar.debuggingBackground' },
+  { foreground: 'statusBar.noFolderForeground', background: 'statusBar.noFolderBackground' },
+  { foreground: 'statusBarItem.prominentForeground', background: 'statusBarItem.prominentBackground', surface: 'statusBar.background' },
+  { foreground: 'titleBar.activeForeground', background: 'titleBar.activeBackground' },
+  { foreground: 'titleBar.inactiveForeground', background: 'titleBar.inactiveBackground' },
+  { foreground: 'panelTitle.activeForeground', background: 'panel.background' },
+  { foreground: 'panelTitle.inactiveForeground', background: 'panel.background' },
+
+  // Inputs, buttons and badges
+  { foreground: 'input.foreground', background: 'input.background' },
+  { foreground: 'input.placeholderForeground', background: 'input.background' },
+  { foreground: 'dropdown.foreground', background: 'dropdown.background' },
+  { foreground: 'button.foreground', background: 'button.background' },
+  { foreground: 'button.foreground', background: 'button.hoverBackground' },
+  { foreground: 'button.secondaryForeground', background: 'button.secondaryBackground' },
+  { foreground: 'extensionButton.prominentForeground', background: 'extensionButton.prominentBackground' },
+  { foreground: 'badge.foreground', background: 'badge.background' },
+  { foreground: 'keybindingLabel.foreground', background: 'keybindingLabel.background' },
+  { foreground: 'inputValidation.errorForeground', background: 'inputValidation.errorBackground' },
+  { foreground: 'inputValidation.infoForeground', background: 'inputValidation.infoBackground' },
+  { foreground: 'inputValidation.warningForeground', background: 'inputValidation.warningBackground' },
+
+  // Menus, notifications and quick input
+  { foreground: 'menu.foreground', background: 'menu.background' },
+  { foreground: 'menu.selectionForeground', background: 'menu.selectionBackground', surface: 'menu.background' },
+  { foreground: 'notifications.foreground', background: 'notifications.background' },
+  { foreground: 'notificationLink.foreground', background: 'notifications.background' },
+  { foreground: 'notificationCenterHeader.foreground', background: 'notificationCenterHeader.background' },
+  { foreground: 'quickInput.foreground', background: 'quickInput.background' },
+  { foreground: 'quickInput.foreground', background: 'quickInputList.focusBackground', surface: 'quickInput.background' },
+  { foreground: 'pickerGroup.foreground', background: 'quickInput.background' },
+  { foreground: 'settings.headerForeground', background: 'editor.background' }
+];
+
+/**
+ * Theme file of each variant from variants/ mapped to the theme file of the
+ * built-in theme it is derived from, e.g. apollo-dimmed → apollo-dark
+ * @returns {Object<string, string>}
+ */
+function variantBases() {
+  const bases = {};
+  for (const variant of THEMES.filter(theme => theme.source)) {
+    const base = THEMES.find(theme => !theme.source && theme.type === variant.type);
+    if (base) bases[path.basename(variant.path)] = path.basename(base.path);
+  }
+  return bases;
+}
+
+class ApolloContrastAuditor {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.bases] - Theme file of each
+   *   variant mapped to the theme file it is derived from; a variant may only
+   *   fail where its base fails
+   */
+  constructor({ threshold = DEFAULT_THRESHOLD, apcaThresholds = APCA_THRESHOLDS, baseline = null, bases = variantBases(), verbose = false } = {}) {
+    this.threshold = threshold;
+    this.apcaThresholds = { ...APCA_THRESHOLDS, ...apcaThresholds };
+    this.baseline = baseline;
+    this.bases = bases;
+    this.verbose = verbose;
+    this.results = [];
+  }
+
+  /**
+   * Load a baseline of known failures: { pairs: { [themeFile]: { [label]: { ratio, lc } } } }
+   * @throws {Error} When the baseline does not exist or is not valid JSON
+   */
+  static loadBaseline(baselinePath) {
+    if (!fs.existsSync(baselinePath)) {
+      throw new Error(`Baseline not found: ${baselinePath}`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(baselinePath, 'utf8')).pairs || {};
+    } catch (error) {
+      throw new Error(`Baseline ${baselinePath} is not valid JSON (${error.message})`);
+    }
+  }
+
+  /**
+   * Current failures in baseline form. Values are rounded down so the pair
+   * measured now never counts as worse than its own entry. A variant failure
+   * its base shares is left out: the base's entry tracks it.
+   */
+  baselineEntries() {
+    const pairs = {};
+    for (const result of this.results.filter(result => !result.missing && !result.passed && !result.sharedWithBase)) {
+      pairs[result.theme] = pairs[result.theme] || {};
+      pairs[result.theme][result.label] = {
+        ratio: Math.floor(result.ratio * 100) / 100,
+        lc: Math.floor(Math.abs(result.lc) * 10) / 10
+      };
+    }
+    return pairs;
+  }
+
+  /**
+   * Resolve a key to the opaque color VS Code ends up painting, compositing
+   * translucent values over `surfaceKey` (itself resolved over editor.background)
+   */
+  resolve(colors, key, surfaceKey) {
+    const color = colors[key];
+    if (!color) return null;
+
+    const editorBackground = colors['editor.background'];
+    if (!surfaceKey || surfaceKey === key || !colors[surfaceKey]) {
+      return compositeOver(color, editorBackground);
+    }
+
+    return compositeOver(color, compositeOver(colors[surfaceKey], editorBackground));
+  }
+
+  /**
+   * Audit the workbench pairs, token foregrounds and semantic token
+   * foregrounds of one theme
+   */
+  auditTheme(themeFile, theme) {
+    const colors = theme.colors || {};
+
+    for (const pair of CONTRAST_PAIRS) {
+      const background = this.resolve(colors, pair.background, pair.surface || 'editor.background');
+      const foreground = background && colors[pair.foreground] ? compositeOver(colors[pair.foreground], background) : null;
+
+      this.record({
+        theme: themeFile,
+        label: `${pair.foreground} on ${pair.background}`,
+        kind: pair.kind || 'ui',
+        foreground,
+        background
+      });
+    }
+
+    const editorBackground = this.resolve(colors, 'editor.background');
+    (theme.tokenColors || []).forEach(rule => {
+      const settings = rule.settings || {};
+      if (!settings.foreground) return;
+
+      // Labeled by name and scope rather than position, so the baseline survives reordering
+      const scopes = [].concat(rule.scope || []);
+      this.record({
+        theme: themeFile,
+        label: `tokenColors ${rule.name || 'Unnamed'} (${scopes.join(', ')})`,
+        kind: 'text',
+        foreground: compositeOver(settings.foreground, editorBackground),
+        background: editorBackground
+      });
+    });
+
+    for (const [selector, value] of Object.entries(theme.semanticTokenColors || {})) {
+      const foreground = typeof value === 'string' ? value : value.foreground;
+      if (!foreground) continue;
+
+      this.record({
+        theme: themeFile,
+        label: `semanticTokenColors ${selector}`,
+        kind: 'text',
+        foreground: compositeOver(foreground, editorBackground),
+        background: editorBackground
+      });
+    }
+  }
+
+  record(result) {
+    if (!result.foreground || !result.background) {
+      result.missing = true;
+    } else {
+      result.ratio = contrastRatio(result.foreground, result.background);
+      result.lc = apcaContrast(result.foreground, result.background);
+      result.passed = result.ratio >= this.threshold && Math.abs(result.lc) >= this.apcaThresholds[result.kind];
+
+      // A failure already in the baseline only counts once it gets worse
+      const known = !result.passed && this.baseline && (this.baseline[result.theme] || {})[result.label];
+      result.known = Boolean(known) && result.ratio >= known.ratio && Math.abs(result.lc) >= known.lc;
+    }
+    this.results.push(result);
+  }
+
+  /**
+   * Mark the failures each variant shares with its base theme: the base fails
+   * the same pair on every measure (WCAG ratio, APCA Lc) the variant fails.
+   * With a baseline a shared failure is known, so a variant can keep the
+   * failures of the theme it is derived from but cannot add any.
+   */
+  compareWithBases() {
+    for (const result of this.results) {
+      const baseFile = this.bases[result.theme];
+      if (!baseFile || result.missing || result.passed) continue;
+
+      const base = this.results.find(other => other.theme === baseFile && other.label === result.label);
+      const minimumLc = this.apcaThresholds[result.kind];
+      result.sharedWithBase = Boolean(base) && !base.missing &&
+        (result.ratio >= this.threshold || base.ratio < this.threshold) &&
+        (Math.abs(result.lc) >= minimumLc || Math.abs(base.lc) < minimumLc);
+      if (this.baseline && result.sharedWithBase) {
+        result.known = true;
+      }
+    }
+  }
+
+  /**
+   * True when every pair is defined and meets the thresholds, or is a known
+   * failure from the baseline. A key a pair needs but the theme lacks fails.
+   */
+  passed() {
+    return this.results.every(result => !result.missing && (result.passed || result.known));
+  }
+
+  /**
+   * Audit every theme, returning true when every pair is defined and none
+   * falls under the threshold (other than the known failures in the baseline)
+   */
+  auditAllThemes() {
+    console.log('🔍 Apollo Contrast Audit');
+    console.log('========================');
+    console.log(`Minimum WCAG ratio: ${this.threshold}:1`);
+    console.log(`Minimum APCA Lc: ${this.apcaThresholds.text} body text, ${this.apcaThresholds.ui} UI and large text`);
+
+    for (const variant of loadThemeRegistry()) {
+      this.auditTheme(path.basename(variant.path), variant.theme);
+    }
+
+    this.compareWithBases();
+    this.printReport();
+    return this.passed();
+  }
+
+  printReport() {
+    for (const themeFile of [...new Set(this.results.map(result => result.theme))]) {
+      const results = this.results.filter(result => result.theme === themeFile);
+      console.log(`\n🎨 ${themeFile}`);
+
+      results
+        .filter(result => result.missing || !result.passed || this.verbose)
+        .forEach(result => {
+          if (result.missing) {
+            console.log(`  ❌ ${result.label}: key not defined`);
+          } else {
+            const status = result.passed ? '✅' : result.known ? '⚪' : '❌';
+            const note = !result.known ? '' : result.sharedWithBase ? ` (also fails in ${this.bases[result.theme]})` : ' (in baseline)';
+            console.log(`  ${status} ${result.label} [${result.kind}]: ${result.foreground} on ${result.background} = ${result.ratio.toFixed(2)}:1, Lc ${result.lc.toFixed(1)}${note}`);
+          }
+        });
+
+      const failed = results.filter(result => result.missing || !result.passed).length;
+      if (failed === 0) {
+        console.log(`  ✅ All ${results.length} pairs meet both thresholds`);
+      }
+    }
+
+    const measured = this.results.filter(result => !result.missing);
+    const failed = measured.filter(result => !result.passed);
+    console.log('\n📊 Summary');
+    console.log(`   Pairs measured: ${measured.length}`);
+    console.log(`   Keys not defined: ${this.results.length - measured.length}`);
+    console.log(`   Below ${this.threshold}:1: ${measured.filter(result => result.ratio < this.threshold).length}`);
+    for (const kind of Object.keys(this.apcaThresholds)) {
+      const below = measured.filter(result => result.kind === kind && Math.abs(result.lc) < this.apcaThresholds[kind]);
+      console.log(`   Below Lc ${this.apcaThresholds[kind]} (${kind}): ${below.length}`);
+    }
+    console.log(`   Failing pairs: ${failed.length}`);
+    if (this.baseline) {
+      const regressions = failed.filter(result => !result.known);
+      console.log(`   Known failures (baseline): ${failed.length - regressions.length}`);
+      console.log(`   Regressions: ${regressions.length}`);
+      if (regressions.length > 0) {
+        console.log('\nIf the changes are intended, run `npm run audit:contrast -- --baseline contrast-baseline.json --update-baseline` and commit the baseline.');
+      }
+    }
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  // A flag without a plain number after it (`--apca-text`, `--apca-ui 50abc`) parses as NaN and is rejected below
+  const option = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1) return fallback;
+    const value = process.argv[index + 1];
+    return /^\d+(\.\d+)?$/.test(value || '') ? Number(value) : NaN;
+  };
+
+  const threshold = option('--threshold', DEFAULT_THRESHOLD);
+  const apcaThresholds = {
+    text: option('--apca-text', APCA_THRESHOLDS.text),
+    ui: option('--apca-ui', APCA_THRESHOLDS.ui)
+  };
+
+  if (!(threshold >= 1 && threshold <= 21)) {
+    console.error('❌ --threshold must be a contrast ratio between 1 and 21');
+    process.exit(2);
+  }
+  if (![apcaThresholds.text, apcaThresholds.ui].every(lc => lc >= 0 && lc <= 110)) {
+    console.error('❌ --apca-text and --apca-ui must be Lc values between 0 and 110');
+    process.exit(2);
+  }
+
+  const baselineIndex = process.argv.indexOf('--baseline');
+  const baselinePath = baselineIndex !== -1 ? process.argv[baselineIndex + 1] : undefined;
+  const updateBaseline = process.argv.includes('--update-baseline');
+  if ((baselineIndex !== -1 || updateBaseline) && !baselinePath) {
+    console.error('❌ --baseline needs a file path');
+    process.exit(2);
+  }
+
+  let baseline = null;
+  if (baselinePath && !updateBaseline) {
+    try {
+      baseline = ApolloContrastAuditor.loadBaseline(path.resolve(baselinePath));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(2);
+    }
+  }
+
+  const auditor = new ApolloContrastAuditor({ threshold, apcaThresholds, baseline, verbose: process.argv.includes('--verbose') });
+  const passed = auditor.auditAllThemes();
+
+  if (updateBaseline) {
+    const pairs = auditor.baselineEntries();
+    fs.writeFileSync(path.resolve(baselinePath), JSON.stringify({
+      description: `Known contrast failures at ${threshold}:1 and Lc ${apcaThresholds.text} / Lc ${apcaThresholds.ui}; audit-contrast.js --baseline fails on any other failing pair, or one of these getting worse`,
+      pairs
+    }, null, 2) + '\n');
+    console.log(`\n📝 Wrote ${Object.values(pairs).reduce((count, theme) => count + Object.keys(theme).length, 0)} known failures to ${baselinePath}`);
+  }
+
+  // Set the exit code instead of exiting, which can cut off the end of a long report written to a pipe
+  process.exitCode = passed || updateBaseline ? 0 : 1;
+}
+
+module.exports = { CONTRAST_PAIRS, APCA_THRESHOLDS, ApolloContrastAuditor };
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Scope Coverage Auditor
+ * Collects every scope the vendored TextMate grammars in `grammars/` can emit,
+ * matches them against each theme's tokenColors selectors and reports the
+ * scopes that fall through to editor.foreground, ranked by how often they
+ * appear when the samples in assets/samples/ are tokenized
+ *
+ * Usage:
+ *   node audit-scope-coverage.js                        Audit the languages listed in grammars/grammars.json
+ *   node audit-scope-coverage.js --languages <a,b>      Audit only these languages
+ *   node audit-scope-coverage.js --top <n>              Scopes listed per language (default 15)
+ *   node audit-scope-coverage.js --theme <file>         Audit a single theme file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadGrammarConfig,
+  grammarForLanguage,
+  grammarForFile,
+  readGrammar,
+  createRegistry,
+  tokenizeText,
+  collectGrammarScopes
+} = require('./src/grammars');
+const { resolveTokenStyle } = require('./src/scope-selectors');
+const { loadTheme } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const SAMPLES_DIR = path.join(__dirname, 'assets', 'samples');
+const DEFAULT_TOP = 15;
+
+class ApolloScopeCoverageAuditor {
+  constructor({ languages, themes = loadThemeRegistry().map(variant => variant.path), top = DEFAULT_TOP, samplesDir = SAMPLES_DIR } = {}) {
+    this.config = loadGrammarConfig();
+    this.languages = languages || this.config.languages;
+    this.themes = themes;
+    this.top = top;
+    this.samplesDir = samplesDir;
+    this.results = [];
+  }
+
+  /**
+   * Tokenize every sample written in one of the audited languages
+   * @returns {Promise<Map<string, string[][]>>} Scope stacks of non-whitespace tokens, by language
+   */
+  async tokenizeSamples() {
+    const registry = createRegistry({ config: this.config });
+    const stacks = new Map(this.languages.map(language => [language, []]));
+
+    for (const file of fs.readdirSync(this.samplesDir).sort()) {
+      const grammar = grammarForFile(file, this.config);
+      if (!grammar || !stacks.has(grammar.language)) continue;
+
+      const loaded = await registry.loadGrammar(grammar.scopeName);
+      const text = fs.readFileSync(path.join(this.samplesDir, file), 'utf8');
+
+      tokenizeText(loaded, text).flat()
+        // Whitespace has no visible color, and a bare root scope is plain text
+        .filter(token => token.text.trim() && token.scopes.length > 1)
+        .forEach(token => stacks.get(grammar.language).push(token.scopes));
+    }
+
+    return stacks;
+  }
+
+  /**
+   * Find the scopes of one language that get no foreground from a theme
+   * @returns {{ language: string, grammarScopes: number, sampledTokens: number, uncovered: { scope: string, count: number }[] }}
+   */
+  auditLanguage(language, tokenColors, sampledStacks) {
+    const grammar = grammarForLanguage(language, this.config);
+    const grammarScopes = collectGrammarScopes(readGrammar(grammar));
+    const sampledScopes = new Set(sampledStacks.map(scopes => scopes[scopes.length - 1]));
+    const uncovered = new Map();
+
+    // Scopes seen in the samples are resolved with their real ancestors
+    for (const scopes of sampledStacks) {
+      if (resolveTokenStyle(tokenColors, scopes).foreground) continue;
+      const scope = scopes[scopes.length - 1];
+      uncovered.set(scope, (uncovered.get(scope) || 0) + 1);
+    }
+
+    // Scopes only known from the grammar are resolved directly under the root scope
+    for (const scope of grammarScopes) {
+      if (sampledScopes.has(scope)) continue;
+      if (!resolveTokenStyle(tokenColors, [grammar.scopeName, scope]).foreground) {
+        uncovered.set(scope, 0);
+      }
+    }
+
+    return {
+      language,
+      grammarScopes: grammarScopes.length,
+      sampledTokens: sampledStacks.length,
+      uncovered: [...uncovered.entries()]
+        .map(([scope, count]) => ({ scope, count }))
+        .sort((a, b) => b.count - a.count || a.scope.localeCompare(b.scope))
+    };
+  }
+
+  /**
+   * Audit every theme and language, print the report and save it as JSON
+   * @returns {Promise<boolean>} true when every scope seen in the samples gets a theme foreground
+   */
+  async auditAllThemes() {
+    console.log('🔬 Apollo Scope Coverage Audit');
+    console.log('==============================');
+    console.log(`Languages: ${this.languages.join(', ')}`);
+
+    const samples = await this.tokenizeSamples();
+
+    for (const themeFile of this.themes) {
+      const theme = loadTheme(path.resolve(__dirname, themeFile));
+      console.log(`\n🎨 ${path.basename(themeFile)}`);
+
+      for (const language of this.languages) {
+        const result = { theme: path.basename(themeFile), ...this.auditLanguage(language, theme.tokenColors || [], samples.get(language)) };
+        this.results.push(result);
+
+        const sampled = result.uncovered.filter(entry => entry.count > 0);
+        const icon = sampled.length === 0 ? '✅' : '❌';
+        console.log(`  ${icon} ${language}: ${result.uncovered.length} of ${result.grammarScopes} grammar scopes fall through, ${sampled.length} of them in the samples`);
+
+        result.uncovered.slice(0, this.top).forEach(entry => {
+          console.log(`     ${String(entry.count).padStart(5)}  ${entry.scope}`);
+        });
+        if (result.uncovered.length > this.top) {
+          console.log(`            … ${result.uncovered.length - this.top} more`);
+        }
+      }
+    }
+
+    const sampledTotal = this.results.reduce((sum, result) => sum + result.uncovered.filter(entry => entry.count > 0).length, 0);
+    const reportPath = path.join(__dirname, 'scope-coverage-report.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+      timestamp: new Date().toISOString(),
+      languages: this.languages,
+      results: this.results
+    }, null, 2));
+
+    console.log('\n📊 Summary');
+    console.log(`   Themes: ${this.themes.length}`);
+    console.log(`   Languages: ${this.languages.length}`);
+    console.log(`   Sampled scopes on editor.foreground: ${sampledTotal}`);
+    console.log(`   Full report: ${path.basename(reportPath)}`);
+
+    return sampledTotal === 0;
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const config = loadGrammarConfig();
+  const languages = option('--languages') ? option('--languages').split(',').map(language => language.trim()) : config.languages;
+  const top = option('--top') !== undefined ? parseInt(option('--top'), 10) : DEFAULT_TOP;
+  const theme = option('--theme');
+
+  const unknown = languages.filter(language => !grammarForLanguage(language, config));
+  if (unknown.length > 0) {
+    console.error(`❌ No vendored grammar for: ${unknown.join(', ')} (available: ${config.grammars.map(grammar => grammar.language).join(', ')})`);
+    process.exit(2);
+  }
+  if (!(top >= 0)) {
+    console.error('❌ --top must be a non-negative number');
+    process.exit(2);
+  }
+  if (theme && !fs.existsSync(path.resolve(theme))) {
+    console.error(`❌ Theme not found: ${theme}`);
+    process.exit(2);
+  }
+
+  const auditor = new ApolloScopeCoverageAuditor({
+    languages,
+    top,
+    themes: theme ? [path.resolve(theme)] : undefined
+  });
+  auditor.auditAllThemes().then(covered => {
+    process.exit(covered ? 0 : 1);
+  }).catch(error => {
+    console.error('Scope coverage audit crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApolloScopeCoverageAuditor };
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Builder
+ * Generates the theme JSON files from the role mappings in src/colors.js and
+ * the variant definitions in variants/, and registers every theme in
+ * package.json `contributes.themes`
+ *
+ * Usage:
+ *   node build-themes.js          Write themes/*.json and package.json
+ *   node build-themes.js --check  Exit non-zero if a committed theme or registration is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const palette = require('./src/colors');
+const { loadVariants } = require('./src/variants');
+
+const PACKAGE_PATH = path.join(__dirname, 'package.json');
+
+// Themes composed directly from src/colors.js
+const BUILT_IN_THEMES = [
+  { name: 'Apollo Dark', type: 'dark', path: 'themes/apollo-dark-color-theme.json' },
+  { name: 'Apollo Light', type: 'light', path: 'themes/apollo-light-color-theme.json' },
+  { name: 'Apollo High Contrast Dark', type: 'hcDark', path: 'themes/apollo-hc-dark-color-theme.json' },
+  { name: 'Apollo High Contrast Light', type: 'hcLight', path: 'themes/apollo-hc-light-color-theme.json' }
+];
+
+// Every generated theme: the built-in ones followed by variants/*.json
+const THEMES = [...BUILT_IN_THEMES, ...loadVariants()];
+
+for (const [index, variant] of THEMES.entries()) {
+  const clash = THEMES.slice(0, index).find(other => other.name === variant.name || other.path === variant.path);
+  if (clash) {
+    throw new Error(`${variant.source || variant.path}: ${variant.name} (${variant.path}) clashes with ${clash.name} (${clash.path})`);
+  }
+}
+
+// VS Code uiTheme for each theme type
+const UI_THEMES = {
+  dark: 'vs-dark',
+  light: 'vs',
+  hcDark: 'hc-black',
+  hcLight: 'hc-light'
+};
+
+/**
+ * Sort object keys alphabetically, matching the committed theme layout
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+}
+
+/**
+ * Compose a complete theme document for one variant
+ */
+function buildTheme(variant) {
+  let colors;
+  let syntax;
+
+  if (variant.type === 'hcDark' || variant.type === 'hcLight') {
+    const isDark = variant.type === 'hcDark';
+    colors = palette.composeHighContrastColors(isDark ? palette.HC_DARK_THEME_COLORS : palette.HC_LIGHT_THEME_COLORS);
+    syntax = isDark ? palette.HC_DARK_SYNTAX_COLORS : palette.HC_LIGHT_SYNTAX_COLORS;
+  } else if (variant.source) {
+    ({ colors, syntax } = variant);
+  } else {
+    const isDark = variant.type === 'dark';
+    colors = palette.getWorkbenchColors(isDark);
+    syntax = palette.getSyntaxColors(isDark);
+  }
+
+  return {
+    name: variant.name,
+    type: variant.type,
+    semanticHighlighting: true,
+    colors: sortKeys(colors),
+    tokenColors: palette.composeTokenColors(syntax),
+    semanticTokenColors: sortKeys(palette.composeSemanticTokenColors(syntax))
+  };
+}
+
+/**
+ * Serialize a theme with the same formatting as the committed files
+ */
+function formatTheme(theme) {
+  return JSON.stringify(theme, null, 2) + '\n';
+}
+
+/**
+ * package.json `contributes.themes` entries for every generated theme
+ */
+function themeContributions() {
+  return THEMES.map(variant => ({
+    label: variant.name,
+    uiTheme: UI_THEMES[variant.type],
+    path: `./${variant.path}`
+  }));
+}
+
+/**
+ * Build every theme, either writing it or comparing it to the committed file,
+ * and do the same for its registration in package.json
+ * @returns {boolean} true when all themes are written or up to date
+ */
+function buildAllThemes({ check = false } = {}) {
+  let upToDate = true;
+
+  console.log(check ? '🔍 Checking generated Apollo themes...\n' : '🏗️  Building Apollo themes from src/colors.js and variants/...\n');
+
+  for (const variant of THEMES) {
+    const themePath = path.join(__dirname, variant.path);
+    const generated = formatTheme(buildTheme(variant));
+
+    if (check) {
+      const committed = fs.existsSync(themePath) ? fs.readFileSync(themePath, 'utf8') : '';
+      if (committed === generated) {
+        console.log(`  ✅ ${variant.path} is up to date`);
+      } else {
+        console.log(`  ❌ ${variant.path} differs from generated output`);
+        upToDate = false;
+      }
+    } else {
+      fs.writeFileSync(themePath, generated);
+      console.log(`  ✅ Wrote ${variant.path}`);
+    }
+  }
+
+  const packageJson = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf8'));
+  const contributions = themeContributions();
+  if (JSON.stringify(packageJson.contributes.themes) === JSON.stringify(contributions)) {
+    console.log(`  ✅ package.json registers all ${contributions.length} themes`);
+  } else if (check) {
+    console.log('  ❌ package.json contributes.themes differs from the generated themes');
+    upToDate = false;
+  } else {
+    packageJson.contributes.themes = contributions;
+    fs.writeFileSync(PACKAGE_PATH, JSON.stringify(packageJson, null, 2) + '\n');
+    console.log(`  ✅ Registered ${contributions.length} themes in package.json`);
+  }
+
+  if (check && !upToDate) {
+    console.log('\n🔧 Run "npm run build" and commit the regenerated themes and package.json.');
+  }
+
+  return upToDate;
+}
+
+// Command line interface
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  process.exit(buildAllThemes({ check }) ? 0 : 1);
+}
+
+module.exports = { THEMES, UI_THEMES, buildTheme, formatTheme, themeContributions, buildAllThemes };
@@ -0,0 +1,104 @@
+// Apollo Tailwind preset, generated from src/colors.js
+// Palette colors: bg-apollo-blues-teals-bright-teal, text-apollo-grayscale-white, ...
+// Role colors follow apollo.css: bg-apollo-background-primary, text-apollo-text-muted, ...
+module.exports = {
+  theme: {
+    extend: {
+      colors: {
+        apollo: {
+          'blues-teals': {
+            'darkest-blue': '#172038',
+            'dark-blue': '#253a5e',
+            'medium-blue': '#3c5e8b',
+            'light-blue': '#4f8fba',
+            'bright-teal': '#73bed3',
+            'lightest-teal': '#a4dddb'
+          },
+          greens: {
+            'darkest-green': '#19332d',
+            'dark-green': '#25562e',
+            'medium-green': '#468232',
+            'bright-green': '#75a743',
+            'light-green': '#a8ca58',
+            'lightest-green': '#d0da91'
+          },
+          'browns-oranges': {
+            'darkest-brown': '#4d2b32',
+            'dark-brown': '#7a4841',
+            'medium-brown': '#ad7757',
+            'light-brown': '#c09473',
+            'lightest-brown': '#d7b594',
+            cream: '#e7d5b3'
+          },
+          'warm-tones': {
+            'darkest-warm': '#341c27',
+            'dark-warm': '#602c2c',
+            'medium-warm': '#884b2b',
+            'bright-warm': '#be772b',
+            'light-warm': '#de9e41',
+            'lightest-warm': '#e8c170'
+          },
+          'purples-magentas': {
+            'darkest-purple': '#241527',
+            'dark-purple': '#411d31',
+            'medium-purple': '#752438',
+            'bright-purple': '#a53030',
+            'light-purple': '#cf573c',
+            'lightest-purple': '#da863e'
+          },
+          'deep-purples': {
+            'darkest-deep': '#1e1d39',
+            'dark-deep': '#402751',
+            'medium-deep': '#7a367b',
+            'bright-deep': '#a23e8c',
+            'light-deep': '#c65197',
+            'lightest-deep': '#df84a5'
+          },
+          grayscale: {
+            black: '#090a14',
+            'darkest-gray': '#10141f',
+            'darker-gray': '#151d28',
+            'dark-gray': '#202e37',
+            'medium-dark-gray': '#394a50',
+            'medium-gray': '#577277',
+            'light-medium-gray': '#819796',
+            'light-gray': '#a8b5b2',
+            'lighter-gray': '#c7cfcc',
+            white: '#ebede9'
+          },
+          background: {
+            primary: 'var(--apollo-background-primary)',
+            secondary: 'var(--apollo-background-secondary)',
+            tertiary: 'var(--apollo-background-tertiary)',
+            highlight: 'var(--apollo-background-highlight)',
+            selection: 'var(--apollo-background-selection)',
+            'find-match': 'var(--apollo-background-find-match)'
+          },
+          text: {
+            primary: 'var(--apollo-text-primary)',
+            secondary: 'var(--apollo-text-secondary)',
+            muted: 'var(--apollo-text-muted)',
+            subtle: 'var(--apollo-text-subtle)',
+            disabled: 'var(--apollo-text-disabled)',
+            highlight: 'var(--apollo-text-highlight)',
+            'on-accent': 'var(--apollo-text-on-accent)',
+            'on-emphasis': 'var(--apollo-text-on-emphasis)'
+          },
+          border: {
+            primary: 'var(--apollo-border-primary)',
+            subtle: 'var(--apollo-border-subtle)',
+            strong: 'var(--apollo-border-strong)'
+          },
+          accents: {
+            primary: 'var(--apollo-accents-primary)',
+            secondary: 'var(--apollo-accents-secondary)',
+            warning: 'var(--apollo-accents-warning)',
+            error: 'var(--apollo-accents-error)',
+            info: 'var(--apollo-accents-info)',
+            success: 'var(--apollo-accents-success)'
+          }
+        }
+      }
+    }
+  }
+};
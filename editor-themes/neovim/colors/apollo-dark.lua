@@ -0,0 +1,233 @@
+-- Apollo Dark, generated from themes/apollo-dark-color-theme.json
+-- Put this file in a colors/ directory on 'runtimepath' and run :colorscheme apollo-dark
+
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then
+  vim.cmd('syntax reset')
+end
+vim.o.background = 'dark'
+vim.g.colors_name = 'apollo-dark'
+
+local c = {
+  dark_blue = '#253a5e',
+  light_blue = '#4f8fba',
+  bright_teal = '#73bed3',
+  lightest_teal = '#a4dddb',
+  bright_green = '#75a743',
+  light_green = '#a8ca58',
+  lightest_green = '#d0da91',
+  medium_brown = '#ad7757',
+  light_brown = '#c09473',
+  lightest_brown = '#d7b594',
+  dark_warm = '#602c2c',
+  bright_warm = '#be772b',
+  light_warm = '#de9e41',
+  lightest_warm = '#e8c170',
+  light_purple = '#cf573c',
+  lightest_purple = '#da863e',
+  light_deep = '#c65197',
+  lightest_deep = '#df84a5',
+  black = '#090a14',
+  darkest_gray = '#10141f',
+  darker_gray = '#151d28',
+  dark_gray = '#202e37',
+  medium_dark_gray = '#394a50',
+  medium_gray = '#577277',
+  light_medium_gray = '#819796',
+  light_gray = '#a8b5b2',
+  lighter_gray = '#c7cfcc',
+  white = '#ebede9',
+}
+
+local highlights = {
+  Normal = { fg = c.white, bg = c.black },
+  NormalFloat = { fg = c.white, bg = c.darker_gray },
+  Cursor = { fg = c.black, bg = c.bright_teal },
+  CursorLine = { bg = c.darkest_gray },
+  CursorLineNr = { fg = c.light_gray, bg = c.darkest_gray },
+  LineNr = { fg = c.medium_gray, bg = c.black },
+  SignColumn = { bg = c.black },
+  Visual = { bg = c.dark_blue },
+  Search = { bg = c.dark_warm },
+  IncSearch = { fg = c.black, bg = c.light_warm },
+  CurSearch = { fg = c.black, bg = c.light_warm },
+  MatchParen = { bg = c.dark_blue, bold = true },
+  StatusLine = { fg = c.white, bg = c.darker_gray },
+  StatusLineNC = { fg = c.light_medium_gray, bg = c.darkest_gray },
+  WinSeparator = { fg = c.darker_gray },
+  Pmenu = { fg = c.white, bg = c.darker_gray },
+  PmenuSel = { fg = c.white, bg = c.dark_gray },
+  Whitespace = { fg = c.medium_dark_gray },
+  NonText = { fg = c.medium_dark_gray },
+  ColorColumn = { bg = c.darkest_gray },
+  Folded = { fg = c.light_medium_gray, bg = c.darkest_gray },
+  DiagnosticError = { fg = c.light_purple },
+  DiagnosticWarn = { fg = c.light_warm },
+  DiagnosticInfo = { fg = c.light_blue },
+  DiagnosticHint = { fg = c.bright_teal },
+  DiagnosticUnderlineError = { sp = c.light_purple, undercurl = true },
+  DiagnosticUnderlineWarn = { sp = c.light_warm, undercurl = true },
+  DiagnosticUnderlineInfo = { sp = c.light_blue, undercurl = true },
+  DiagnosticUnderlineHint = { sp = c.bright_teal, undercurl = true },
+  DiffAdd = { fg = c.bright_green },
+  DiffChange = { fg = c.light_green },
+  DiffDelete = { fg = c.light_purple },
+  Comment = { fg = c.medium_gray, italic = true },
+  Constant = { fg = c.light_warm },
+  String = { fg = c.light_green },
+  Character = { fg = c.light_warm },
+  Number = { fg = c.light_deep },
+  Boolean = { fg = c.lightest_deep },
+  Float = { fg = c.light_deep },
+  Identifier = { fg = c.lightest_teal },
+  Function = { fg = c.lightest_warm },
+  Statement = { fg = c.light_blue },
+  Conditional = { fg = c.light_blue },
+  Repeat = { fg = c.light_blue },
+  Label = { fg = c.white },
+  Operator = { fg = c.light_gray },
+  Keyword = { fg = c.light_blue },
+  Exception = { fg = c.light_blue },
+  PreProc = { fg = c.light_blue },
+  Include = { fg = c.light_blue },
+  Type = { fg = c.lightest_purple },
+  StorageClass = { fg = c.light_blue },
+  Structure = { fg = c.lightest_purple },
+  Special = { fg = c.lightest_green },
+  SpecialChar = { fg = c.lightest_green },
+  Tag = { fg = c.light_blue },
+  Delimiter = { fg = c.light_gray },
+  Title = { fg = c.light_blue, bold = true },
+  Underlined = { fg = c.bright_teal },
+  Error = { fg = c.light_purple, strikethrough = true },
+  ['@comment'] = { fg = c.medium_gray, italic = true },
+  ['@comment.documentation'] = { fg = c.medium_gray, italic = true },
+  ['@keyword'] = { fg = c.light_blue },
+  ['@keyword.function'] = { fg = c.light_blue },
+  ['@keyword.operator'] = { fg = c.light_blue },
+  ['@keyword.import'] = { fg = c.light_blue },
+  ['@keyword.return'] = { fg = c.light_blue },
+  ['@keyword.conditional'] = { fg = c.light_blue },
+  ['@keyword.repeat'] = { fg = c.light_blue },
+  ['@keyword.exception'] = { fg = c.light_blue },
+  ['@keyword.modifier'] = { fg = c.light_blue },
+  ['@keyword.type'] = { fg = c.light_blue },
+  ['@operator'] = { fg = c.light_gray },
+  ['@punctuation.delimiter'] = { fg = c.light_gray },
+  ['@punctuation.bracket'] = { fg = c.lighter_gray },
+  ['@punctuation.special'] = { fg = c.light_gray },
+  ['@string'] = { fg = c.light_green },
+  ['@string.escape'] = { fg = c.lightest_green },
+  ['@string.regexp'] = { fg = c.light_green },
+  ['@string.special'] = { fg = c.lightest_green },
+  ['@string.special.url'] = { fg = c.bright_teal },
+  ['@character'] = { fg = c.light_warm },
+  ['@number'] = { fg = c.light_deep },
+  ['@number.float'] = { fg = c.light_deep },
+  ['@boolean'] = { fg = c.lightest_deep },
+  ['@constant'] = { fg = c.light_warm },
+  ['@constant.builtin'] = { fg = c.lightest_deep },
+  ['@variable'] = { fg = c.lightest_teal },
+  ['@variable.builtin'] = { fg = c.light_warm },
+  ['@variable.parameter'] = { fg = c.lightest_teal },
+  ['@variable.member'] = { fg = c.bright_teal },
+  ['@property'] = { fg = c.bright_teal },
+  ['@function'] = { fg = c.lightest_warm },
+  ['@function.call'] = { fg = c.lightest_warm },
+  ['@function.builtin'] = { fg = c.lightest_warm },
+  ['@function.method'] = { fg = c.lightest_warm },
+  ['@constructor'] = { fg = c.lightest_purple },
+  ['@type'] = { fg = c.lightest_purple },
+  ['@type.builtin'] = { fg = c.lightest_purple },
+  ['@type.definition'] = { fg = c.lightest_purple },
+  ['@module'] = { fg = c.lightest_purple },
+  ['@label'] = { fg = c.white },
+  ['@attribute'] = { fg = c.lightest_warm },
+  ['@tag'] = { fg = c.light_blue },
+  ['@tag.attribute'] = { fg = c.lightest_warm },
+  ['@tag.delimiter'] = { fg = c.light_blue },
+  ['@markup.heading'] = { fg = c.light_blue, bold = true },
+  ['@markup.strong'] = { fg = c.lightest_warm, bold = true },
+  ['@markup.italic'] = { fg = c.light_green, italic = true },
+  ['@markup.raw'] = { fg = c.light_deep },
+  ['@markup.raw.block'] = { fg = c.light_deep },
+  ['@markup.link.url'] = { fg = c.bright_teal },
+  ['@markup.link.label'] = { fg = c.lightest_teal },
+  ['@markup.list'] = { fg = c.light_warm },
+  ['@markup.quote'] = { fg = c.light_medium_gray, italic = true },
+  ['@diff.plus'] = { fg = c.bright_green },
+  ['@diff.minus'] = { fg = c.light_purple },
+  ['@diff.delta'] = { fg = c.light_warm },
+  ['@lsp.mod.async'] = { italic = true },
+  ['@lsp.mod.declaration'] = { bold = true },
+  ['@lsp.mod.definition'] = { bold = true },
+  ['@lsp.mod.deprecated'] = { fg = c.medium_gray, strikethrough = true },
+  ['@lsp.mod.modification'] = { underline = true },
+  ['@lsp.mod.readonly'] = { italic = true },
+  ['@lsp.mod.static'] = { italic = true },
+  ['@lsp.type.class'] = { fg = c.lightest_purple },
+  ['@lsp.typemod.class.declaration'] = { fg = c.lightest_purple },
+  ['@lsp.typemod.class.defaultLibrary'] = { fg = c.light_brown },
+  ['@lsp.type.comment'] = { fg = c.medium_gray },
+  ['@lsp.type.decorator'] = { fg = c.light_warm },
+  ['@lsp.type.enum'] = { fg = c.light_brown },
+  ['@lsp.typemod.enum.declaration'] = { fg = c.light_brown },
+  ['@lsp.type.enumMember'] = { fg = c.lightest_deep },
+  ['@lsp.typemod.enumMember.declaration'] = { fg = c.lightest_deep },
+  ['@lsp.type.event'] = { fg = c.lightest_warm },
+  ['@lsp.type.function'] = { fg = c.lightest_warm },
+  ['@lsp.typemod.function.declaration'] = { fg = c.lightest_warm },
+  ['@lsp.typemod.function.defaultLibrary'] = { fg = c.bright_warm },
+  ['@lsp.type.interface'] = { fg = c.light_brown },
+  ['@lsp.typemod.interface.declaration'] = { fg = c.light_brown },
+  ['@lsp.typemod.interface.defaultLibrary'] = { fg = c.medium_brown },
+  ['@lsp.type.keyword'] = { fg = c.light_blue },
+  ['@lsp.type.label'] = { fg = c.bright_teal },
+  ['@lsp.type.macro'] = { fg = c.light_blue },
+  ['@lsp.type.method'] = { fg = c.lightest_warm },
+  ['@lsp.typemod.method.declaration'] = { fg = c.lightest_warm },
+  ['@lsp.typemod.method.defaultLibrary'] = { fg = c.bright_warm },
+  ['@lsp.type.modifier'] = { fg = c.light_blue },
+  ['@lsp.type.namespace'] = { fg = c.lightest_purple },
+  ['@lsp.typemod.namespace.declaration'] = { fg = c.lightest_purple },
+  ['@lsp.typemod.namespace.defaultLibrary'] = { fg = c.light_brown },
+  ['@lsp.type.number'] = { fg = c.light_deep },
+  ['@lsp.type.operator'] = { fg = c.light_gray },
+  ['@lsp.type.parameter'] = { fg = c.lightest_teal },
+  ['@lsp.typemod.parameter.declaration'] = { fg = c.lightest_teal },
+  ['@lsp.type.property'] = { fg = c.bright_teal },
+  ['@lsp.typemod.property.declaration'] = { fg = c.bright_teal },
+  ['@lsp.typemod.property.defaultLibrary'] = { fg = c.light_blue },
+  ['@lsp.type.regexp'] = { fg = c.lightest_green },
+  ['@lsp.type.string'] = { fg = c.light_green },
+  ['@lsp.type.struct'] = { fg = c.lightest_purple },
+  ['@lsp.type.type'] = { fg = c.lightest_brown },
+  ['@lsp.typemod.type.declaration'] = { fg = c.lightest_brown },
+  ['@lsp.typemod.type.defaultLibrary'] = { fg = c.medium_brown },
+  ['@lsp.type.typeParameter'] = { fg = c.lightest_brown },
+  ['@lsp.typemod.typeParameter.declaration'] = { fg = c.lightest_brown },
+  ['@lsp.type.variable'] = { fg = c.lightest_teal },
+  ['@lsp.typemod.variable.declaration'] = { fg = c.lightest_teal },
+  ['@lsp.typemod.variable.defaultLibrary'] = { fg = c.light_warm },
+}
+
+for group, spec in pairs(highlights) do
+  vim.api.nvim_set_hl(0, group, spec)
+end
+
+vim.g.terminal_color_0 = c.black
+vim.g.terminal_color_1 = c.light_purple
+vim.g.terminal_color_2 = c.bright_green
+vim.g.terminal_color_3 = c.light_warm
+vim.g.terminal_color_4 = c.light_blue
+vim.g.terminal_color_5 = c.light_deep
+vim.g.terminal_color_6 = c.bright_teal
+vim.g.terminal_color_7 = c.white
+vim.g.terminal_color_8 = c.medium_dark_gray
+vim.g.terminal_color_9 = c.lightest_purple
+vim.g.terminal_color_10 = c.light_green
+vim.g.terminal_color_11 = c.lightest_warm
+vim.g.terminal_color_12 = c.bright_teal
+vim.g.terminal_color_13 = c.lightest_deep
+vim.g.terminal_color_14 = c.lightest_teal
+vim.g.terminal_color_15 = c.white
@@ -0,0 +1,228 @@
+-- Apollo High Contrast Light, generated from themes/apollo-hc-light-color-theme.json
+-- Put this file in a colors/ directory on 'runtimepath' and run :colorscheme apollo-high-contrast-light
+
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then
+  vim.cmd('syntax reset')
+end
+vim.o.background = 'light'
+vim.g.colors_name = 'apollo-high-contrast-light'
+
+local c = {
+  darkest_blue = '#172038',
+  dark_blue = '#253a5e',
+  lightest_teal = '#a4dddb',
+  darkest_green = '#19332d',
+  dark_green = '#25562e',
+  darkest_brown = '#4d2b32',
+  darkest_warm = '#341c27',
+  dark_warm = '#602c2c',
+  lightest_warm = '#e8c170',
+  darkest_purple = '#241527',
+  dark_purple = '#411d31',
+  medium_purple = '#752438',
+  lightest_purple = '#da863e',
+  darkest_deep = '#1e1d39',
+  dark_deep = '#402751',
+  light_deep = '#c65197',
+  lightest_deep = '#df84a5',
+  black = '#090a14',
+  darker_gray = '#151d28',
+  dark_gray = '#202e37',
+  medium_dark_gray = '#394a50',
+  lighter_gray = '#c7cfcc',
+  white = '#ebede9',
+}
+
+local highlights = {
+  Normal = { fg = c.black, bg = c.white },
+  NormalFloat = { fg = c.black, bg = c.white },
+  Cursor = { fg = c.white, bg = c.dark_blue },
+  CursorLine = { bg = c.white },
+  CursorLineNr = { fg = c.black, bg = c.white },
+  LineNr = { fg = c.medium_dark_gray, bg = c.white },
+  SignColumn = { bg = c.white },
+  Visual = { bg = c.lightest_teal },
+  Search = { bg = c.lightest_warm },
+  IncSearch = { fg = c.white, bg = c.dark_warm },
+  CurSearch = { fg = c.white, bg = c.dark_warm },
+  MatchParen = { bg = c.lightest_teal, bold = true },
+  StatusLine = { fg = c.black, bg = c.white },
+  StatusLineNC = { fg = c.dark_gray, bg = c.white },
+  WinSeparator = { fg = c.white },
+  Pmenu = { fg = c.black, bg = c.white },
+  PmenuSel = { fg = c.black, bg = c.lighter_gray },
+  Whitespace = { fg = c.medium_dark_gray },
+  NonText = { fg = c.medium_dark_gray },
+  ColorColumn = { bg = c.white },
+  Folded = { fg = c.dark_gray, bg = c.white },
+  DiagnosticError = { fg = c.medium_purple },
+  DiagnosticWarn = { fg = c.dark_warm },
+  DiagnosticInfo = { fg = c.darkest_blue },
+  DiagnosticHint = { fg = c.dark_blue },
+  DiagnosticUnderlineError = { sp = c.medium_purple, undercurl = true },
+  DiagnosticUnderlineWarn = { sp = c.dark_warm, undercurl = true },
+  DiagnosticUnderlineInfo = { sp = c.darkest_blue, undercurl = true },
+  DiagnosticUnderlineHint = { sp = c.dark_blue, undercurl = true },
+  DiffAdd = { fg = c.darkest_green },
+  DiffChange = { fg = c.dark_green },
+  DiffDelete = { fg = c.medium_purple },
+  Comment = { fg = c.medium_dark_gray, italic = true },
+  Constant = { fg = c.darkest_warm },
+  String = { fg = c.dark_green },
+  Character = { fg = c.darkest_warm },
+  Number = { fg = c.dark_deep },
+  Boolean = { fg = c.darkest_deep },
+  Float = { fg = c.dark_deep },
+  Identifier = { fg = c.darkest_blue },
+  Function = { fg = c.dark_warm },
+  Statement = { fg = c.dark_blue },
+  Conditional = { fg = c.dark_blue },
+  Repeat = { fg = c.dark_blue },
+  Label = { fg = c.black },
+  Operator = { fg = c.dark_gray },
+  Keyword = { fg = c.dark_blue },
+  Exception = { fg = c.dark_blue },
+  PreProc = { fg = c.dark_blue },
+  Include = { fg = c.dark_blue },
+  Type = { fg = c.darkest_brown },
+  StorageClass = { fg = c.dark_blue },
+  Structure = { fg = c.darkest_brown },
+  Special = { fg = c.darkest_green },
+  SpecialChar = { fg = c.darkest_green },
+  Tag = { fg = c.dark_blue },
+  Delimiter = { fg = c.dark_gray },
+  Title = { fg = c.dark_blue, bold = true },
+  Underlined = { fg = c.darkest_blue },
+  Error = { fg = c.medium_purple, strikethrough = true },
+  ['@comment'] = { fg = c.medium_dark_gray, italic = true },
+  ['@comment.documentation'] = { fg = c.medium_dark_gray, italic = true },
+  ['@keyword'] = { fg = c.dark_blue },
+  ['@keyword.function'] = { fg = c.dark_blue },
+  ['@keyword.operator'] = { fg = c.dark_blue },
+  ['@keyword.import'] = { fg = c.dark_blue },
+  ['@keyword.return'] = { fg = c.dark_blue },
+  ['@keyword.conditional'] = { fg = c.dark_blue },
+  ['@keyword.repeat'] = { fg = c.dark_blue },
+  ['@keyword.exception'] = { fg = c.dark_blue },
+  ['@keyword.modifier'] = { fg = c.dark_blue },
+  ['@keyword.type'] = { fg = c.dark_blue },
+  ['@operator'] = { fg = c.dark_gray },
+  ['@punctuation.delimiter'] = { fg = c.dark_gray },
+  ['@punctuation.bracket'] = { fg = c.darker_gray },
+  ['@punctuation.special'] = { fg = c.dark_gray },
+  ['@string'] = { fg = c.dark_green },
+  ['@string.escape'] = { fg = c.darkest_green },
+  ['@string.regexp'] = { fg = c.dark_green },
+  ['@string.special'] = { fg = c.darkest_green },
+  ['@string.special.url'] = { fg = c.darkest_blue },
+  ['@character'] = { fg = c.darkest_warm },
+  ['@number'] = { fg = c.dark_deep },
+  ['@number.float'] = { fg = c.dark_deep },
+  ['@boolean'] = { fg = c.darkest_deep },
+  ['@constant'] = { fg = c.darkest_warm },
+  ['@constant.builtin'] = { fg = c.darkest_deep },
+  ['@variable'] = { fg = c.darkest_blue },
+  ['@variable.builtin'] = { fg = c.darkest_warm },
+  ['@variable.parameter'] = { fg = c.darkest_blue },
+  ['@variable.member'] = { fg = c.dark_blue },
+  ['@property'] = { fg = c.dark_blue },
+  ['@function'] = { fg = c.dark_warm },
+  ['@function.call'] = { fg = c.dark_warm },
+  ['@function.builtin'] = { fg = c.dark_warm },
+  ['@function.method'] = { fg = c.dark_warm },
+  ['@constructor'] = { fg = c.darkest_brown },
+  ['@type'] = { fg = c.darkest_brown },
+  ['@type.builtin'] = { fg = c.darkest_brown },
+  ['@type.definition'] = { fg = c.darkest_brown },
+  ['@module'] = { fg = c.darkest_brown },
+  ['@label'] = { fg = c.black },
+  ['@attribute'] = { fg = c.dark_warm },
+  ['@tag'] = { fg = c.dark_blue },
+  ['@tag.attribute'] = { fg = c.dark_warm },
+  ['@tag.delimiter'] = { fg = c.dark_blue },
+  ['@markup.heading'] = { fg = c.dark_blue, bold = true },
+  ['@markup.strong'] = { fg = c.dark_warm, bold = true },
+  ['@markup.italic'] = { fg = c.dark_green, italic = true },
+  ['@markup.raw'] = { fg = c.dark_deep },
+  ['@markup.raw.block'] = { fg = c.dark_deep },
+  ['@markup.link.url'] = { fg = c.darkest_blue },
+  ['@markup.link.label'] = { fg = c.darkest_blue },
+  ['@markup.list'] = { fg = c.darkest_warm },
+  ['@markup.quote'] = { fg = c.medium_dark_gray, italic = true },
+  ['@diff.plus'] = { fg = c.dark_green },
+  ['@diff.minus'] = { fg = c.medium_purple },
+  ['@diff.delta'] = { fg = c.darkest_warm },
+  ['@lsp.mod.async'] = { italic = true },
+  ['@lsp.mod.declaration'] = { bold = true },
+  ['@lsp.mod.definition'] = { bold = true },
+  ['@lsp.mod.deprecated'] = { fg = c.medium_dark_gray, strikethrough = true },
+  ['@lsp.mod.modification'] = { underline = true },
+  ['@lsp.mod.readonly'] = { italic = true },
+  ['@lsp.mod.static'] = { italic = true },
+  ['@lsp.type.class'] = { fg = c.darkest_brown },
+  ['@lsp.typemod.class.declaration'] = { fg = c.darkest_brown },
+  ['@lsp.typemod.class.defaultLibrary'] = { fg = c.dark_purple },
+  ['@lsp.type.comment'] = { fg = c.medium_dark_gray },
+  ['@lsp.type.decorator'] = { fg = c.darkest_warm },
+  ['@lsp.type.enum'] = { fg = c.dark_purple },
+  ['@lsp.typemod.enum.declaration'] = { fg = c.dark_purple },
+  ['@lsp.type.enumMember'] = { fg = c.darkest_deep },
+  ['@lsp.typemod.enumMember.declaration'] = { fg = c.darkest_deep },
+  ['@lsp.type.event'] = { fg = c.dark_warm },
+  ['@lsp.type.function'] = { fg = c.dark_warm },
+  ['@lsp.typemod.function.declaration'] = { fg = c.dark_warm },
+  ['@lsp.typemod.function.defaultLibrary'] = { fg = c.darkest_warm },
+  ['@lsp.type.interface'] = { fg = c.dark_purple },
+  ['@lsp.typemod.interface.declaration'] = { fg = c.dark_purple },
+  ['@lsp.typemod.interface.defaultLibrary'] = { fg = c.darkest_purple },
+  ['@lsp.type.keyword'] = { fg = c.dark_blue },
+  ['@lsp.type.label'] = { fg = c.dark_blue },
+  ['@lsp.type.macro'] = { fg = c.dark_blue },
+  ['@lsp.type.method'] = { fg = c.dark_warm },
+  ['@lsp.typemod.method.declaration'] = { fg = c.dark_warm },
+  ['@lsp.typemod.method.defaultLibrary'] = { fg = c.darkest_warm },
+  ['@lsp.type.modifier'] = { fg = c.dark_blue },
+  ['@lsp.type.namespace'] = { fg = c.darkest_brown },
+  ['@lsp.typemod.namespace.declaration'] = { fg = c.darkest_brown },
+  ['@lsp.typemod.namespace.defaultLibrary'] = { fg = c.dark_purple },
+  ['@lsp.type.number'] = { fg = c.dark_deep },
+  ['@lsp.type.operator'] = { fg = c.dark_gray },
+  ['@lsp.type.parameter'] = { fg = c.darkest_blue },
+  ['@lsp.typemod.parameter.declaration'] = { fg = c.darkest_blue },
+  ['@lsp.type.property'] = { fg = c.dark_blue },
+  ['@lsp.typemod.property.declaration'] = { fg = c.dark_blue },
+  ['@lsp.typemod.property.defaultLibrary'] = { fg = c.darkest_blue },
+  ['@lsp.type.regexp'] = { fg = c.dark_green },
+  ['@lsp.type.string'] = { fg = c.dark_green },
+  ['@lsp.type.struct'] = { fg = c.darkest_brown },
+  ['@lsp.type.type'] = { fg = c.dark_purple },
+  ['@lsp.typemod.type.declaration'] = { fg = c.dark_purple },
+  ['@lsp.typemod.type.defaultLibrary'] = { fg = c.darkest_purple },
+  ['@lsp.type.typeParameter'] = { fg = c.dark_purple },
+  ['@lsp.typemod.typeParameter.declaration'] = { fg = c.dark_purple },
+  ['@lsp.type.variable'] = { fg = c.darkest_blue },
+  ['@lsp.typemod.variable.declaration'] = { fg = c.darkest_blue },
+  ['@lsp.typemod.variable.defaultLibrary'] = { fg = c.darkest_warm },
+}
+
+for group, spec in pairs(highlights) do
+  vim.api.nvim_set_hl(0, group, spec)
+end
+
+vim.g.terminal_color_0 = c.black
+vim.g.terminal_color_1 = c.medium_purple
+vim.g.terminal_color_2 = c.darkest_green
+vim.g.terminal_color_3 = c.dark_warm
+vim.g.terminal_color_4 = c.darkest_blue
+vim.g.terminal_color_5 = c.light_deep
+vim.g.terminal_color_6 = c.dark_blue
+vim.g.terminal_color_7 = c.white
+vim.g.terminal_color_8 = c.medium_dark_gray
+vim.g.terminal_color_9 = c.lightest_purple
+vim.g.terminal_color_10 = c.dark_green
+vim.g.terminal_color_11 = c.lightest_warm
+vim.g.terminal_color_12 = c.dark_blue
+vim.g.terminal_color_13 = c.lightest_deep
+vim.g.terminal_color_14 = c.lightest_teal
+vim.g.terminal_color_15 = c.white
@@ -0,0 +1,236 @@
+-- Apollo Light, generated from themes/apollo-light-color-theme.json
+-- Put this file in a colors/ directory on 'runtimepath' and run :colorscheme apollo-light
+
+vim.cmd('highlight clear')
+if vim.fn.exists('syntax_on') == 1 then
+  vim.cmd('syntax reset')
+end
+vim.o.background = 'light'
+vim.g.colors_name = 'apollo-light'
+
+local c = {
+  darkest_blue = '#172038',
+  dark_blue = '#253a5e',
+  medium_blue = '#3c5e8b',
+  light_blue = '#4f8fba',
+  bright_teal = '#73bed3',
+  lightest_teal = '#a4dddb',
+  dark_green = '#25562e',
+  medium_green = '#468232',
+  bright_green = '#75a743',
+  light_green = '#a8ca58',
+  dark_brown = '#7a4841',
+  medium_brown = '#ad7757',
+  dark_warm = '#602c2c',
+  medium_warm = '#884b2b',
+  bright_warm = '#be772b',
+  light_warm = '#de9e41',
+  lightest_warm = '#e8c170',
+  light_purple = '#cf573c',
+  lightest_purple = '#da863e',
+  medium_deep = '#7a367b',
+  bright_deep = '#a23e8c',
+  light_deep = '#c65197',
+  lightest_deep = '#df84a5',
+  black = '#090a14',
+  darker_gray = '#151d28',
+  medium_dark_gray = '#394a50',
+  medium_gray = '#577277',
+  light_medium_gray = '#819796',
+  light_gray = '#a8b5b2',
+  lighter_gray = '#c7cfcc',
+  white = '#ebede9',
+}
+
+local highlights = {
+  Normal = { fg = c.black, bg = c.white },
+  NormalFloat = { fg = c.black, bg = c.light_gray },
+  Cursor = { fg = c.white, bg = c.bright_teal },
+  CursorLine = { bg = c.lighter_gray },
+  CursorLineNr = { fg = c.medium_dark_gray, bg = c.lighter_gray },
+  LineNr = { fg = c.medium_gray, bg = c.white },
+  SignColumn = { bg = c.white },
+  Visual = { bg = c.lightest_teal },
+  Search = { bg = c.lightest_warm },
+  IncSearch = { fg = c.white, bg = c.light_warm },
+  CurSearch = { fg = c.white, bg = c.light_warm },
+  MatchParen = { bg = c.lightest_teal, bold = true },
+  StatusLine = { fg = c.black, bg = c.light_gray },
+  StatusLineNC = { fg = c.medium_gray, bg = c.lighter_gray },
+  WinSeparator = { fg = c.light_gray },
+  Pmenu = { fg = c.black, bg = c.light_gray },
+  PmenuSel = { fg = c.black, bg = c.light_medium_gray },
+  Whitespace = { fg = c.light_medium_gray },
+  NonText = { fg = c.light_medium_gray },
+  ColorColumn = { bg = c.lighter_gray },
+  Folded = { fg = c.medium_gray, bg = c.lighter_gray },
+  DiagnosticError = { fg = c.light_purple },
+  DiagnosticWarn = { fg = c.light_warm },
+  DiagnosticInfo = { fg = c.light_blue },
+  DiagnosticHint = { fg = c.bright_teal },
+  DiagnosticUnderlineError = { sp = c.light_purple, undercurl = true },
+  DiagnosticUnderlineWarn = { sp = c.light_warm, undercurl = true },
+  DiagnosticUnderlineInfo = { sp = c.light_blue, undercurl = true },
+  DiagnosticUnderlineHint = { sp = c.bright_teal, undercurl = true },
+  DiffAdd = { fg = c.bright_green },
+  DiffChange = { fg = c.light_green },
+  DiffDelete = { fg = c.light_purple },
+  Comment = { fg = c.medium_gray, italic = true },
+  Constant = { fg = c.medium_warm },
+  String = { fg = c.medium_green },
+  Character = { fg = c.medium_warm },
+  Number = { fg = c.medium_deep },
+  Boolean = { fg = c.bright_deep },
+  Float = { fg = c.medium_deep },
+  Identifier = { fg = c.medium_blue },
+  Function = { fg = c.bright_warm },
+  Statement = { fg = c.dark_blue },
+  Conditional = { fg = c.dark_blue },
+  Repeat = { fg = c.dark_blue },
+  Label = { fg = c.black },
+  Operator = { fg = c.medium_dark_gray },
+  Keyword = { fg = c.dark_blue },
+  Exception = { fg = c.dark_blue },
+  PreProc = { fg = c.dark_blue },
+  Include = { fg = c.dark_blue },
+  Type = { fg = c.medium_warm },
+  StorageClass = { fg = c.dark_blue },
+  Structure = { fg = c.medium_warm },
+  Special = { fg = c.dark_green },
+  SpecialChar = { fg = c.dark_green },
+  Tag = { fg = c.dark_blue },
+  Delimiter = { fg = c.medium_dark_gray },
+  Title = { fg = c.dark_blue, bold = true },
+  Underlined = { fg = c.darkest_blue },
+  Error = { fg = c.light_purple, strikethrough = true },
+  ['@comment'] = { fg = c.medium_gray, italic = true },
+  ['@comment.documentation'] = { fg = c.medium_gray, italic = true },
+  ['@keyword'] = { fg = c.dark_blue },
+  ['@keyword.function'] = { fg = c.dark_blue },
+  ['@keyword.operator'] = { fg = c.dark_blue },
+  ['@keyword.import'] = { fg = c.dark_blue },
+  ['@keyword.return'] = { fg = c.dark_blue },
+  ['@keyword.conditional'] = { fg = c.dark_blue },
+  ['@keyword.repeat'] = { fg = c.dark_blue },
+  ['@keyword.exception'] = { fg = c.dark_blue },
+  ['@keyword.modifier'] = { fg = c.dark_blue },
+  ['@keyword.type'] = { fg = c.dark_blue },
+  ['@operator'] = { fg = c.medium_dark_gray },
+  ['@punctuation.delimiter'] = { fg = c.medium_dark_gray },
+  ['@punctuation.bracket'] = { fg = c.darker_gray },
+  ['@punctuation.special'] = { fg = c.medium_dark_gray },
+  ['@string'] = { fg = c.medium_green },
+  ['@string.escape'] = { fg = c.dark_green },
+  ['@string.regexp'] = { fg = c.medium_green },
+  ['@string.special'] = { fg = c.dark_green },
+  ['@string.special.url'] = { fg = c.darkest_blue },
+  ['@character'] = { fg = c.medium_warm },
+  ['@number'] = { fg = c.medium_deep },
+  ['@number.float'] = { fg = c.medium_deep },
+  ['@boolean'] = { fg = c.bright_deep },
+  ['@constant'] = { fg = c.medium_warm },
+  ['@constant.builtin'] = { fg = c.bright_deep },
+  ['@variable'] = { fg = c.medium_blue },
+  ['@variable.builtin'] = { fg = c.medium_warm },
+  ['@variable.parameter'] = { fg = c.medium_blue },
+  ['@variable.member'] = { fg = c.dark_blue },
+  ['@property'] = { fg = c.dark_blue },
+  ['@function'] = { fg = c.bright_warm },
+  ['@function.call'] = { fg = c.bright_warm },
+  ['@function.builtin'] = { fg = c.bright_warm },
+  ['@function.method'] = { fg = c.bright_warm },
+  ['@constructor'] = { fg = c.medium_warm },
+  ['@type'] = { fg = c.medium_warm },
+  ['@type.builtin'] = { fg = c.medium_warm },
+  ['@type.definition'] = { fg = c.medium_warm },
+  ['@module'] = { fg = c.medium_warm },
+  ['@label'] = { fg = c.black },
+  ['@attribute'] = { fg = c.bright_warm },
+  ['@tag'] = { fg = c.dark_blue },
+  ['@tag.attribute'] = { fg = c.bright_warm },
+  ['@tag.delimiter'] = { fg = c.dark_blue },
+  ['@markup.heading'] = { fg = c.dark_blue, bold = true },
+  ['@markup.strong'] = { fg = c.bright_warm, bold = true },
+  ['@markup.italic'] = { fg = c.medium_green, italic = true },
+  ['@markup.raw'] = { fg = c.medium_deep },
+  ['@markup.raw.block'] = { fg = c.medium_deep },
+  ['@markup.link.url'] = { fg = c.darkest_blue },
+  ['@markup.link.label'] = { fg = c.medium_blue },
+  ['@markup.list'] = { fg = c.medium_warm },
+  ['@markup.quote'] = { fg = c.medium_gray, italic = true },
+  ['@diff.plus'] = { fg = c.dark_green },
+  ['@diff.minus'] = { fg = c.light_purple },
+  ['@diff.delta'] = { fg = c.medium_warm },
+  ['@lsp.mod.async'] = { italic = true },
+  ['@lsp.mod.declaration'] = { bold = true },
+  ['@lsp.mod.definition'] = { bold = true },
+  ['@lsp.mod.deprecated'] = { fg = c.light_medium_gray, strikethrough = true },
+  ['@lsp.mod.modification'] = { underline = true },
+  ['@lsp.mod.readonly'] = { italic = true },
+  ['@lsp.mod.static'] = { italic = true },
+  ['@lsp.type.class'] = { fg = c.medium_warm },
+  ['@lsp.typemod.class.declaration'] = { fg = c.medium_warm },
+  ['@lsp.typemod.class.defaultLibrary'] = { fg = c.medium_brown },
+  ['@lsp.type.comment'] = { fg = c.medium_gray },
+  ['@lsp.type.decorator'] = { fg = c.medium_warm },
+  ['@lsp.type.enum'] = { fg = c.medium_brown },
+  ['@lsp.typemod.enum.declaration'] = { fg = c.medium_brown },
+  ['@lsp.type.enumMember'] = { fg = c.bright_deep },
+  ['@lsp.typemod.enumMember.declaration'] = { fg = c.bright_deep },
+  ['@lsp.type.event'] = { fg = c.bright_warm },
+  ['@lsp.type.function'] = { fg = c.bright_warm },
+  ['@lsp.typemod.function.declaration'] = { fg = c.bright_warm },
+  ['@lsp.typemod.function.defaultLibrary'] = { fg = c.dark_warm },
+  ['@lsp.type.interface'] = { fg = c.medium_brown },
+  ['@lsp.typemod.interface.declaration'] = { fg = c.medium_brown },
+  ['@lsp.typemod.interface.defaultLibrary'] = { fg = c.dark_brown },
+  ['@lsp.type.keyword'] = { fg = c.dark_blue },
+  ['@lsp.type.label'] = { fg = c.dark_blue },
+  ['@lsp.type.macro'] = { fg = c.dark_blue },
+  ['@lsp.type.method'] = { fg = c.bright_warm },
+  ['@lsp.typemod.method.declaration'] = { fg = c.bright_warm },
+  ['@lsp.typemod.method.defaultLibrary'] = { fg = c.dark_warm },
+  ['@lsp.type.modifier'] = { fg = c.dark_blue },
+  ['@lsp.type.namespace'] = { fg = c.medium_warm },
+  ['@lsp.typemod.namespace.declaration'] = { fg = c.medium_warm },
+  ['@lsp.typemod.namespace.defaultLibrary'] = { fg = c.medium_brown },
+  ['@lsp.type.number'] = { fg = c.medium_deep },
+  ['@lsp.type.operator'] = { fg = c.medium_dark_gray },
+  ['@lsp.type.parameter'] = { fg = c.medium_blue },
+  ['@lsp.typemod.parameter.declaration'] = { fg = c.medium_blue },
+  ['@lsp.type.property'] = { fg = c.dark_blue },
+  ['@lsp.typemod.property.declaration'] = { fg = c.dark_blue },
+  ['@lsp.typemod.property.defaultLibrary'] = { fg = c.darkest_blue },
+  ['@lsp.type.regexp'] = { fg = c.dark_green },
+  ['@lsp.type.string'] = { fg = c.medium_green },
+  ['@lsp.type.struct'] = { fg = c.medium_warm },
+  ['@lsp.type.type'] = { fg = c.dark_brown },
+  ['@lsp.typemod.type.declaration'] = { fg = c.dark_brown },
+  ['@lsp.typemod.type.defaultLibrary'] = { fg = c.dark_brown },
+  ['@lsp.type.typeParameter'] = { fg = c.dark_brown },
+  ['@lsp.typemod.typeParameter.declaration'] = { fg = c.dark_brown },
+  ['@lsp.type.variable'] = { fg = c.medium_blue },
+  ['@lsp.typemod.variable.declaration'] = { fg = c.medium_blue },
+  ['@lsp.typemod.variable.defaultLibrary'] = { fg = c.medium_warm },
+}
+
+for group, spec in pairs(highlights) do
+  vim.api.nvim_set_hl(0, group, spec)
+end
+
+vim.g.terminal_color_0 = c.black
+vim.g.terminal_color_1 = c.light_purple
+vim.g.terminal_color_2 = c.bright_green
+vim.g.terminal_color_3 = c.light_warm
+vim.g.terminal_color_4 = c.light_blue
+vim.g.terminal_color_5 = c.light_deep
+vim.g.terminal_color_6 = c.bright_teal
+vim.g.terminal_color_7 = c.white
+vim.g.terminal_color_8 = c.medium_gray
+vim.g.terminal_color_9 = c.lightest_purple
+vim.g.terminal_color_10 = c.light_green
+vim.g.terminal_color_11 = c.lightest_warm
+vim.g.terminal_color_12 = c.bright_teal
+vim.g.terminal_color_13 = c.lightest_deep
+vim.g.terminal_color_14 = c.lightest_teal
+vim.g.terminal_color_15 = c.white
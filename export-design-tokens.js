@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Design Token Exporter
+ * Writes the palette and the Apollo Dark/Light semantic roles as CSS custom
+ * properties (with a prefers-color-scheme switch), SCSS maps, a Tailwind preset
+ * and W3C Design Tokens Community Group JSON
+ *
+ * Usage:
+ *   node export-design-tokens.js                     Write every format to design-tokens/
+ *   node export-design-tokens.js --formats <a,b>     Export only these formats
+ *   node export-design-tokens.js --out <dir>         Write to another directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DESIGN_TOKEN_FORMATS, exportDesignTokens } = require('./src/design-tokens');
+
+const OUTPUT_DIR = path.join(__dirname, 'design-tokens');
+
+/**
+ * Render the design tokens in every format
+ * @returns {{ format: Object, file: string, content: string }[]}
+ */
+function renderDesignTokens(formats = DESIGN_TOKEN_FORMATS.map(format => format.id)) {
+  return formats.map(id => ({
+    format: DESIGN_TOKEN_FORMATS.find(candidate => candidate.id === id),
+    ...exportDesignTokens(id)
+  }));
+}
+
+/**
+ * Write the rendered tokens under an output directory
+ */
+function exportAllDesignTokens({ formats, outDir = OUTPUT_DIR } = {}) {
+  console.log('🎨 Exporting Apollo design tokens...\n');
+
+  const exports = renderDesignTokens(formats);
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const { format, file, content } of exports) {
+    const target = path.join(outDir, file);
+    fs.writeFileSync(target, content);
+    console.log(`  ✅ ${format.label}: ${path.relative(__dirname, target)}`);
+  }
+
+  console.log(`\n📊 Wrote ${exports.length} files to ${path.relative(__dirname, outDir) || '.'}`);
+  return exports;
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const formats = option('--formats')
+    ? option('--formats').split(',').map(format => format.trim())
+    : DESIGN_TOKEN_FORMATS.map(format => format.id);
+  const unknown = formats.filter(id => !DESIGN_TOKEN_FORMATS.some(format => format.id === id));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown format: ${unknown.join(', ')} (available: ${DESIGN_TOKEN_FORMATS.map(format => format.id).join(', ')})`);
+    process.exit(2);
+  }
+  if (process.argv.includes('--out') && !option('--out')) {
+    console.error('❌ --out needs a directory');
+    process.exit(2);
+  }
+
+  exportAllDesignTokens({ formats, outDir: option('--out') ? path.resolve(option('--out')) : OUTPUT_DIR });
+}
+
+module.exports = { OUTPUT_DIR, renderDesignTokens, exportAllDesignTokens };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Editor Theme Exporter
+ * Writes every Apollo theme as a Neovim Lua colorscheme (treesitter and LSP
+ * semantic highlight groups), a Helix theme and a Sublime Text color scheme,
+ * and reports the TextMate scopes in each theme's tokenColors that a target
+ * has no equivalent for
+ *
+ * Usage:
+ *   node export-editor-themes.js                     Write editor-themes/<target>/...
+ *   node export-editor-themes.js --targets <a,b>     Export only these targets
+ *   node export-editor-themes.js --out <dir>         Write to another directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EDITOR_TARGETS, exportEditorTheme } = require('./src/editor-themes');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const OUTPUT_DIR = path.join(__dirname, 'editor-themes');
+
+// Unmapped scopes listed per target before truncating
+const MAX_LISTED = 12;
+
+/**
+ * Render every theme for every target
+ * @returns {{ variant: Object, target: Object, file: string, content: string, unmapped: string[] }[]}
+ */
+function renderEditorThemes(targets = EDITOR_TARGETS.map(target => target.id)) {
+  const exports = [];
+
+  for (const variant of loadThemeRegistry()) {
+    for (const id of targets) {
+      const target = EDITOR_TARGETS.find(candidate => candidate.id === id);
+      exports.push({ variant, target, ...exportEditorTheme(variant.theme, id, variant.path) });
+    }
+  }
+
+  return exports;
+}
+
+/**
+ * Write the rendered themes, print the coverage report and save it as JSON
+ */
+function exportAllEditorThemes({ targets, outDir = OUTPUT_DIR } = {}) {
+  console.log('📝 Exporting Apollo editor themes...\n');
+
+  const exports = renderEditorThemes(targets);
+  for (const { target, file, content } of exports) {
+    const destination = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, content);
+    console.log(`  ✅ ${target.label}: ${path.relative(__dirname, destination)}`);
+  }
+
+  console.log('\n🔬 TextMate scopes with no equivalent');
+  for (const { variant, target, unmapped } of exports) {
+    const icon = unmapped.length === 0 ? '✅' : '⚠️ ';
+    console.log(`  ${icon} ${target.label}, ${variant.label}: ${unmapped.length} unmapped`);
+    unmapped.slice(0, MAX_LISTED).forEach(selector => console.log(`       ${selector}`));
+    if (unmapped.length > MAX_LISTED) {
+      console.log(`       … ${unmapped.length - MAX_LISTED} more`);
+    }
+  }
+
+  const reportPath = path.join(__dirname, 'editor-theme-coverage-report.json');
+  fs.writeFileSync(reportPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    results: exports.map(({ variant, target, file, unmapped }) => ({
+      theme: variant.label,
+      target: target.id,
+      file,
+      unmapped
+    }))
+  }, null, 2));
+
+  console.log('\n📊 Summary');
+  console.log(`   Files written: ${exports.length} to ${path.relative(__dirname, outDir) || '.'}`);
+  console.log(`   Full report: ${path.basename(reportPath)}`);
+  return exports;
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const targets = option('--targets')
+    ? option('--targets').split(',').map(target => target.trim())
+    : EDITOR_TARGETS.map(target => target.id);
+  const unknown = targets.filter(id => !EDITOR_TARGETS.some(target => target.id === id));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown target: ${unknown.join(', ')} (available: ${EDITOR_TARGETS.map(target => target.id).join(', ')})`);
+    process.exit(2);
+  }
+  if (process.argv.includes('--out') && !option('--out')) {
+    console.error('❌ --out needs a directory');
+    process.exit(2);
+  }
+
+  exportAllEditorThemes({ targets, outDir: option('--out') ? path.resolve(option('--out')) : OUTPUT_DIR });
+}
+
+module.exports = { OUTPUT_DIR, renderEditorThemes, exportAllEditorThemes };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo JetBrains Theme Exporter
+ * Writes every Apollo theme as a JetBrains IDE editor color scheme (.icls) and
+ * UI theme (.theme.json), together with MAPPING.md, the table of editor
+ * attributes and UI keys each theme fills and the ones it leaves unmapped
+ *
+ * Usage:
+ *   node export-jetbrains-themes.js                  Write jetbrains-themes/...
+ *   node export-jetbrains-themes.js --out <dir>      Write to another directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exportJetBrainsTheme, mappingTable } = require('./src/jetbrains-themes');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const OUTPUT_DIR = path.join(__dirname, 'jetbrains-themes');
+const MAPPING_FILE = 'MAPPING.md';
+
+/**
+ * Render every theme, then the mapping table across all of them
+ * @returns {{ variant: Object|null, kind: string, file: string, content: string, mapping?: Object }[]}
+ */
+function renderJetBrainsThemes() {
+  const exports = [];
+  const mappings = [];
+
+  for (const variant of loadThemeRegistry()) {
+    const { files, mapping } = exportJetBrainsTheme(variant.theme, variant.path);
+    files.forEach(entry => exports.push({ variant, ...entry, mapping }));
+    mappings.push({ name: variant.label, mapping });
+  }
+
+  exports.push({ variant: null, kind: 'mapping', file: MAPPING_FILE, content: mappingTable(mappings) });
+  return exports;
+}
+
+/**
+ * Write the rendered files and print the unmapped attributes, UI keys and scopes
+ */
+function exportAllJetBrainsThemes({ outDir = OUTPUT_DIR } = {}) {
+  console.log('🧩 Exporting Apollo JetBrains themes...\n');
+
+  const exports = renderJetBrainsThemes();
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const { file, content } of exports) {
+    const destination = path.join(outDir, file);
+    fs.writeFileSync(destination, content);
+    console.log(`  ✅ ${path.relative(__dirname, destination)}`);
+  }
+
+  console.log('\n🔬 Left to the parent scheme');
+  for (const { variant, mapping } of exports.filter(entry => entry.kind === 'scheme')) {
+    const attributes = mapping.attributes.filter(attribute => !attribute.style).map(attribute => attribute.name);
+    const keys = mapping.ui.filter(entry => !entry.color).map(entry => entry.key);
+    const icon = keys.length === 0 && mapping.unmappedScopes.length === 0 ? '✅' : '⚠️ ';
+    console.log(`  ${icon} ${variant.label}: ${attributes.length} attributes without a scope, ` +
+      `${keys.length} UI keys without a workbench color, ${mapping.unmappedScopes.length} scopes without an attribute`);
+    keys.forEach(key => console.log(`       ${key}`));
+  }
+
+  console.log('\n📊 Summary');
+  console.log(`   Files written: ${exports.length} to ${path.relative(__dirname, outDir) || '.'}`);
+  console.log(`   Mapping table: ${path.relative(__dirname, path.join(outDir, MAPPING_FILE))}`);
+  return exports;
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  if (process.argv.includes('--out') && !option('--out')) {
+    console.error('❌ --out needs a directory');
+    process.exit(2);
+  }
+
+  exportAllJetBrainsThemes({ outDir: option('--out') ? path.resolve(option('--out')) : OUTPUT_DIR });
+}
+
+module.exports = { OUTPUT_DIR, MAPPING_FILE, renderJetBrainsThemes, exportAllJetBrainsThemes };
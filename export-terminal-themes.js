@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Terminal Theme Exporter
+ * Writes every Apollo theme as a color scheme for Windows Terminal, iTerm2,
+ * Alacritty, Kitty, WezTerm, foot and GNOME Terminal, from the theme's
+ * `terminal.*` colors
+ *
+ * Usage:
+ *   node export-terminal-themes.js                     Write terminal-themes/<format>/<theme>.<ext>
+ *   node export-terminal-themes.js --formats <a,b>     Export only these formats
+ *   node export-terminal-themes.js --out <dir>         Write to another directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TERMINAL_FORMATS, exportTerminalTheme } = require('./src/terminal-themes');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const OUTPUT_DIR = path.join(__dirname, 'terminal-themes');
+
+/**
+ * Render every theme in every format
+ * @returns {{ variant: Object, format: Object, file: string, content: string }[]}
+ */
+function renderTerminalThemes(formats = TERMINAL_FORMATS.map(format => format.id)) {
+  const exports = [];
+
+  for (const variant of loadThemeRegistry()) {
+    for (const id of formats) {
+      const format = TERMINAL_FORMATS.find(candidate => candidate.id === id);
+      exports.push({ variant, format, ...exportTerminalTheme(variant.theme, id, variant.path) });
+    }
+  }
+
+  return exports;
+}
+
+/**
+ * Write the rendered themes under an output directory
+ */
+function exportAllTerminalThemes({ formats, outDir = OUTPUT_DIR } = {}) {
+  console.log('🖥️  Exporting Apollo terminal themes...\n');
+
+  const exports = renderTerminalThemes(formats);
+  for (const { format, file, content } of exports) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    console.log(`  ✅ ${format.label}: ${path.relative(__dirname, target)}`);
+  }
+
+  console.log(`\n📊 Wrote ${exports.length} files to ${path.relative(__dirname, outDir) || '.'}`);
+  return exports;
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const formats = option('--formats')
+    ? option('--formats').split(',').map(format => format.trim())
+    : TERMINAL_FORMATS.map(format => format.id);
+  const unknown = formats.filter(id => !TERMINAL_FORMATS.some(format => format.id === id));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown format: ${unknown.join(', ')} (available: ${TERMINAL_FORMATS.map(format => format.id).join(', ')})`);
+    process.exit(2);
+  }
+  if (process.argv.includes('--out') && !option('--out')) {
+    console.error('❌ --out needs a directory');
+    process.exit(2);
+  }
+
+  exportAllTerminalThemes({ formats, outDir: option('--out') ? path.resolve(option('--out')) : OUTPUT_DIR });
+}
+
+module.exports = { OUTPUT_DIR, renderTerminalThemes, exportAllTerminalThemes };
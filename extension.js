@@ -1,26 +1,364 @@
 // Apollo Theme Extension
-// This extension contributes color themes and doesn't require activation logic
+// Applies the apollo.* settings as color customizations scoped to the Apollo themes
+// and switches between Apollo Light and Apollo Dark on the apollo.schedule
 
+const fs = require('fs');
+const path = require('path');
 const vscode = require('vscode');
+const { PALETTE_GROUPS } = require('./src/colors');
+const {
+    buildCustomizations,
+    mergeColorCustomizations,
+    mergeTokenCustomizations,
+    themeScope
+} = require('./src/customizations');
+const {
+    SCHEME_SETTINGS,
+    scheduledKind,
+    scheduledTheme,
+    systemSchemeSettings,
+    mergeSchemeSettings
+} = require('./src/schedule');
+
+// Workbench colors the extension wrote last, by theme scope
+const WRITTEN_COLORS_KEY = 'apollo.writtenColorCustomizations';
+
+// Scheme settings the extension wrote last, by section
+const WRITTEN_SCHEME_KEY = 'apollo.writtenSchemeSettings';
+
+const SETTINGS = ['italicComments', 'boldKeywords', 'borderlessUI', 'accentColor'];
+
+const SCHEDULE_SETTINGS = ['schedule', 'scheduleLightTime', 'scheduleDarkTime', 'scheduleLatitude', 'scheduleLongitude'];
+
+// How often the time and sunrise/sunset schedules are checked. Polling rather
+// than a timer for the next switch keeps the schedule right after sleep.
+const SCHEDULE_INTERVAL = 60 * 1000;
+
+// Serializes settings writes so overlapping changes apply in order
+let pendingWrite = Promise.resolve();
+
+// Theme kind the schedule asked for last; the theme is only switched when it changes
+let lastScheduledKind;
+
+/**
+ * Theme scopes the customizations apply to. High contrast themes are left
+ * alone so their 7:1 contrast and contrast borders stay intact.
+ * @param {vscode.ExtensionContext} context
+ * @returns {string[]} e.g. ['[Apollo Dark]', '[Apollo Light]']
+ */
+function customizableScopes(context) {
+    return context.extension.packageJSON.contributes.themes
+        .filter(theme => theme.uiTheme === 'vs-dark' || theme.uiTheme === 'vs')
+        .map(theme => themeScope(theme.label));
+}
+
+/**
+ * Update a global setting only when its value actually changes
+ */
+async function updateGlobalSetting(section, value) {
+    const config = vscode.workspace.getConfiguration();
+    const current = config.inspect(section).globalValue;
+    if (JSON.stringify(current) !== JSON.stringify(value)) {
+        await config.update(section, value, vscode.ConfigurationTarget.Global);
+    }
+}
+
+/**
+ * Replace the customizations the extension wrote with a new set
+ * @param {vscode.ExtensionContext} context
+ * @param {Object<string, string>} colors - Workbench colors for every scope
+ * @param {Object[]} textMateRules - Token rules for every scope
+ */
+async function writeCustomizations(context, colors, textMateRules) {
+    const scopes = customizableScopes(context);
+    const config = vscode.workspace.getConfiguration();
+
+    const previous = context.globalState.get(WRITTEN_COLORS_KEY, {});
+    const next = Object.fromEntries(scopes.map(scope => [scope, colors]));
+    const { value, written } = mergeColorCustomizations(
+        config.inspect('workbench.colorCustomizations').globalValue,
+        previous,
+        next
+    );
+    await updateGlobalSetting('workbench.colorCustomizations', value);
+    await context.globalState.update(WRITTEN_COLORS_KEY, written);
+
+    const tokenCustomizations = mergeTokenCustomizations(
+        config.inspect('editor.tokenColorCustomizations').globalValue,
+        scopes,
+        textMateRules
+    );
+    await updateGlobalSetting('editor.tokenColorCustomizations', tokenCustomizations);
+}
+
+/**
+ * Read the apollo.* settings
+ * @returns {Object<string, any>}
+ */
+function readSettings() {
+    const config = vscode.workspace.getConfiguration('apollo');
+    return Object.fromEntries(SETTINGS.map(name => [name, config.get(name)]));
+}
+
+/**
+ * Read the apollo.schedule* settings
+ * @returns {Object<string, any>}
+ */
+function readScheduleSettings() {
+    const config = vscode.workspace.getConfiguration('apollo');
+    return Object.fromEntries(SCHEDULE_SETTINGS.map(name => [name, config.get(name)]));
+}
+
+/**
+ * Label of the theme VS Code is showing. With window.autoDetectColorScheme on
+ * that is the preferred theme for the OS color scheme, not workbench.colorTheme.
+ * @returns {string}
+ */
+function activeThemeLabel() {
+    const config = vscode.workspace.getConfiguration();
+    if (!config.get('window.autoDetectColorScheme')) {
+        return config.get('workbench.colorTheme');
+    }
+
+    const kind = vscode.window.activeColorTheme.kind;
+    const light = kind === vscode.ColorThemeKind.Light || kind === vscode.ColorThemeKind.HighContrastLight;
+    return config.get(light ? 'workbench.preferredLightColorTheme' : 'workbench.preferredDarkColorTheme');
+}
+
+/**
+ * Apply the apollo.schedule: keep the OS scheme settings in step with it, and
+ * switch workbench.colorTheme when the scheduled kind changes while an Apollo
+ * theme is active
+ * @param {vscode.ExtensionContext} context
+ */
+function applySchedule(context) {
+    pendingWrite = pendingWrite.then(async () => {
+        const settings = readScheduleSettings();
+        const themes = context.extension.packageJSON.contributes.themes;
+        const config = vscode.workspace.getConfiguration();
+
+        const previous = context.globalState.get(WRITTEN_SCHEME_KEY, {});
+        const next = settings.schedule === 'system' ? systemSchemeSettings(activeThemeLabel(), themes, previous) : {};
+        const current = Object.fromEntries(SCHEME_SETTINGS.map(section => [section, config.inspect(section).globalValue]));
+        const { value, written } = mergeSchemeSettings(current, previous, next);
+        for (const section of SCHEME_SETTINGS) {
+            await updateGlobalSetting(section, value[section]);
+        }
+        await context.globalState.update(WRITTEN_SCHEME_KEY, written);
+
+        const { kind, warnings } = scheduledKind(settings, new Date());
+        if (kind === lastScheduledKind) return;
+        lastScheduledKind = kind;
+
+        warnings.forEach(warning => vscode.window.showWarningMessage(`Apollo: ${warning}`));
+        if (!kind) return;
+
+        // Read the settings again: `config` predates the scheme settings written
+        // above, which turn window.autoDetectColorScheme off when leaving `system`
+        if (vscode.workspace.getConfiguration().get('window.autoDetectColorScheme')) {
+            vscode.window.showWarningMessage('Apollo: window.autoDetectColorScheme is on, so VS Code follows the OS instead of apollo.schedule');
+            return;
+        }
+
+        const theme = scheduledTheme(kind, activeThemeLabel(), themes);
+        if (theme) {
+            await updateGlobalSetting('workbench.colorTheme', theme);
+        }
+    }).catch(error => {
+        vscode.window.showErrorMessage(`Apollo: could not apply the schedule (${error.message})`);
+    });
+    return pendingWrite;
+}
+
+/**
+ * Apply the current apollo.* settings
+ * @param {vscode.ExtensionContext} context
+ */
+function applySettings(context) {
+    pendingWrite = pendingWrite.then(async () => {
+        const { colors, textMateRules, warnings } = buildCustomizations(readSettings());
+
+        warnings.forEach(warning => vscode.window.showWarningMessage(warning));
+        await writeCustomizations(context, colors, textMateRules);
+    }).catch(error => {
+        vscode.window.showErrorMessage(`Apollo: could not apply customizations (${error.message})`);
+    });
+    return pendingWrite;
+}
+
+/**
+ * Remove everything the extension wrote and return the apollo.* settings to
+ * their defaults so the customizations are not applied again
+ * @param {vscode.ExtensionContext} context
+ */
+function resetCustomizations(context) {
+    pendingWrite = pendingWrite.then(async () => {
+        await writeCustomizations(context, {}, []);
+
+        const config = vscode.workspace.getConfiguration('apollo');
+        for (const name of SETTINGS) {
+            if (config.inspect(name).globalValue !== undefined) {
+                await config.update(name, undefined, vscode.ConfigurationTarget.Global);
+            }
+        }
+
+        vscode.window.showInformationMessage('Apollo: customizations reset');
+    }).catch(error => {
+        vscode.window.showErrorMessage(`Apollo: could not reset customizations (${error.message})`);
+    });
+    return pendingWrite;
+}
+
+/**
+ * Swatch icon for a palette color, written once to the extension's storage
+ * @param {vscode.ExtensionContext} context
+ * @param {string} color - Palette hex color
+ * @returns {vscode.Uri}
+ */
+function swatchIcon(context, color) {
+    const directory = path.join(context.globalStorageUri.fsPath, 'swatches');
+    const file = path.join(directory, `${color.slice(1)}.svg`);
+
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(file, `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect x="1" y="1" width="14" height="14" rx="2" fill="${color}" stroke="#808080"/></svg>`);
+    }
+
+    return vscode.Uri.file(file);
+}
+
+/**
+ * QuickPick items for every palette color, grouped by palette group
+ * @param {vscode.ExtensionContext} context
+ * @param {string} current - Current apollo.accentColor
+ */
+function accentItems(context, current) {
+    const items = [{
+        label: 'Theme Default',
+        description: current ? '' : 'current',
+        accent: ''
+    }];
+
+    for (const group of PALETTE_GROUPS) {
+        items.push({ label: group.label, kind: vscode.QuickPickItemKind.Separator });
+        for (const [name, color] of Object.entries(group.colors)) {
+            items.push({
+                label: name,
+                description: color === current ? `${color} (current)` : color,
+                iconPath: swatchIcon(context, color),
+                accent: color
+            });
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Pick an accent color from the palette, previewing each one as it is
+ * highlighted. Escape puts workbench.colorCustomizations back exactly as it was.
+ * @param {vscode.ExtensionContext} context
+ */
+async function chooseAccentColor(context) {
+    await pendingWrite;
+
+    const scopes = customizableScopes(context);
+    const snapshot = vscode.workspace.getConfiguration().inspect('workbench.colorCustomizations').globalValue;
+    const settings = readSettings();
+    const items = accentItems(context, settings.accentColor);
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = 'Apollo: Choose Accent Color';
+    quickPick.placeholder = 'Highlight a color to preview it, Enter to keep it, Escape to cancel';
+    quickPick.matchOnDescription = true;
+    quickPick.items = items;
+    quickPick.activeItems = items.filter(item => item.accent === (settings.accentColor || ''));
+
+    let chosen;
+    let previewAccent;
+    let closed = false;
+
+    const preview = accent => {
+        previewAccent = accent;
+        pendingWrite = pendingWrite.then(async () => {
+            // Skip previews that were superseded while waiting
+            if (previewAccent !== accent || closed) return;
+
+            const { colors } = buildCustomizations({ ...settings, accentColor: accent });
+            const next = Object.fromEntries(scopes.map(scope => [scope, colors]));
+            const { value } = mergeColorCustomizations(snapshot, context.globalState.get(WRITTEN_COLORS_KEY, {}), next);
+            await updateGlobalSetting('workbench.colorCustomizations', value);
+        }).catch(() => {});
+    };
+
+    quickPick.onDidChangeActive(([item]) => {
+        if (item && item.accent !== undefined) {
+            preview(item.accent);
+        }
+    });
+
+    quickPick.onDidAccept(() => {
+        const [item] = quickPick.selectedItems;
+        if (item && item.accent !== undefined) {
+            chosen = item.accent;
+            quickPick.hide();
+        }
+    });
+
+    quickPick.onDidHide(() => {
+        closed = true;
+        quickPick.dispose();
+        pendingWrite = pendingWrite.then(async () => {
+            await updateGlobalSetting('workbench.colorCustomizations', snapshot);
+            if (chosen !== undefined && chosen !== (settings.accentColor || '')) {
+                // Saving the setting re-applies the customizations through applySettings
+                await vscode.workspace.getConfiguration('apollo').update('accentColor', chosen || undefined, vscode.ConfigurationTarget.Global);
+            }
+        }).catch(error => {
+            vscode.window.showErrorMessage(`Apollo: could not restore customizations (${error.message})`);
+        });
+    });
+
+    quickPick.show();
+}
 
 /**
  * This method is called when the extension is activated
  * @param {vscode.ExtensionContext} context
  */
 function activate(context) {
-    // Theme extensions typically don't need activation logic
-    // The themes are automatically available through the contributes.themes configuration
-    console.log('Apollo Theme extension is now active');
+    context.subscriptions.push(
+        vscode.commands.registerCommand('apollo.resetCustomizations', () => resetCustomizations(context)),
+        vscode.commands.registerCommand('apollo.chooseAccentColor', () => chooseAccentColor(context)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (SETTINGS.some(name => event.affectsConfiguration(`apollo.${name}`))) {
+                applySettings(context);
+            }
+            if (SCHEDULE_SETTINGS.some(name => event.affectsConfiguration(`apollo.${name}`))) {
+                // Apply a changed schedule right away instead of at the next switch
+                lastScheduledKind = undefined;
+                applySchedule(context);
+            } else if (event.affectsConfiguration('workbench.colorTheme') || SCHEME_SETTINGS.some(section => event.affectsConfiguration(section))) {
+                applySchedule(context);
+            }
+        })
+    );
+
+    const timer = setInterval(() => applySchedule(context), SCHEDULE_INTERVAL);
+    context.subscriptions.push({ dispose: () => clearInterval(timer) });
+
+    applySchedule(context);
+    return applySettings(context);
 }
 
 /**
  * This method is called when the extension is deactivated
  */
 function deactivate() {
-    // No cleanup needed for theme extensions
+    // Customizations and the schedule's scheme settings stay in the user settings
 }
 
 module.exports = {
     activate,
     deactivate
-};
\ No newline at end of file
+};
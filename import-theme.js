@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Importer
+ * Reads any VS Code color theme (JSONC, with `include` chains) and writes an
+ * "Apollo-ized" copy whose every color is the perceptually nearest Apollo
+ * palette color, alpha kept, plus a report of the largest color shifts
+ *
+ * Usage:
+ *   node import-theme.js <theme.json>                 Write imported-themes/<name>-apollo-color-theme.json
+ *   node import-theme.js <theme.json> --name <name>   Name the new theme (default "<name> (Apollo)")
+ *   node import-theme.js <theme.json> --out <file>    Write the new theme to another file
+ *   node import-theme.js <theme.json> --top <n>       Print the n largest shifts (default 10)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
+const { quantizeTheme, largestShifts } = require('./src/theme-import');
+
+const OUTPUT_DIR = path.join(__dirname, 'imported-themes');
+const REPORT_PATH = path.join(__dirname, 'theme-import-report.json');
+const DEFAULT_TOP = 10;
+
+/**
+ * Import one theme file, write the quantized theme and the shift report
+ * @returns {{ theme: Object, shifts: Object[], skipped: Object[], outFile: string }}
+ */
+function importTheme(source, { name, outFile, top = DEFAULT_TOP } = {}) {
+  console.log(`🎨 Importing ${path.relative(process.cwd(), source) || source} into the Apollo palette...\n`);
+
+  const { theme, shifts, skipped } = quantizeTheme(loadTheme(source), { name });
+  const target = outFile || path.join(OUTPUT_DIR, `${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-color-theme.json`);
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(theme, null, 2) + '\n');
+
+  const distinct = largestShifts(shifts);
+  const mean = distinct.length > 0 ? distinct.reduce((sum, shift) => sum + shift.distance, 0) / distinct.length : 0;
+
+  console.log(`📏 Largest color shifts (ΔE2000)`);
+  for (const shift of distinct.slice(0, top)) {
+    const more = shift.paths.length > 1 ? ` and ${shift.paths.length - 1} more` : '';
+    console.log(`  ${shift.distance.toFixed(2).padStart(6)}  ${shift.from} → ${shift.to}  ${shift.paths[0]}${more}`);
+  }
+  if (skipped.length > 0) {
+    console.log(`\n⚠️  Kept ${skipped.length} values that are not hex colors`);
+    skipped.forEach(entry => console.log(`     ${entry.path} = ${JSON.stringify(entry.value)}`));
+  }
+
+  fs.writeFileSync(REPORT_PATH, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    source: path.resolve(source),
+    output: path.resolve(target),
+    summary: {
+      colors: shifts.length,
+      distinctColors: distinct.length,
+      paletteColorsUsed: new Set(shifts.map(shift => shift.to.slice(0, 7))).size,
+      meanDistance: Number(mean.toFixed(2)),
+      maxDistance: distinct.length > 0 ? Number(distinct[0].distance.toFixed(2)) : 0
+    },
+    shifts: distinct.map(shift => ({ ...shift, distance: Number(shift.distance.toFixed(2)) })),
+    skipped
+  }, null, 2));
+
+  console.log('\n📊 Summary');
+  console.log(`   Colors: ${shifts.length} (${distinct.length} distinct)`);
+  console.log(`   Mean shift: ΔE2000 ${mean.toFixed(2)}`);
+  console.log(`   Theme: ${path.relative(process.cwd(), target)}`);
+  console.log(`   Full report: ${path.relative(process.cwd(), REPORT_PATH)}`);
+
+  return { theme, shifts, skipped, outFile: target };
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const source = process.argv[2];
+  if (!source || source.startsWith('--')) {
+    console.error('❌ Usage: node import-theme.js <theme.json> [--name <name>] [--out <file>] [--top <n>]');
+    process.exit(2);
+  }
+  for (const flag of ['--name', '--out', '--top']) {
+    if (process.argv.includes(flag) && !option(flag)) {
+      console.error(`❌ ${flag} needs a value`);
+      process.exit(2);
+    }
+  }
+  const top = option('--top') ? Number(option('--top')) : DEFAULT_TOP;
+  if (!Number.isInteger(top) || top < 0) {
+    console.error('❌ --top needs a whole number');
+    process.exit(2);
+  }
+
+  try {
+    importTheme(source, {
+      name: option('--name'),
+      outFile: option('--out') ? path.resolve(option('--out')) : undefined,
+      top
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { OUTPUT_DIR, REPORT_PATH, importTheme };
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Palette Conformance Linter
+ * Flags every theme color that is not one of the Apollo palette colors
+ *
+ * Usage:
+ *   node lint-palette.js                       Lint all generated themes
+ *   node lint-palette.js --allowlist <file>    Use a different allowlist file
+ *
+ * Exits 1 when off-palette colors remain and 2 when the allowlist cannot be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAllApolloColors } = require('./src/colors');
+const { normalizeHex, splitAlpha, nearestColor } = require('./src/color-math');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const DEFAULT_ALLOWLIST = 'palette-allowlist.json';
+
+class ApolloPaletteLinter {
+  /**
+   * @param {string} [allowlistPath] - Allowlist file; it must exist when given,
+   *   while a missing default palette-allowlist.json means no exceptions
+   */
+  constructor(allowlistPath) {
+    this.paletteColors = getAllApolloColors();
+    this.exceptions = this.loadAllowlist(allowlistPath || path.join(__dirname, DEFAULT_ALLOWLIST), Boolean(allowlistPath));
+    this.violations = [];
+    this.allowed = [];
+  }
+
+  /**
+   * Load allowlist entries: { theme?, path, color?, reason }
+   * `path` may use `*` as a wildcard; `theme` is a theme file name.
+   * @throws {Error} When a required allowlist does not exist or is not valid JSON
+   */
+  loadAllowlist(allowlistPath, required) {
+    if (!fs.existsSync(allowlistPath)) {
+      if (required) {
+        throw new Error(`Allowlist not found: ${allowlistPath}`);
+      }
+      return [];
+    }
+
+    let allowlist;
+    try {
+      allowlist = JSON.parse(fs.readFileSync(allowlistPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Allowlist ${allowlistPath} is not valid JSON (${error.message})`);
+    }
+    return (allowlist.exceptions || []).map(entry => ({
+      ...entry,
+      matcher: new RegExp('^' + entry.path.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$')
+    }));
+  }
+
+  /**
+   * Lint every theme, returning true when no violations remain
+   */
+  lintAllThemes() {
+    console.log('🎨 Apollo Palette Conformance Lint');
+    console.log('==================================\n');
+
+    for (const variant of loadThemeRegistry()) {
+      this.lintTheme(path.basename(variant.path), variant.theme);
+    }
+
+    this.printSummary();
+    return this.violations.length === 0;
+  }
+
+  /**
+   * Walk colors, tokenColors[].settings and semanticTokenColors
+   */
+  lintTheme(themeFile, theme) {
+    for (const [key, color] of Object.entries(theme.colors || {})) {
+      this.checkColor(themeFile, `colors["${key}"]`, color);
+    }
+
+    (theme.tokenColors || []).forEach((rule, index) => {
+      const settings = rule.settings || {};
+      for (const property of ['foreground', 'background']) {
+        if (settings[property]) {
+          this.checkColor(themeFile, `tokenColors[${index}].settings.${property}`, settings[property], rule.name);
+        }
+      }
+    });
+
+    for (const [selector, value] of Object.entries(theme.semanticTokenColors || {})) {
+      if (typeof value === 'string') {
+        this.checkColor(themeFile, `semanticTokenColors["${selector}"]`, value);
+      } else if (value && value.foreground) {
+        this.checkColor(themeFile, `semanticTokenColors["${selector}"].foreground`, value.foreground);
+      }
+    }
+  }
+
+  /**
+   * Check a single color value against the palette and the allowlist
+   */
+  checkColor(themeFile, keyPath, color, label) {
+    if (typeof color !== 'string') return;
+
+    // #rgb and #rgba shorthand are valid VS Code colors; compare their expanded form
+    const hex = normalizeHex(color);
+    const { base } = splitAlpha(hex || color);
+    if (hex && this.paletteColors.includes(base)) return;
+
+    const exception = this.exceptions.find(entry =>
+      (!entry.theme || entry.theme === themeFile) &&
+      (!entry.color || splitAlpha(normalizeHex(entry.color) || entry.color).base === base) &&
+      entry.matcher.test(keyPath)
+    );
+
+    const finding = { theme: themeFile, path: keyPath, color, label };
+
+    if (exception) {
+      this.allowed.push({ ...finding, reason: exception.reason });
+      return;
+    }
+
+    if (hex) {
+      const suggestion = nearestColor(base, this.paletteColors);
+      finding.suggestion = suggestion.color;
+      finding.distance = suggestion.distance;
+    }
+
+    this.violations.push(finding);
+  }
+
+  printSummary() {
+    if (this.violations.length === 0) {
+      console.log('✅ Every theme color is an Apollo palette color');
+    } else {
+      this.violations.forEach(violation => {
+        const label = violation.label ? ` (${violation.label})` : '';
+        const suggestion = violation.suggestion
+          ? ` → nearest ${violation.suggestion} (ΔE2000 ${violation.distance.toFixed(2)})`
+          : ' → not a valid hex color';
+        console.log(`❌ ${violation.theme}: ${violation.path}${label} = ${violation.color}${suggestion}`);
+      });
+    }
+
+    if (this.allowed.length > 0) {
+      console.log(`\n📝 Allowlisted exceptions: ${this.allowed.length}`);
+      this.allowed.forEach(entry => {
+        console.log(`   ⚠️  ${entry.theme}: ${entry.path} = ${entry.color} - ${entry.reason || 'no reason given'}`);
+      });
+    }
+
+    console.log(`\n📊 Off-palette colors: ${this.violations.length}`);
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const allowlistIndex = process.argv.indexOf('--allowlist');
+  const allowlistArgument = allowlistIndex !== -1 ? process.argv[allowlistIndex + 1] : undefined;
+  if (allowlistIndex !== -1 && !allowlistArgument) {
+    console.error('❌ --allowlist needs a file path');
+    process.exit(2);
+  }
+
+  let linter;
+  try {
+    linter = new ApolloPaletteLinter(allowlistArgument && path.resolve(allowlistArgument));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+  process.exit(linter.lintAllThemes() ? 0 : 1);
+}
+
+module.exports = { ApolloPaletteLinter };
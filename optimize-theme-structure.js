@@ -2,62 +2,182 @@
 
 /**
  * Apollo Theme JSON Structure Optimizer
- * Optimizes theme JSON files for faster loading and better performance
+ * Optimizes theme JSON files for faster loading and better performance.
+ * Themes are read as JSONC; comments are not carried into the optimized file.
+ *
+ * Usage:
+ *   node optimize-theme-structure.js                    Optimize themes, keeping backups
+ *   node optimize-theme-structure.js --check            Exit non-zero if any theme would change
+ *   node optimize-theme-structure.js --dry-run          Print a unified diff per theme without writing
+ *   node optimize-theme-structure.js restore            Restore the most recent backup
+ *   node optimize-theme-structure.js restore --generation <n>
+ *                                                       Restore the nth most recent backup
+ *
+ * A restore backs up the current files first, so running `restore` again undoes it.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { isApolloColor } = require('./src/colors');
+const { unifiedJsonDiff } = require('./src/json-diff');
+const { readThemeFile } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+// Backup generations kept per theme: <theme>.json.backup is the most recent,
+// then <theme>.json.backup.2, <theme>.json.backup.3, ...
+const MAX_BACKUPS = 5;
 
 class ApolloThemeOptimizer {
-    constructor() {
-        this.themeFiles = [
-            'themes/apollo-dark-color-theme.json',
-            'themes/apollo-light-color-theme.json'
-        ];
+    /**
+     * @param {{ rootDir?: string, maxBackups?: number, allowMissingThemes?: boolean }} [options]
+     *   `allowMissingThemes` accepts registered themes whose file was deleted, for restoring them
+     */
+    constructor({ rootDir = __dirname, maxBackups = MAX_BACKUPS, allowMissingThemes = false } = {}) {
+        this.rootDir = rootDir;
+        this.maxBackups = maxBackups;
+        this.themeFiles = loadThemeRegistry(rootDir, { allowMissing: allowMissingThemes }).map(entry => entry.path);
         this.optimizations = [];
     }
 
     /**
      * Optimize all theme files
+     * @returns {Promise<boolean>} false when a theme could not be optimized
      */
     async optimizeAllThemes() {
         console.log('🔧 Optimizing Apollo theme JSON structure for performance...\n');
         
+        let failed = 0;
         for (const themeFile of this.themeFiles) {
-            await this.optimizeThemeFile(themeFile);
+            if (!(await this.optimizeThemeFile(themeFile))) failed++;
         }
         
         this.generateOptimizationReport();
+        if (failed > 0) {
+            console.log(`\n❌ ${failed} of ${this.themeFiles.length} themes could not be optimized`);
+            return false;
+        }
         console.log('\n✅ Theme optimization completed!');
+        return true;
+    }
+
+    /**
+     * Check every theme file without writing anything
+     * @param {{ diff?: boolean }} options - Also print the diff of each file that would change
+     * @returns {boolean} true when no theme would change
+     */
+    checkAllThemes({ diff = false } = {}) {
+        console.log('🔍 Checking Apollo theme JSON structure...\n');
+        
+        let unchanged = true;
+        for (const themeFile of this.themeFiles) {
+            const plan = this.planThemeFile(themeFile);
+            
+            if (plan.error) {
+                console.log(`  ❌ ${themeFile}: ${plan.error.message}`);
+                unchanged = false;
+            } else if (plan.changed) {
+                console.log(`  ❌ ${themeFile} would change (${plan.originalContent.length} → ${plan.optimizedContent.length} bytes)`);
+                if (diff) this.printDiff(plan);
+                unchanged = false;
+            } else {
+                console.log(`  ✅ ${themeFile} is already optimized`);
+            }
+        }
+        
+        if (!unchanged) {
+            console.log('\nRun `node optimize-theme-structure.js` to apply the optimizations.');
+        }
+        return unchanged;
+    }
+
+    /**
+     * Print what optimizing every theme would change, without writing anything
+     * @returns {boolean} false when a theme could not be read
+     */
+    previewAllThemes() {
+        let readable = true;
+        
+        for (const themeFile of this.themeFiles) {
+            const plan = this.planThemeFile(themeFile);
+            
+            if (plan.error) {
+                console.error(`❌ ${themeFile}: ${plan.error.message}`);
+                readable = false;
+            } else if (plan.changed) {
+                this.printDiff(plan);
+            }
+        }
+        return readable;
+    }
+
+    /**
+     * Print a unified diff between a theme and its optimized version
+     */
+    printDiff(plan) {
+        process.stdout.write(unifiedJsonDiff(plan.originalContent, plan.optimizedContent, {
+            fromFile: `a/${plan.themeFile}`,
+            toFile: `b/${plan.themeFile}`
+        }));
+    }
+
+    /**
+     * Read a theme file and compute its optimized content
+     * @returns {{ themeFile: string, themePath: string, originalContent?: string, optimizedContent?: string, changed?: boolean, error?: Error }}
+     */
+    planThemeFile(themeFile) {
+        const themePath = path.join(this.rootDir, themeFile);
+        const themeName = path.basename(themeFile, '.json');
+        
+        try {
+            const originalContent = fs.readFileSync(themePath, 'utf8');
+            // Each file is rewritten on its own, so an `include` stays a reference
+            // instead of having the included theme merged in
+            const optimizedTheme = this.applyOptimizations(readThemeFile(themePath), themeName);
+            const optimizedContent = this.formatOptimizedJSON(optimizedTheme);
+            
+            return {
+                themeFile,
+                themePath,
+                originalContent,
+                optimizedContent,
+                changed: originalContent !== optimizedContent
+            };
+        } catch (error) {
+            return { themeFile, themePath, error };
+        }
     }
 
     /**
      * Optimize a single theme file
+     * @returns {Promise<boolean>} false when the theme could not be read or written
      */
     async optimizeThemeFile(themeFile) {
-        const themePath = path.join(__dirname, themeFile);
         const themeName = path.basename(themeFile, '.json');
         
         console.log(`🎯 Optimizing ${themeName}...`);
         
         try {
-            // Read and parse theme
-            const originalContent = fs.readFileSync(themePath, 'utf8');
-            const themeData = JSON.parse(originalContent);
-            const originalSize = originalContent.length;
-            
-            // Apply optimizations
-            const optimizedTheme = this.applyOptimizations(themeData, themeName);
+            const plan = this.planThemeFile(themeFile);
+            if (plan.error) throw plan.error;
             
-            // Generate optimized JSON with consistent formatting
-            const optimizedContent = this.formatOptimizedJSON(optimizedTheme);
+            const { themePath, originalContent, optimizedContent } = plan;
+            const originalSize = originalContent.length;
             const optimizedSize = optimizedContent.length;
             
-            // Create backup
-            const backupPath = `${themePath}.backup`;
-            fs.writeFileSync(backupPath, originalContent);
+            if (!plan.changed) {
+                console.log(`  ✅ ${themeName} is already optimized`);
+                this.optimizations.push({
+                    theme: themeName,
+                    originalSize,
+                    optimizedSize,
+                    sizeDiff: 0,
+                    percentReduction: 0
+                });
+                return true;
+            }
             
-            // Write optimized version
+            // Keep the previous generations, then write the new backup and the optimized version
+            const backupPath = this.createBackup(themePath, originalContent);
             fs.writeFileSync(themePath, optimizedContent);
             
             const sizeDiff = originalSize - optimizedSize;
@@ -76,9 +196,11 @@ class ApolloThemeOptimizer {
                 sizeDiff,
                 percentReduction: parseFloat(percentReduction)
             });
+            return true;
             
         } catch (error) {
             console.log(`  ❌ Failed to optimize ${themeName}: ${error.message}`);
+            return false;
         }
     }
 
@@ -166,6 +288,11 @@ class ApolloThemeOptimizer {
                 if (color.length === 9 && color.endsWith('ff')) {
                     color = color.substring(0, 7);
                 }
+                
+                // Flag colors that drifted outside the Apollo palette
+                if (!isApolloColor(color.substring(0, 7))) {
+                    console.warn(`  ⚠️  ${key} uses non-Apollo color ${color}`);
+                }
             }
             
             optimizedColors[key] = color;
@@ -323,14 +450,15 @@ class ApolloThemeOptimizer {
         });
         
         const totalReduction = totalOriginalSize - totalOptimizedSize;
-        const totalPercentReduction = ((totalReduction / totalOriginalSize) * 100).toFixed(1);
+        // No theme may have been optimized, so there may be nothing to divide by
+        const totalPercentReduction = totalOriginalSize > 0 ? ((totalReduction / totalOriginalSize) * 100).toFixed(1) : '0.0';
         
         console.log(`  📈 Total size reduction: ${(totalReduction / 1024).toFixed(2)} KB (${totalPercentReduction}%)`);
         console.log(`  📁 Original total size: ${(totalOriginalSize / 1024).toFixed(2)} KB`);
         console.log(`  📁 Optimized total size: ${(totalOptimizedSize / 1024).toFixed(2)} KB`);
         
         // Save optimization report
-        const reportPath = path.join(__dirname, 'theme-optimization-report.json');
+        const reportPath = path.join(this.rootDir, 'theme-optimization-report.json');
         const report = {
             timestamp: new Date().toISOString(),
             optimizations: this.optimizations,
@@ -347,36 +475,117 @@ class ApolloThemeOptimizer {
     }
 
     /**
-     * Restore themes from backup
+     * Path of a backup generation, 1 being the most recent
      */
-    restoreFromBackup() {
-        console.log('🔄 Restoring themes from backup...');
+    backupPath(themePath, generation) {
+        return generation === 1 ? `${themePath}.backup` : `${themePath}.backup.${generation}`;
+    }
+
+    /**
+     * Existing backup paths of a theme, most recent first
+     */
+    listBackups(themePath) {
+        const backups = [];
+        for (let generation = 1; fs.existsSync(this.backupPath(themePath, generation)); generation++) {
+            backups.push(this.backupPath(themePath, generation));
+        }
+        return backups;
+    }
+
+    /**
+     * Save content as the most recent backup, shifting older generations back
+     * and dropping any beyond maxBackups
+     * @returns {string} Path of the new backup
+     */
+    createBackup(themePath, content) {
+        const backups = this.listBackups(themePath);
         
-        this.themeFiles.forEach(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const backupPath = `${themePath}.backup`;
-            
-            if (fs.existsSync(backupPath)) {
-                const backupContent = fs.readFileSync(backupPath, 'utf8');
-                fs.writeFileSync(themePath, backupContent);
-                console.log(`  ✅ Restored ${path.basename(themeFile)}`);
+        for (let generation = backups.length; generation >= 1; generation--) {
+            if (generation >= this.maxBackups) {
+                fs.unlinkSync(this.backupPath(themePath, generation));
             } else {
-                console.log(`  ⚠️  No backup found for ${path.basename(themeFile)}`);
+                fs.renameSync(this.backupPath(themePath, generation), this.backupPath(themePath, generation + 1));
             }
+        }
+        
+        const backupPath = this.backupPath(themePath, 1);
+        fs.writeFileSync(backupPath, content);
+        return backupPath;
+    }
+
+    /**
+     * Restore themes from backup. Nothing is written unless every theme has
+     * the generation, so the themes never end up at different generations.
+     * Each current file is backed up first, which makes it the newest backup
+     * and moves the others back one: restoring generation 1 again undoes the
+     * restore. A theme whose file was deleted is restored without a backup.
+     * @param {number} generation - 1 for the most recent backup
+     * @returns {boolean} false when a theme had no such backup
+     */
+    restoreFromBackup(generation = 1) {
+        console.log(`🔄 Restoring themes from backup${generation > 1 ? ` generation ${generation}` : ''}...`);
+        
+        const plans = this.themeFiles.map(themeFile => {
+            const themePath = path.join(this.rootDir, themeFile);
+            return { themeFile, themePath, backups: this.listBackups(themePath) };
+        });
+        
+        const incomplete = plans.filter(plan => plan.backups.length < generation);
+        if (incomplete.length > 0) {
+            incomplete.forEach(plan => {
+                console.log(`  ⚠️  No backup generation ${generation} found for ${path.basename(plan.themeFile)} (${plan.backups.length} available)`);
+            });
+            console.log('  ❌ Nothing was restored');
+            return false;
+        }
+        
+        plans.forEach(({ themeFile, themePath, backups }) => {
+            const restoredContent = fs.readFileSync(backups[generation - 1], 'utf8');
+            const currentContent = fs.existsSync(themePath) ? fs.readFileSync(themePath, 'utf8') : null;
+            
+            if (currentContent === restoredContent) {
+                console.log(`  ✅ ${path.basename(themeFile)} already matches backup generation ${generation}`);
+                return;
+            }
+            
+            if (currentContent === null) {
+                fs.writeFileSync(themePath, restoredContent);
+                console.log(`  ✅ Restored missing ${path.basename(themeFile)}`);
+                return;
+            }
+            
+            const backupPath = this.createBackup(themePath, currentContent);
+            fs.writeFileSync(themePath, restoredContent);
+            console.log(`  ✅ Restored ${path.basename(themeFile)} (previous version saved as ${path.basename(backupPath)})`);
         });
+        return true;
     }
 }
 
 // Command line interface
 if (require.main === module) {
-    const optimizer = new ApolloThemeOptimizer();
-    
-    const command = process.argv[2];
+    const args = process.argv.slice(2);
+    const optimizer = new ApolloThemeOptimizer({ allowMissingThemes: args[0] === 'restore' });
+    const generationIndex = args.indexOf('--generation');
     
-    if (command === 'restore') {
-        optimizer.restoreFromBackup();
+    if (args[0] === 'restore') {
+        const generation = generationIndex !== -1 ? Number(args[generationIndex + 1]) : 1;
+        if (!Number.isInteger(generation) || generation < 1) {
+            console.error('❌ --generation must be a positive integer');
+            process.exit(2);
+        }
+        process.exit(optimizer.restoreFromBackup(generation) ? 0 : 1);
+    } else if (args.includes('--check')) {
+        process.exit(optimizer.checkAllThemes({ diff: args.includes('--dry-run') }) ? 0 : 1);
+    } else if (args.includes('--dry-run')) {
+        process.exit(optimizer.previewAllThemes() ? 0 : 1);
     } else {
-        optimizer.optimizeAllThemes().catch(console.error);
+        optimizer.optimizeAllThemes().then(optimized => {
+            if (!optimized) process.exitCode = 1;
+        }).catch(error => {
+            console.error('Theme optimization failed:', error);
+            process.exitCode = 1;
+        });
     }
 }
 
@@ -26,20 +26,151 @@ class TestRunner {
     console.log('===================================\n');
 
     const testSuites = [
+      {
+        name: 'Generated Themes Check',
+        script: 'build-themes.js',
+        args: ['--check'],
+        description: 'Committed theme JSON matches the output generated from src/colors.js'
+      },
+      {
+        name: 'Brand Assets Check',
+        script: 'assets/create-brand-assets.js',
+        args: ['--check'],
+        description: 'Icon, banners and galleryBanner match the palette roles in src/colors.js'
+      },
+      {
+        name: 'Preview Images Check',
+        script: 'assets/create-previews.js',
+        args: ['--check'],
+        description: 'Preview and screenshot SVGs match the samples rendered through the current themes'
+      },
+      {
+        name: 'Palette Conformance Lint',
+        script: 'lint-palette.js',
+        description: 'Every theme color is an Apollo palette color (plus alpha)'
+      },
+      {
+        name: 'Palette Lint Tests',
+        script: 'test-palette-lint.js',
+        description: 'Shorthand colors, nearest-color suggestions, allowlist wildcards and exit codes of the palette lint'
+      },
+      {
+        name: 'Type Declarations Check',
+        script: 'node_modules/typescript/bin/tsc',
+        args: ['--noEmit', '-p', 'tsconfig.json'],
+        description: 'src/colors.d.ts and src/colors.d.mts compile with tsc --noEmit'
+      },
+      {
+        name: 'Type Declaration Tests',
+        script: 'test-type-declarations.js',
+        description: 'src/colors.d.ts declares exactly the exports, hex literals and role keys of src/colors.js and src/colors.mjs'
+      },
+      {
+        name: 'Theme Structure Check',
+        script: 'optimize-theme-structure.js',
+        args: ['--check'],
+        description: 'Theme JSON is already in the order and format the optimizer writes'
+      },
+      {
+        name: 'Theme Optimizer Tests',
+        script: 'test-theme-optimizer.js',
+        description: 'Backup rotation, restoring a generation and the unified JSON diff, on a temporary directory'
+      },
       {
         name: 'Comprehensive Test Suite',
         script: 'test-suite.js',
         description: 'JSON structure, color format, syntax highlighting, contrast, and loading tests'
       },
+      {
+        name: 'Syntax Highlighting Snapshots',
+        script: 'test-syntax-snapshots.js',
+        description: 'Tokenized test-syntax.* fixtures match the stored token colors for every theme'
+      },
+      {
+        name: 'Editor Theme Exports',
+        script: 'test-editor-themes.js',
+        description: 'Neovim, Helix and Sublime Text schemes match the golden files in editor-themes/'
+      },
+      {
+        name: 'JetBrains Theme Exports',
+        script: 'test-jetbrains-themes.js',
+        description: 'JetBrains .icls schemes, UI themes and the mapping table match the golden files in jetbrains-themes/'
+      },
+      {
+        name: 'Terminal Theme Exports',
+        script: 'test-terminal-themes.js',
+        description: 'Terminal emulator themes match the golden files in terminal-themes/ and carry the theme\'s terminal colors'
+      },
+      {
+        name: 'Design Token Exports',
+        script: 'test-design-tokens.js',
+        description: 'CSS, SCSS, Tailwind and DTCG tokens match the golden files in design-tokens/ and resolve every palette role'
+      },
+      {
+        name: 'Theme Loader',
+        script: 'test-theme-loader.js',
+        description: 'Themes load as JSONC with line/column parse errors and include chains merged like VS Code'
+      },
+      {
+        name: 'Theme Registry',
+        script: 'test-theme-registry.js',
+        description: 'Themes are discovered from package.json contributes.themes and missing theme files fail loudly'
+      },
+      {
+        name: 'Theme Variants',
+        script: 'test-variants.js',
+        description: 'variants/*.json definitions expand over their base roles, reject unknown keys and are registered in package.json'
+      },
+      {
+        name: 'Theme Import',
+        script: 'test-theme-import.js',
+        description: 'Imported themes re-quantize to the Apollo palette with alpha kept'
+      },
       {
         name: 'Contrast Analysis',
         script: 'test-contrast-analysis.js',
         description: 'Detailed contrast ratio analysis for accessibility compliance'
       },
       {
-        name: 'Dark Theme Validation',
+        name: 'High Contrast Validation',
+        script: 'test-high-contrast.js',
+        description: 'Apollo High Contrast themes reach 7:1 for every foreground'
+      },
+      {
+        name: 'Contrast Audit',
+        script: 'audit-contrast.js',
+        args: ['--baseline', 'contrast-baseline.json'],
+        description: 'No workbench or token pair falls below 4.5:1 / Lc 60 / Lc 45 other than the known failures in contrast-baseline.json'
+      },
+      {
+        name: 'Contrast Audit Tests',
+        script: 'test-contrast-audit.js',
+        description: 'WCAG, compositing and APCA reference values, and the contrast baseline'
+      },
+      {
+        name: 'Color Vision Tests',
+        script: 'test-color-vision.js',
+        description: 'Machado simulation, CIEDE2000 reference pairs and confusable category detection'
+      },
+      {
+        name: 'Customization Settings Tests',
+        script: 'test-customizations.js',
+        description: 'apollo.* settings, color customization merging and reset'
+      },
+      {
+        name: 'Schedule Tests',
+        script: 'test-schedule.js',
+        description: 'apollo.schedule local times, offline sunrise/sunset and OS sync that only switch Apollo themes'
+      },
+      {
+        name: 'Extension Schedule Tests',
+        script: 'test-extension-schedule.js',
+        description: 'extension.js applying apollo.schedule changes against a stand-in VS Code host'
+      },
+      {
+        name: 'Semantic Token Validation',
         script: 'test-semantic-validation.js',
-        description: 'Apollo Dark theme structure and semantic token validation'
+        description: 'Structure and semantic token validation for every contributed theme'
       },
       {
         name: 'Light Theme Validation',
@@ -91,7 +222,7 @@ class TestRunner {
         return;
       }
 
-      const result = await this.executeTest(scriptPath);
+      const result = await this.executeTest(scriptPath, suite.args);
       
       if (result.success) {
         console.log(`✅ ${suite.name} completed successfully`);
@@ -128,9 +259,9 @@ class TestRunner {
     console.log(''); // Add spacing between test suites
   }
 
-  executeTest(scriptPath) {
+  executeTest(scriptPath, args = []) {
     return new Promise((resolve) => {
-      const child = spawn('node', [scriptPath], {
+      const child = spawn('node', [scriptPath, ...args], {
         cwd: __dirname,
         stdio: ['pipe', 'pipe', 'pipe']
       });
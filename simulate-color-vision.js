@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Color Vision Simulation
+ * Simulates protanopia, deuteranopia, tritanopia and achromatopsia over the
+ * tokenColors categories of every theme and reports category pairs that become
+ * hard to tell apart
+ *
+ * Usage:
+ *   node simulate-color-vision.js                      Report every theme and deficiency
+ *   node simulate-color-vision.js --threshold <ΔE>     Minimum simulated ΔE2000 (default 5)
+ *   node simulate-color-vision.js --deficiency <name>  Simulate a single deficiency
+ *   node simulate-color-vision.js --output <dir>       Where to write SVG swatch sheets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COLOR_VISION_DEFICIENCIES, simulateColorVision, colorDistance, compositeOver } = require('./src/color-math');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_OUTPUT = 'color-vision';
+
+class ApolloColorVisionSimulator {
+  constructor({ threshold = DEFAULT_THRESHOLD, deficiencies = COLOR_VISION_DEFICIENCIES, outputDir = path.join(__dirname, DEFAULT_OUTPUT) } = {}) {
+    this.threshold = threshold;
+    this.deficiencies = deficiencies;
+    this.outputDir = outputDir;
+    this.results = [];
+  }
+
+  /**
+   * Group tokenColors rules by foreground so each distinct color is one category
+   * @returns {{ color: string, names: string[] }[]}
+   */
+  collectCategories(theme) {
+    const background = theme.colors['editor.background'];
+    const categories = new Map();
+
+    (theme.tokenColors || []).forEach(rule => {
+      const foreground = rule.settings && rule.settings.foreground;
+      if (!foreground) return;
+
+      const color = compositeOver(foreground, background);
+      if (!categories.has(color)) {
+        categories.set(color, { color, names: [] });
+      }
+      categories.get(color).names.push(rule.name || 'Unnamed');
+    });
+
+    return [...categories.values()];
+  }
+
+  /**
+   * Compare every category pair under one simulation. Pairs that are already
+   * closer than the threshold without simulation are not reported.
+   */
+  simulate(themeFile, theme, deficiency) {
+    const categories = this.collectCategories(theme).map(category => ({
+      ...category,
+      simulated: simulateColorVision(category.color, deficiency)
+    }));
+    const confusable = [];
+
+    for (let i = 0; i < categories.length; i++) {
+      for (let j = i + 1; j < categories.length; j++) {
+        const a = categories[i];
+        const b = categories[j];
+        const original = colorDistance(a.color, b.color);
+        const simulated = colorDistance(a.simulated, b.simulated);
+
+        if (original >= this.threshold && simulated < this.threshold) {
+          confusable.push({ a, b, original, simulated });
+        }
+      }
+    }
+
+    confusable.sort((x, y) => x.simulated - y.simulated);
+
+    const result = {
+      theme: themeFile,
+      deficiency,
+      background: theme.colors['editor.background'],
+      foreground: theme.colors['editor.foreground'],
+      categories,
+      confusable
+    };
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * Render original and simulated swatches side by side on the editor background
+   */
+  createSwatchSheet(result) {
+    const rowHeight = 28;
+    const width = 1000;
+    const top = 70;
+    const listTop = top + result.categories.length * rowHeight + 40;
+    const height = listTop + Math.max(1, result.confusable.length) * 20 + 20;
+    const simulatedBackground = simulateColorVision(result.background, result.deficiency);
+    const textColor = result.foreground;
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const rows = result.categories.map((category, index) => {
+      const y = top + index * rowHeight;
+      return `  <rect x="20" y="${y}" width="20" height="20" fill="${category.color}"/>
+  <text x="50" y="${y + 15}" font-family="monospace" font-size="13" fill="${category.color}">${category.color}</text>
+  <rect x="200" y="${y}" width="20" height="20" fill="${category.simulated}"/>
+  <text x="230" y="${y + 15}" font-family="monospace" font-size="13" fill="${category.simulated}">${category.simulated}</text>
+  <text x="380" y="${y + 15}" font-family="Arial, sans-serif" font-size="13" fill="${textColor}">${escape(category.names.join(', '))}</text>`;
+    }).join('\n');
+
+    const pairs = result.confusable.length === 0
+      ? `  <text x="20" y="${listTop + 15}" font-family="monospace" font-size="13" fill="${textColor}">No confusable category pairs</text>`
+      : result.confusable.map((pair, index) => {
+        const y = listTop + index * 20 + 15;
+        return `  <text x="20" y="${y}" font-family="monospace" font-size="13" fill="${textColor}">${pair.a.color} / ${pair.b.color}: ΔE ${pair.original.toFixed(1)} → ${pair.simulated.toFixed(1)}</text>`;
+      }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <rect x="0" y="0" width="${width}" height="${height}" fill="${result.background}"/>
+  <rect x="180" y="${top - 10}" width="180" height="${result.categories.length * rowHeight + 10}" fill="${simulatedBackground}"/>
+  <text x="20" y="30" font-family="Arial, sans-serif" font-size="18" font-weight="bold" fill="${textColor}">${escape(result.theme)}: ${result.deficiency}</text>
+  <text x="20" y="52" font-family="Arial, sans-serif" font-size="14" fill="${textColor}">Original</text>
+  <text x="200" y="52" font-family="Arial, sans-serif" font-size="14" fill="${textColor}">Simulated</text>
+  <text x="380" y="52" font-family="Arial, sans-serif" font-size="14" fill="${textColor}">Categories</text>
+${rows}
+  <text x="20" y="${listTop - 10}" font-family="Arial, sans-serif" font-size="14" font-weight="bold" fill="${textColor}">Confusable pairs (simulated ΔE2000 &lt; ${this.threshold})</text>
+${pairs}
+</svg>
+`;
+  }
+
+  /**
+   * Simulate every theme, write the swatch sheets and print the report
+   * @returns {boolean} true when no category pair becomes confusable
+   */
+  runAllSimulations() {
+    console.log('👁️  Apollo Color Vision Simulation');
+    console.log('=================================');
+    console.log(`Minimum simulated ΔE2000: ${this.threshold}`);
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    for (const variant of loadThemeRegistry()) {
+      const themeFile = path.basename(variant.path);
+      const { theme } = variant;
+      console.log(`\n🎨 ${themeFile}`);
+
+      for (const deficiency of this.deficiencies) {
+        const result = this.simulate(themeFile, theme, deficiency);
+        const sheet = path.join(this.outputDir, `${themeFile.replace(/-color-theme\.json$/, '')}-${deficiency}.svg`);
+        fs.writeFileSync(sheet, this.createSwatchSheet(result));
+
+        if (result.confusable.length === 0) {
+          console.log(`  ✅ ${deficiency}: all ${result.categories.length} categories stay distinguishable`);
+        } else {
+          console.log(`  ❌ ${deficiency}: ${result.confusable.length} confusable pairs`);
+          result.confusable.forEach(pair => {
+            console.log(`     ${pair.a.names.join(', ')} (${pair.a.color}) ↔ ${pair.b.names.join(', ')} (${pair.b.color}): ΔE ${pair.original.toFixed(1)} → ${pair.simulated.toFixed(1)}`);
+          });
+        }
+      }
+    }
+
+    const total = this.results.reduce((sum, result) => sum + result.confusable.length, 0);
+    console.log('\n📊 Summary');
+    console.log(`   Simulations: ${this.results.length}`);
+    console.log(`   Confusable pairs: ${total}`);
+    console.log(`   Swatch sheets: ${path.relative(__dirname, this.outputDir) || '.'}/`);
+
+    return total === 0;
+  }
+}
+
+// Command line interface
+if (require.main === module) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+
+  const threshold = option('--threshold') !== undefined ? parseFloat(option('--threshold')) : DEFAULT_THRESHOLD;
+  const deficiency = option('--deficiency');
+  const output = option('--output');
+
+  if (!(threshold > 0)) {
+    console.error('❌ --threshold must be a positive ΔE2000 value');
+    process.exit(2);
+  }
+  if (deficiency && !COLOR_VISION_DEFICIENCIES.includes(deficiency)) {
+    console.error(`❌ --deficiency must be one of: ${COLOR_VISION_DEFICIENCIES.join(', ')}`);
+    process.exit(2);
+  }
+
+  const simulator = new ApolloColorVisionSimulator({
+    threshold,
+    deficiencies: deficiency ? [deficiency] : COLOR_VISION_DEFICIENCIES,
+    outputDir: output ? path.resolve(output) : path.join(__dirname, DEFAULT_OUTPUT)
+  });
+  process.exit(simulator.runAllSimulations() ? 0 : 1);
+}
+
+module.exports = { ApolloColorVisionSimulator };
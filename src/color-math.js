@@ -0,0 +1,358 @@
+/**
+ * Apollo Color Math
+ *
+ * Color conversions, contrast and perceptual distance helpers shared by the theme
+ * tooling. All functions accept 6-digit or 8-digit hex strings, or their
+ * `#rgb`/`#rgba` shorthand; an alpha channel is ignored unless stated otherwise.
+ */
+
+/**
+ * Split a hex color into its base color and alpha suffix
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @returns {{ base: string, alpha: string }} Lowercase base color and alpha ('' when opaque)
+ */
+function splitAlpha(color) {
+  const hex = normalizeHex(color) || color.toLowerCase();
+  return { base: hex.slice(0, 7), alpha: hex.slice(7) };
+}
+
+/**
+ * Expand `#rgb`/`#rgba` shorthand and lowercase a hex color
+ * @returns {string|null} 6-digit or 8-digit hex color, or null when not a hex color
+ */
+function normalizeHex(color) {
+  if (typeof color !== 'string' || !/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) {
+    return null;
+  }
+  const hex = color.toLowerCase();
+  return hex.length <= 5 ? `#${[...hex.slice(1)].map(digit => digit + digit).join('')}` : hex;
+}
+
+/**
+ * Convert a hex color to 0-255 RGB channels
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @returns {{ r: number, g: number, b: number }}
+ */
+function hexToRgb(color) {
+  const { base } = splitAlpha(color);
+  return {
+    r: parseInt(base.slice(1, 3), 16),
+    g: parseInt(base.slice(3, 5), 16),
+    b: parseInt(base.slice(5, 7), 16)
+  };
+}
+
+/**
+ * Linearize an sRGB channel (0-255)
+ * @param {number} channel - Gamma-encoded channel value
+ * @returns {number} Linear channel value in 0-1
+ */
+function srgbToLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encode a linear channel (0-1) back to gamma-encoded sRGB (0-255)
+ * @param {number} value - Linear channel value
+ * @returns {number} Gamma-encoded channel value, clamped to 0-255
+ */
+function linearToSrgb(value) {
+  const clamped = Math.min(1, Math.max(0, value));
+  const encoded = clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * Math.pow(clamped, 1 / 2.4) - 0.055;
+  return Math.round(encoded * 255);
+}
+
+/**
+ * Convert 0-255 RGB channels to a 6-digit hex color
+ * @param {{ r: number, g: number, b: number }} rgb
+ * @returns {string}
+ */
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Flatten a color with an alpha channel onto an opaque backdrop
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @param {string} backdrop - Opaque hex color underneath
+ * @returns {string} Opaque 6-digit hex color
+ */
+function compositeOver(color, backdrop) {
+  const { base, alpha } = splitAlpha(color);
+  if (!alpha) return base;
+
+  const opacity = parseInt(alpha, 16) / 255;
+  const top = hexToRgb(base);
+  const bottom = hexToRgb(backdrop);
+  const channel = (a, b) => Math.round(a * opacity + b * (1 - opacity));
+  return rgbToHex({ r: channel(top.r, bottom.r), g: channel(top.g, bottom.g), b: channel(top.b, bottom.b) });
+}
+
+/**
+ * WCAG 2.x relative luminance
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @returns {number} Relative luminance in 0-1
+ */
+function relativeLuminance(color) {
+  const { r, g, b } = hexToRgb(color);
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two opaque colors
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number} Contrast ratio from 1 to 21
+ */
+function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+// APCA 0.0.98G-4g constants (WCAG 3 draft)
+const APCA = {
+  mainTRC: 2.4,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005
+};
+
+/**
+ * APCA screen luminance, soft-clamped near black
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @returns {number}
+ */
+function apcaLuminance(color) {
+  const { r, g, b } = hexToRgb(color);
+  const y = 0.2126729 * Math.pow(r / 255, APCA.mainTRC) +
+    0.7151522 * Math.pow(g / 255, APCA.mainTRC) +
+    0.0721750 * Math.pow(b / 255, APCA.mainTRC);
+  return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background
+ * Positive for dark text on a light background, negative for light text on dark
+ * @param {string} text - Opaque hex text color
+ * @param {string} background - Opaque hex background color
+ * @returns {number} Lc from about -108 to 106
+ */
+function apcaContrast(text, background) {
+  const yText = apcaLuminance(text);
+  const yBackground = apcaLuminance(background);
+
+  if (Math.abs(yBackground - yText) < APCA.deltaYmin) return 0;
+
+  let lc;
+  if (yBackground > yText) {
+    const sapc = (Math.pow(yBackground, APCA.normBG) - Math.pow(yText, APCA.normTXT)) * APCA.scale;
+    lc = sapc < APCA.loClip ? 0 : sapc - APCA.loOffset;
+  } else {
+    const sapc = (Math.pow(yBackground, APCA.revBG) - Math.pow(yText, APCA.revTXT)) * APCA.scale;
+    lc = sapc > -APCA.loClip ? 0 : sapc + APCA.loOffset;
+  }
+
+  return lc * 100;
+}
+
+// Machado, Oliveira & Fernandes (2009) matrices at severity 1.0, in linear RGB
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+const COLOR_VISION_DEFICIENCIES = [...Object.keys(CVD_MATRICES), 'achromatopsia'];
+
+/**
+ * Simulate how a color appears with a color vision deficiency
+ * Achromatopsia maps the color to the gray of equal relative luminance
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @param {string} deficiency - One of COLOR_VISION_DEFICIENCIES
+ * @returns {string} Simulated 6-digit hex color
+ */
+function simulateColorVision(color, deficiency) {
+  const { r, g, b } = hexToRgb(color);
+  const linear = [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+
+  if (deficiency === 'achromatopsia') {
+    const gray = linearToSrgb(0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2]);
+    return rgbToHex({ r: gray, g: gray, b: gray });
+  }
+
+  const matrix = CVD_MATRICES[deficiency];
+  if (!matrix) {
+    throw new Error(`Unknown color vision deficiency: ${deficiency}`);
+  }
+
+  const [sr, sg, sb] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+  return rgbToHex({ r: linearToSrgb(sr), g: linearToSrgb(sg), b: linearToSrgb(sb) });
+}
+
+/**
+ * Convert a hex color to CIE L*a*b* (D65 white point)
+ * @param {string} color - 6-digit or 8-digit hex color
+ * @returns {{ L: number, a: number, b: number }}
+ */
+function hexToLab(color) {
+  const { r, g, b } = hexToRgb(color);
+  const rl = srgbToLinear(r);
+  const gl = srgbToLinear(g);
+  const bl = srgbToLinear(b);
+
+  // sRGB -> XYZ, normalized to the D65 reference white
+  const x = (0.4124564 * rl + 0.3575761 * gl + 0.1804375 * bl) / 0.95047;
+  const y = (0.2126729 * rl + 0.7151522 * gl + 0.0721750 * bl) / 1.0;
+  const z = (0.0193339 * rl + 0.1191920 * gl + 0.9503041 * bl) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return {
+    L: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * CIEDE2000 color difference between two L*a*b* colors
+ * @param {{ L: number, a: number, b: number }} lab1
+ * @param {{ L: number, a: number, b: number }} lab2
+ * @returns {number} Delta E 2000
+ */
+function deltaE2000(lab1, lab2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const toDeg = rad => rad * 180 / Math.PI;
+
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(Cbar, 7) / (Math.pow(Cbar, 7) + Math.pow(25, 7))));
+
+  const a1p = (1 + G) * lab1.a;
+  const a2p = (1 + G) * lab2.a;
+  const C1p = Math.hypot(a1p, lab1.b);
+  const C2p = Math.hypot(a2p, lab2.b);
+
+  const hueAngle = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = toDeg(Math.atan2(b, ap));
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hueAngle(lab1.b, a1p);
+  const h2p = hueAngle(lab2.b, a2p);
+
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRad(dhp / 2));
+
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+    else hbarp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos(toRad(hbarp - 30))
+    + 0.24 * Math.cos(toRad(2 * hbarp))
+    + 0.32 * Math.cos(toRad(3 * hbarp + 6))
+    - 0.20 * Math.cos(toRad(4 * hbarp - 63));
+
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(Math.pow(Cbarp, 7) / (Math.pow(Cbarp, 7) + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(toRad(2 * dTheta)) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+    Math.pow(dCp / Sc, 2) +
+    Math.pow(dHp / Sh, 2) +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Perceptual distance between two hex colors (CIEDE2000)
+ * @param {string} color1 - Hex color
+ * @param {string} color2 - Hex color
+ * @returns {number} Delta E 2000
+ */
+function colorDistance(color1, color2) {
+  return deltaE2000(hexToLab(color1), hexToLab(color2));
+}
+
+/**
+ * Find the perceptually closest color from a candidate list
+ * @param {string} color - Hex color to match
+ * @param {string[]} candidates - Hex colors to choose from
+ * @returns {{ color: string, distance: number }} Closest candidate and its Delta E 2000
+ */
+function nearestColor(color, candidates) {
+  const target = hexToLab(color);
+  let best = { color: candidates[0], distance: Infinity };
+
+  for (const candidate of candidates) {
+    const distance = deltaE2000(target, hexToLab(candidate));
+    if (distance < best.distance) {
+      best = { color: candidate, distance };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalizeHex,
+  splitAlpha,
+  hexToRgb,
+  rgbToHex,
+  srgbToLinear,
+  linearToSrgb,
+  compositeOver,
+  relativeLuminance,
+  contrastRatio,
+  apcaContrast,
+  COLOR_VISION_DEFICIENCIES,
+  simulateColorVision,
+  hexToLab,
+  deltaE2000,
+  colorDistance,
+  nearestColor
+};
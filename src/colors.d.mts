@@ -0,0 +1,8 @@
+/**
+ * Type declarations for the Apollo Color Palette ES module entry point
+ */
+
+import * as colors from './colors.js';
+
+export * from './colors.js';
+export default colors;
@@ -0,0 +1,207 @@
+/**
+ * Type declarations for the Apollo Color Palette module (colors.js / colors.mjs)
+ */
+
+// Primary Blues/Teals
+export declare const BLUES_TEALS: {
+  readonly DARKEST_BLUE: '#172038';
+  readonly DARK_BLUE: '#253a5e';
+  readonly MEDIUM_BLUE: '#3c5e8b';
+  readonly LIGHT_BLUE: '#4f8fba';
+  readonly BRIGHT_TEAL: '#73bed3';
+  readonly LIGHTEST_TEAL: '#a4dddb';
+};
+
+// Greens
+export declare const GREENS: {
+  readonly DARKEST_GREEN: '#19332d';
+  readonly DARK_GREEN: '#25562e';
+  readonly MEDIUM_GREEN: '#468232';
+  readonly BRIGHT_GREEN: '#75a743';
+  readonly LIGHT_GREEN: '#a8ca58';
+  readonly LIGHTEST_GREEN: '#d0da91';
+};
+
+// Browns/Oranges
+export declare const BROWNS_ORANGES: {
+  readonly DARKEST_BROWN: '#4d2b32';
+  readonly DARK_BROWN: '#7a4841';
+  readonly MEDIUM_BROWN: '#ad7757';
+  readonly LIGHT_BROWN: '#c09473';
+  readonly LIGHTEST_BROWN: '#d7b594';
+  readonly CREAM: '#e7d5b3';
+};
+
+// Warm Tones
+export declare const WARM_TONES: {
+  readonly DARKEST_WARM: '#341c27';
+  readonly DARK_WARM: '#602c2c';
+  readonly MEDIUM_WARM: '#884b2b';
+  readonly BRIGHT_WARM: '#be772b';
+  readonly LIGHT_WARM: '#de9e41';
+  readonly LIGHTEST_WARM: '#e8c170';
+};
+
+// Purples/Magentas
+export declare const PURPLES_MAGENTAS: {
+  readonly DARKEST_PURPLE: '#241527';
+  readonly DARK_PURPLE: '#411d31';
+  readonly MEDIUM_PURPLE: '#752438';
+  readonly BRIGHT_PURPLE: '#a53030';
+  readonly LIGHT_PURPLE: '#cf573c';
+  readonly LIGHTEST_PURPLE: '#da863e';
+};
+
+// Deep Purples
+export declare const DEEP_PURPLES: {
+  readonly DARKEST_DEEP: '#1e1d39';
+  readonly DARK_DEEP: '#402751';
+  readonly MEDIUM_DEEP: '#7a367b';
+  readonly BRIGHT_DEEP: '#a23e8c';
+  readonly LIGHT_DEEP: '#c65197';
+  readonly LIGHTEST_DEEP: '#df84a5';
+};
+
+// Grayscale
+export declare const GRAYSCALE: {
+  readonly BLACK: '#090a14';
+  readonly DARKEST_GRAY: '#10141f';
+  readonly DARKER_GRAY: '#151d28';
+  readonly DARK_GRAY: '#202e37';
+  readonly MEDIUM_DARK_GRAY: '#394a50';
+  readonly MEDIUM_GRAY: '#577277';
+  readonly LIGHT_MEDIUM_GRAY: '#819796';
+  readonly LIGHT_GRAY: '#a8b5b2';
+  readonly LIGHTER_GRAY: '#c7cfcc';
+  readonly WHITE: '#ebede9';
+};
+
+// Complete Apollo Palette (all 48 colors)
+export declare const APOLLO_PALETTE: typeof BLUES_TEALS &
+  typeof GREENS &
+  typeof BROWNS_ORANGES &
+  typeof WARM_TONES &
+  typeof PURPLES_MAGENTAS &
+  typeof DEEP_PURPLES &
+  typeof GRAYSCALE;
+
+// Palette groups in display order
+export interface PaletteGroup {
+  name: 'BLUES_TEALS' | 'GREENS' | 'BROWNS_ORANGES' | 'WARM_TONES' | 'PURPLES_MAGENTAS' | 'DEEP_PURPLES' | 'GRAYSCALE';
+  label: string;
+  colors: Readonly<Record<string, string>>;
+}
+export declare const PALETTE_GROUPS: readonly PaletteGroup[];
+
+// Theme-specific color mappings
+export interface ThemeColors {
+  background: {
+    primary: string;
+    secondary: string;
+    tertiary: string;
+    highlight: string;
+    selection: string;
+    findMatch: string;
+  };
+  text: {
+    primary: string;
+    secondary: string;
+    muted: string;
+    subtle: string;
+    disabled: string;
+    highlight: string;
+    onAccent: string;
+    onEmphasis: string;
+  };
+  border: {
+    primary: string;
+    subtle: string;
+    strong: string;
+  };
+  accents: {
+    primary: string;
+    secondary: string;
+    warning: string;
+    error: string;
+    info: string;
+    success: string;
+  };
+}
+
+// Syntax highlighting role mappings
+export interface SyntaxColors {
+  comment: string;
+  keyword: string;
+  operator: string;
+  string: string;
+  escape: string;
+  regexp: string;
+  number: string;
+  boolean: string;
+  variable: string;
+  function: string;
+  functionBuiltin: string;
+  class: string;
+  type: string;
+  typeBuiltin: string;
+  interface: string;
+  property: string;
+  propertyBuiltin: string;
+  key: string;
+  constant: string;
+  label: string;
+  punctuation: string;
+  quote: string;
+  deprecated: string;
+  invalid: string;
+  inserted: string;
+  deleted: string;
+}
+
+// Token color rules: TextMate scopes mapped to syntax roles
+export interface TokenColorRule {
+  name: string;
+  scope: string[];
+  role: keyof SyntaxColors;
+  fontStyle?: string;
+}
+
+// Semantic token rules: a syntax role, or a style with an optional role
+export type SemanticTokenRule = keyof SyntaxColors | { role?: keyof SyntaxColors; fontStyle?: string };
+
+export type WorkbenchColors = Record<string, string>;
+
+export type SemanticTokenColors = Record<string, string | { foreground?: string; fontStyle?: string }>;
+
+export interface TokenColor {
+  name: string;
+  scope: string[];
+  settings: {
+    foreground: string;
+    fontStyle?: string;
+  };
+}
+
+export declare const DARK_THEME_COLORS: ThemeColors;
+export declare const LIGHT_THEME_COLORS: ThemeColors;
+export declare const DARK_SYNTAX_COLORS: SyntaxColors;
+export declare const LIGHT_SYNTAX_COLORS: SyntaxColors;
+export declare const HC_DARK_THEME_COLORS: ThemeColors;
+export declare const HC_LIGHT_THEME_COLORS: ThemeColors;
+export declare const HC_DARK_SYNTAX_COLORS: SyntaxColors;
+export declare const HC_LIGHT_SYNTAX_COLORS: SyntaxColors;
+export declare const TOKEN_COLOR_RULES: TokenColorRule[];
+export declare const SEMANTIC_TOKEN_RULES: Record<string, SemanticTokenRule>;
+
+export declare function getThemeColors(isDark: boolean): ThemeColors;
+export declare function getSyntaxColors(isDark: boolean): SyntaxColors;
+export declare function withAlpha(color: string, alpha: string): string;
+export declare function getWorkbenchColors(isDark: boolean): WorkbenchColors;
+export declare function composeWorkbenchColors(theme: ThemeColors): WorkbenchColors;
+export declare function composeHighContrastColors(theme: ThemeColors): WorkbenchColors;
+export declare function composeTokenColors(syntax: SyntaxColors): TokenColor[];
+export declare function composeSemanticTokenColors(syntax: SyntaxColors): SemanticTokenColors;
+export declare function isValidHexColor(color: string): boolean;
+export declare function getColorsFromGroup(group: Record<string, string>): string[];
+export declare function getAllApolloColors(): string[];
+export declare function isApolloColor(color: string): boolean;
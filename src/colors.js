@@ -0,0 +1,1433 @@
+/**
+ * Apollo Color Palette Constants
+ * 
+ * This module contains all 48 Apollo palette colors organized into thematic groups
+ * and provides helper functions for color assignment and theme-specific mappings.
+ *
+ * CommonJS source of truth; colors.mjs re-exports it for ES modules and
+ * colors.d.ts carries the TypeScript types.
+ */
+
+// Primary Blues/Teals
+const BLUES_TEALS = {
+  DARKEST_BLUE: '#172038',
+  DARK_BLUE: '#253a5e',
+  MEDIUM_BLUE: '#3c5e8b',
+  LIGHT_BLUE: '#4f8fba',
+  BRIGHT_TEAL: '#73bed3',
+  LIGHTEST_TEAL: '#a4dddb'
+};
+
+// Greens
+const GREENS = {
+  DARKEST_GREEN: '#19332d',
+  DARK_GREEN: '#25562e',
+  MEDIUM_GREEN: '#468232',
+  BRIGHT_GREEN: '#75a743',
+  LIGHT_GREEN: '#a8ca58',
+  LIGHTEST_GREEN: '#d0da91'
+};
+
+// Browns/Oranges
+const BROWNS_ORANGES = {
+  DARKEST_BROWN: '#4d2b32',
+  DARK_BROWN: '#7a4841',
+  MEDIUM_BROWN: '#ad7757',
+  LIGHT_BROWN: '#c09473',
+  LIGHTEST_BROWN: '#d7b594',
+  CREAM: '#e7d5b3'
+};
+
+// Warm Tones
+const WARM_TONES = {
+  DARKEST_WARM: '#341c27',
+  DARK_WARM: '#602c2c',
+  MEDIUM_WARM: '#884b2b',
+  BRIGHT_WARM: '#be772b',
+  LIGHT_WARM: '#de9e41',
+  LIGHTEST_WARM: '#e8c170'
+};
+
+// Purples/Magentas
+const PURPLES_MAGENTAS = {
+  DARKEST_PURPLE: '#241527',
+  DARK_PURPLE: '#411d31',
+  MEDIUM_PURPLE: '#752438',
+  BRIGHT_PURPLE: '#a53030',
+  LIGHT_PURPLE: '#cf573c',
+  LIGHTEST_PURPLE: '#da863e'
+};
+
+// Deep Purples
+const DEEP_PURPLES = {
+  DARKEST_DEEP: '#1e1d39',
+  DARK_DEEP: '#402751',
+  MEDIUM_DEEP: '#7a367b',
+  BRIGHT_DEEP: '#a23e8c',
+  LIGHT_DEEP: '#c65197',
+  LIGHTEST_DEEP: '#df84a5'
+};
+
+// Grayscale
+const GRAYSCALE = {
+  BLACK: '#090a14',
+  DARKEST_GRAY: '#10141f',
+  DARKER_GRAY: '#151d28',
+  DARK_GRAY: '#202e37',
+  MEDIUM_DARK_GRAY: '#394a50',
+  MEDIUM_GRAY: '#577277',
+  LIGHT_MEDIUM_GRAY: '#819796',
+  LIGHT_GRAY: '#a8b5b2',
+  LIGHTER_GRAY: '#c7cfcc',
+  WHITE: '#ebede9'
+};
+
+// Complete Apollo Palette (all 48 colors)
+const APOLLO_PALETTE = {
+  ...BLUES_TEALS,
+  ...GREENS,
+  ...BROWNS_ORANGES,
+  ...WARM_TONES,
+  ...PURPLES_MAGENTAS,
+  ...DEEP_PURPLES,
+  ...GRAYSCALE
+};
+
+// Palette groups in display order, with their human-readable names
+const PALETTE_GROUPS = [
+  { name: 'BLUES_TEALS', label: 'Blues/Teals', colors: BLUES_TEALS },
+  { name: 'GREENS', label: 'Greens', colors: GREENS },
+  { name: 'BROWNS_ORANGES', label: 'Browns/Oranges', colors: BROWNS_ORANGES },
+  { name: 'WARM_TONES', label: 'Warm Tones', colors: WARM_TONES },
+  { name: 'PURPLES_MAGENTAS', label: 'Purples/Magentas', colors: PURPLES_MAGENTAS },
+  { name: 'DEEP_PURPLES', label: 'Deep Purples', colors: DEEP_PURPLES },
+  { name: 'GRAYSCALE', label: 'Grayscale', colors: GRAYSCALE }
+];
+
+/**
+ * Dark theme color mappings using Apollo palette
+ */
+const DARK_THEME_COLORS = {
+  background: {
+    primary: GRAYSCALE.BLACK,
+    secondary: GRAYSCALE.DARKEST_GRAY,
+    tertiary: GRAYSCALE.DARKER_GRAY,
+    highlight: GRAYSCALE.DARK_GRAY,
+    selection: BLUES_TEALS.DARK_BLUE,
+    findMatch: WARM_TONES.DARK_WARM
+  },
+  text: {
+    primary: GRAYSCALE.WHITE,
+    secondary: GRAYSCALE.LIGHTER_GRAY,
+    muted: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+    subtle: GRAYSCALE.MEDIUM_GRAY,
+    disabled: GRAYSCALE.MEDIUM_GRAY,
+    highlight: GRAYSCALE.LIGHT_GRAY,
+    onAccent: GRAYSCALE.BLACK,
+    onEmphasis: GRAYSCALE.WHITE
+  },
+  border: {
+    primary: GRAYSCALE.MEDIUM_DARK_GRAY,
+    subtle: GRAYSCALE.MEDIUM_DARK_GRAY,
+    strong: GRAYSCALE.MEDIUM_GRAY
+  },
+  accents: {
+    primary: BLUES_TEALS.BRIGHT_TEAL,
+    secondary: GREENS.LIGHT_GREEN,
+    warning: WARM_TONES.LIGHT_WARM,
+    error: PURPLES_MAGENTAS.LIGHT_PURPLE,
+    info: BLUES_TEALS.LIGHT_BLUE,
+    success: GREENS.BRIGHT_GREEN
+  }
+};
+
+/**
+ * Light theme color mappings using Apollo palette
+ */
+const LIGHT_THEME_COLORS = {
+  background: {
+    primary: GRAYSCALE.WHITE,
+    secondary: GRAYSCALE.LIGHTER_GRAY,
+    tertiary: GRAYSCALE.LIGHT_GRAY,
+    highlight: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+    selection: BLUES_TEALS.LIGHTEST_TEAL,
+    findMatch: WARM_TONES.LIGHTEST_WARM
+  },
+  text: {
+    primary: GRAYSCALE.BLACK,
+    secondary: GRAYSCALE.DARKER_GRAY,
+    muted: GRAYSCALE.MEDIUM_GRAY,
+    subtle: GRAYSCALE.MEDIUM_GRAY,
+    disabled: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+    highlight: GRAYSCALE.MEDIUM_DARK_GRAY,
+    onAccent: GRAYSCALE.BLACK,
+    onEmphasis: GRAYSCALE.WHITE
+  },
+  border: {
+    primary: GRAYSCALE.MEDIUM_GRAY,
+    subtle: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+    strong: GRAYSCALE.MEDIUM_DARK_GRAY
+  },
+  accents: {
+    primary: BLUES_TEALS.BRIGHT_TEAL,
+    secondary: GREENS.LIGHT_GREEN,
+    warning: WARM_TONES.LIGHT_WARM,
+    error: PURPLES_MAGENTAS.LIGHT_PURPLE,
+    info: BLUES_TEALS.LIGHT_BLUE,
+    success: GREENS.BRIGHT_GREEN
+  }
+};
+
+/**
+ * Dark theme syntax highlighting using Apollo palette
+ */
+const DARK_SYNTAX_COLORS = {
+  comment: GRAYSCALE.MEDIUM_GRAY,
+  keyword: BLUES_TEALS.LIGHT_BLUE,
+  operator: GRAYSCALE.LIGHT_GRAY,
+  string: GREENS.LIGHT_GREEN,
+  escape: GREENS.LIGHTEST_GREEN,
+  regexp: GREENS.LIGHTEST_GREEN,
+  number: DEEP_PURPLES.LIGHT_DEEP,
+  boolean: DEEP_PURPLES.LIGHTEST_DEEP,
+  variable: BLUES_TEALS.LIGHTEST_TEAL,
+  function: WARM_TONES.LIGHTEST_WARM,
+  functionBuiltin: WARM_TONES.BRIGHT_WARM,
+  class: PURPLES_MAGENTAS.LIGHTEST_PURPLE,
+  type: BROWNS_ORANGES.LIGHTEST_BROWN,
+  typeBuiltin: BROWNS_ORANGES.MEDIUM_BROWN,
+  interface: BROWNS_ORANGES.LIGHT_BROWN,
+  property: BLUES_TEALS.BRIGHT_TEAL,
+  propertyBuiltin: BLUES_TEALS.LIGHT_BLUE,
+  key: BLUES_TEALS.BRIGHT_TEAL,
+  constant: WARM_TONES.LIGHT_WARM,
+  label: BLUES_TEALS.BRIGHT_TEAL,
+  punctuation: GRAYSCALE.LIGHTER_GRAY,
+  quote: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+  deprecated: GRAYSCALE.MEDIUM_GRAY,
+  invalid: PURPLES_MAGENTAS.LIGHT_PURPLE,
+  inserted: GREENS.BRIGHT_GREEN,
+  deleted: PURPLES_MAGENTAS.LIGHT_PURPLE
+};
+
+/**
+ * Light theme syntax highlighting using Apollo palette
+ */
+const LIGHT_SYNTAX_COLORS = {
+  comment: GRAYSCALE.MEDIUM_GRAY,
+  keyword: BLUES_TEALS.DARK_BLUE,
+  operator: GRAYSCALE.MEDIUM_DARK_GRAY,
+  string: GREENS.MEDIUM_GREEN,
+  escape: GREENS.DARK_GREEN,
+  regexp: GREENS.DARK_GREEN,
+  number: DEEP_PURPLES.MEDIUM_DEEP,
+  boolean: DEEP_PURPLES.BRIGHT_DEEP,
+  variable: BLUES_TEALS.MEDIUM_BLUE,
+  function: WARM_TONES.BRIGHT_WARM,
+  functionBuiltin: WARM_TONES.DARK_WARM,
+  class: WARM_TONES.MEDIUM_WARM,
+  type: BROWNS_ORANGES.DARK_BROWN,
+  typeBuiltin: BROWNS_ORANGES.DARK_BROWN,
+  interface: BROWNS_ORANGES.MEDIUM_BROWN,
+  property: BLUES_TEALS.DARK_BLUE,
+  propertyBuiltin: BLUES_TEALS.DARKEST_BLUE,
+  key: BLUES_TEALS.DARKEST_BLUE,
+  constant: WARM_TONES.MEDIUM_WARM,
+  label: BLUES_TEALS.DARK_BLUE,
+  punctuation: GRAYSCALE.DARKER_GRAY,
+  quote: GRAYSCALE.MEDIUM_GRAY,
+  deprecated: GRAYSCALE.LIGHT_MEDIUM_GRAY,
+  invalid: PURPLES_MAGENTAS.LIGHT_PURPLE,
+  inserted: GREENS.DARK_GREEN,
+  deleted: PURPLES_MAGENTAS.LIGHT_PURPLE
+};
+
+/**
+ * High contrast dark theme color mappings using Apollo palette
+ * Every foreground role reaches 7:1 (WCAG AAA) against its background role
+ */
+const HC_DARK_THEME_COLORS = {
+  background: {
+    primary: GRAYSCALE.BLACK,
+    secondary: GRAYSCALE.BLACK,
+    tertiary: GRAYSCALE.BLACK,
+    highlight: GRAYSCALE.DARK_GRAY,
+    selection: BLUES_TEALS.DARK_BLUE,
+    findMatch: WARM_TONES.DARK_WARM
+  },
+  text: {
+    primary: GRAYSCALE.WHITE,
+    secondary: GRAYSCALE.LIGHTER_GRAY,
+    muted: GRAYSCALE.LIGHT_GRAY,
+    subtle: GRAYSCALE.LIGHT_GRAY,
+    disabled: GRAYSCALE.LIGHT_GRAY,
+    highlight: GRAYSCALE.WHITE,
+    onAccent: GRAYSCALE.BLACK,
+    onEmphasis: GRAYSCALE.BLACK
+  },
+  border: {
+    primary: GRAYSCALE.LIGHT_GRAY,
+    subtle: GRAYSCALE.LIGHT_GRAY,
+    strong: GRAYSCALE.WHITE
+  },
+  accents: {
+    primary: BLUES_TEALS.BRIGHT_TEAL,
+    secondary: GREENS.LIGHT_GREEN,
+    warning: WARM_TONES.LIGHT_WARM,
+    error: DEEP_PURPLES.LIGHTEST_DEEP,
+    info: BLUES_TEALS.LIGHTEST_TEAL,
+    success: GREENS.LIGHTEST_GREEN
+  }
+};
+
+/**
+ * High contrast light theme color mappings using Apollo palette
+ * Every foreground role reaches 7:1 (WCAG AAA) against its background role
+ */
+const HC_LIGHT_THEME_COLORS = {
+  background: {
+    primary: GRAYSCALE.WHITE,
+    secondary: GRAYSCALE.WHITE,
+    tertiary: GRAYSCALE.WHITE,
+    highlight: GRAYSCALE.LIGHTER_GRAY,
+    selection: BLUES_TEALS.LIGHTEST_TEAL,
+    findMatch: WARM_TONES.LIGHTEST_WARM
+  },
+  text: {
+    primary: GRAYSCALE.BLACK,
+    secondary: GRAYSCALE.DARKER_GRAY,
+    muted: GRAYSCALE.DARK_GRAY,
+    subtle: GRAYSCALE.MEDIUM_DARK_GRAY,
+    disabled: GRAYSCALE.MEDIUM_DARK_GRAY,
+    highlight: GRAYSCALE.BLACK,
+    onAccent: GRAYSCALE.WHITE,
+    onEmphasis: GRAYSCALE.WHITE
+  },
+  border: {
+    primary: GRAYSCALE.MEDIUM_DARK_GRAY,
+    subtle: GRAYSCALE.MEDIUM_DARK_GRAY,
+    strong: GRAYSCALE.BLACK
+  },
+  accents: {
+    primary: BLUES_TEALS.DARK_BLUE,
+    secondary: GREENS.DARK_GREEN,
+    warning: WARM_TONES.DARK_WARM,
+    error: PURPLES_MAGENTAS.MEDIUM_PURPLE,
+    info: BLUES_TEALS.DARKEST_BLUE,
+    success: GREENS.DARKEST_GREEN
+  }
+};
+
+/**
+ * High contrast dark theme syntax highlighting using Apollo palette
+ */
+const HC_DARK_SYNTAX_COLORS = {
+  comment: GRAYSCALE.LIGHT_GRAY,
+  keyword: BLUES_TEALS.BRIGHT_TEAL,
+  operator: GRAYSCALE.LIGHTER_GRAY,
+  string: GREENS.LIGHT_GREEN,
+  escape: GREENS.LIGHTEST_GREEN,
+  regexp: GREENS.LIGHTEST_GREEN,
+  number: DEEP_PURPLES.LIGHTEST_DEEP,
+  boolean: DEEP_PURPLES.LIGHTEST_DEEP,
+  variable: BLUES_TEALS.LIGHTEST_TEAL,
+  function: WARM_TONES.LIGHTEST_WARM,
+  functionBuiltin: WARM_TONES.LIGHT_WARM,
+  class: PURPLES_MAGENTAS.LIGHTEST_PURPLE,
+  type: BROWNS_ORANGES.LIGHTEST_BROWN,
+  typeBuiltin: BROWNS_ORANGES.LIGHT_BROWN,
+  interface: BROWNS_ORANGES.LIGHT_BROWN,
+  property: BLUES_TEALS.BRIGHT_TEAL,
+  propertyBuiltin: BLUES_TEALS.BRIGHT_TEAL,
+  key: BLUES_TEALS.BRIGHT_TEAL,
+  constant: WARM_TONES.LIGHT_WARM,
+  label: BLUES_TEALS.BRIGHT_TEAL,
+  punctuation: GRAYSCALE.LIGHTER_GRAY,
+  quote: GRAYSCALE.LIGHT_GRAY,
+  deprecated: GRAYSCALE.LIGHT_GRAY,
+  invalid: DEEP_PURPLES.LIGHTEST_DEEP,
+  inserted: GREENS.LIGHT_GREEN,
+  deleted: DEEP_PURPLES.LIGHTEST_DEEP
+};
+
+/**
+ * High contrast light theme syntax highlighting using Apollo palette
+ */
+const HC_LIGHT_SYNTAX_COLORS = {
+  comment: GRAYSCALE.MEDIUM_DARK_GRAY,
+  keyword: BLUES_TEALS.DARK_BLUE,
+  operator: GRAYSCALE.DARK_GRAY,
+  string: GREENS.DARK_GREEN,
+  escape: GREENS.DARKEST_GREEN,
+  regexp: GREENS.DARK_GREEN,
+  number: DEEP_PURPLES.DARK_DEEP,
+  boolean: DEEP_PURPLES.DARKEST_DEEP,
+  variable: BLUES_TEALS.DARKEST_BLUE,
+  function: WARM_TONES.DARK_WARM,
+  functionBuiltin: WARM_TONES.DARKEST_WARM,
+  class: BROWNS_ORANGES.DARKEST_BROWN,
+  type: PURPLES_MAGENTAS.DARK_PURPLE,
+  typeBuiltin: PURPLES_MAGENTAS.DARKEST_PURPLE,
+  interface: PURPLES_MAGENTAS.DARK_PURPLE,
+  property: BLUES_TEALS.DARK_BLUE,
+  propertyBuiltin: BLUES_TEALS.DARKEST_BLUE,
+  key: BLUES_TEALS.DARKEST_BLUE,
+  constant: WARM_TONES.DARKEST_WARM,
+  label: BLUES_TEALS.DARK_BLUE,
+  punctuation: GRAYSCALE.DARKER_GRAY,
+  quote: GRAYSCALE.MEDIUM_DARK_GRAY,
+  deprecated: GRAYSCALE.MEDIUM_DARK_GRAY,
+  invalid: PURPLES_MAGENTAS.MEDIUM_PURPLE,
+  inserted: GREENS.DARK_GREEN,
+  deleted: PURPLES_MAGENTAS.MEDIUM_PURPLE
+};
+
+// Token color rules: TextMate scopes mapped to syntax roles
+const TOKEN_COLOR_RULES = [
+  {
+    name: 'Comments',
+    scope: ['comment', 'punctuation.definition.comment'],
+    role: 'comment',
+    fontStyle: 'italic'
+  },
+  {
+    name: 'Keywords',
+    scope: ['keyword', 'storage.type', 'storage.modifier', 'keyword.control', 'keyword.operator.new', 'keyword.operator.expression', 'keyword.operator.cast', 'keyword.operator.sizeof', 'keyword.operator.logical.python'],
+    role: 'keyword'
+  },
+  {
+    name: 'Operators',
+    scope: ['keyword.operator', 'keyword.operator.assignment', 'keyword.operator.arithmetic', 'keyword.operator.bitwise', 'keyword.operator.logical', 'keyword.operator.comparison', 'punctuation.separator', 'punctuation.terminator', 'punctuation.accessor'],
+    role: 'operator'
+  },
+  {
+    name: 'Strings',
+    scope: ['string', 'string.quoted', 'string.template', 'string.interpolated', 'string.regexp'],
+    role: 'string'
+  },
+  {
+    name: 'String Escape Characters',
+    scope: ['constant.character.escape', 'constant.other.placeholder'],
+    role: 'escape'
+  },
+  {
+    name: 'Numbers',
+    scope: ['constant.numeric', 'constant.numeric.integer', 'constant.numeric.float', 'constant.numeric.hex', 'constant.numeric.octal', 'constant.numeric.binary'],
+    role: 'number'
+  },
+  {
+    name: 'Booleans and Constants',
+    scope: ['constant.language.boolean', 'constant.language.null', 'constant.language.undefined', 'constant.language.nan', 'constant.language'],
+    role: 'boolean'
+  },
+  {
+    name: 'Variables',
+    scope: ['variable', 'variable.other', 'variable.parameter', 'variable.language.this', 'variable.language.super'],
+    role: 'variable'
+  },
+  {
+    name: 'Functions',
+    scope: ['entity.name.function', 'meta.function-call', 'support.function', 'keyword.other.special-method'],
+    role: 'function'
+  },
+  {
+    name: 'Classes and Types',
+    scope: ['entity.name.class', 'entity.name.type', 'entity.name.namespace', 'entity.other.inherited-class', 'support.class', 'support.type', 'storage.type.class', 'storage.type.interface'],
+    role: 'class'
+  },
+  {
+    name: 'Object Properties',
+    scope: ['variable.other.property', 'variable.other.object.property', 'meta.object-literal.key', 'entity.name.tag.yaml'],
+    role: 'property'
+  },
+  {
+    name: 'Built-in Constants',
+    scope: ['constant.other', 'constant.character', 'constant.escape', 'variable.language', 'support.constant'],
+    role: 'constant'
+  },
+  {
+    name: 'HTML Tags',
+    scope: ['entity.name.tag', 'punctuation.definition.tag'],
+    role: 'keyword'
+  },
+  {
+    name: 'HTML Attributes',
+    scope: ['entity.other.attribute-name', 'entity.other.attribute-name.html'],
+    role: 'function'
+  },
+  {
+    name: 'HTML Attribute Values',
+    scope: ['string.quoted.double.html', 'string.quoted.single.html'],
+    role: 'string'
+  },
+  {
+    name: 'CSS Selectors',
+    scope: ['entity.name.tag.css', 'entity.other.attribute-name.class.css', 'entity.other.attribute-name.id.css', 'entity.other.attribute-name.pseudo-class.css', 'entity.other.attribute-name.pseudo-element.css'],
+    role: 'key'
+  },
+  {
+    name: 'CSS Properties',
+    scope: ['support.type.property-name.css', 'meta.property-name.css'],
+    role: 'function'
+  },
+  {
+    name: 'CSS Values',
+    scope: ['support.constant.property-value.css', 'meta.property-value.css', 'constant.numeric.css', 'keyword.other.unit.css'],
+    role: 'string'
+  },
+  {
+    name: 'CSS Colors',
+    scope: ['constant.other.color.rgb-value.css', 'constant.other.color.rgb-value.hex.css'],
+    role: 'number'
+  },
+  {
+    name: 'JSON Keys',
+    scope: ['support.type.property-name.json', 'string.quoted.double.json support.type.property-name.json'],
+    role: 'key'
+  },
+  {
+    name: 'JSON Values',
+    scope: ['string.quoted.double.json', 'constant.numeric.json', 'constant.language.json'],
+    role: 'string'
+  },
+  {
+    name: 'JavaScript/TypeScript Keywords',
+    scope: ['keyword.control.flow.js', 'keyword.control.flow.ts', 'keyword.control.conditional.js', 'keyword.control.conditional.ts', 'keyword.control.loop.js', 'keyword.control.loop.ts', 'keyword.control.import.js', 'keyword.control.import.ts', 'keyword.control.export.js', 'keyword.control.export.ts'],
+    role: 'keyword'
+  },
+  {
+    name: 'JavaScript/TypeScript Functions',
+    scope: ['entity.name.function.js', 'entity.name.function.ts', 'meta.function.js', 'meta.function.ts', 'storage.type.function.js', 'storage.type.function.ts'],
+    role: 'function'
+  },
+  {
+    name: 'JavaScript/TypeScript Classes',
+    scope: ['entity.name.class.js', 'entity.name.class.ts', 'storage.type.class.js', 'storage.type.class.ts'],
+    role: 'class'
+  },
+  {
+    name: 'TypeScript Types',
+    scope: ['entity.name.type.ts', 'support.type.primitive.ts', 'keyword.type.ts', 'storage.type.type.ts'],
+    role: 'type'
+  },
+  {
+    name: 'TypeScript Interfaces',
+    scope: ['entity.name.type.interface.ts', 'storage.type.interface.ts'],
+    role: 'interface'
+  },
+  {
+    name: 'Markdown Headings',
+    scope: ['markup.heading', 'entity.name.section.markdown'],
+    role: 'keyword',
+    fontStyle: 'bold'
+  },
+  {
+    name: 'Markdown Bold',
+    scope: ['markup.bold', 'punctuation.definition.bold.markdown'],
+    role: 'function',
+    fontStyle: 'bold'
+  },
+  {
+    name: 'Markdown Italic',
+    scope: ['markup.italic', 'punctuation.definition.italic.markdown'],
+    role: 'string',
+    fontStyle: 'italic'
+  },
+  {
+    name: 'Markdown Code',
+    scope: ['markup.inline.raw.markdown', 'markup.fenced_code.block.markdown'],
+    role: 'number'
+  },
+  {
+    name: 'Markdown Links',
+    scope: ['markup.underline.link.markdown', 'string.other.link.title.markdown'],
+    role: 'key'
+  },
+  {
+    name: 'Markdown Link Text',
+    scope: ['string.other.link.description.markdown'],
+    role: 'variable'
+  },
+  {
+    name: 'Markdown Lists',
+    scope: ['markup.list.unnumbered.markdown', 'markup.list.numbered.markdown', 'punctuation.definition.list.begin.markdown'],
+    role: 'constant'
+  },
+  {
+    name: 'Markdown Quotes',
+    scope: ['markup.quote.markdown', 'punctuation.definition.blockquote.markdown'],
+    role: 'quote',
+    fontStyle: 'italic'
+  },
+  {
+    name: 'Python Decorators',
+    scope: ['meta.function.decorator.python', 'entity.name.function.decorator.python', 'punctuation.definition.decorator.python'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'Python f-String Placeholders',
+    scope: ['constant.character.format.placeholder.other.python', 'storage.type.format.python', 'storage.type.string.python'],
+    role: 'escape'
+  },
+  {
+    name: 'Python f-String Expressions',
+    scope: ['meta.fstring.python'],
+    role: 'variable'
+  },
+  {
+    name: 'Python self and cls',
+    scope: ['variable.language.special.self.python', 'variable.language.special.cls.python', 'variable.parameter.function.language.special.self.python', 'variable.parameter.function.language.special.cls.python'],
+    role: 'constant'
+  },
+  {
+    name: 'Python Built-in Functions',
+    scope: ['support.function.builtin.python', 'support.function.magic.python'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'Go Raw Strings and Struct Tags',
+    scope: ['string.quoted.raw.go'],
+    role: 'regexp'
+  },
+  {
+    name: 'Go Packages',
+    scope: ['entity.name.package.go', 'entity.name.type.package.go'],
+    role: 'class'
+  },
+  {
+    name: 'Go Built-in Types',
+    scope: ['storage.type.numeric.go', 'storage.type.string.go', 'storage.type.boolean.go', 'storage.type.byte.go', 'storage.type.rune.go', 'storage.type.error.go', 'storage.type.uintptr.go'],
+    role: 'typeBuiltin'
+  },
+  {
+    name: 'Go Built-in Functions',
+    scope: ['entity.name.function.support.builtin.go', 'support.function.builtin.go'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'Rust Lifetimes',
+    scope: ['entity.name.type.lifetime.rust', 'punctuation.definition.lifetime.rust', 'storage.modifier.lifetime.rust'],
+    role: 'label'
+  },
+  {
+    name: 'Rust Macros',
+    scope: ['entity.name.function.macro.rust', 'meta.macro.metavariable.rust', 'variable.other.metavariable', 'keyword.operator.macro.dollar.rust'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'Rust Attributes',
+    scope: ['meta.attribute.rust', 'punctuation.definition.attribute.rust'],
+    role: 'constant'
+  },
+  {
+    name: 'Rust Primitive Types',
+    scope: ['entity.name.type.primitive.rust', 'entity.name.type.numeric.rust'],
+    role: 'typeBuiltin'
+  },
+  {
+    name: 'Rust Traits',
+    scope: ['entity.name.type.trait.rust'],
+    role: 'interface'
+  },
+  {
+    name: 'Java Annotations',
+    scope: ['storage.type.annotation.java', 'punctuation.definition.annotation.java'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'Java Primitive Types',
+    scope: ['storage.type.primitive.java', 'storage.type.primitive.array.java'],
+    role: 'typeBuiltin'
+  },
+  {
+    name: 'Java Packages',
+    scope: ['storage.modifier.package.java', 'storage.modifier.import.java'],
+    role: 'class'
+  },
+  {
+    name: 'C# Built-in Types',
+    scope: ['keyword.type.bool.cs', 'keyword.type.byte.cs', 'keyword.type.sbyte.cs', 'keyword.type.short.cs', 'keyword.type.ushort.cs', 'keyword.type.int.cs', 'keyword.type.uint.cs', 'keyword.type.nint.cs', 'keyword.type.nuint.cs', 'keyword.type.long.cs', 'keyword.type.ulong.cs', 'keyword.type.float.cs', 'keyword.type.double.cs', 'keyword.type.decimal.cs', 'keyword.type.char.cs', 'keyword.type.string.cs', 'keyword.type.object.cs', 'keyword.type.void.cs', 'keyword.type.dynamic.cs'],
+    role: 'typeBuiltin'
+  },
+  {
+    name: 'C# Interpolation',
+    scope: ['punctuation.definition.interpolation.begin.cs', 'punctuation.definition.interpolation.end.cs'],
+    role: 'escape'
+  },
+  {
+    name: 'C# Interpolated Expressions',
+    scope: ['meta.interpolation.cs'],
+    role: 'variable'
+  },
+  {
+    name: 'C# Preprocessor',
+    scope: ['meta.preprocessor.cs', 'keyword.preprocessor'],
+    role: 'constant'
+  },
+  {
+    name: 'C/C++ Preprocessor',
+    scope: ['keyword.control.directive', 'punctuation.definition.directive'],
+    role: 'constant'
+  },
+  {
+    name: 'C/C++ Macros',
+    scope: ['entity.name.function.preprocessor'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'C/C++ Built-in Types',
+    scope: ['storage.type.built-in'],
+    role: 'typeBuiltin'
+  },
+  {
+    name: 'C/C++ Namespaces',
+    scope: ['entity.name.scope-resolution', 'entity.name.namespace'],
+    role: 'class'
+  },
+  {
+    name: 'PHP Variables',
+    scope: ['variable.other.php', 'punctuation.definition.variable.php'],
+    role: 'variable'
+  },
+  {
+    name: 'PHP Tags',
+    scope: ['punctuation.section.embedded.begin.php', 'punctuation.section.embedded.end.php'],
+    role: 'keyword'
+  },
+  {
+    name: 'PHP Namespaces',
+    scope: ['support.other.namespace.php', 'entity.name.type.namespace.php'],
+    role: 'class'
+  },
+  {
+    name: 'Ruby Symbols',
+    scope: ['constant.other.symbol.ruby', 'constant.language.symbol.ruby', 'punctuation.definition.constant.ruby'],
+    role: 'label'
+  },
+  {
+    name: 'Ruby Instance and Global Variables',
+    scope: ['variable.other.readwrite.instance.ruby', 'variable.other.readwrite.class.ruby', 'variable.other.readwrite.global.ruby', 'punctuation.definition.variable.ruby'],
+    role: 'property'
+  },
+  {
+    name: 'Ruby Interpolation',
+    scope: ['punctuation.section.embedded.begin.ruby', 'punctuation.section.embedded.end.ruby'],
+    role: 'escape'
+  },
+  {
+    name: 'Ruby Interpolated Expressions',
+    scope: ['meta.embedded.line.ruby'],
+    role: 'variable'
+  },
+  {
+    name: 'Shell Variable Expansions',
+    scope: ['variable.other.normal.shell', 'variable.other.bracket.shell', 'variable.other.positional.shell', 'variable.other.special.shell', 'variable.parameter.positional.shell', 'variable.language.special.shell', 'punctuation.definition.variable.shell', 'punctuation.section.bracket.curly.variable.begin.shell', 'punctuation.section.bracket.curly.variable.end.shell'],
+    role: 'variable'
+  },
+  {
+    name: 'Shell Command Substitution',
+    scope: ['string.interpolated.dollar.shell', 'string.interpolated.backtick.shell', 'punctuation.definition.evaluation.backticks.shell', 'punctuation.definition.subshell.single.shell'],
+    role: 'escape'
+  },
+  {
+    name: 'Shell Commands',
+    scope: ['entity.name.command.shell'],
+    role: 'function'
+  },
+  {
+    name: 'Shell Built-ins',
+    scope: ['support.function.builtin.shell'],
+    role: 'functionBuiltin'
+  },
+  {
+    name: 'YAML Anchors and Aliases',
+    scope: ['entity.name.type.anchor.yaml', 'variable.other.alias.yaml', 'punctuation.definition.anchor.yaml', 'punctuation.definition.alias.yaml'],
+    role: 'label'
+  },
+  {
+    name: 'YAML Tags',
+    scope: ['storage.type.tag-handle.yaml'],
+    role: 'type'
+  },
+  {
+    name: 'YAML Document Markers',
+    scope: ['entity.other.document.begin.yaml', 'entity.other.document.end.yaml'],
+    role: 'punctuation'
+  },
+  {
+    name: 'Punctuation',
+    scope: ['punctuation.definition.string', 'punctuation.definition.array', 'punctuation.definition.hash', 'punctuation.definition.variable'],
+    role: 'punctuation'
+  },
+  {
+    name: 'Brackets',
+    scope: ['punctuation.section.embedded', 'punctuation.section.method', 'punctuation.section.class', 'punctuation.section.inner-class'],
+    role: 'operator'
+  },
+  {
+    name: 'Invalid/Deprecated',
+    scope: ['invalid', 'invalid.illegal', 'invalid.deprecated'],
+    role: 'invalid',
+    fontStyle: 'strikethrough'
+  },
+  {
+    name: 'Diff Inserted',
+    scope: ['markup.inserted', 'meta.diff.header.to-file'],
+    role: 'inserted'
+  },
+  {
+    name: 'Diff Deleted',
+    scope: ['markup.deleted', 'meta.diff.header.from-file'],
+    role: 'deleted'
+  },
+  {
+    name: 'Diff Changed',
+    scope: ['markup.changed'],
+    role: 'constant'
+  }
+];
+
+// Semantic token rules: a syntax role, or a style with an optional role
+const SEMANTIC_TOKEN_RULES = {
+  '*.async': { fontStyle: 'italic' },
+  '*.declaration': { fontStyle: 'bold' },
+  '*.definition': { fontStyle: 'bold' },
+  '*.deprecated': { role: 'deprecated', fontStyle: 'strikethrough' },
+  '*.modification': { fontStyle: 'underline' },
+  '*.readonly': { fontStyle: 'italic' },
+  '*.static': { fontStyle: 'italic' },
+  'class': 'class',
+  'class.declaration': 'class',
+  'class.defaultLibrary': 'interface',
+  'comment': 'comment',
+  'decorator': 'constant',
+  'enum': 'interface',
+  'enum.declaration': 'interface',
+  'enumMember': 'boolean',
+  'enumMember.declaration': 'boolean',
+  'event': 'function',
+  'function': 'function',
+  'function.declaration': 'function',
+  'function.defaultLibrary': 'functionBuiltin',
+  'interface': 'interface',
+  'interface.declaration': 'interface',
+  'interface.defaultLibrary': 'typeBuiltin',
+  'keyword': 'keyword',
+  'label': 'label',
+  'macro': 'keyword',
+  'method': 'function',
+  'method.declaration': 'function',
+  'method.defaultLibrary': 'functionBuiltin',
+  'modifier': 'keyword',
+  'namespace': 'class',
+  'namespace.declaration': 'class',
+  'namespace.defaultLibrary': 'interface',
+  'number': 'number',
+  'operator': 'operator',
+  'parameter': 'variable',
+  'parameter.declaration': 'variable',
+  'property': 'property',
+  'property.declaration': 'property',
+  'property.defaultLibrary': 'propertyBuiltin',
+  'regexp': 'regexp',
+  'string': 'string',
+  'struct': 'class',
+  'type': 'type',
+  'type.declaration': 'type',
+  'type.defaultLibrary': 'typeBuiltin',
+  'typeParameter': 'type',
+  'typeParameter.declaration': 'type',
+  'variable': 'variable',
+  'variable.declaration': 'variable',
+  'variable.defaultLibrary': 'constant'
+};
+
+/**
+ * Helper function to get theme-specific colors
+ * @param {boolean} isDark - Whether to return dark theme colors
+ * @returns ThemeColors object for the specified theme
+ */
+function getThemeColors(isDark) {
+  return isDark ? DARK_THEME_COLORS : LIGHT_THEME_COLORS;
+}
+
+/**
+ * Helper function to get syntax highlighting colors for a specific theme
+ * @param {boolean} isDark - Whether to return dark theme colors
+ * @returns Object with syntax highlighting color mappings
+ */
+function getSyntaxColors(isDark) {
+  return isDark ? DARK_SYNTAX_COLORS : LIGHT_SYNTAX_COLORS;
+}
+
+/**
+ * Helper function to append an alpha channel to a palette color
+ * @param {string} color - 6-digit hex color
+ * @param {string} alpha - 2-digit hex alpha value
+ * @returns 8-digit hex color
+ */
+function withAlpha(color, alpha) {
+  return `${color}${alpha}`;
+}
+
+/**
+ * Helper function to get workbench colors for VS Code theme
+ * @param {boolean} isDark - Whether to return dark theme colors
+ * @returns Object with VS Code workbench color mappings
+ */
+function getWorkbenchColors(isDark) {
+  return composeWorkbenchColors(getThemeColors(isDark));
+}
+
+/**
+ * Builds the complete workbench color map from theme role mappings
+ * @param {ThemeColors} theme - ThemeColors role mapping
+ * @returns Object with every VS Code workbench color the themes define
+ */
+function composeWorkbenchColors(theme) {
+  return {
+    // Activity bar
+    'activityBar.activeBackground': theme.background.highlight,
+    'activityBar.activeBorder': theme.accents.primary,
+    'activityBar.background': theme.background.tertiary,
+    'activityBar.border': theme.background.highlight,
+    'activityBar.foreground': theme.text.primary,
+    'activityBar.inactiveForeground': theme.text.muted,
+
+    // Activity bar badge
+    'activityBarBadge.background': theme.accents.primary,
+    'activityBarBadge.foreground': theme.background.primary,
+
+    // Badge
+    'badge.background': theme.accents.primary,
+    'badge.foreground': theme.text.onAccent,
+
+    // Breadcrumb
+    'breadcrumb.activeSelectionForeground': theme.accents.primary,
+    'breadcrumb.background': theme.background.primary,
+    'breadcrumb.focusForeground': theme.text.primary,
+    'breadcrumb.foreground': theme.text.muted,
+
+    // Breadcrumb picker
+    'breadcrumbPicker.background': theme.background.tertiary,
+
+    // Button
+    'button.background': theme.accents.primary,
+    'button.foreground': theme.text.onAccent,
+    'button.hoverBackground': theme.accents.info,
+    'button.secondaryBackground': theme.border.subtle,
+    'button.secondaryForeground': theme.text.onEmphasis,
+    'button.secondaryHoverBackground': theme.text.subtle,
+
+    // Charts
+    'charts.blue': theme.accents.info,
+    'charts.foreground': theme.text.primary,
+    'charts.green': theme.accents.success,
+    'charts.lines': theme.border.primary,
+    'charts.orange': PURPLES_MAGENTAS.LIGHTEST_PURPLE,
+    'charts.purple': DEEP_PURPLES.LIGHT_DEEP,
+    'charts.red': theme.accents.error,
+    'charts.yellow': theme.accents.warning,
+
+    // Debug exception widget
+    'debugExceptionWidget.background': theme.accents.error,
+    'debugExceptionWidget.border': theme.accents.error,
+
+    // Debug tool bar
+    'debugToolBar.background': theme.background.tertiary,
+    'debugToolBar.border': theme.border.primary,
+
+    // Diff editor
+    'diffEditor.insertedLineBackground': withAlpha(theme.accents.success, '10'),
+    'diffEditor.insertedTextBackground': withAlpha(theme.accents.success, '20'),
+    'diffEditor.removedLineBackground': withAlpha(theme.accents.error, '10'),
+    'diffEditor.removedTextBackground': withAlpha(theme.accents.error, '20'),
+
+    // Dropdown
+    'dropdown.background': theme.background.tertiary,
+    'dropdown.border': theme.border.primary,
+    'dropdown.foreground': theme.text.primary,
+    'dropdown.listBackground': theme.background.tertiary,
+
+    // Editor
+    'editor.background': theme.background.primary,
+    'editor.findMatchBackground': theme.accents.warning,
+    'editor.findMatchHighlightBackground': theme.background.findMatch,
+    'editor.foreground': theme.text.primary,
+    'editor.hoverHighlightBackground': theme.background.secondary,
+    'editor.lineHighlightBackground': theme.background.secondary,
+    'editor.rangeHighlightBackground': withAlpha(theme.background.tertiary, '20'),
+    'editor.selectionBackground': theme.background.selection,
+    'editor.selectionHighlightBackground': withAlpha(theme.background.selection, '80'),
+    'editor.wordHighlightBackground': withAlpha(theme.background.selection, '40'),
+    'editor.wordHighlightStrongBackground': withAlpha(theme.background.selection, '80'),
+
+    // Editor bracket match
+    'editorBracketMatch.background': withAlpha(theme.background.selection, '40'),
+    'editorBracketMatch.border': theme.accents.primary,
+
+    // Editor code lens
+    'editorCodeLens.foreground': theme.text.muted,
+
+    // Editor cursor
+    'editorCursor.foreground': theme.accents.primary,
+
+    // Editor error
+    'editorError.foreground': theme.accents.error,
+
+    // Editor gutter
+    'editorGutter.addedBackground': theme.accents.success,
+    'editorGutter.background': theme.background.primary,
+    'editorGutter.deletedBackground': theme.accents.error,
+    'editorGutter.modifiedBackground': theme.accents.secondary,
+
+    // Editor hint
+    'editorHint.foreground': theme.accents.primary,
+
+    // Editor hover widget
+    'editorHoverWidget.background': theme.background.tertiary,
+    'editorHoverWidget.border': theme.border.primary,
+    'editorHoverWidget.foreground': theme.text.primary,
+
+    // Editor indent guide
+    'editorIndentGuide.activeBackground1': theme.text.subtle,
+    'editorIndentGuide.background1': theme.border.subtle,
+
+    // Editor info
+    'editorInfo.foreground': theme.accents.info,
+
+    // Editor line number
+    'editorLineNumber.activeForeground': theme.text.highlight,
+    'editorLineNumber.foreground': theme.text.subtle,
+
+    // Editor overview ruler
+    'editorOverviewRuler.addedForeground': theme.accents.success,
+    'editorOverviewRuler.border': theme.background.tertiary,
+    'editorOverviewRuler.deletedForeground': theme.accents.error,
+    'editorOverviewRuler.errorForeground': theme.accents.error,
+    'editorOverviewRuler.findMatchForeground': theme.accents.warning,
+    'editorOverviewRuler.infoForeground': theme.accents.info,
+    'editorOverviewRuler.modifiedForeground': theme.accents.secondary,
+    'editorOverviewRuler.rangeHighlightForeground': theme.accents.primary,
+    'editorOverviewRuler.selectionHighlightForeground': theme.background.selection,
+    'editorOverviewRuler.warningForeground': theme.accents.warning,
+    'editorOverviewRuler.wordHighlightForeground': theme.background.selection,
+    'editorOverviewRuler.wordHighlightStrongForeground': theme.background.selection,
+
+    // Editor ruler
+    'editorRuler.foreground': theme.border.primary,
+
+    // Editor suggest widget
+    'editorSuggestWidget.background': theme.background.tertiary,
+    'editorSuggestWidget.border': theme.border.primary,
+    'editorSuggestWidget.foreground': theme.text.primary,
+    'editorSuggestWidget.highlightForeground': theme.accents.primary,
+    'editorSuggestWidget.selectedBackground': theme.background.highlight,
+
+    // Editor warning
+    'editorWarning.foreground': theme.accents.warning,
+
+    // Editor whitespace
+    'editorWhitespace.foreground': theme.border.subtle,
+
+    // Editor widget
+    'editorWidget.background': theme.background.tertiary,
+    'editorWidget.border': theme.border.primary,
+    'editorWidget.foreground': theme.text.primary,
+    'editorWidget.resizeBorder': theme.accents.primary,
+
+    // Extension button
+    'extensionButton.prominentBackground': theme.accents.primary,
+    'extensionButton.prominentForeground': theme.text.onAccent,
+    'extensionButton.prominentHoverBackground': theme.accents.info,
+
+    // Git decoration
+    'gitDecoration.addedResourceForeground': theme.accents.success,
+    'gitDecoration.conflictingResourceForeground': theme.accents.warning,
+    'gitDecoration.deletedResourceForeground': theme.accents.error,
+    'gitDecoration.ignoredResourceForeground': theme.text.disabled,
+    'gitDecoration.modifiedResourceForeground': theme.accents.secondary,
+    'gitDecoration.submoduleResourceForeground': DEEP_PURPLES.LIGHT_DEEP,
+    'gitDecoration.untrackedResourceForeground': theme.accents.primary,
+
+    // Input
+    'input.background': theme.background.tertiary,
+    'input.border': theme.border.primary,
+    'input.foreground': theme.text.primary,
+    'input.placeholderForeground': theme.text.muted,
+
+    // Input option
+    'inputOption.activeBorder': theme.accents.primary,
+
+    // Input validation
+    'inputValidation.errorBackground': theme.accents.error,
+    'inputValidation.errorBorder': theme.accents.error,
+    'inputValidation.errorForeground': theme.text.onEmphasis,
+    'inputValidation.infoBackground': theme.accents.info,
+    'inputValidation.infoBorder': theme.accents.info,
+    'inputValidation.infoForeground': theme.text.onEmphasis,
+    'inputValidation.warningBackground': theme.accents.warning,
+    'inputValidation.warningBorder': theme.accents.warning,
+    'inputValidation.warningForeground': theme.text.onAccent,
+
+    // Keybinding label
+    'keybindingLabel.background': theme.border.primary,
+    'keybindingLabel.border': theme.border.strong,
+    'keybindingLabel.bottomBorder': theme.background.highlight,
+    'keybindingLabel.foreground': theme.text.onEmphasis,
+
+    // List
+    'list.activeSelectionBackground': theme.background.highlight,
+    'list.activeSelectionForeground': theme.text.primary,
+    'list.dropBackground': theme.background.highlight,
+    'list.errorForeground': theme.accents.error,
+    'list.focusBackground': theme.background.highlight,
+    'list.focusForeground': theme.text.primary,
+    'list.highlightForeground': theme.accents.primary,
+    'list.hoverBackground': theme.background.tertiary,
+    'list.hoverForeground': theme.text.primary,
+    'list.inactiveSelectionBackground': theme.background.tertiary,
+    'list.inactiveSelectionForeground': theme.text.secondary,
+    'list.warningForeground': theme.accents.warning,
+
+    // Menu
+    'menu.background': theme.background.tertiary,
+    'menu.border': theme.background.highlight,
+    'menu.foreground': theme.text.primary,
+    'menu.selectionBackground': theme.background.highlight,
+    'menu.selectionForeground': theme.text.primary,
+    'menu.separatorBackground': theme.border.primary,
+
+    // Menubar
+    'menubar.selectionBackground': theme.background.highlight,
+    'menubar.selectionForeground': theme.text.primary,
+
+    // Merge
+    'merge.border': theme.border.primary,
+    'merge.commonContentBackground': withAlpha(theme.accents.warning, '20'),
+    'merge.commonHeaderBackground': theme.accents.warning,
+    'merge.currentContentBackground': withAlpha(theme.accents.success, '20'),
+    'merge.currentHeaderBackground': theme.accents.success,
+    'merge.incomingContentBackground': withAlpha(theme.accents.info, '20'),
+    'merge.incomingHeaderBackground': theme.accents.info,
+
+    // Minimap
+    'minimap.errorHighlight': theme.accents.error,
+    'minimap.findMatchHighlight': theme.accents.warning,
+    'minimap.selectionHighlight': theme.background.selection,
+    'minimap.warningHighlight': theme.accents.warning,
+
+    // Minimap slider
+    'minimapSlider.activeBackground': withAlpha(theme.border.primary, '80'),
+    'minimapSlider.background': withAlpha(theme.border.primary, '40'),
+    'minimapSlider.hoverBackground': withAlpha(theme.border.primary, '60'),
+
+    // Notification center
+    'notificationCenter.border': theme.border.primary,
+
+    // Notification center header
+    'notificationCenterHeader.background': theme.background.tertiary,
+    'notificationCenterHeader.foreground': theme.text.primary,
+
+    // Notification link
+    'notificationLink.foreground': theme.accents.primary,
+
+    // Notification toast
+    'notificationToast.border': theme.border.primary,
+
+    // Notifications
+    'notifications.background': theme.background.tertiary,
+    'notifications.border': theme.border.primary,
+    'notifications.foreground': theme.text.primary,
+
+    // Panel
+    'panel.background': theme.background.secondary,
+    'panel.border': theme.background.tertiary,
+    'panel.dropBorder': theme.accents.primary,
+
+    // Panel input
+    'panelInput.border': theme.border.subtle,
+
+    // Panel title
+    'panelTitle.activeBorder': theme.accents.primary,
+    'panelTitle.activeForeground': theme.text.primary,
+    'panelTitle.inactiveForeground': theme.text.muted,
+
+    // Peek view
+    'peekView.border': theme.accents.primary,
+
+    // Peek view editor
+    'peekViewEditor.background': theme.background.primary,
+    'peekViewEditor.matchHighlightBackground': theme.accents.warning,
+
+    // Peek view result
+    'peekViewResult.background': theme.background.tertiary,
+    'peekViewResult.foreground': theme.text.primary,
+    'peekViewResult.matchHighlightForeground': theme.accents.primary,
+    'peekViewResult.selectionBackground': theme.background.highlight,
+    'peekViewResult.selectionForeground': theme.text.primary,
+
+    // Peek view title
+    'peekViewTitle.background': theme.background.tertiary,
+
+    // Peek view title description
+    'peekViewTitleDescription.foreground': theme.text.muted,
+
+    // Peek view title label
+    'peekViewTitleLabel.foreground': theme.text.primary,
+
+    // Picker group
+    'pickerGroup.border': theme.border.primary,
+    'pickerGroup.foreground': theme.accents.primary,
+
+    // Problems error icon
+    'problemsErrorIcon.foreground': theme.accents.error,
+
+    // Problems info icon
+    'problemsInfoIcon.foreground': theme.accents.info,
+
+    // Problems warning icon
+    'problemsWarningIcon.foreground': theme.accents.warning,
+
+    // Progress bar
+    'progressBar.background': theme.accents.primary,
+
+    // Quick input
+    'quickInput.background': theme.background.tertiary,
+    'quickInput.foreground': theme.text.primary,
+
+    // Quick input list
+    'quickInputList.focusBackground': theme.background.highlight,
+
+    // Scrollbar
+    'scrollbar.shadow': theme.background.primary,
+
+    // Scrollbar slider
+    'scrollbarSlider.activeBackground': withAlpha(theme.border.primary, '80'),
+    'scrollbarSlider.background': withAlpha(theme.border.primary, '40'),
+    'scrollbarSlider.hoverBackground': withAlpha(theme.border.primary, '60'),
+
+    // Settings
+    'settings.checkboxBackground': theme.background.tertiary,
+    'settings.checkboxBorder': theme.border.primary,
+    'settings.checkboxForeground': theme.text.primary,
+    'settings.dropdownBackground': theme.background.tertiary,
+    'settings.dropdownBorder': theme.border.primary,
+    'settings.dropdownForeground': theme.text.primary,
+    'settings.headerForeground': theme.text.primary,
+    'settings.modifiedItemIndicator': theme.accents.primary,
+    'settings.numberInputBackground': theme.background.tertiary,
+    'settings.numberInputBorder': theme.border.primary,
+    'settings.numberInputForeground': theme.text.primary,
+    'settings.textInputBackground': theme.background.tertiary,
+    'settings.textInputBorder': theme.border.primary,
+    'settings.textInputForeground': theme.text.primary,
+
+    // Side bar
+    'sideBar.background': theme.background.secondary,
+    'sideBar.border': theme.background.tertiary,
+    'sideBar.foreground': theme.text.secondary,
+
+    // Side bar section header
+    'sideBarSectionHeader.background': theme.background.tertiary,
+    'sideBarSectionHeader.border': theme.background.highlight,
+    'sideBarSectionHeader.foreground': theme.text.primary,
+
+    // Side bar title
+    'sideBarTitle.foreground': theme.text.primary,
+
+    // Status bar
+    'statusBar.background': theme.background.tertiary,
+    'statusBar.border': theme.background.highlight,
+    'statusBar.debuggingBackground': theme.accents.error,
+    'statusBar.debuggingForeground': theme.text.onEmphasis,
+    'statusBar.foreground': theme.text.primary,
+    'statusBar.noFolderBackground': theme.background.secondary,
+    'statusBar.noFolderForeground': theme.text.secondary,
+
+    // Status bar item
+    'statusBarItem.activeBackground': theme.background.highlight,
+    'statusBarItem.hoverBackground': theme.border.primary,
+    'statusBarItem.prominentBackground': theme.accents.primary,
+    'statusBarItem.prominentForeground': theme.background.primary,
+
+    // Tab
+    'tab.activeBackground': theme.background.primary,
+    'tab.activeBorder': theme.accents.primary,
+    'tab.activeForeground': theme.text.primary,
+    'tab.activeModifiedBorder': theme.accents.secondary,
+    'tab.border': theme.background.tertiary,
+    'tab.hoverBackground': theme.background.tertiary,
+    'tab.inactiveBackground': theme.background.secondary,
+    'tab.inactiveForeground': theme.text.muted,
+    'tab.inactiveModifiedBorder': theme.accents.success,
+    'tab.unfocusedActiveForeground': theme.text.secondary,
+    'tab.unfocusedHoverBackground': theme.background.tertiary,
+    'tab.unfocusedInactiveForeground': theme.text.disabled,
+
+    // Terminal
+    'terminal.ansiBlack': GRAYSCALE.BLACK,
+    'terminal.ansiBlue': theme.accents.info,
+    'terminal.ansiBrightBlack': theme.border.primary,
+    'terminal.ansiBrightBlue': theme.accents.primary,
+    'terminal.ansiBrightCyan': BLUES_TEALS.LIGHTEST_TEAL,
+    'terminal.ansiBrightGreen': theme.accents.secondary,
+    'terminal.ansiBrightMagenta': DEEP_PURPLES.LIGHTEST_DEEP,
+    'terminal.ansiBrightRed': PURPLES_MAGENTAS.LIGHTEST_PURPLE,
+    'terminal.ansiBrightWhite': GRAYSCALE.WHITE,
+    'terminal.ansiBrightYellow': WARM_TONES.LIGHTEST_WARM,
+    'terminal.ansiCyan': theme.accents.primary,
+    'terminal.ansiGreen': theme.accents.success,
+    'terminal.ansiMagenta': DEEP_PURPLES.LIGHT_DEEP,
+    'terminal.ansiRed': theme.accents.error,
+    'terminal.ansiWhite': GRAYSCALE.WHITE,
+    'terminal.ansiYellow': theme.accents.warning,
+    'terminal.background': theme.background.primary,
+    'terminal.foreground': theme.text.primary,
+
+    // Title bar
+    'titleBar.activeBackground': theme.background.tertiary,
+    'titleBar.activeForeground': theme.text.primary,
+    'titleBar.border': theme.background.highlight,
+    'titleBar.inactiveBackground': theme.background.secondary,
+    'titleBar.inactiveForeground': theme.text.muted,
+
+    // Tree
+    'tree.indentGuidesStroke': theme.border.primary,
+
+    // Walk through
+    'walkThrough.embeddedEditorBackground': theme.background.tertiary,
+
+    // Welcome page
+    'welcomePage.background': theme.background.primary,
+    'welcomePage.buttonBackground': theme.background.tertiary,
+    'welcomePage.buttonHoverBackground': theme.background.highlight
+  };
+}
+
+/**
+ * Builds the workbench color map for a high contrast theme
+ * Adds the contrast borders VS Code draws in high contrast mode and replaces
+ * decorations that would otherwise fall below 7:1
+ * @param {ThemeColors} theme - ThemeColors role mapping
+ * @returns Object with VS Code workbench color mappings
+ */
+function composeHighContrastColors(theme) {
+  return {
+    ...composeWorkbenchColors(theme),
+    'contrastActiveBorder': theme.accents.primary,
+    'contrastBorder': theme.border.primary,
+    'focusBorder': theme.accents.primary,
+    'editorOverviewRuler.selectionHighlightForeground': theme.accents.info,
+    'editorOverviewRuler.wordHighlightForeground': theme.accents.info,
+    'editorOverviewRuler.wordHighlightStrongForeground': theme.accents.info,
+    'gitDecoration.submoduleResourceForeground': theme.accents.info,
+    'statusBarItem.hoverBackground': theme.background.highlight
+  };
+}
+
+/**
+ * Builds the tokenColors array from syntax role mappings
+ * @param {SyntaxColors} syntax - SyntaxColors role mapping
+ * @returns Array of VS Code tokenColors rules
+ */
+function composeTokenColors(syntax) {
+  return TOKEN_COLOR_RULES.map(rule => ({
+    name: rule.name,
+    scope: [...rule.scope],
+    settings: rule.fontStyle
+      ? { foreground: syntax[rule.role], fontStyle: rule.fontStyle }
+      : { foreground: syntax[rule.role] }
+  }));
+}
+
+/**
+ * Builds the semanticTokenColors object from syntax role mappings
+ * @param {SyntaxColors} syntax - SyntaxColors role mapping
+ * @returns Object with VS Code semanticTokenColors entries
+ */
+function composeSemanticTokenColors(syntax) {
+  const semanticTokenColors = {};
+
+  for (const [selector, rule] of Object.entries(SEMANTIC_TOKEN_RULES)) {
+    if (typeof rule === 'string') {
+      semanticTokenColors[selector] = syntax[rule];
+    } else {
+      semanticTokenColors[selector] = {
+        ...(rule.role ? { foreground: syntax[rule.role] } : {}),
+        ...(rule.fontStyle ? { fontStyle: rule.fontStyle } : {})
+      };
+    }
+  }
+
+  return semanticTokenColors;
+}
+
+/**
+ * Utility function to validate hex color format
+ * @param {string} color - Color string to validate
+ * @returns boolean indicating if color is valid hex format
+ */
+function isValidHexColor(color) {
+  return /^#[0-9A-Fa-f]{6}$/.test(color);
+}
+
+/**
+ * Utility function to get all colors from a thematic group
+ * @param {Record<string, string>} group - Color group object
+ * @returns Array of color values
+ */
+function getColorsFromGroup(group) {
+  return Object.values(group);
+}
+
+/**
+ * Utility function to get all Apollo palette colors as an array
+ * @returns Array of all 48 Apollo palette colors
+ */
+function getAllApolloColors() {
+  return Object.values(APOLLO_PALETTE);
+}
+
+/**
+ * Type guard to check if a color exists in the Apollo palette
+ * @param {string} color - Color string to check
+ * @returns boolean indicating if color exists in palette
+ */
+function isApolloColor(color) {
+  return getAllApolloColors().includes(color);
+}
+
+module.exports = {
+  BLUES_TEALS,
+  GREENS,
+  BROWNS_ORANGES,
+  WARM_TONES,
+  PURPLES_MAGENTAS,
+  DEEP_PURPLES,
+  GRAYSCALE,
+  APOLLO_PALETTE,
+  PALETTE_GROUPS,
+  DARK_THEME_COLORS,
+  LIGHT_THEME_COLORS,
+  DARK_SYNTAX_COLORS,
+  LIGHT_SYNTAX_COLORS,
+  HC_DARK_THEME_COLORS,
+  HC_LIGHT_THEME_COLORS,
+  HC_DARK_SYNTAX_COLORS,
+  HC_LIGHT_SYNTAX_COLORS,
+  TOKEN_COLOR_RULES,
+  SEMANTIC_TOKEN_RULES,
+  getThemeColors,
+  getSyntaxColors,
+  withAlpha,
+  getWorkbenchColors,
+  composeWorkbenchColors,
+  composeHighContrastColors,
+  composeTokenColors,
+  composeSemanticTokenColors,
+  isValidHexColor,
+  getColorsFromGroup,
+  getAllApolloColors,
+  isApolloColor
+};
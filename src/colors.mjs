@@ -0,0 +1,44 @@
+/**
+ * Apollo Color Palette - ES module entry point
+ *
+ * Re-exports the CommonJS palette in colors.js so both module systems share
+ * one source of truth.
+ */
+
+import colors from './colors.js';
+
+export const {
+  BLUES_TEALS,
+  GREENS,
+  BROWNS_ORANGES,
+  WARM_TONES,
+  PURPLES_MAGENTAS,
+  DEEP_PURPLES,
+  GRAYSCALE,
+  APOLLO_PALETTE,
+  PALETTE_GROUPS,
+  DARK_THEME_COLORS,
+  LIGHT_THEME_COLORS,
+  DARK_SYNTAX_COLORS,
+  LIGHT_SYNTAX_COLORS,
+  HC_DARK_THEME_COLORS,
+  HC_LIGHT_THEME_COLORS,
+  HC_DARK_SYNTAX_COLORS,
+  HC_LIGHT_SYNTAX_COLORS,
+  TOKEN_COLOR_RULES,
+  SEMANTIC_TOKEN_RULES,
+  getThemeColors,
+  getSyntaxColors,
+  withAlpha,
+  getWorkbenchColors,
+  composeWorkbenchColors,
+  composeHighContrastColors,
+  composeTokenColors,
+  composeSemanticTokenColors,
+  isValidHexColor,
+  getColorsFromGroup,
+  getAllApolloColors,
+  isApolloColor
+} = colors;
+
+export default colors;
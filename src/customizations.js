@@ -0,0 +1,230 @@
+/**
+ * Apollo Customizations
+ *
+ * Turns the `apollo.*` settings into `workbench.colorCustomizations` and
+ * `editor.tokenColorCustomizations` blocks scoped to Apollo themes, and merges
+ * them into (or removes them from) the user's existing values without touching
+ * anything the extension did not write. Kept free of the `vscode` module so the
+ * logic can be tested with plain Node.
+ */
+
+const { GRAYSCALE, TOKEN_COLOR_RULES, isApolloColor } = require('./colors');
+const { contrastRatio } = require('./color-math');
+
+// Workbench keys that follow the accent color
+const ACCENT_KEYS = [
+  'activityBar.activeBorder',
+  'activityBarBadge.background',
+  'badge.background',
+  'button.background',
+  'extensionButton.prominentBackground',
+  'focusBorder',
+  'panelTitle.activeBorder',
+  'progressBar.background',
+  'tab.activeBorder',
+  'tab.activeBorderTop'
+];
+
+// Foregrounds drawn on top of accent-colored backgrounds
+const ON_ACCENT_KEYS = [
+  'activityBarBadge.foreground',
+  'badge.foreground',
+  'button.foreground',
+  'extensionButton.prominentForeground'
+];
+
+// Structural borders between workbench regions, hidden by apollo.borderlessUI
+const BORDER_KEYS = [
+  'activityBar.border',
+  'editorGroup.border',
+  'editorGroupHeader.tabsBorder',
+  'panel.border',
+  'sideBar.border',
+  'sideBarSectionHeader.border',
+  'statusBar.border',
+  'tab.border',
+  'titleBar.border'
+];
+
+const TRANSPARENT = '#00000000';
+
+// textMateRules written by the extension are identified by these names
+const RULE_NAMES = {
+  italicComments: 'Apollo: apollo.italicComments',
+  boldKeywords: 'Apollo: apollo.boldKeywords'
+};
+
+/**
+ * Scopes collected from TOKEN_COLOR_RULES by rule name
+ * @param {string[]} names - Rule names
+ * @returns {string[]}
+ */
+function scopesFor(names) {
+  return TOKEN_COLOR_RULES
+    .filter(rule => names.includes(rule.name))
+    .flatMap(rule => rule.scope);
+}
+
+/**
+ * Pick black or white text, whichever contrasts more with the accent
+ * @param {string} accent - Palette hex color
+ * @returns {string}
+ */
+function onAccentColor(accent) {
+  return contrastRatio(GRAYSCALE.BLACK, accent) >= contrastRatio(GRAYSCALE.WHITE, accent)
+    ? GRAYSCALE.BLACK
+    : GRAYSCALE.WHITE;
+}
+
+/**
+ * Workbench colors for an accent color
+ * @param {string} accent - Palette hex color
+ * @returns {Object<string, string>}
+ */
+function accentColors(accent) {
+  const colors = {};
+  const foreground = onAccentColor(accent);
+  ACCENT_KEYS.forEach(key => { colors[key] = accent; });
+  ON_ACCENT_KEYS.forEach(key => { colors[key] = foreground; });
+  return colors;
+}
+
+/**
+ * Build the customizations for one set of settings
+ * @param {{ italicComments?: boolean, boldKeywords?: boolean, borderlessUI?: boolean, accentColor?: string }} settings
+ * @returns {{ colors: Object<string, string>, textMateRules: Object[], warnings: string[] }}
+ */
+function buildCustomizations(settings) {
+  const colors = {};
+  const textMateRules = [];
+  const warnings = [];
+
+  if (settings.borderlessUI) {
+    BORDER_KEYS.forEach(key => { colors[key] = TRANSPARENT; });
+  }
+
+  if (settings.accentColor) {
+    const accent = settings.accentColor.toLowerCase();
+    if (isApolloColor(accent)) {
+      Object.assign(colors, accentColors(accent));
+    } else {
+      warnings.push(`apollo.accentColor "${settings.accentColor}" is not an Apollo palette color and was ignored`);
+    }
+  }
+
+  // Comments are italic in the themes, so only the opt-out needs a rule
+  if (settings.italicComments === false) {
+    textMateRules.push({
+      name: RULE_NAMES.italicComments,
+      scope: scopesFor(['Comments']),
+      settings: { fontStyle: '' }
+    });
+  }
+
+  if (settings.boldKeywords) {
+    textMateRules.push({
+      name: RULE_NAMES.boldKeywords,
+      scope: scopesFor(['Keywords', 'JavaScript/TypeScript Keywords']),
+      settings: { fontStyle: 'bold' }
+    });
+  }
+
+  return { colors, textMateRules, warnings };
+}
+
+/**
+ * Merge color customizations into a `workbench.colorCustomizations` value
+ * Keys written previously are removed first, but only while they still hold the
+ * value the extension wrote. Keys the user set themselves are never overwritten.
+ * @param {Object} current - Current setting value (not modified)
+ * @param {Object<string, Object<string, string>>} previous - Colors written last time, by theme scope
+ * @param {Object<string, Object<string, string>>} next - Colors to write now, by theme scope
+ * @returns {{ value: Object|undefined, written: Object<string, Object<string, string>> }}
+ *   New setting value (undefined when empty) and the colors actually written
+ */
+function mergeColorCustomizations(current, previous, next) {
+  const value = JSON.parse(JSON.stringify(current || {}));
+  const written = {};
+
+  for (const [scope, colors] of Object.entries(previous || {})) {
+    if (!value[scope]) continue;
+    for (const [key, color] of Object.entries(colors)) {
+      if (value[scope][key] === color) {
+        delete value[scope][key];
+      }
+    }
+  }
+
+  for (const [scope, colors] of Object.entries(next || {})) {
+    const block = value[scope] || {};
+    for (const [key, color] of Object.entries(colors)) {
+      if (block[key] !== undefined) continue;
+      block[key] = color;
+      written[scope] = { ...(written[scope] || {}), [key]: color };
+    }
+    value[scope] = block;
+  }
+
+  for (const scope of Object.keys(value)) {
+    if (scope.startsWith('[') && Object.keys(value[scope]).length === 0) {
+      delete value[scope];
+    }
+  }
+
+  return { value: Object.keys(value).length > 0 ? value : undefined, written };
+}
+
+/**
+ * Merge textMateRules into an `editor.tokenColorCustomizations` value
+ * Rules the extension wrote are recognised by name and replaced.
+ * @param {Object} current - Current setting value (not modified)
+ * @param {string[]} scopes - Theme scopes the extension manages, e.g. '[Apollo Dark]'
+ * @param {Object[]} rules - textMateRules to write into every scope
+ * @returns {Object|undefined} New setting value, undefined when empty
+ */
+function mergeTokenCustomizations(current, scopes, rules) {
+  const result = JSON.parse(JSON.stringify(current || {}));
+  const ownNames = Object.values(RULE_NAMES);
+
+  for (const scope of scopes) {
+    const block = result[scope] || {};
+    const userRules = (block.textMateRules || []).filter(rule => !ownNames.includes(rule.name));
+    const textMateRules = [...userRules, ...rules];
+
+    if (textMateRules.length > 0) {
+      block.textMateRules = textMateRules;
+    } else {
+      delete block.textMateRules;
+    }
+
+    if (Object.keys(block).length > 0) {
+      result[scope] = block;
+    } else {
+      delete result[scope];
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Theme scope for a contributed theme label
+ * @param {string} label - Theme label, e.g. 'Apollo Dark'
+ * @returns {string} e.g. '[Apollo Dark]'
+ */
+function themeScope(label) {
+  return `[${label}]`;
+}
+
+module.exports = {
+  ACCENT_KEYS,
+  ON_ACCENT_KEYS,
+  BORDER_KEYS,
+  RULE_NAMES,
+  onAccentColor,
+  accentColors,
+  buildCustomizations,
+  mergeColorCustomizations,
+  mergeTokenCustomizations,
+  themeScope
+};
@@ -0,0 +1,246 @@
+/**
+ * Apollo Design Tokens
+ *
+ * Renders the palette from src/colors.js as design tokens for web projects:
+ * CSS custom properties, SCSS maps, a Tailwind preset and W3C Design Tokens
+ * Community Group (DTCG) JSON. Every format keeps the palette groups
+ * (`BLUES_TEALS`, `GREENS`, …) and the semantic roles of Apollo Dark and
+ * Apollo Light, with each role pointing at its palette color rather than a copy
+ * of the hex value.
+ */
+
+const { APOLLO_PALETTE, PALETTE_GROUPS, DARK_THEME_COLORS, LIGHT_THEME_COLORS } = require('./colors');
+
+const PREFIX = 'apollo';
+const SOURCE = 'src/colors.js';
+
+// Role sets in the order the CSS applies them; the first one is the default
+const SCHEMES = [
+  { id: 'dark', label: 'Apollo Dark', roles: DARK_THEME_COLORS },
+  { id: 'light', label: 'Apollo Light', roles: LIGHT_THEME_COLORS }
+];
+
+/**
+ * `DARKEST_BLUE` → `darkest-blue`, `onAccent` → `on-accent`
+ */
+function tokenId(name) {
+  return name.replace(/([a-z])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+}
+
+const PALETTE_IDS = new Map(Object.entries(APOLLO_PALETTE).map(([name, color]) => [color, tokenId(name)]));
+
+/**
+ * Palette colors by group
+ * @returns {{ id: string, label: string, colors: { id: string, value: string }[] }[]}
+ */
+function paletteGroups() {
+  return PALETTE_GROUPS.map(group => ({
+    id: tokenId(group.name),
+    label: group.label,
+    colors: Object.entries(group.colors).map(([name, value]) => ({ id: tokenId(name), value }))
+  }));
+}
+
+/**
+ * Semantic roles of a scheme, each tied to its palette color
+ * @returns {{ id: string, roles: { id: string, value: string, palette: string }[] }[]}
+ */
+function roleGroups(roles) {
+  return Object.entries(roles).map(([group, entries]) => ({
+    id: tokenId(group),
+    roles: Object.entries(entries).map(([name, value]) => {
+      const palette = PALETTE_IDS.get(value);
+      if (!palette) {
+        throw new Error(`Role ${group}.${name} is ${value}, which is not an Apollo palette color`);
+      }
+      return { id: tokenId(name), value, palette };
+    })
+  }));
+}
+
+function groupOf(paletteId) {
+  return paletteGroups().find(group => group.colors.some(color => color.id === paletteId));
+}
+
+function css() {
+  const roleDeclarations = scheme => roleGroups(scheme.roles).flatMap(group =>
+    group.roles.map(role => `--${PREFIX}-${group.id}-${role.id}: var(--${PREFIX}-${role.palette});`));
+  const indent = (lines, depth) => lines.map(line => `${'  '.repeat(depth)}${line}`);
+  const [defaultScheme, ...others] = SCHEMES;
+
+  const lines = [
+    `/* Apollo design tokens, generated from ${SOURCE} */`,
+    '',
+    '/* Palette */',
+    ':root {'
+  ];
+  paletteGroups().forEach((group, index) => {
+    if (index > 0) lines.push('');
+    lines.push(`  /* ${group.label} */`);
+    group.colors.forEach(color => lines.push(`  --${PREFIX}-${color.id}: ${color.value};`));
+  });
+  lines.push('}', '');
+
+  lines.push(
+    `/* ${defaultScheme.label} roles, the default */`,
+    `:root,`,
+    `[data-${PREFIX}-theme="${defaultScheme.id}"] {`,
+    `  color-scheme: ${defaultScheme.id};`,
+    ...indent(roleDeclarations(defaultScheme), 1),
+    '}',
+    ''
+  );
+
+  for (const scheme of others) {
+    lines.push(
+      `/* ${scheme.label} roles */`,
+      `[data-${PREFIX}-theme="${scheme.id}"] {`,
+      `  color-scheme: ${scheme.id};`,
+      ...indent(roleDeclarations(scheme), 1),
+      '}',
+      '',
+      `/* ${scheme.label} roles when the system prefers ${scheme.id} and no data-${PREFIX}-theme is set */`,
+      `@media (prefers-color-scheme: ${scheme.id}) {`,
+      `  :root:not([data-${PREFIX}-theme]) {`,
+      `    color-scheme: ${scheme.id};`,
+      ...indent(roleDeclarations(scheme), 2),
+      '  }',
+      '}',
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function scss() {
+  const lines = [`// Apollo design tokens, generated from ${SOURCE}`, ''];
+
+  for (const group of paletteGroups()) {
+    lines.push(`// ${group.label}`);
+    group.colors.forEach(color => lines.push(`$${PREFIX}-${color.id}: ${color.value};`));
+    lines.push(
+      `$${PREFIX}-${group.id}: (`,
+      group.colors.map(color => `  '${color.id}': $${PREFIX}-${color.id}`).join(',\n'),
+      ');',
+      ''
+    );
+  }
+
+  lines.push(
+    '// Palette by group',
+    `$${PREFIX}-palette: (`,
+    paletteGroups().map(group => `  '${group.id}': $${PREFIX}-${group.id}`).join(',\n'),
+    ');',
+    ''
+  );
+
+  for (const scheme of SCHEMES) {
+    lines.push(
+      `// ${scheme.label} roles`,
+      `$${PREFIX}-${scheme.id}: (`,
+      roleGroups(scheme.roles).map(group => [
+        `  '${group.id}': (`,
+        group.roles.map(role => `    '${role.id}': $${PREFIX}-${role.palette}`).join(',\n'),
+        '  )'
+      ].join('\n')).join(',\n'),
+      ');',
+      ''
+    );
+  }
+
+  lines.push(
+    '// Roles by scheme',
+    `$${PREFIX}-schemes: (`,
+    SCHEMES.map(scheme => `  '${scheme.id}': $${PREFIX}-${scheme.id}`).join(',\n'),
+    ');',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+function tailwind() {
+  const palette = {};
+  for (const group of paletteGroups()) {
+    palette[group.id] = Object.fromEntries(group.colors.map(color => [color.id, color.value]));
+  }
+
+  // Roles read the CSS custom properties, so they follow the active scheme
+  const roles = {};
+  for (const group of roleGroups(SCHEMES[0].roles)) {
+    roles[group.id] = Object.fromEntries(group.roles.map(role => [role.id, `var(--${PREFIX}-${group.id}-${role.id})`]));
+  }
+
+  const preset = { theme: { extend: { colors: { [PREFIX]: { ...palette, ...roles } } } } };
+  const body = JSON.stringify(preset, null, 2).replace(/"([a-z][\w]*)":/g, '$1:').replace(/"/g, "'");
+
+  return [
+    `// Apollo Tailwind preset, generated from ${SOURCE}`,
+    `// Palette colors: bg-${PREFIX}-blues-teals-bright-teal, text-${PREFIX}-grayscale-white, ...`,
+    `// Role colors follow apollo.css: bg-${PREFIX}-background-primary, text-${PREFIX}-text-muted, ...`,
+    `module.exports = ${body};`,
+    ''
+  ].join('\n');
+}
+
+function dtcg() {
+  const palette = { $description: 'Apollo palette by group' };
+  for (const group of paletteGroups()) {
+    palette[group.id] = { $description: group.label };
+    group.colors.forEach(color => {
+      palette[group.id][color.id] = { $value: color.value };
+    });
+  }
+
+  const tokens = {
+    [PREFIX]: {
+      $type: 'color',
+      $description: `Apollo design tokens, generated from ${SOURCE}`,
+      palette
+    }
+  };
+
+  for (const scheme of SCHEMES) {
+    const roles = { $description: `${scheme.label} roles` };
+    for (const group of roleGroups(scheme.roles)) {
+      roles[group.id] = {};
+      group.roles.forEach(role => {
+        roles[group.id][role.id] = { $value: `{${PREFIX}.palette.${groupOf(role.palette).id}.${role.palette}}` };
+      });
+    }
+    tokens[PREFIX][scheme.id] = roles;
+  }
+
+  return JSON.stringify(tokens, null, 2) + '\n';
+}
+
+// Export formats: output file and formatter
+const DESIGN_TOKEN_FORMATS = [
+  { id: 'css', label: 'CSS custom properties', file: 'apollo.css', format: css },
+  { id: 'scss', label: 'SCSS maps', file: '_apollo.scss', format: scss },
+  { id: 'tailwind', label: 'Tailwind preset', file: 'tailwind-preset.js', format: tailwind },
+  { id: 'dtcg', label: 'W3C DTCG JSON', file: 'apollo.tokens.json', format: dtcg }
+];
+
+/**
+ * Render the design tokens in one format
+ * @param {string} formatId - One of DESIGN_TOKEN_FORMATS
+ * @returns {{ file: string, content: string }}
+ */
+function exportDesignTokens(formatId) {
+  const format = DESIGN_TOKEN_FORMATS.find(candidate => candidate.id === formatId);
+  if (!format) {
+    throw new Error(`Unknown design token format: ${formatId}`);
+  }
+  return { file: format.file, content: format.format() };
+}
+
+module.exports = {
+  SCHEMES,
+  DESIGN_TOKEN_FORMATS,
+  tokenId,
+  paletteGroups,
+  roleGroups,
+  exportDesignTokens
+};
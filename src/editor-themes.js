@@ -0,0 +1,620 @@
+/**
+ * Apollo Editor Themes
+ *
+ * Turns a VS Code theme into color schemes for Neovim, Helix and Sublime Text.
+ * Each Neovim or Helix highlight group is tied to the TextMate scope VS Code
+ * grammars give the same construct, and its style is whatever the theme's
+ * `tokenColors` resolve for that scope, so the exports follow the theme rather
+ * than a second hand-kept mapping. Sublime Text reads TextMate scopes itself,
+ * so its rules are the theme's rules.
+ */
+
+const { APOLLO_PALETTE, isApolloColor } = require('./colors');
+const { compositeOver, splitAlpha } = require('./color-math');
+const { scopeMatches, parseSelectors, matchSelector, resolveTokenStyle } = require('./scope-selectors');
+const { terminalPalette } = require('./terminal-themes');
+
+// Workbench colors the editors' UI is drawn with, as VS Code key fallback chains
+const UI_ROLES = {
+  background: ['editor.background'],
+  foreground: ['editor.foreground'],
+  cursor: ['editorCursor.foreground', 'editor.foreground'],
+  lineHighlight: ['editor.lineHighlightBackground', 'editor.background'],
+  selection: ['editor.selectionBackground'],
+  lineNumber: ['editorLineNumber.foreground'],
+  lineNumberActive: ['editorLineNumber.activeForeground', 'editor.foreground'],
+  gutter: ['editorGutter.background', 'editor.background'],
+  findMatch: ['editor.findMatchBackground'],
+  findMatchHighlight: ['editor.findMatchHighlightBackground', 'editor.findMatchBackground'],
+  bracketMatch: ['editorBracketMatch.background', 'editor.selectionBackground'],
+  statusBar: ['statusBar.background'],
+  statusBarForeground: ['statusBar.foreground'],
+  statusBarInactive: ['statusBar.noFolderBackground', 'statusBar.background'],
+  split: ['editorGroup.border', 'panel.border', 'statusBar.border'],
+  popup: ['editorSuggestWidget.background', 'editorWidget.background'],
+  popupForeground: ['editorSuggestWidget.foreground', 'editor.foreground'],
+  popupSelection: ['editorSuggestWidget.selectedBackground', 'list.activeSelectionBackground'],
+  whitespace: ['editorWhitespace.foreground'],
+  indentGuide: ['editorIndentGuide.background1', 'editorIndentGuide.background', 'editorWhitespace.foreground'],
+  ruler: ['editorRuler.foreground', 'editorWhitespace.foreground'],
+  muted: ['editorCodeLens.foreground', 'editorLineNumber.foreground'],
+  error: ['editorError.foreground', 'errorForeground'],
+  warning: ['editorWarning.foreground'],
+  info: ['editorInfo.foreground'],
+  hint: ['editorHint.foreground', 'editorInfo.foreground'],
+  added: ['editorGutter.addedBackground', 'gitDecoration.addedResourceForeground'],
+  modified: ['editorGutter.modifiedBackground', 'gitDecoration.modifiedResourceForeground'],
+  deleted: ['editorGutter.deletedBackground', 'gitDecoration.deletedResourceForeground']
+};
+
+// Neovim groups: the classic syntax groups, then treesitter captures, each with
+// the TextMate scope that stands for the same construct
+const NEOVIM_SYNTAX_GROUPS = [
+  ['Comment', 'comment'],
+  ['Constant', 'constant.other'],
+  ['String', 'string'],
+  ['Character', 'constant.character'],
+  ['Number', 'constant.numeric'],
+  ['Boolean', 'constant.language.boolean'],
+  ['Float', 'constant.numeric.float'],
+  ['Identifier', 'variable'],
+  ['Function', 'entity.name.function'],
+  ['Statement', 'keyword.control'],
+  ['Conditional', 'keyword.control.conditional'],
+  ['Repeat', 'keyword.control.loop'],
+  ['Label', 'entity.name.label'],
+  ['Operator', 'keyword.operator'],
+  ['Keyword', 'keyword'],
+  ['Exception', 'keyword.control.exception'],
+  ['PreProc', 'keyword.control.import'],
+  ['Include', 'keyword.control.import'],
+  ['Type', 'entity.name.type'],
+  ['StorageClass', 'storage.modifier'],
+  ['Structure', 'storage.type.class'],
+  ['Special', 'constant.character.escape'],
+  ['SpecialChar', 'constant.character.escape'],
+  ['Tag', 'entity.name.tag'],
+  ['Delimiter', 'punctuation.separator'],
+  ['Title', 'markup.heading'],
+  ['Underlined', 'markup.underline.link.markdown'],
+  ['Error', 'invalid.illegal'],
+  ['@comment', 'comment'],
+  ['@comment.documentation', 'comment.block.documentation'],
+  ['@keyword', 'keyword'],
+  ['@keyword.function', 'storage.type.function'],
+  ['@keyword.operator', 'keyword.operator.expression'],
+  ['@keyword.import', 'keyword.control.import'],
+  ['@keyword.return', 'keyword.control.flow'],
+  ['@keyword.conditional', 'keyword.control.conditional'],
+  ['@keyword.repeat', 'keyword.control.loop'],
+  ['@keyword.exception', 'keyword.control.exception'],
+  ['@keyword.modifier', 'storage.modifier'],
+  ['@keyword.type', 'storage.type'],
+  ['@operator', 'keyword.operator'],
+  ['@punctuation.delimiter', 'punctuation.separator'],
+  ['@punctuation.bracket', 'punctuation.definition.array'],
+  ['@punctuation.special', 'punctuation.section.embedded'],
+  ['@string', 'string'],
+  ['@string.escape', 'constant.character.escape'],
+  ['@string.regexp', 'string.regexp'],
+  ['@string.special', 'constant.other.placeholder'],
+  ['@string.special.url', 'markup.underline.link.markdown'],
+  ['@character', 'constant.character'],
+  ['@number', 'constant.numeric'],
+  ['@number.float', 'constant.numeric.float'],
+  ['@boolean', 'constant.language.boolean'],
+  ['@constant', 'constant.other'],
+  ['@constant.builtin', 'constant.language'],
+  ['@variable', 'variable'],
+  ['@variable.builtin', 'variable.language'],
+  ['@variable.parameter', 'variable.parameter'],
+  ['@variable.member', 'variable.other.object.property'],
+  ['@property', 'variable.other.property'],
+  ['@function', 'entity.name.function'],
+  ['@function.call', 'meta.function-call'],
+  ['@function.builtin', 'support.function'],
+  ['@function.method', 'entity.name.function'],
+  ['@constructor', 'entity.name.class'],
+  ['@type', 'entity.name.type'],
+  ['@type.builtin', 'support.type'],
+  ['@type.definition', 'entity.name.type'],
+  ['@module', 'entity.name.namespace'],
+  ['@label', 'entity.name.label'],
+  ['@attribute', 'entity.other.attribute-name'],
+  ['@tag', 'entity.name.tag'],
+  ['@tag.attribute', 'entity.other.attribute-name'],
+  ['@tag.delimiter', 'punctuation.definition.tag'],
+  ['@markup.heading', 'markup.heading'],
+  ['@markup.strong', 'markup.bold'],
+  ['@markup.italic', 'markup.italic'],
+  ['@markup.raw', 'markup.inline.raw.markdown'],
+  ['@markup.raw.block', 'markup.fenced_code.block.markdown'],
+  ['@markup.link.url', 'markup.underline.link.markdown'],
+  ['@markup.link.label', 'string.other.link.description.markdown'],
+  ['@markup.list', 'markup.list.unnumbered.markdown'],
+  ['@markup.quote', 'markup.quote.markdown'],
+  ['@diff.plus', 'markup.inserted'],
+  ['@diff.minus', 'markup.deleted'],
+  ['@diff.delta', 'markup.changed']
+];
+
+// Helix scopes with the TextMate scope that stands for the same construct
+const HELIX_SYNTAX_SCOPES = [
+  ['comment', 'comment'],
+  ['comment.block.documentation', 'comment.block.documentation'],
+  ['keyword', 'keyword'],
+  ['keyword.control', 'keyword.control'],
+  ['keyword.control.conditional', 'keyword.control.conditional'],
+  ['keyword.control.repeat', 'keyword.control.loop'],
+  ['keyword.control.import', 'keyword.control.import'],
+  ['keyword.control.return', 'keyword.control.flow'],
+  ['keyword.control.exception', 'keyword.control.exception'],
+  ['keyword.operator', 'keyword.operator.expression'],
+  ['keyword.function', 'storage.type.function'],
+  ['keyword.storage.type', 'storage.type'],
+  ['keyword.storage.modifier', 'storage.modifier'],
+  ['operator', 'keyword.operator'],
+  ['punctuation', 'punctuation.definition.string'],
+  ['punctuation.delimiter', 'punctuation.separator'],
+  ['punctuation.bracket', 'punctuation.definition.array'],
+  ['punctuation.special', 'punctuation.section.embedded'],
+  ['string', 'string'],
+  ['string.regexp', 'string.regexp'],
+  ['string.special', 'constant.other.placeholder'],
+  ['string.special.url', 'markup.underline.link.markdown'],
+  ['constant', 'constant.other'],
+  ['constant.builtin', 'constant.language'],
+  ['constant.builtin.boolean', 'constant.language.boolean'],
+  ['constant.character', 'constant.character'],
+  ['constant.character.escape', 'constant.character.escape'],
+  ['constant.numeric', 'constant.numeric'],
+  ['constant.numeric.float', 'constant.numeric.float'],
+  ['variable', 'variable'],
+  ['variable.builtin', 'variable.language'],
+  ['variable.parameter', 'variable.parameter'],
+  ['variable.other.member', 'variable.other.property'],
+  ['function', 'entity.name.function'],
+  ['function.builtin', 'support.function'],
+  ['function.method', 'entity.name.function'],
+  ['function.special', 'keyword.other.special-method'],
+  ['constructor', 'entity.name.class'],
+  ['type', 'entity.name.type'],
+  ['type.builtin', 'support.type'],
+  ['namespace', 'entity.name.namespace'],
+  ['label', 'entity.name.label'],
+  ['attribute', 'entity.other.attribute-name'],
+  ['tag', 'entity.name.tag'],
+  ['markup.heading', 'markup.heading'],
+  ['markup.bold', 'markup.bold'],
+  ['markup.italic', 'markup.italic'],
+  ['markup.raw.inline', 'markup.inline.raw.markdown'],
+  ['markup.raw.block', 'markup.fenced_code.block.markdown'],
+  ['markup.link.url', 'markup.underline.link.markdown'],
+  ['markup.link.text', 'string.other.link.description.markdown'],
+  ['markup.list', 'markup.list.unnumbered.markdown'],
+  ['markup.quote', 'markup.quote.markdown'],
+  ['diff.plus', 'markup.inserted'],
+  ['diff.minus', 'markup.deleted'],
+  ['diff.delta', 'markup.changed']
+];
+
+// Font styles each target can draw, keyed by the theme's fontStyle words
+const FONT_STYLES = {
+  neovim: { italic: 'italic', bold: 'bold', underline: 'underline', strikethrough: 'strikethrough' },
+  helix: { italic: 'italic', bold: 'bold', underline: 'underlined', strikethrough: 'crossed_out' },
+  sublime: { italic: 'italic', bold: 'bold', underline: 'underline' }
+};
+
+const PALETTE_NAMES = new Map(Object.entries(APOLLO_PALETTE).map(([name, color]) => [color, name.toLowerCase()]));
+
+/**
+ * Resolve the UI colors of a theme, flattening translucent colors over the editor background
+ * A translucent color whose flattened result falls outside the Apollo palette,
+ * such as a 25% bracket match highlight, is drawn opaque instead, so every
+ * exported color is a palette color
+ * @param {Object} theme - Parsed theme JSON
+ * @returns {Object<string, string>} Color per UI_ROLES key
+ */
+function uiColors(theme) {
+  const colors = theme.colors || {};
+  const background = colors['editor.background'];
+  const ui = {};
+
+  for (const [role, keys] of Object.entries(UI_ROLES)) {
+    const key = keys.find(candidate => colors[candidate]);
+    if (!key) {
+      throw new Error(`${theme.name} has none of ${keys.join(', ')}`);
+    }
+    const flattened = compositeOver(colors[key], background).toLowerCase();
+    ui[role] = isApolloColor(flattened) ? flattened : splitAlpha(colors[key]).base;
+  }
+
+  return ui;
+}
+
+/**
+ * Style a TextMate scope gets from a theme, with editor.foreground as the default
+ * @returns {{ foreground: string, fontStyle: string[] }}
+ */
+function scopeStyle(theme, scope) {
+  const style = resolveTokenStyle(theme.tokenColors || [], [scope]);
+  return {
+    foreground: compositeOver(style.foreground || theme.colors['editor.foreground'], theme.colors['editor.background']).toLowerCase(),
+    fontStyle: (style.fontStyle || '').split(/\s+/).filter(Boolean)
+  };
+}
+
+/**
+ * Read a semanticTokenColors value, either a color or a style object
+ * @returns {{ foreground?: string, fontStyle: string[] }}
+ */
+function semanticStyle(theme, value) {
+  const style = typeof value === 'string' ? { foreground: value } : value;
+  const fontStyle = (style.fontStyle || '').split(/\s+/).filter(Boolean);
+  ['bold', 'italic', 'underline', 'strikethrough'].forEach(flag => {
+    if (style[flag] && !fontStyle.includes(flag)) fontStyle.push(flag);
+  });
+
+  return {
+    foreground: style.foreground && compositeOver(style.foreground, theme.colors['editor.background']).toLowerCase(),
+    fontStyle
+  };
+}
+
+/**
+ * Neovim group for a semanticTokenColors selector:
+ * `class` → @lsp.type.class, `function.defaultLibrary` → @lsp.typemod.function.defaultLibrary,
+ * `*.readonly` → @lsp.mod.readonly. Selectors with a language (`:lang`) or more
+ * than one modifier have no single group and return null.
+ */
+function lspGroup(selector) {
+  if (selector.includes(':')) return null;
+
+  const [type, ...modifiers] = selector.split('.');
+  if (modifiers.length > 1) return null;
+  if (type === '*') return modifiers.length === 1 ? `@lsp.mod.${modifiers[0]}` : null;
+  return modifiers.length === 0 ? `@lsp.type.${type}` : `@lsp.typemod.${type}.${modifiers[0]}`;
+}
+
+/**
+ * Selectors in the theme's tokenColors that a target has no equivalent for.
+ * A selector is mapped when one of the target's scopes picks it up, or when the
+ * target's group for a broader scope (`keyword.operator` for
+ * `keyword.operator.assignment`) already draws it the same way.
+ * @param {Object} theme - Parsed theme JSON
+ * @param {string[]} scopes - TextMate scopes the target's groups are tied to
+ * @returns {string[]} Unmapped selectors, in theme order
+ */
+function unmappedScopes(theme, scopes) {
+  const unmapped = [];
+  const background = theme.colors['editor.background'];
+
+  for (const rule of theme.tokenColors || []) {
+    if (!rule.scope || !rule.settings) continue;
+
+    for (const segments of parseSelectors(rule.scope)) {
+      const selector = segments.join(' ');
+      if (unmapped.includes(selector) || scopes.some(scope => matchSelector(segments, [scope]))) continue;
+
+      const leaf = segments[segments.length - 1];
+      const broader = scopes
+        .filter(scope => scopeMatches(scope, leaf))
+        .sort((a, b) => b.length - a.length)[0];
+      const style = broader && scopeStyle(theme, broader);
+      const sameForeground = !rule.settings.foreground ||
+        (style && compositeOver(rule.settings.foreground, background).toLowerCase() === style.foreground);
+      const sameFontStyle = rule.settings.fontStyle === undefined ||
+        (style && rule.settings.fontStyle.split(/\s+/).filter(Boolean).sort().join(' ') === [...style.fontStyle].sort().join(' '));
+
+      if (!broader || !sameForeground || !sameFontStyle) unmapped.push(selector);
+    }
+  }
+
+  return unmapped;
+}
+
+function fileName(theme) {
+  return theme.name.toLowerCase().replace(/\s+/g, '-');
+}
+
+function isDark(theme) {
+  return theme.type === 'dark' || theme.type === 'hcDark';
+}
+
+/**
+ * Name a color by its palette entry for the target's palette table, or keep the hex
+ */
+function colorReference(color, format) {
+  const name = PALETTE_NAMES.get(color);
+  return name ? format(name) : null;
+}
+
+function neovim(theme, source) {
+  const ui = uiColors(theme);
+  const used = new Set();
+  const color = value => {
+    const name = colorReference(value, name => name);
+    if (!name) return `'${value}'`;
+    used.add(name);
+    return `c.${name}`;
+  };
+  const spec = ({ fg, bg, sp, fontStyle = [], extra = [] }) => {
+    const fields = [];
+    if (fg) fields.push(`fg = ${color(fg)}`);
+    if (bg) fields.push(`bg = ${color(bg)}`);
+    if (sp) fields.push(`sp = ${color(sp)}`);
+    fontStyle.filter(style => FONT_STYLES.neovim[style]).forEach(style => fields.push(`${FONT_STYLES.neovim[style]} = true`));
+    extra.forEach(field => fields.push(field));
+    return `{ ${fields.join(', ')} }`;
+  };
+  const group = name => (/^[A-Za-z]\w*$/.test(name) ? name : `['${name}']`);
+
+  const highlights = [
+    ['Normal', { fg: ui.foreground, bg: ui.background }],
+    ['NormalFloat', { fg: ui.popupForeground, bg: ui.popup }],
+    ['Cursor', { fg: ui.background, bg: ui.cursor }],
+    ['CursorLine', { bg: ui.lineHighlight }],
+    ['CursorLineNr', { fg: ui.lineNumberActive, bg: ui.lineHighlight }],
+    ['LineNr', { fg: ui.lineNumber, bg: ui.gutter }],
+    ['SignColumn', { bg: ui.gutter }],
+    ['Visual', { bg: ui.selection }],
+    ['Search', { bg: ui.findMatchHighlight }],
+    ['IncSearch', { fg: ui.background, bg: ui.findMatch }],
+    ['CurSearch', { fg: ui.background, bg: ui.findMatch }],
+    ['MatchParen', { bg: ui.bracketMatch, fontStyle: ['bold'] }],
+    ['StatusLine', { fg: ui.statusBarForeground, bg: ui.statusBar }],
+    ['StatusLineNC', { fg: ui.muted, bg: ui.statusBarInactive }],
+    ['WinSeparator', { fg: ui.split }],
+    ['Pmenu', { fg: ui.popupForeground, bg: ui.popup }],
+    ['PmenuSel', { fg: ui.popupForeground, bg: ui.popupSelection }],
+    ['Whitespace', { fg: ui.whitespace }],
+    ['NonText', { fg: ui.whitespace }],
+    ['ColorColumn', { bg: ui.lineHighlight }],
+    ['Folded', { fg: ui.muted, bg: ui.lineHighlight }],
+    ['DiagnosticError', { fg: ui.error }],
+    ['DiagnosticWarn', { fg: ui.warning }],
+    ['DiagnosticInfo', { fg: ui.info }],
+    ['DiagnosticHint', { fg: ui.hint }],
+    ['DiagnosticUnderlineError', { sp: ui.error, extra: ['undercurl = true'] }],
+    ['DiagnosticUnderlineWarn', { sp: ui.warning, extra: ['undercurl = true'] }],
+    ['DiagnosticUnderlineInfo', { sp: ui.info, extra: ['undercurl = true'] }],
+    ['DiagnosticUnderlineHint', { sp: ui.hint, extra: ['undercurl = true'] }],
+    ['DiffAdd', { fg: ui.added }],
+    ['DiffChange', { fg: ui.modified }],
+    ['DiffDelete', { fg: ui.deleted }],
+    ...NEOVIM_SYNTAX_GROUPS.map(([name, scope]) => {
+      const style = scopeStyle(theme, scope);
+      return [name, { fg: style.foreground, fontStyle: style.fontStyle }];
+    }),
+    ...Object.entries(theme.semanticTokenColors || {})
+      .filter(([selector]) => lspGroup(selector))
+      .map(([selector, value]) => {
+        const style = semanticStyle(theme, value);
+        return [lspGroup(selector), { fg: style.foreground, fontStyle: style.fontStyle }];
+      })
+  ];
+
+  const lines = highlights.map(([name, value]) => `  ${group(name)} = ${spec(value)},`);
+  const terminal = terminalPalette(theme).ansi.map((value, index) => `vim.g.terminal_color_${index} = ${color(value)}`);
+  const palette = Object.entries(APOLLO_PALETTE)
+    .filter(([name]) => used.has(name.toLowerCase()))
+    .map(([name, value]) => `  ${name.toLowerCase()} = '${value}',`);
+
+  return [
+    `-- ${theme.name}, generated from ${source}`,
+    `-- Put this file in a colors/ directory on 'runtimepath' and run :colorscheme ${fileName(theme)}`,
+    '',
+    "vim.cmd('highlight clear')",
+    "if vim.fn.exists('syntax_on') == 1 then",
+    "  vim.cmd('syntax reset')",
+    'end',
+    `vim.o.background = '${isDark(theme) ? 'dark' : 'light'}'`,
+    `vim.g.colors_name = '${fileName(theme)}'`,
+    '',
+    'local c = {',
+    ...palette,
+    '}',
+    '',
+    'local highlights = {',
+    ...lines,
+    '}',
+    '',
+    'for group, spec in pairs(highlights) do',
+    '  vim.api.nvim_set_hl(0, group, spec)',
+    'end',
+    '',
+    ...terminal,
+    ''
+  ].join('\n');
+}
+
+function helix(theme, source) {
+  const ui = uiColors(theme);
+  const used = new Set();
+  const color = value => {
+    const name = colorReference(value, name => name.replace(/_/g, '-'));
+    if (!name) return `"${value}"`;
+    used.add(name);
+    return `"${name}"`;
+  };
+  const style = ({ fg, bg, fontStyle = [], underline }) => {
+    const fields = [];
+    if (fg) fields.push(`fg = ${color(fg)}`);
+    if (bg) fields.push(`bg = ${color(bg)}`);
+    const modifiers = fontStyle.filter(name => FONT_STYLES.helix[name]).map(name => `"${FONT_STYLES.helix[name]}"`);
+    if (modifiers.length > 0) fields.push(`modifiers = [${modifiers.join(', ')}]`);
+    if (underline) fields.push(`underline = { color = ${color(underline)}, style = "curl" }`);
+    return `{ ${fields.join(', ')} }`;
+  };
+
+  const scopes = [
+    ['ui.background', { bg: ui.background }],
+    ['ui.text', { fg: ui.foreground }],
+    ['ui.cursor', { fg: ui.background, bg: ui.cursor }],
+    ['ui.cursor.primary', { fg: ui.background, bg: ui.cursor }],
+    ['ui.cursor.match', { bg: ui.bracketMatch }],
+    ['ui.cursorline.primary', { bg: ui.lineHighlight }],
+    ['ui.selection', { bg: ui.selection }],
+    ['ui.linenr', { fg: ui.lineNumber }],
+    ['ui.linenr.selected', { fg: ui.lineNumberActive }],
+    ['ui.gutter', { bg: ui.gutter }],
+    ['ui.statusline', { fg: ui.statusBarForeground, bg: ui.statusBar }],
+    ['ui.statusline.inactive', { fg: ui.muted, bg: ui.statusBarInactive }],
+    ['ui.window', { fg: ui.split }],
+    ['ui.popup', { fg: ui.popupForeground, bg: ui.popup }],
+    ['ui.help', { fg: ui.popupForeground, bg: ui.popup }],
+    ['ui.menu', { fg: ui.popupForeground, bg: ui.popup }],
+    ['ui.menu.selected', { fg: ui.popupForeground, bg: ui.popupSelection }],
+    ['ui.virtual.whitespace', { fg: ui.whitespace }],
+    ['ui.virtual.indent-guide', { fg: ui.indentGuide }],
+    ['ui.virtual.ruler', { bg: ui.lineHighlight }],
+    ['error', { fg: ui.error }],
+    ['warning', { fg: ui.warning }],
+    ['info', { fg: ui.info }],
+    ['hint', { fg: ui.hint }],
+    ['diagnostic.error', { underline: ui.error }],
+    ['diagnostic.warning', { underline: ui.warning }],
+    ['diagnostic.info', { underline: ui.info }],
+    ['diagnostic.hint', { underline: ui.hint }],
+    ...HELIX_SYNTAX_SCOPES.map(([name, scope]) => {
+      const resolved = scopeStyle(theme, scope);
+      return [name, { fg: resolved.foreground, fontStyle: resolved.fontStyle }];
+    })
+  ];
+
+  const lines = scopes.map(([name, value]) => `"${name}" = ${style(value)}`);
+  const palette = Object.entries(APOLLO_PALETTE)
+    .filter(([name]) => used.has(name.toLowerCase().replace(/_/g, '-')))
+    .map(([name, value]) => `${name.toLowerCase().replace(/_/g, '-')} = "${value}"`);
+
+  return [
+    `# ${theme.name}, generated from ${source}`,
+    `# Copy to ~/.config/helix/themes/ and set theme = "${fileName(theme).replace(/-/g, '_')}"`,
+    '',
+    ...lines,
+    '',
+    '[palette]',
+    ...palette,
+    ''
+  ].join('\n');
+}
+
+function sublime(theme, source) {
+  const ui = uiColors(theme);
+  const used = new Set();
+  const color = value => {
+    const name = colorReference(value, name => name.replace(/_/g, '-'));
+    if (!name) return value;
+    used.add(name);
+    return `var(${name})`;
+  };
+
+  const rules = (theme.tokenColors || [])
+    .filter(rule => rule.scope && rule.settings)
+    .map(rule => {
+      const entry = {};
+      if (rule.name) entry.name = rule.name;
+      entry.scope = parseSelectors(rule.scope).map(segments => segments.join(' ')).join(', ');
+      if (rule.settings.foreground) {
+        entry.foreground = color(compositeOver(rule.settings.foreground, ui.background).toLowerCase());
+      }
+      if (rule.settings.fontStyle !== undefined) {
+        entry.font_style = rule.settings.fontStyle.split(/\s+/).filter(name => FONT_STYLES.sublime[name]).join(' ');
+      }
+      return entry;
+    });
+
+  const globals = {
+    background: color(ui.background),
+    foreground: color(ui.foreground),
+    caret: color(ui.cursor),
+    line_highlight: color(ui.lineHighlight),
+    selection: color(ui.selection),
+    gutter: color(ui.gutter),
+    gutter_foreground: color(ui.lineNumber),
+    gutter_foreground_highlight: color(ui.lineNumberActive),
+    find_highlight: color(ui.findMatch),
+    find_highlight_foreground: color(ui.background),
+    brackets_foreground: color(ui.cursor),
+    whitespace: color(ui.whitespace),
+    guide: color(ui.indentGuide),
+    rulers: color(ui.ruler),
+    line_diff_added: color(ui.added),
+    line_diff_modified: color(ui.modified),
+    line_diff_deleted: color(ui.deleted)
+  };
+
+  const variables = {};
+  Object.entries(APOLLO_PALETTE).forEach(([name, value]) => {
+    const key = name.toLowerCase().replace(/_/g, '-');
+    if (used.has(key)) variables[key] = value;
+  });
+
+  return JSON.stringify({
+    name: theme.name,
+    author: `Generated from ${source}`,
+    variables,
+    globals,
+    rules
+  }, null, 2) + '\n';
+}
+
+// Export targets: directory under the output folder, file naming, formatter,
+// and the TextMate scopes their groups are tied to for the coverage report
+const EDITOR_TARGETS = [
+  {
+    id: 'neovim',
+    label: 'Neovim',
+    file: theme => `colors/${fileName(theme)}.lua`,
+    format: neovim,
+    scopes: NEOVIM_SYNTAX_GROUPS.map(([, scope]) => scope)
+  },
+  {
+    id: 'helix',
+    label: 'Helix',
+    file: theme => `${fileName(theme).replace(/-/g, '_')}.toml`,
+    format: helix,
+    scopes: HELIX_SYNTAX_SCOPES.map(([, scope]) => scope)
+  },
+  {
+    id: 'sublime',
+    label: 'Sublime Text',
+    file: theme => `${fileName(theme)}.sublime-color-scheme`,
+    format: sublime,
+    scopes: null
+  }
+];
+
+/**
+ * Render a theme for one editor
+ * @param {Object} theme - Parsed theme JSON
+ * @param {string} targetId - One of EDITOR_TARGETS
+ * @param {string} source - Theme path named in the file's header
+ * @returns {{ file: string, content: string, unmapped: string[] }} Relative output path,
+ *   file content and the tokenColors selectors the target has no equivalent for
+ */
+function exportEditorTheme(theme, targetId, source) {
+  const target = EDITOR_TARGETS.find(candidate => candidate.id === targetId);
+  if (!target) {
+    throw new Error(`Unknown editor target: ${targetId}`);
+  }
+
+  return {
+    file: `${target.id}/${target.file(theme)}`,
+    content: target.format(theme, source),
+    // Sublime Text matches TextMate selectors natively, so every rule carries over
+    unmapped: target.scopes ? unmappedScopes(theme, target.scopes) : []
+  };
+}
+
+module.exports = {
+  UI_ROLES,
+  NEOVIM_SYNTAX_GROUPS,
+  HELIX_SYNTAX_SCOPES,
+  EDITOR_TARGETS,
+  uiColors,
+  scopeStyle,
+  lspGroup,
+  unmappedScopes,
+  exportEditorTheme
+};
@@ -0,0 +1,63 @@
+/**
+ * Apollo Golden Files
+ *
+ * Compares generated output with the file committed for it (an exported
+ * theme, a design token file, a highlighting snapshot) and reports a mismatch
+ * as a unified diff, truncated so one broken file does not bury the rest of
+ * the test output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff } = require('./json-diff');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Diff lines printed per failing golden file before truncating
+const MAX_DIFF_LINES = 40;
+
+/**
+ * Unified diff from `from` to `to`, cut to maxDiffLines lines plus a line
+ * counting the rest
+ * @param {string} from
+ * @param {string} to
+ * @param {{ fromFile?: string, toFile?: string, maxDiffLines?: number }} [options]
+ * @returns {string[]}
+ */
+function truncatedDiff(from, to, { maxDiffLines = MAX_DIFF_LINES, ...options } = {}) {
+  const diff = unifiedDiff(from, to, options).trimEnd().split('\n');
+  const shown = diff.slice(0, maxDiffLines);
+  if (diff.length > maxDiffLines) {
+    shown.push(`… ${diff.length - maxDiffLines} more diff lines`);
+  }
+  return shown;
+}
+
+/**
+ * Check that `content` matches the golden file at goldenPath
+ * @param {string} goldenPath
+ * @param {string} content - Freshly generated content
+ * @param {{ subject?: string, golden?: string, maxDiffLines?: number }} [options] -
+ *   `subject` and `golden` name the content and the file in the error, e.g.
+ *   'Highlighting differs from the snapshot'
+ * @returns {true}
+ * @throws {Error} When the golden file is missing or differs, with the diff
+ */
+function checkGoldenFile(goldenPath, content, { subject = 'Export', golden = 'golden file', maxDiffLines = MAX_DIFF_LINES } = {}) {
+  const relative = path.relative(ROOT_DIR, goldenPath);
+  if (!fs.existsSync(goldenPath)) {
+    throw new Error(`No ${golden} at ${relative}`);
+  }
+
+  const stored = fs.readFileSync(goldenPath, 'utf8');
+  if (stored === content) return true;
+
+  const diff = truncatedDiff(stored, content, { fromFile: `a/${relative}`, toFile: `b/${relative}`, maxDiffLines });
+  throw new Error(`${subject} differs from the ${golden}\n${diff.map(line => `   ${line}`).join('\n')}`);
+}
+
+module.exports = {
+  MAX_DIFF_LINES,
+  checkGoldenFile,
+  truncatedDiff
+};
@@ -0,0 +1,202 @@
+/**
+ * Apollo Grammars
+ *
+ * Loads the TextMate grammars vendored in `grammars/` (listed in
+ * `grammars/grammars.json`) and tokenizes text offline with vscode-textmate and
+ * the vscode-oniguruma WebAssembly regex engine, the same pair VS Code uses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vsctm = require('vscode-textmate');
+const oniguruma = require('vscode-oniguruma');
+
+const GRAMMARS_DIR = path.join(__dirname, '..', 'grammars');
+
+// Token metadata layout from vscode-textmate's EncodedTokenAttributes
+const FONT_STYLE_MASK = 0x00007800;
+const FONT_STYLE_OFFSET = 11;
+const FOREGROUND_MASK = 0x00ff8000;
+const FOREGROUND_OFFSET = 15;
+const FONT_STYLES = [[1, 'italic'], [2, 'bold'], [4, 'underline'], [8, 'strikethrough']];
+
+let onigLib;
+
+/**
+ * Read `grammars/grammars.json`
+ * @returns {{ languages: string[], grammars: { language: string, scopeName: string, path: string, extensions: string[], source: string }[] }}
+ */
+function loadGrammarConfig() {
+  return JSON.parse(fs.readFileSync(path.join(GRAMMARS_DIR, 'grammars.json'), 'utf8'));
+}
+
+/**
+ * Find a vendored grammar by language id
+ * @param {string} language - e.g. 'javascript'
+ */
+function grammarForLanguage(language, config = loadGrammarConfig()) {
+  return config.grammars.find(grammar => grammar.language === language);
+}
+
+/**
+ * Find a vendored grammar by file extension
+ * @param {string} file - File path, e.g. 'assets/samples/sample.js'
+ */
+function grammarForFile(file, config = loadGrammarConfig()) {
+  const extension = path.extname(file).toLowerCase();
+  return config.grammars.find(grammar => grammar.extensions.includes(extension));
+}
+
+/**
+ * Parse a vendored grammar file
+ * @param {{ path: string }} grammar - Entry from grammars.json
+ * @returns {Object} Raw grammar JSON
+ */
+function readGrammar(grammar) {
+  return JSON.parse(fs.readFileSync(path.join(GRAMMARS_DIR, grammar.path), 'utf8'));
+}
+
+/**
+ * Load the oniguruma WebAssembly module once per process
+ */
+function loadOnigLib() {
+  if (!onigLib) {
+    const wasm = fs.readFileSync(require.resolve('vscode-oniguruma/release/onig.wasm'));
+
+    onigLib = oniguruma.loadWASM(wasm.buffer.slice(wasm.byteOffset, wasm.byteOffset + wasm.byteLength)).then(() => ({
+      createOnigScanner: patterns => new oniguruma.OnigScanner(patterns),
+      createOnigString: text => new oniguruma.OnigString(text)
+    }));
+  }
+  return onigLib;
+}
+
+/**
+ * Create a vscode-textmate registry over the vendored grammars. Grammars that
+ * are not vendored (e.g. languages embedded in Markdown code blocks) are left
+ * untokenized, as in an editor without that language installed.
+ * @param {{ theme?: Object, config?: Object }} [options] - Theme whose tokenColors
+ *   style the tokens, with editor.foreground as the default foreground
+ * @returns {import('vscode-textmate').Registry}
+ */
+function createRegistry({ theme, config = loadGrammarConfig() } = {}) {
+  const registry = new vsctm.Registry({
+    onigLib: loadOnigLib(),
+    loadGrammar: async scopeName => {
+      const grammar = config.grammars.find(entry => entry.scopeName === scopeName);
+      if (!grammar) return null;
+
+      const file = path.join(GRAMMARS_DIR, grammar.path);
+      return vsctm.parseRawGrammar(fs.readFileSync(file, 'utf8'), file);
+    }
+  });
+
+  if (theme) {
+    registry.setTheme({
+      name: theme.name,
+      settings: [
+        { settings: { foreground: theme.colors['editor.foreground'], background: theme.colors['editor.background'] } },
+        ...(theme.tokenColors || [])
+      ]
+    });
+  }
+
+  return registry;
+}
+
+/**
+ * Decode a token's font style bits into a theme fontStyle string
+ */
+function decodeFontStyle(metadata) {
+  const bits = (metadata & FONT_STYLE_MASK) >>> FONT_STYLE_OFFSET;
+  return FONT_STYLES.filter(([bit]) => bits & bit).map(([, name]) => name).join(' ');
+}
+
+/**
+ * Tokenize text line by line
+ * @param {import('vscode-textmate').IGrammar} grammar - Grammar from registry.loadGrammar()
+ * @param {string} text
+ * @param {import('vscode-textmate').Registry} [registry] - Registry with a theme
+ *   set; each token then also gets the foreground and fontStyle VS Code would draw
+ * @returns {{ text: string, scopes: string[], foreground?: string, fontStyle?: string }[][]} Tokens per line
+ */
+function tokenizeText(grammar, text, registry) {
+  const colorMap = registry && registry.getColorMap();
+  let ruleStack = vsctm.INITIAL;
+  let styledRuleStack = vsctm.INITIAL;
+
+  return text.replace(/\r\n/g, '\n').split('\n').map(line => {
+    const result = grammar.tokenizeLine(line, ruleStack);
+    ruleStack = result.ruleStack;
+
+    // tokenizeLine2 merges neighbours with equal styles into [startIndex, metadata] pairs
+    let styled;
+    if (colorMap) {
+      styled = grammar.tokenizeLine2(line, styledRuleStack);
+      styledRuleStack = styled.ruleStack;
+    }
+
+    return result.tokens.map(token => {
+      const entry = {
+        text: line.substring(token.startIndex, token.endIndex),
+        scopes: token.scopes
+      };
+
+      if (styled) {
+        let metadata = styled.tokens[1];
+        for (let i = 0; i < styled.tokens.length && styled.tokens[i] <= token.startIndex; i += 2) {
+          metadata = styled.tokens[i + 1];
+        }
+        entry.foreground = colorMap[(metadata & FOREGROUND_MASK) >>> FOREGROUND_OFFSET].toLowerCase();
+        entry.fontStyle = decodeFontStyle(metadata);
+      }
+
+      return entry;
+    });
+  });
+}
+
+/**
+ * Every scope name a grammar can assign: `name` and `contentName` of its rules
+ * and captures, including injections and the repository. Names built from
+ * capture backreferences (`$1`) are only known once text is tokenized, so they
+ * are left out.
+ * @param {Object} rawGrammar - Raw grammar JSON
+ * @returns {string[]} Sorted scope names
+ */
+function collectGrammarScopes(rawGrammar) {
+  const scopes = new Set();
+
+  const visit = (node, isRoot) => {
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, false));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    for (const [key, value] of Object.entries(node)) {
+      if ((key === 'name' || key === 'contentName') && typeof value === 'string') {
+        if (isRoot) continue;
+        value.split(/\s+/)
+          .filter(scope => scope && !scope.includes('$'))
+          .forEach(scope => scopes.add(scope));
+      } else {
+        visit(value, false);
+      }
+    }
+  };
+
+  visit(rawGrammar, true);
+  return [...scopes].sort();
+}
+
+module.exports = {
+  GRAMMARS_DIR,
+  loadGrammarConfig,
+  grammarForLanguage,
+  grammarForFile,
+  readGrammar,
+  createRegistry,
+  tokenizeText,
+  collectGrammarScopes
+};
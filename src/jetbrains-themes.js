@@ -0,0 +1,397 @@
+/**
+ * Apollo JetBrains Themes
+ *
+ * Turns a VS Code theme into a JetBrains IDE editor color scheme (`.icls`) and
+ * a UI theme (`.theme.json`). Editor attributes such as
+ * `DEFAULT_FUNCTION_DECLARATION` are tied to the TextMate scope VS Code grammars
+ * give the same construct and take whatever the theme's `tokenColors` resolve
+ * for it; UI keys such as `EditorTabs.underlineColor` read the workbench colors.
+ * Attributes with no TextMate counterpart and UI keys whose workbench colors a
+ * theme leaves unset are left to the parent scheme and flagged in the mapping
+ * table.
+ */
+
+const { APOLLO_PALETTE } = require('./colors');
+const { compositeOver } = require('./color-math');
+const { resolveTokenStyle } = require('./scope-selectors');
+const { uiColors, scopeStyle, unmappedScopes } = require('./editor-themes');
+const { terminalPalette } = require('./terminal-themes');
+
+// Editor attributes with the TextMate scope that stands for the same construct;
+// null marks attributes TextMate grammars have no scope for
+const JETBRAINS_ATTRIBUTES = [
+  ['DEFAULT_KEYWORD', 'keyword'],
+  ['DEFAULT_IDENTIFIER', 'variable'],
+  ['DEFAULT_NUMBER', 'constant.numeric'],
+  ['DEFAULT_STRING', 'string'],
+  ['DEFAULT_VALID_STRING_ESCAPE', 'constant.character.escape'],
+  ['DEFAULT_INVALID_STRING_ESCAPE', 'invalid.illegal'],
+  ['DEFAULT_LINE_COMMENT', 'comment.line'],
+  ['DEFAULT_BLOCK_COMMENT', 'comment.block'],
+  ['DEFAULT_DOC_COMMENT', 'comment.block.documentation'],
+  ['DEFAULT_DOC_COMMENT_TAG', 'storage.type.class.jsdoc'],
+  ['DEFAULT_DOC_COMMENT_TAG_VALUE', 'variable.other.jsdoc'],
+  ['DEFAULT_DOC_MARKUP', null],
+  ['DEFAULT_OPERATION_SIGN', 'keyword.operator'],
+  ['DEFAULT_BRACES', 'punctuation.definition.block'],
+  ['DEFAULT_BRACKETS', 'punctuation.definition.array'],
+  ['DEFAULT_PARENTHS', 'punctuation.definition.parameters'],
+  ['DEFAULT_COMMA', 'punctuation.separator.comma'],
+  ['DEFAULT_DOT', 'punctuation.accessor'],
+  ['DEFAULT_SEMICOLON', 'punctuation.terminator'],
+  ['DEFAULT_CONSTANT', 'constant.other'],
+  ['DEFAULT_GLOBAL_VARIABLE', 'variable.other.global'],
+  ['DEFAULT_LOCAL_VARIABLE', 'variable.other.readwrite'],
+  ['DEFAULT_REASSIGNED_LOCAL_VARIABLE', null],
+  ['DEFAULT_PARAMETER', 'variable.parameter'],
+  ['DEFAULT_REASSIGNED_PARAMETER', null],
+  ['DEFAULT_INSTANCE_FIELD', 'variable.other.property'],
+  ['DEFAULT_STATIC_FIELD', 'variable.other.property.static'],
+  ['DEFAULT_FUNCTION_DECLARATION', 'entity.name.function'],
+  ['DEFAULT_FUNCTION_CALL', 'meta.function-call'],
+  ['DEFAULT_INSTANCE_METHOD', 'entity.name.function.member'],
+  ['DEFAULT_STATIC_METHOD', 'entity.name.function.static'],
+  ['DEFAULT_CLASS_NAME', 'entity.name.type.class'],
+  ['DEFAULT_CLASS_REFERENCE', 'entity.name.type'],
+  ['DEFAULT_INTERFACE_NAME', 'entity.name.type.interface'],
+  ['DEFAULT_METADATA', 'meta.decorator'],
+  ['DEFAULT_LABEL', 'entity.name.label'],
+  ['DEFAULT_PREDEFINED_SYMBOL', 'support.function'],
+  ['DEFAULT_TAG', 'entity.name.tag'],
+  ['DEFAULT_ATTRIBUTE', 'entity.other.attribute-name'],
+  ['DEFAULT_ENTITY', 'constant.character.entity'],
+  ['DEFAULT_TEMPLATE_LANGUAGE_COLOR', null],
+  ['DEFAULT_HIGHLIGHTED_REFERENCE', null],
+  ['MARKDOWN_HEADER_LEVEL_1', 'markup.heading'],
+  ['MARKDOWN_BOLD', 'markup.bold'],
+  ['MARKDOWN_ITALIC', 'markup.italic'],
+  ['MARKDOWN_CODE_SPAN', 'markup.inline.raw.markdown'],
+  ['MARKDOWN_CODE_BLOCK', 'markup.fenced_code.block.markdown'],
+  ['MARKDOWN_LINK_DESTINATION', 'markup.underline.link.markdown'],
+  ['MARKDOWN_LINK_TEXT', 'string.other.link.description.markdown'],
+  ['MARKDOWN_BLOCK_QUOTE', 'markup.quote.markdown'],
+  ['MARKDOWN_LIST_ITEM', 'markup.list.unnumbered.markdown']
+];
+
+// Editor scheme colors with the UI_ROLES color they are drawn with
+const JETBRAINS_EDITOR_COLORS = [
+  ['CARET_COLOR', 'cursor'],
+  ['CARET_ROW_COLOR', 'lineHighlight'],
+  ['GUTTER_BACKGROUND', 'gutter'],
+  ['LINE_NUMBERS_COLOR', 'lineNumber'],
+  ['LINE_NUMBER_ON_CARET_ROW_COLOR', 'lineNumberActive'],
+  ['SELECTION_BACKGROUND', 'selection'],
+  ['INDENT_GUIDE', 'indentGuide'],
+  ['RIGHT_MARGIN_COLOR', 'ruler'],
+  ['WHITESPACES', 'whitespace'],
+  ['TEARLINE_COLOR', 'split'],
+  ['DOCUMENTATION_COLOR', 'popup'],
+  ['LOOKUP_COLOR', 'popup'],
+  ['ADDED_LINES_COLOR', 'added'],
+  ['MODIFIED_LINES_COLOR', 'modified'],
+  ['DELETED_LINES_COLOR', 'deleted']
+];
+
+// Console attributes for ANSI colors 0-15
+const CONSOLE_ATTRIBUTES = [
+  'CONSOLE_BLACK_OUTPUT', 'CONSOLE_RED_OUTPUT', 'CONSOLE_GREEN_OUTPUT', 'CONSOLE_YELLOW_OUTPUT',
+  'CONSOLE_BLUE_OUTPUT', 'CONSOLE_MAGENTA_OUTPUT', 'CONSOLE_CYAN_OUTPUT', 'CONSOLE_GRAY_OUTPUT',
+  'CONSOLE_DARKGRAY_OUTPUT', 'CONSOLE_RED_BRIGHT_OUTPUT', 'CONSOLE_GREEN_BRIGHT_OUTPUT', 'CONSOLE_YELLOW_BRIGHT_OUTPUT',
+  'CONSOLE_BLUE_BRIGHT_OUTPUT', 'CONSOLE_MAGENTA_BRIGHT_OUTPUT', 'CONSOLE_CYAN_BRIGHT_OUTPUT', 'CONSOLE_WHITE_OUTPUT'
+];
+
+// UI theme keys with the workbench colors they read, as VS Code key fallback chains
+const JETBRAINS_UI_KEYS = [
+  ['*.background', ['sideBar.background', 'editor.background']],
+  ['*.foreground', ['sideBar.foreground', 'foreground', 'editor.foreground']],
+  ['*.infoForeground', ['descriptionForeground']],
+  ['*.disabledForeground', ['disabledForeground']],
+  ['*.selectionBackground', ['list.activeSelectionBackground']],
+  ['*.selectionForeground', ['list.activeSelectionForeground']],
+  ['*.selectionInactiveBackground', ['list.inactiveSelectionBackground']],
+  ['*.hoverBackground', ['list.hoverBackground']],
+  ['*.borderColor', ['panel.border', 'sideBar.border', 'editorGroup.border']],
+  ['*.separatorColor', ['panel.border', 'sideBar.border', 'editorGroup.border']],
+  ['Component.focusColor', ['focusBorder']],
+  ['Component.focusedBorderColor', ['focusBorder']],
+  ['Component.errorFocusColor', ['inputValidation.errorBorder', 'errorForeground']],
+  ['Button.startBackground', ['button.secondaryBackground']],
+  ['Button.endBackground', ['button.secondaryBackground']],
+  ['Button.foreground', ['button.secondaryForeground']],
+  ['Button.default.startBackground', ['button.background']],
+  ['Button.default.endBackground', ['button.background']],
+  ['Button.default.foreground', ['button.foreground']],
+  ['TextField.background', ['input.background']],
+  ['TextField.foreground', ['input.foreground']],
+  ['Component.borderColor', ['input.border']],
+  ['ComboBox.background', ['dropdown.background', 'input.background']],
+  ['EditorTabs.background', ['editorGroupHeader.tabsBackground', 'tab.inactiveBackground']],
+  ['EditorTabs.underlinedTabBackground', ['tab.activeBackground']],
+  ['EditorTabs.underlineColor', ['tab.activeBorderTop', 'tab.activeBorder']],
+  ['EditorTabs.underlinedTabForeground', ['tab.activeForeground']],
+  ['EditorTabs.inactiveColoredFileBackground', ['tab.inactiveBackground']],
+  ['ToolWindow.Header.background', ['sideBarSectionHeader.background']],
+  ['ToolWindow.Header.inactiveBackground', ['sideBar.background']],
+  ['ToolWindow.Button.selectedBackground', ['list.activeSelectionBackground']],
+  ['MainToolbar.background', ['titleBar.activeBackground']],
+  ['MainToolbar.inactiveBackground', ['titleBar.inactiveBackground']],
+  ['MainWindow.Tab.selectedForeground', ['titleBar.activeForeground']],
+  ['StatusBar.background', ['statusBar.background']],
+  ['StatusBar.borderColor', ['statusBar.border']],
+  ['Popup.background', ['editorWidget.background']],
+  ['Popup.borderColor', ['editorWidget.border']],
+  ['PopupMenu.background', ['menu.background']],
+  ['PopupMenu.foreground', ['menu.foreground']],
+  ['PopupMenu.selectionBackground', ['menu.selectionBackground']],
+  ['ToolTip.background', ['editorHoverWidget.background']],
+  ['ToolTip.foreground', ['editorHoverWidget.foreground']],
+  ['ScrollBar.thumbColor', ['scrollbarSlider.background']],
+  ['ScrollBar.hoverThumbColor', ['scrollbarSlider.hoverBackground']],
+  ['ProgressBar.progressColor', ['progressBar.background']],
+  ['Link.activeForeground', ['textLink.foreground']],
+  ['Link.hoverForeground', ['textLink.activeForeground']],
+  ['Notification.background', ['notifications.background']],
+  ['Notification.foreground', ['notifications.foreground']],
+  ['Counter.background', ['badge.background']],
+  ['Counter.foreground', ['badge.foreground']],
+  ['ActionButton.hoverBackground', ['toolbar.hoverBackground']],
+  ['ValidationTooltip.errorBackground', ['inputValidation.errorBackground']]
+];
+
+// FONT_TYPE bits and EFFECT_TYPE values of an .icls attribute
+const FONT_TYPES = { bold: 1, italic: 2 };
+const EFFECT_TYPES = { underline: 1, wave: 2, strikethrough: 3 };
+
+const PALETTE_NAMES = new Map(Object.entries(APOLLO_PALETTE).map(([name, color]) => [
+  color,
+  name.toLowerCase().replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())
+]));
+
+function fileName(theme) {
+  return theme.name.toLowerCase().replace(/\s+/g, '-');
+}
+
+function isDark(theme) {
+  return theme.type === 'dark' || theme.type === 'hcDark';
+}
+
+/**
+ * Resolve every attribute and UI key of a theme and the tokenColors selectors
+ * no attribute picks up
+ * @param {Object} theme - Parsed theme JSON
+ * @returns {{ attributes: { name: string, scope: string|null, style: Object|null, fallback: boolean }[],
+ *   ui: { key: string, source: string|null, color: string|null }[], unmappedScopes: string[] }}
+ */
+function jetbrainsMapping(theme) {
+  const colors = theme.colors || {};
+  const background = colors['editor.background'];
+
+  const attributes = JETBRAINS_ATTRIBUTES.map(([name, scope]) => {
+    if (!scope) return { name, scope, style: null, fallback: false };
+    const resolved = resolveTokenStyle(theme.tokenColors || [], [scope]);
+    return { name, scope, style: scopeStyle(theme, scope), fallback: !resolved.foreground };
+  });
+
+  const ui = JETBRAINS_UI_KEYS.map(([key, sources]) => {
+    const source = sources.find(candidate => colors[candidate]) || null;
+    return { key, source, color: source && compositeOver(colors[source], background).toLowerCase() };
+  });
+
+  return {
+    attributes,
+    ui,
+    unmappedScopes: unmappedScopes(theme, JETBRAINS_ATTRIBUTES.filter(([, scope]) => scope).map(([, scope]) => scope))
+  };
+}
+
+/**
+ * `#73bed3` → `73bed3`, the form .icls files store colors in
+ */
+function iclsColor(color) {
+  return color.replace(/^#/, '');
+}
+
+function iclsAttribute(name, { fg, bg, fontStyle = [], effect, effectColor }) {
+  const options = [];
+  if (fg) options.push(['FOREGROUND', iclsColor(fg)]);
+  if (bg) options.push(['BACKGROUND', iclsColor(bg)]);
+
+  const fontType = fontStyle.reduce((bits, style) => bits | (FONT_TYPES[style] || 0), 0);
+  if (fontType) options.push(['FONT_TYPE', fontType]);
+
+  // An attribute carries one effect; underline wins over strikethrough
+  const styleEffect = ['underline', 'strikethrough'].find(style => fontStyle.includes(style));
+  if (effect || styleEffect) {
+    options.push(['EFFECT_COLOR', iclsColor(effectColor || fg)]);
+    options.push(['EFFECT_TYPE', EFFECT_TYPES[effect || styleEffect]]);
+  }
+
+  return [
+    `    <option name="${name}">`,
+    '      <value>',
+    ...options.map(([option, value]) => `        <option name="${option}" value="${value}" />`),
+    '      </value>',
+    '    </option>'
+  ];
+}
+
+function icls(theme, source, mapping) {
+  const ui = uiColors(theme);
+  const terminal = terminalPalette(theme);
+
+  const attributes = [
+    ['TEXT', { fg: ui.foreground, bg: ui.background }],
+    ['TEXT_SEARCH_RESULT_ATTRIBUTES', { bg: ui.findMatch }],
+    ['SEARCH_RESULT_ATTRIBUTES', { bg: ui.findMatchHighlight }],
+    ['MATCHED_BRACE_ATTRIBUTES', { bg: ui.bracketMatch, fontStyle: ['bold'] }],
+    ['ERRORS_ATTRIBUTES', { effect: 'wave', effectColor: ui.error }],
+    ['WARNING_ATTRIBUTES', { effect: 'wave', effectColor: ui.warning }],
+    ['INFO_ATTRIBUTES', { effect: 'wave', effectColor: ui.info }],
+    ['CONSOLE_NORMAL_OUTPUT', { fg: terminal.foreground }],
+    ...CONSOLE_ATTRIBUTES.map((name, index) => [name, { fg: terminal.ansi[index] }]),
+    ...mapping.attributes
+      .filter(attribute => attribute.style)
+      .map(({ name, style }) => [name, { fg: style.foreground, fontStyle: style.fontStyle }])
+  ];
+
+  const colors = [
+    ...JETBRAINS_EDITOR_COLORS.map(([name, role]) => [name, ui[role]]),
+    ['CONSOLE_BACKGROUND_KEY', terminal.background]
+  ];
+
+  return [
+    `<!-- ${theme.name}, generated from ${source} -->`,
+    `<!-- Settings → Editor → Color Scheme → ⚙ → Import Scheme… -->`,
+    `<scheme name="${theme.name}" version="142" parent_scheme="${isDark(theme) ? 'Darcula' : 'Default'}">`,
+    '  <colors>',
+    ...colors.map(([name, value]) => `    <option name="${name}" value="${iclsColor(value)}" />`),
+    '  </colors>',
+    '  <attributes>',
+    ...attributes.flatMap(([name, value]) => iclsAttribute(name, value)),
+    '  </attributes>',
+    '</scheme>',
+    ''
+  ].join('\n');
+}
+
+function uiTheme(theme, source, mapping) {
+  const used = new Set();
+  const color = value => {
+    const name = PALETTE_NAMES.get(value);
+    if (!name) return value;
+    used.add(name);
+    return name;
+  };
+
+  // `ToolWindow.Header.background` → { ToolWindow: { Header: { background } } }
+  const ui = {};
+  for (const { key, color: value } of mapping.ui) {
+    if (!value) continue;
+    const path = key.split('.');
+    const leaf = path.pop();
+    const node = path.reduce((parent, segment) => {
+      parent[segment] = parent[segment] || {};
+      return parent[segment];
+    }, ui);
+    node[leaf] = color(value);
+  }
+
+  const colors = {};
+  Object.entries(APOLLO_PALETTE).forEach(([, value]) => {
+    const name = PALETTE_NAMES.get(value);
+    if (used.has(name)) colors[name] = value;
+  });
+
+  return JSON.stringify({
+    name: theme.name,
+    dark: isDark(theme),
+    author: `Generated from ${source}`,
+    editorScheme: `/${fileName(theme)}.icls`,
+    colors,
+    ui
+  }, null, 2) + '\n';
+}
+
+/**
+ * Render a theme as a JetBrains editor scheme and UI theme
+ * @param {Object} theme - Parsed theme JSON
+ * @param {string} source - Theme path named in the files
+ * @returns {{ files: { kind: string, file: string, content: string }[], mapping: Object }}
+ *   Output files and the jetbrainsMapping() they were written from
+ */
+function exportJetBrainsTheme(theme, source) {
+  const mapping = jetbrainsMapping(theme);
+  return {
+    files: [
+      { kind: 'scheme', file: `${fileName(theme)}.icls`, content: icls(theme, source, mapping) },
+      { kind: 'ui', file: `${fileName(theme)}.theme.json`, content: uiTheme(theme, source, mapping) }
+    ],
+    mapping
+  };
+}
+
+/**
+ * Markdown table of every attribute and UI key with what each theme gives it,
+ * flagging the ones left to the parent scheme, followed by the tokenColors
+ * selectors no attribute picks up
+ * @param {{ name: string, mapping: Object }[]} themes - Theme names with their jetbrainsMapping()
+ * @returns {string}
+ */
+function mappingTable(themes) {
+  const styleCell = ({ style, fallback }) => {
+    if (!style) return '⚠️ unmapped';
+    const font = style.fontStyle.length > 0 ? ` ${style.fontStyle.join(' ')}` : '';
+    return `\`${style.foreground}\`${font}${fallback ? ' (editor.foreground)' : ''}`;
+  };
+  const row = cells => `| ${cells.join(' | ')} |`;
+  const header = first => [
+    row([first, 'VS Code source', ...themes.map(theme => theme.name)]),
+    row(['---', '---', ...themes.map(() => '---')])
+  ];
+
+  const lines = [
+    '# JetBrains mapping',
+    '',
+    'Generated by `npm run export:jetbrains`. ⚠️ marks attributes and UI keys with nothing to map from; the IDE takes them from the parent scheme (Darcula or Default).',
+    '',
+    '## Editor attributes',
+    '',
+    ...header('Attribute'),
+    ...JETBRAINS_ATTRIBUTES.map(([name, scope], index) => row([
+      `\`${name}\``,
+      scope ? `\`${scope}\`` : 'no TextMate scope',
+      ...themes.map(theme => styleCell(theme.mapping.attributes[index]))
+    ])),
+    '',
+    '## UI keys',
+    '',
+    ...header('Key'),
+    ...JETBRAINS_UI_KEYS.map(([key, sources], index) => row([
+      `\`${key}\``,
+      sources.map(source => `\`${source}\``).join(', '),
+      ...themes.map(theme => {
+        const entry = theme.mapping.ui[index];
+        return entry.color ? `\`${entry.color}\`` : '⚠️ unmapped';
+      })
+    ])),
+    '',
+    '## TextMate scopes with no attribute',
+    ''
+  ];
+
+  for (const theme of themes) {
+    const { unmappedScopes: unmapped } = theme.mapping;
+    lines.push(`### ${theme.name}`, '');
+    lines.push(unmapped.length === 0 ? 'None.' : unmapped.map(selector => `- \`${selector}\``).join('\n'), '');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  JETBRAINS_ATTRIBUTES,
+  JETBRAINS_UI_KEYS,
+  jetbrainsMapping,
+  exportJetBrainsTheme,
+  mappingTable
+};
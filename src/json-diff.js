@@ -0,0 +1,203 @@
+/**
+ * Apollo JSON Diff
+ *
+ * Line-based unified diff. For pretty-printed JSON files the hunk headers name
+ * the key path of the first changed line, in the same `colors["editor.background"]`
+ * / `tokenColors[3].settings.foreground` form the palette linter reports, so a
+ * diff of a reordered or normalized theme reads by key instead of by line.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Append one key or array index to a key path
+ * @param {string} parent - Key path so far, '' for the root
+ * @param {string|number} key - Object key or array index
+ * @returns {string}
+ */
+function joinKeyPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  if (IDENTIFIER.test(key)) return parent ? `${parent}.${key}` : key;
+  return `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Key path for every line of a pretty-printed JSON document (one value or
+ * bracket per line, as written by JSON.stringify with indentation)
+ * @param {string[]} lines
+ * @returns {string[]} Key path of the value each line belongs to, '' for the root
+ */
+function jsonLinePaths(lines) {
+  const stack = [{ path: '', array: false, index: -1 }];
+  const paths = [];
+
+  for (const line of lines) {
+    const text = line.trim();
+    const top = stack[stack.length - 1];
+
+    if (/^[}\]]/.test(text)) {
+      paths.push(top.path);
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const property = text.match(/^("(?:[^"\\]|\\.)*")\s*:\s*(.*)$/);
+    let linePath = top.path;
+    let rest = text;
+
+    if (property) {
+      linePath = joinKeyPath(top.path, JSON.parse(property[1]));
+      rest = property[2];
+    } else if (top.array && text) {
+      top.index++;
+      linePath = joinKeyPath(top.path, top.index);
+    }
+
+    paths.push(linePath);
+    if (rest === '{' || rest === '[') {
+      stack.push({ path: linePath, array: rest === '[', index: -1 });
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Longest common subsequence edit script between two line arrays
+ * @returns {{ type: ' '|'-'|'+', line: string, oldIndex: number, newIndex: number }[]}
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  // lengths[i][j] = LCS length of oldLines[i..oldEnd) and newLines[j..newEnd)
+  const rows = oldEnd - start + 1;
+  const columns = newEnd - start + 1;
+  const lengths = new Uint32Array(rows * columns);
+  for (let i = rows - 2; i >= 0; i--) {
+    for (let j = columns - 2; j >= 0; j--) {
+      lengths[i * columns + j] = oldLines[start + i] === newLines[start + j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const edits = [];
+  for (let k = 0; k < start; k++) {
+    edits.push({ type: ' ', line: oldLines[k], oldIndex: k, newIndex: k });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows - 1 || j < columns - 1) {
+    if (i < rows - 1 && j < columns - 1 && oldLines[start + i] === newLines[start + j]) {
+      edits.push({ type: ' ', line: oldLines[start + i], oldIndex: start + i, newIndex: start + j });
+      i++;
+      j++;
+    } else if (i < rows - 1 && (j === columns - 1 || lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])) {
+      edits.push({ type: '-', line: oldLines[start + i], oldIndex: start + i, newIndex: start + j });
+      i++;
+    } else {
+      edits.push({ type: '+', line: newLines[start + j], oldIndex: start + i, newIndex: start + j });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < oldLines.length - oldEnd; k++) {
+    edits.push({ type: ' ', line: oldLines[oldEnd + k], oldIndex: oldEnd + k, newIndex: newEnd + k });
+  }
+
+  return edits;
+}
+
+/**
+ * Split text into lines, ignoring the newline that ends the last line
+ */
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} oldText - Original file content
+ * @param {string} newText - New file content
+ * @param {{ fromFile?: string, toFile?: string, context?: number, hunkLabel?: Function }} [options]
+ *   `hunkLabel(edit, oldLines, newLines)` returns the text shown after `@@` for
+ *   the first change of each hunk
+ * @returns {string} The diff, or '' when the texts are identical
+ */
+function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3, hunkLabel } = {}) {
+  if (oldText === newText) return '';
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const edits = diffLines(oldLines, newLines);
+
+  // Group changes separated by at most 2 * context unchanged lines into hunks
+  const hunks = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end - 1 <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(edits.length - 1, hunk.end + context);
+    const lines = edits.slice(from, to + 1);
+    const oldCount = lines.filter(edit => edit.type !== '+').length;
+    const newCount = lines.filter(edit => edit.type !== '-').length;
+    const oldStart = oldCount > 0 ? lines[0].oldIndex + 1 : lines[0].oldIndex;
+    const newStart = newCount > 0 ? lines[0].newIndex + 1 : lines[0].newIndex;
+
+    const label = hunkLabel ? hunkLabel(edits[hunk.start], oldLines, newLines) : '';
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@${label ? ` ${label}` : ''}`);
+    lines.forEach(edit => output.push(`${edit.type}${edit.line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Unified diff of two JSON documents with key paths in the hunk headers
+ * @param {string} oldText - Original file content
+ * @param {string} newText - New file content
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ * @returns {string} The diff, or '' when the texts are identical
+ */
+function unifiedJsonDiff(oldText, newText, options = {}) {
+  let oldPaths;
+  let newPaths;
+
+  return unifiedDiff(oldText, newText, {
+    ...options,
+    hunkLabel: (edit, oldLines, newLines) => {
+      oldPaths = oldPaths || jsonLinePaths(oldLines);
+      newPaths = newPaths || jsonLinePaths(newLines);
+      return edit.type === '-' ? oldPaths[edit.oldIndex] : newPaths[edit.newIndex];
+    }
+  });
+}
+
+module.exports = {
+  joinKeyPath,
+  jsonLinePaths,
+  unifiedDiff,
+  unifiedJsonDiff
+};
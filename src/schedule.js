@@ -0,0 +1,228 @@
+/**
+ * Apollo Schedule
+ *
+ * Decides when `apollo.schedule` switches between Apollo Light and Apollo Dark:
+ * at fixed local times, at sunrise and sunset computed offline for a latitude
+ * and longitude, or by letting VS Code follow the OS color scheme. Only an
+ * active Apollo theme is ever switched, so a theme the user picked themselves
+ * is left alone. Kept free of the `vscode` module so the logic can be tested
+ * with plain Node.
+ */
+
+const SCHEDULE_MODES = ['off', 'system', 'times', 'sunriseSunset'];
+
+// Themes the schedule switches to
+const SCHEDULED_THEMES = {
+  light: 'Apollo Light',
+  dark: 'Apollo Dark'
+};
+
+// Settings written to make VS Code follow the OS color scheme
+const SCHEME_SETTINGS = [
+  'window.autoDetectColorScheme',
+  'workbench.preferredDarkColorTheme',
+  'workbench.preferredLightColorTheme'
+];
+
+const RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const J2000 = 2451545;
+
+/**
+ * Parse a local time of day
+ * @param {string} value - 24-hour time, e.g. '07:00' or '19:30'
+ * @returns {number|null} Minutes after midnight, null when not a valid time
+ */
+function parseTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(typeof value === 'string' ? value.trim() : '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Sunrise and sunset on a local calendar day, from the sunrise equation with
+ * the standard -0.833° altitude for refraction and the solar disc
+ * @param {Date} date - Any time on the day
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {{ sunrise: Date, sunset: Date }|{ polar: 'day'|'night' }}
+ *   The times, or which polar case applies when the sun does not rise or set
+ */
+function sunTimes(date, latitude, longitude) {
+  // Days from J2000 to noon UTC on the local calendar day
+  const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12) / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY - J2000;
+  const meanSolarTime = day - longitude / 360;
+
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center = 1.9148 * Math.sin(anomaly * RAD) + 0.02 * Math.sin(2 * anomaly * RAD) + 0.0003 * Math.sin(3 * anomaly * RAD);
+  const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(anomaly * RAD) - 0.0069 * Math.sin(2 * eclipticLongitude * RAD);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude * RAD) * Math.sin(23.4397 * RAD));
+  const cosHourAngle = (Math.sin(-0.833 * RAD) - Math.sin(latitude * RAD) * Math.sin(declination)) /
+    (Math.cos(latitude * RAD) * Math.cos(declination));
+
+  if (cosHourAngle < -1) return { polar: 'day' };
+  if (cosHourAngle > 1) return { polar: 'night' };
+
+  const hourAngle = Math.acos(cosHourAngle) / RAD;
+  const toDate = julianDay => new Date((julianDay - UNIX_EPOCH_JULIAN_DAY) * MS_PER_DAY);
+  return {
+    sunrise: toDate(transit - hourAngle / 360),
+    sunset: toDate(transit + hourAngle / 360)
+  };
+}
+
+/**
+ * Whether a coordinate setting holds a number within range
+ */
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * Theme kind the time and sunrise/sunset schedules ask for at a given moment
+ * @param {{ schedule?: string, scheduleLightTime?: string, scheduleDarkTime?: string, scheduleLatitude?: number|null, scheduleLongitude?: number|null }} settings
+ * @param {Date} now
+ * @returns {{ kind: 'light'|'dark'|null, warnings: string[] }} null when the
+ *   schedule is off, follows the OS, or its settings are invalid
+ */
+function scheduledKind(settings, now) {
+  const warnings = [];
+
+  if (settings.schedule === 'times') {
+    const light = parseTime(settings.scheduleLightTime);
+    const dark = parseTime(settings.scheduleDarkTime);
+
+    if (light === null || dark === null) {
+      const invalid = light === null ? ['scheduleLightTime', settings.scheduleLightTime] : ['scheduleDarkTime', settings.scheduleDarkTime];
+      warnings.push(`apollo.${invalid[0]} "${invalid[1]}" is not a 24-hour time such as 07:00, so the schedule is paused`);
+      return { kind: null, warnings };
+    }
+    if (light === dark) {
+      warnings.push(`apollo.scheduleLightTime and apollo.scheduleDarkTime are both ${settings.scheduleLightTime}, so the schedule is paused`);
+      return { kind: null, warnings };
+    }
+
+    // The light period may wrap past midnight when light starts after dark
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const isLight = light < dark
+      ? minutes >= light && minutes < dark
+      : minutes >= light || minutes < dark;
+    return { kind: isLight ? 'light' : 'dark', warnings };
+  }
+
+  if (settings.schedule === 'sunriseSunset') {
+    if (!isCoordinate(settings.scheduleLatitude, 90) || !isCoordinate(settings.scheduleLongitude, 180)) {
+      warnings.push('Set apollo.scheduleLatitude (-90 to 90) and apollo.scheduleLongitude (-180 to 180) to switch at sunrise and sunset');
+      return { kind: null, warnings };
+    }
+
+    const sun = sunTimes(now, settings.scheduleLatitude, settings.scheduleLongitude);
+    if (sun.polar) {
+      return { kind: sun.polar === 'day' ? 'light' : 'dark', warnings };
+    }
+    return { kind: now >= sun.sunrise && now < sun.sunset ? 'light' : 'dark', warnings };
+  }
+
+  return { kind: null, warnings };
+}
+
+/**
+ * Kind of a contributed theme
+ * @param {string} uiTheme - 'vs', 'vs-dark', 'hc-black' or 'hc-light'
+ * @returns {'light'|'dark'}
+ */
+function themeKind(uiTheme) {
+  return uiTheme === 'vs' || uiTheme === 'hc-light' ? 'light' : 'dark';
+}
+
+/**
+ * Theme to switch to for a scheduled kind
+ * An active Apollo theme that already has the kind, such as Apollo Dimmed at
+ * night, is kept.
+ * @param {'light'|'dark'} kind
+ * @param {string} activeLabel - Label of the active theme
+ * @param {{ label: string, uiTheme: string }[]} themes - The extension's contributes.themes
+ * @returns {string|null} Label to write to `workbench.colorTheme`, null to leave it
+ */
+function scheduledTheme(kind, activeLabel, themes) {
+  const active = themes.find(theme => theme.label === activeLabel);
+  if (!active || themeKind(active.uiTheme) === kind) {
+    return null;
+  }
+
+  const target = SCHEDULED_THEMES[kind];
+  return themes.some(theme => theme.label === target) ? target : null;
+}
+
+/**
+ * Settings that make VS Code follow the OS between an Apollo dark and light theme
+ * They are only wanted while an Apollo theme is active, or to keep what was
+ * written earlier once VS Code has switched on its own.
+ * @param {string} activeLabel - Label of the active theme
+ * @param {{ label: string, uiTheme: string }[]} themes - The extension's contributes.themes
+ * @param {Object<string, any>} previous - Settings written last time, by section
+ * @returns {Object<string, any>} Settings to write, by section (empty when none)
+ */
+function systemSchemeSettings(activeLabel, themes, previous) {
+  const active = themes.find(theme => theme.label === activeLabel);
+  if (!active && Object.keys(previous || {}).length === 0) {
+    return {};
+  }
+
+  const preferred = kind => {
+    if (active && themeKind(active.uiTheme) === kind) return active.label;
+    const section = kind === 'dark' ? 'workbench.preferredDarkColorTheme' : 'workbench.preferredLightColorTheme';
+    return (previous && previous[section]) || SCHEDULED_THEMES[kind];
+  };
+
+  return {
+    'window.autoDetectColorScheme': true,
+    'workbench.preferredDarkColorTheme': preferred('dark'),
+    'workbench.preferredLightColorTheme': preferred('light')
+  };
+}
+
+/**
+ * Merge scheme settings into the user's global settings
+ * Sections written previously are cleared first, but only while they still hold
+ * the value the extension wrote. Sections the user set themselves are never
+ * overwritten.
+ * @param {Object<string, any>} current - Current global values by section (not modified)
+ * @param {Object<string, any>} previous - Values written last time, by section
+ * @param {Object<string, any>} next - Values to write now, by section
+ * @returns {{ value: Object<string, any>, written: Object<string, any> }}
+ *   New global values by section (undefined to remove) and the values actually written
+ */
+function mergeSchemeSettings(current, previous, next) {
+  const value = { ...(current || {}) };
+  const written = {};
+
+  for (const [section, setting] of Object.entries(previous || {})) {
+    if (JSON.stringify(value[section]) === JSON.stringify(setting)) {
+      value[section] = undefined;
+    }
+  }
+
+  for (const [section, setting] of Object.entries(next || {})) {
+    if (value[section] !== undefined) continue;
+    value[section] = setting;
+    written[section] = setting;
+  }
+
+  return { value, written };
+}
+
+module.exports = {
+  SCHEDULE_MODES,
+  SCHEDULED_THEMES,
+  SCHEME_SETTINGS,
+  parseTime,
+  sunTimes,
+  scheduledKind,
+  themeKind,
+  scheduledTheme,
+  systemSchemeSettings,
+  mergeSchemeSettings
+};
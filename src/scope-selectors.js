@@ -0,0 +1,128 @@
+/**
+ * Apollo Scope Selectors
+ *
+ * TextMate scope-selector matching for theme `tokenColors`, following the rules
+ * VS Code applies: a selector's last segment must equal the token's scope or be
+ * a dot-separated prefix of it, earlier segments must match ancestor scopes in
+ * order (`>` for a direct parent), and each scope in the stack inherits the
+ * foreground of its ancestors unless a rule for it sets its own.
+ */
+
+/**
+ * Whether a selector segment matches a scope
+ * `keyword.control` matches `keyword.control` and `keyword.control.flow.js`
+ */
+function scopeMatches(selector, scope) {
+  return scope === selector || scope.startsWith(`${selector}.`);
+}
+
+/**
+ * Split a rule's `scope` (string with commas, or array) into selectors
+ * @param {string|string[]} scope
+ * @returns {string[][]} Segments of each selector
+ */
+function parseSelectors(scope) {
+  const selectors = Array.isArray(scope) ? scope : String(scope || '').split(',');
+  return selectors
+    .map(selector => selector.trim().split(/\s+/).filter(Boolean))
+    .filter(segments => segments.length > 0);
+}
+
+/**
+ * Match one selector against a scope stack, innermost scope last
+ * @param {string[]} segments - Selector segments, e.g. ['meta.tag', 'string']
+ * @param {string[]} scopes - Scope stack, e.g. ['text.html.basic', 'meta.tag.html', 'string.quoted.html']
+ * @returns {{ depth: number, parents: number }|null} Specificity, or null when it does not match
+ */
+function matchSelector(segments, scopes) {
+  const leaf = segments[segments.length - 1];
+  if (!scopeMatches(leaf, scopes[scopes.length - 1])) return null;
+
+  let scopeIndex = scopes.length - 2;
+  let parents = 0;
+  let direct = false;
+
+  for (let i = segments.length - 2; i >= 0; i--) {
+    if (segments[i] === '>') {
+      direct = true;
+      continue;
+    }
+
+    if (direct) {
+      if (scopeIndex < 0 || !scopeMatches(segments[i], scopes[scopeIndex])) return null;
+      scopeIndex--;
+    } else {
+      while (scopeIndex >= 0 && !scopeMatches(segments[i], scopes[scopeIndex])) scopeIndex--;
+      if (scopeIndex < 0) return null;
+      scopeIndex--;
+    }
+
+    direct = false;
+    parents++;
+  }
+
+  return { depth: leaf.split('.').length, parents };
+}
+
+/**
+ * Rules whose selectors match the innermost scope of a stack, most specific first
+ * (deeper leaf selector, then more ancestor segments, then later rule)
+ * @param {Object[]} tokenColors - Theme tokenColors
+ * @param {string[]} scopes - Scope stack, innermost scope last
+ * @returns {{ rule: Object, index: number, depth: number, parents: number }[]}
+ */
+function matchingRules(tokenColors, scopes) {
+  const matches = [];
+
+  tokenColors.forEach((rule, index) => {
+    if (!rule.scope) return;
+
+    let best = null;
+    for (const segments of parseSelectors(rule.scope)) {
+      const match = matchSelector(segments, scopes);
+      if (match && (!best || match.depth > best.depth || (match.depth === best.depth && match.parents > best.parents))) {
+        best = match;
+      }
+    }
+
+    if (best) matches.push({ rule, index, ...best });
+  });
+
+  return matches.sort((a, b) => b.depth - a.depth || b.parents - a.parents || b.index - a.index);
+}
+
+/**
+ * Resolve the foreground and font style of a token from its scope stack
+ * @param {Object[]} tokenColors - Theme tokenColors
+ * @param {string[]} scopes - Scope stack, outermost first
+ * @returns {{ foreground?: string, fontStyle?: string, rule?: Object }}
+ *   Styles found, and the rule that supplied the foreground; no foreground means
+ *   the token falls through to `editor.foreground`
+ */
+function resolveTokenStyle(tokenColors, scopes) {
+  const style = {};
+
+  for (let i = 0; i < scopes.length; i++) {
+    const matches = matchingRules(tokenColors, scopes.slice(0, i + 1));
+    const withForeground = matches.find(match => match.rule.settings && match.rule.settings.foreground);
+    const withFontStyle = matches.find(match => match.rule.settings && match.rule.settings.fontStyle !== undefined);
+
+    if (withForeground) {
+      style.foreground = withForeground.rule.settings.foreground;
+      style.rule = withForeground.rule;
+    }
+    if (withFontStyle) {
+      style.fontStyle = withFontStyle.rule.settings.fontStyle;
+    }
+  }
+
+  return style;
+}
+
+module.exports = {
+  scopeMatches,
+  parseSelectors,
+  matchSelector,
+  matchingRules,
+  resolveTokenStyle
+};
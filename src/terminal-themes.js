@@ -0,0 +1,259 @@
+/**
+ * Apollo Terminal Themes
+ *
+ * Turns a theme's `terminal.*` colors into color schemes for terminal
+ * emulators. Keys a theme leaves unset fall back the way VS Code's integrated
+ * terminal resolves them, and translucent colors are flattened over the
+ * terminal background because most emulators have no alpha.
+ */
+
+const { compositeOver, hexToRgb } = require('./color-math');
+
+// ANSI color keys in palette order, 0-15
+const ANSI_NAMES = ['Black', 'Red', 'Green', 'Yellow', 'Blue', 'Magenta', 'Cyan', 'White'];
+const ANSI_KEYS = [
+  ...ANSI_NAMES.map(name => `terminal.ansi${name}`),
+  ...ANSI_NAMES.map(name => `terminal.ansiBright${name}`)
+];
+
+/**
+ * Resolve the colors a terminal needs from a theme
+ * @param {Object} theme - Parsed theme JSON
+ * @returns {{ name: string, type: string, background: string, foreground: string, cursor: string,
+ *   cursorText: string, selectionBackground: string, selectionForeground: string, ansi: string[] }}
+ */
+function terminalPalette(theme) {
+  const colors = theme.colors || {};
+  const background = colors['terminal.background'] || colors['editor.background'];
+  const foreground = colors['terminal.foreground'] || colors['editor.foreground'];
+  const resolve = (keys, fallback) => {
+    const key = keys.find(candidate => colors[candidate]);
+    return compositeOver(key ? colors[key] : fallback, background).toLowerCase();
+  };
+
+  const missing = ANSI_KEYS.filter(key => !colors[key]);
+  if (missing.length > 0) {
+    throw new Error(`${theme.name} has no ${missing.join(', ')}`);
+  }
+
+  return {
+    name: theme.name,
+    type: theme.type,
+    background: resolve(['terminal.background'], background),
+    foreground: resolve(['terminal.foreground'], foreground),
+    cursor: resolve(['terminalCursor.foreground'], foreground),
+    cursorText: resolve(['terminalCursor.background'], background),
+    selectionBackground: resolve(['terminal.selectionBackground', 'editor.selectionBackground'], foreground),
+    selectionForeground: resolve(['terminal.selectionForeground'], foreground),
+    ansi: ANSI_KEYS.map(key => compositeOver(colors[key], background).toLowerCase())
+  };
+}
+
+function fileName(palette) {
+  return palette.name.toLowerCase().replace(/\s+/g, '-');
+}
+
+function windowsTerminal(palette) {
+  const names = ['black', 'red', 'green', 'yellow', 'blue', 'purple', 'cyan', 'white'];
+  const scheme = {
+    name: palette.name,
+    background: palette.background,
+    foreground: palette.foreground,
+    cursorColor: palette.cursor,
+    selectionBackground: palette.selectionBackground
+  };
+  names.forEach((name, index) => {
+    scheme[name] = palette.ansi[index];
+  });
+  names.forEach((name, index) => {
+    scheme[`bright${name[0].toUpperCase()}${name.slice(1)}`] = palette.ansi[index + 8];
+  });
+  return JSON.stringify(scheme, null, 2) + '\n';
+}
+
+function iterm2(palette, source) {
+  const entries = {
+    'Background Color': palette.background,
+    'Bold Color': palette.foreground,
+    'Cursor Color': palette.cursor,
+    'Cursor Text Color': palette.cursorText,
+    'Foreground Color': palette.foreground,
+    'Selected Text Color': palette.selectionForeground,
+    'Selection Color': palette.selectionBackground
+  };
+  palette.ansi.forEach((color, index) => {
+    entries[`Ansi ${index} Color`] = color;
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    `<!-- ${palette.name}, generated from ${source} -->`,
+    '<plist version="1.0">',
+    '<dict>'
+  ];
+  for (const key of Object.keys(entries).sort()) {
+    const { r, g, b } = hexToRgb(entries[key]);
+    lines.push(
+      `\t<key>${key}</key>`,
+      '\t<dict>',
+      '\t\t<key>Alpha Component</key>',
+      '\t\t<real>1</real>',
+      '\t\t<key>Blue Component</key>',
+      `\t\t<real>${b / 255}</real>`,
+      '\t\t<key>Color Space</key>',
+      '\t\t<string>sRGB</string>',
+      '\t\t<key>Green Component</key>',
+      `\t\t<real>${g / 255}</real>`,
+      '\t\t<key>Red Component</key>',
+      `\t\t<real>${r / 255}</real>`,
+      '\t</dict>'
+    );
+  }
+  lines.push('</dict>', '</plist>', '');
+  return lines.join('\n');
+}
+
+function alacritty(palette, source) {
+  const names = ANSI_NAMES.map(name => name.toLowerCase());
+  const table = (title, offset) => [
+    `[colors.${title}]`,
+    ...names.map((name, index) => `${name} = "${palette.ansi[index + offset]}"`),
+    ''
+  ];
+
+  return [
+    `# ${palette.name}, generated from ${source}`,
+    '',
+    '[colors.primary]',
+    `background = "${palette.background}"`,
+    `foreground = "${palette.foreground}"`,
+    '',
+    '[colors.cursor]',
+    `text = "${palette.cursorText}"`,
+    `cursor = "${palette.cursor}"`,
+    '',
+    '[colors.selection]',
+    `text = "${palette.selectionForeground}"`,
+    `background = "${palette.selectionBackground}"`,
+    '',
+    ...table('normal', 0),
+    ...table('bright', 8)
+  ].join('\n');
+}
+
+function kitty(palette, source) {
+  return [
+    `# ${palette.name}, generated from ${source}`,
+    '',
+    `foreground ${palette.foreground}`,
+    `background ${palette.background}`,
+    `cursor ${palette.cursor}`,
+    `cursor_text_color ${palette.cursorText}`,
+    `selection_foreground ${palette.selectionForeground}`,
+    `selection_background ${palette.selectionBackground}`,
+    '',
+    ...palette.ansi.map((color, index) => `color${index} ${color}`),
+    ''
+  ].join('\n');
+}
+
+function wezterm(palette, source) {
+  const list = colors => `{ ${colors.map(color => `'${color}'`).join(', ')} }`;
+
+  return [
+    `-- ${palette.name}, generated from ${source}`,
+    `-- config.colors = require('${fileName(palette)}')`,
+    'return {',
+    `  foreground = '${palette.foreground}',`,
+    `  background = '${palette.background}',`,
+    `  cursor_bg = '${palette.cursor}',`,
+    `  cursor_fg = '${palette.cursorText}',`,
+    `  cursor_border = '${palette.cursor}',`,
+    `  selection_fg = '${palette.selectionForeground}',`,
+    `  selection_bg = '${palette.selectionBackground}',`,
+    `  ansi = ${list(palette.ansi.slice(0, 8))},`,
+    `  brights = ${list(palette.ansi.slice(8))},`,
+    '}',
+    ''
+  ].join('\n');
+}
+
+function foot(palette, source) {
+  const bare = color => color.slice(1);
+
+  return [
+    `# ${palette.name}, generated from ${source}`,
+    '',
+    '[cursor]',
+    `color=${bare(palette.cursorText)} ${bare(palette.cursor)}`,
+    '',
+    '[colors]',
+    `foreground=${bare(palette.foreground)}`,
+    `background=${bare(palette.background)}`,
+    `selection-foreground=${bare(palette.selectionForeground)}`,
+    `selection-background=${bare(palette.selectionBackground)}`,
+    ...palette.ansi.slice(0, 8).map((color, index) => `regular${index}=${bare(color)}`),
+    ...palette.ansi.slice(8).map((color, index) => `bright${index}=${bare(color)}`),
+    ''
+  ].join('\n');
+}
+
+function gnomeTerminal(palette, source) {
+  return [
+    `# ${palette.name}, generated from ${source}`,
+    `# dconf load /org/gnome/terminal/legacy/profiles:/:<profile-id>/ < ${fileName(palette)}.dconf`,
+    '[/]',
+    `visible-name='${palette.name}'`,
+    'use-theme-colors=false',
+    `foreground-color='${palette.foreground}'`,
+    `background-color='${palette.background}'`,
+    'bold-color-same-as-fg=true',
+    'cursor-colors-set=true',
+    `cursor-background-color='${palette.cursor}'`,
+    `cursor-foreground-color='${palette.cursorText}'`,
+    'highlight-colors-set=true',
+    `highlight-background-color='${palette.selectionBackground}'`,
+    `highlight-foreground-color='${palette.selectionForeground}'`,
+    `palette=[${palette.ansi.map(color => `'${color}'`).join(', ')}]`,
+    ''
+  ].join('\n');
+}
+
+// Export targets: directory under the output folder, file extension and formatter
+const TERMINAL_FORMATS = [
+  { id: 'windows-terminal', label: 'Windows Terminal', extension: '.json', format: windowsTerminal },
+  { id: 'iterm2', label: 'iTerm2', extension: '.itermcolors', format: iterm2 },
+  { id: 'alacritty', label: 'Alacritty', extension: '.toml', format: alacritty },
+  { id: 'kitty', label: 'Kitty', extension: '.conf', format: kitty },
+  { id: 'wezterm', label: 'WezTerm', extension: '.lua', format: wezterm },
+  { id: 'foot', label: 'foot', extension: '.ini', format: foot },
+  { id: 'gnome-terminal', label: 'GNOME Terminal', extension: '.dconf', format: gnomeTerminal }
+];
+
+/**
+ * Render a theme for one terminal
+ * @param {Object} theme - Parsed theme JSON
+ * @param {string} formatId - One of TERMINAL_FORMATS
+ * @param {string} source - Theme path named in the file's header comment
+ * @returns {{ file: string, content: string }} Relative output path and file content
+ */
+function exportTerminalTheme(theme, formatId, source) {
+  const format = TERMINAL_FORMATS.find(candidate => candidate.id === formatId);
+  if (!format) {
+    throw new Error(`Unknown terminal format: ${formatId}`);
+  }
+
+  const palette = terminalPalette(theme);
+  return {
+    file: `${format.id}/${fileName(palette)}${format.extension}`,
+    content: format.format(palette, source)
+  };
+}
+
+module.exports = {
+  ANSI_KEYS,
+  TERMINAL_FORMATS,
+  terminalPalette,
+  exportTerminalTheme
+};
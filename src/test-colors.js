@@ -1,5 +1,5 @@
 // Simple test to verify the color palette implementation
-const colors = require('./colors.ts');
+const colors = require('./colors');
 
 // Test that we have all color groups
 console.log('Testing Apollo Color Palette Implementation...\n');
@@ -0,0 +1,120 @@
+/**
+ * Apollo Theme Import
+ *
+ * Re-quantizes an existing VS Code color theme, as read by src/theme-loader.js,
+ * to the Apollo palette. Every color is replaced by the perceptually nearest
+ * palette color (CIEDE2000 in CIE L*a*b*), keeping its alpha channel.
+ */
+
+const { getAllApolloColors } = require('./colors');
+const { normalizeHex, splitAlpha, nearestColor, relativeLuminance } = require('./color-math');
+
+/**
+ * Replace a color with the nearest palette color, keeping its alpha
+ * @param {string} color - Hex color in any VS Code form
+ * @param {string[]} [palette] - Candidate colors
+ * @returns {{ color: string, distance: number }|null} Quantized color and its Delta E 2000,
+ *   or null when the value is not a hex color
+ */
+function quantizeColor(color, palette = getAllApolloColors()) {
+  const hex = normalizeHex(color);
+  if (!hex) return null;
+
+  const { base, alpha } = splitAlpha(hex);
+  const nearest = nearestColor(base, palette);
+  return { color: nearest.color + alpha, distance: nearest.distance };
+}
+
+/**
+ * Quantize every color of a theme: colors, tokenColors[].settings and semanticTokenColors
+ * @param {Object} theme - Theme as returned by loadTheme()
+ * @param {{ name?: string, palette?: string[] }} [options]
+ * @returns {{ theme: Object, shifts: { path: string, from: string, to: string, distance: number }[],
+ *   skipped: { path: string, value: * }[] }} The new theme, one shift per color in theme order,
+ *   and the values that were not hex colors and were kept as they are
+ */
+function quantizeTheme(theme, { name, palette = getAllApolloColors() } = {}) {
+  const shifts = [];
+  const skipped = [];
+  const cache = new Map();
+  const quantize = (keyPath, value) => {
+    if (!cache.has(value)) cache.set(value, quantizeColor(value, palette));
+    const result = cache.get(value);
+    if (!result) {
+      skipped.push({ path: keyPath, value });
+      return value;
+    }
+    shifts.push({ path: keyPath, from: value, to: result.color, distance: result.distance });
+    return result.color;
+  };
+
+  const colors = {};
+  for (const [key, value] of Object.entries(theme.colors || {})) {
+    colors[key] = quantize(`colors["${key}"]`, value);
+  }
+
+  const tokenColors = (theme.tokenColors || []).map((rule, index) => {
+    if (!rule.settings) return rule;
+    const settings = { ...rule.settings };
+    for (const property of ['foreground', 'background']) {
+      if (settings[property]) {
+        settings[property] = quantize(`tokenColors[${index}].settings.${property}`, settings[property]);
+      }
+    }
+    return { ...rule, settings };
+  });
+
+  const semanticTokenColors = {};
+  for (const [selector, value] of Object.entries(theme.semanticTokenColors || {})) {
+    if (typeof value === 'string') {
+      semanticTokenColors[selector] = quantize(`semanticTokenColors["${selector}"]`, value);
+    } else if (value && value.foreground) {
+      semanticTokenColors[selector] = { ...value, foreground: quantize(`semanticTokenColors["${selector}"].foreground`, value.foreground) };
+    } else {
+      semanticTokenColors[selector] = value;
+    }
+  }
+
+  // Themes registered through package.json may leave `type` to uiTheme; infer it from the editor
+  const background = normalizeHex(colors['editor.background']);
+  const type = theme.type || (background && relativeLuminance(background) > 0.5 ? 'light' : 'dark');
+
+  const imported = {
+    ...theme,
+    name: name || `${theme.name || 'Imported'} (Apollo)`,
+    type,
+    colors,
+    tokenColors
+  };
+  if (theme.semanticTokenColors) imported.semanticTokenColors = semanticTokenColors;
+
+  return { theme: imported, shifts, skipped };
+}
+
+/**
+ * The largest color shifts, one entry per distinct source color
+ * @param {{ from: string, to: string, distance: number, path: string }[]} shifts
+ * @param {number} [limit]
+ * @returns {{ from: string, to: string, distance: number, paths: string[] }[]} Sorted by distance, largest first
+ */
+function largestShifts(shifts, limit = Infinity) {
+  const byColor = new Map();
+  for (const shift of shifts) {
+    const key = normalizeHex(shift.from);
+    if (!byColor.has(key)) {
+      byColor.set(key, { from: key, to: shift.to, distance: shift.distance, paths: [] });
+    }
+    byColor.get(key).paths.push(shift.path);
+  }
+
+  return [...byColor.values()]
+    .sort((a, b) => b.distance - a.distance || a.from.localeCompare(b.from))
+    .slice(0, limit);
+}
+
+module.exports = {
+  normalizeHex,
+  quantizeColor,
+  quantizeTheme,
+  largestShifts
+};
@@ -0,0 +1,196 @@
+/**
+ * Apollo Theme Loader
+ *
+ * Reads color theme files the way VS Code does: JSONC, so comments and
+ * trailing commas are allowed, with `include` chains resolved relative to each
+ * file. Parse errors name the file, line and column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parse JSON with comments and trailing commas
+ * @param {string} text - JSONC source
+ * @param {string} [source] - File name used in error messages
+ * @returns {*} Parsed value
+ * @throws {Error} `<source>:<line>:<column>: <reason>`, with `line` and `column` properties
+ */
+function parseJsonc(text, source = '<input>') {
+  let index = 0;
+
+  const fail = (reason, at = index) => {
+    const lines = text.slice(0, at).split('\n');
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+    const error = new Error(`${source}:${line}:${column}: ${reason}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  };
+  const found = () => (index < text.length ? `'${text[index]}'` : 'end of file');
+
+  const skipTrivia = () => {
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+      } else if (text.startsWith('//', index)) {
+        while (index < text.length && text[index] !== '\n') index++;
+      } else if (text.startsWith('/*', index)) {
+        const end = text.indexOf('*/', index + 2);
+        if (end === -1) fail('Unterminated comment');
+        index = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const start = index;
+    index++;
+    while (text[index] !== '"') {
+      if (index >= text.length || text[index] === '\n') fail('Unterminated string', start);
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    try {
+      return JSON.parse(text.slice(start, index));
+    } catch (error) {
+      return fail('Invalid escape in string', start);
+    }
+  };
+
+  const parseNumber = () => {
+    const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(index));
+    if (!match) fail(`Unexpected ${found()}`);
+    index += match[0].length;
+    return Number(match[0]);
+  };
+
+  const parseObject = () => {
+    const object = {};
+    index++;
+    skipTrivia();
+    while (text[index] !== '}') {
+      if (text[index] !== '"') fail(`Expected a property name or '}' but found ${found()}`);
+      const key = parseString();
+      skipTrivia();
+      if (text[index] !== ':') fail(`Expected ':' after property name but found ${found()}`);
+      index++;
+      // Define rather than assign so a "__proto__" key stays an ordinary property, as with JSON.parse
+      Object.defineProperty(object, key, { value: parseValue(), enumerable: true, writable: true, configurable: true });
+      skipTrivia();
+      if (text[index] === ',') {
+        index++;
+        skipTrivia();
+      } else if (text[index] !== '}') {
+        fail(`Expected ',' or '}' after property value but found ${found()}`);
+      }
+    }
+    index++;
+    return object;
+  };
+
+  const parseArray = () => {
+    const array = [];
+    index++;
+    skipTrivia();
+    while (text[index] !== ']') {
+      array.push(parseValue());
+      skipTrivia();
+      if (text[index] === ',') {
+        index++;
+        skipTrivia();
+      } else if (text[index] !== ']') {
+        fail(`Expected ',' or ']' after array element but found ${found()}`);
+      }
+    }
+    index++;
+    return array;
+  };
+
+  function parseValue() {
+    skipTrivia();
+    const char = text[index];
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"') return parseString();
+    if (char === '-' || /[0-9]/.test(char || '')) return parseNumber();
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, index)) {
+        index += word.length;
+        return value;
+      }
+    }
+    return fail(`Unexpected ${found()}`);
+  }
+
+  const value = parseValue();
+  skipTrivia();
+  if (index < text.length) fail(`Unexpected ${found()} after the end of the value`);
+  return value;
+}
+
+function displayPath(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+/**
+ * Read one theme file as it is written, without resolving `include`
+ * @param {string} file - Path to a .json or .jsonc theme
+ * @returns {Object}
+ */
+function readThemeFile(file) {
+  const theme = parseJsonc(fs.readFileSync(file, 'utf8'), displayPath(file));
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error(`${displayPath(file)}: A color theme must be a JSON object`);
+  }
+  return theme;
+}
+
+/**
+ * Load a theme file and everything it includes. As in VS Code, an included
+ * theme is read first: the including file's colors and semanticTokenColors
+ * override it, and its tokenColors are appended after the included ones.
+ * @param {string} file - Path to a .json or .jsonc theme
+ * @param {string[]} [chain] - Files already being loaded, for cycle detection
+ * @returns {Object} Theme with the include chain merged in and no `include` key
+ */
+function loadTheme(file, chain = []) {
+  const resolved = path.resolve(file);
+  if (chain.includes(resolved)) {
+    throw new Error(`Include cycle: ${[...chain, resolved].map(entry => path.basename(entry)).join(' → ')}`);
+  }
+
+  const theme = readThemeFile(resolved);
+  if (typeof theme.tokenColors === 'string') {
+    throw new Error(`${displayPath(resolved)}: tokenColors points at ${theme.tokenColors}; only inline tokenColors are supported`);
+  }
+
+  const { include, ...own } = theme;
+  if (!include) return own;
+
+  const included = path.join(path.dirname(resolved), include);
+  if (!fs.existsSync(included)) {
+    throw new Error(`${displayPath(resolved)}: Included theme ${include} does not exist`);
+  }
+
+  const base = loadTheme(included, [...chain, resolved]);
+  const merged = {
+    ...base,
+    ...own,
+    colors: { ...base.colors, ...own.colors },
+    tokenColors: [...(base.tokenColors || []), ...(own.tokenColors || [])]
+  };
+  if (base.semanticTokenColors || own.semanticTokenColors) {
+    merged.semanticTokenColors = { ...base.semanticTokenColors, ...own.semanticTokenColors };
+  }
+  return merged;
+}
+
+module.exports = {
+  parseJsonc,
+  readThemeFile,
+  loadTheme
+};
@@ -0,0 +1,67 @@
+/**
+ * Apollo Theme Registry
+ *
+ * The themes the extension contributes, read from `contributes.themes` in
+ * package.json. Scripts iterate the registry instead of naming theme files, so
+ * a theme registered by `npm run build` is picked up everywhere, and an entry
+ * whose file is missing fails before any script runs against it. Each theme is
+ * parsed the first time its content is used, so a broken theme only fails the
+ * scripts that read it and the optimizer can still restore it from a backup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTheme } = require('./theme-loader');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Read every contributed theme
+ * @param {string} [rootDir] - Extension directory holding package.json
+ * @param {{ allowMissing?: boolean }} [options] - `allowMissing` keeps entries
+ *   whose file does not exist (their `theme` throws when read), so a deleted
+ *   theme can still be restored from a backup
+ * @returns {{ label: string, uiTheme: string, path: string, file: string, theme: Object }[]}
+ *   One entry per `contributes.themes` entry, in package.json order: `path` is
+ *   relative to `rootDir` without the leading `./`, `file` is absolute and
+ *   `theme` is the parsed theme with its include chain merged, read on first use
+ * @throws {Error} When package.json contributes no themes, an entry is
+ *   incomplete, or its file does not exist (unless `allowMissing` is set)
+ */
+function loadThemeRegistry(rootDir = ROOT, { allowMissing = false } = {}) {
+  const packageJson = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+  const contributions = packageJson.contributes && packageJson.contributes.themes;
+  if (!Array.isArray(contributions) || contributions.length === 0) {
+    throw new Error('package.json: contributes.themes must list at least one theme');
+  }
+
+  return contributions.map((contribution, index) => {
+    const where = `package.json: contributes.themes[${index}]`;
+    for (const key of ['label', 'uiTheme', 'path']) {
+      if (typeof contribution[key] !== 'string' || contribution[key] === '') {
+        throw new Error(`${where} has no ${key}`);
+      }
+    }
+
+    const file = path.resolve(rootDir, contribution.path);
+    if (!allowMissing && !fs.existsSync(file)) {
+      throw new Error(`${where} (${contribution.label}) points at ${contribution.path}, which does not exist`);
+    }
+
+    let theme;
+    return {
+      label: contribution.label,
+      uiTheme: contribution.uiTheme,
+      path: path.relative(rootDir, file).split(path.sep).join('/'),
+      file,
+      get theme() {
+        if (theme === undefined) theme = loadTheme(file);
+        return theme;
+      }
+    };
+  });
+}
+
+module.exports = {
+  loadThemeRegistry
+};
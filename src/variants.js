@@ -0,0 +1,155 @@
+/**
+ * Apollo Theme Variants
+ *
+ * Reads variant definitions from variants/*.json and expands them into the
+ * workbench and syntax colors build-themes.js composes a theme from. A
+ * definition names a base theme, replaces any of the base's `ThemeColors` or
+ * syntax roles, and can override single workbench colors:
+ *
+ *   {
+ *     "name": "Apollo Dimmed",
+ *     "base": "dark",
+ *     "roles": { "background": { "primary": "DARKER_GRAY" } },
+ *     "syntax": { "string": "BRIGHT_GREEN" },
+ *     "overrides": { "statusBar.background": "DARK_GRAY" }
+ *   }
+ *
+ * Colors are Apollo palette names from src/colors.js or hex values. The theme
+ * is written to themes/<definition file name>-color-theme.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const palette = require('./colors');
+const { parseJsonc } = require('./theme-loader');
+
+const VARIANTS_DIR = path.join(__dirname, '..', 'variants');
+
+// Role maps each base starts from
+const BASES = {
+  dark: { roles: palette.DARK_THEME_COLORS, syntax: palette.DARK_SYNTAX_COLORS },
+  light: { roles: palette.LIGHT_THEME_COLORS, syntax: palette.LIGHT_SYNTAX_COLORS }
+};
+
+const DEFINITION_KEYS = ['name', 'description', 'base', 'roles', 'syntax', 'overrides'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve a palette name or hex value to a hex color
+ * @param {string} value - `DARKER_GRAY`, `#151d28` or `#151d2880`
+ * @param {string} where - Location used in error messages
+ * @returns {string} Lowercase hex color
+ */
+function resolveColor(value, where) {
+  if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(palette.APOLLO_PALETTE, value)) {
+    return palette.APOLLO_PALETTE[value];
+  }
+  if (typeof value === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  throw new Error(`${where}: ${JSON.stringify(value)} is neither an Apollo palette color name nor a hex color`);
+}
+
+/**
+ * Replace entries of a role map, rejecting roles the base does not have
+ * @param {Object} base - Role map to start from
+ * @param {Object} replacements - Entries to replace, same shape as `base`
+ * @param {string} where - Location used in error messages
+ * @returns {Object} New role map
+ */
+function replaceRoles(base, replacements, where) {
+  if (!isObject(replacements)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(replacements)) {
+    if (!Object.prototype.hasOwnProperty.call(base, key)) {
+      throw new Error(`${where}.${key} is not a role of the base theme (expected one of ${Object.keys(base).join(', ')})`);
+    }
+    result[key] = isObject(base[key])
+      ? replaceRoles(base[key], value, `${where}.${key}`)
+      : resolveColor(value, `${where}.${key}`);
+  }
+  return result;
+}
+
+/**
+ * Expand a variant definition into the colors of a full theme
+ * @param {Object} definition - Parsed variant definition
+ * @param {string} [source] - File name used in error messages
+ * @returns {{ roles: Object, colors: Object, syntax: Object }} `ThemeColors`
+ *   role map, workbench colors with overrides applied, and syntax role map
+ */
+function expandVariant(definition, source = '<variant>') {
+  if (!isObject(definition)) {
+    throw new Error(`${source}: A variant definition must be a JSON object`);
+  }
+
+  const unknown = Object.keys(definition).filter(key => !DEFINITION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${source}: Unknown keys ${unknown.join(', ')} (expected ${DEFINITION_KEYS.join(', ')})`);
+  }
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    throw new Error(`${source}: name must be a non-empty string`);
+  }
+
+  const base = BASES[definition.base];
+  if (!base) {
+    throw new Error(`${source}: base must be one of ${Object.keys(BASES).join(', ')}, not ${JSON.stringify(definition.base)}`);
+  }
+
+  const roles = replaceRoles(base.roles, definition.roles || {}, `${source}: roles`);
+  const syntax = replaceRoles(base.syntax, definition.syntax || {}, `${source}: syntax`);
+  const colors = palette.composeWorkbenchColors(roles);
+
+  const overrides = definition.overrides || {};
+  if (!isObject(overrides)) {
+    throw new Error(`${source}: overrides must be an object`);
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.prototype.hasOwnProperty.call(colors, key)) {
+      throw new Error(`${source}: overrides.${key} is not a workbench color the themes define`);
+    }
+    colors[key] = resolveColor(value, `${source}: overrides.${key}`);
+  }
+
+  return { roles, colors, syntax };
+}
+
+/**
+ * Read and expand every variant definition in a directory
+ * @param {string} [dir] - Directory of *.json definitions, variants/ by default
+ * @returns {{ name: string, type: string, path: string, source: string, roles: Object, colors: Object, syntax: Object }[]}
+ *   One entry per definition in file name order, shaped like the THEMES entries in build-themes.js
+ */
+function loadVariants(dir = VARIANTS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const source = path.relative(process.cwd(), path.join(dir, file)) || file;
+      const definition = parseJsonc(fs.readFileSync(path.join(dir, file), 'utf8'), source);
+      return {
+        name: definition.name,
+        type: definition.base,
+        path: `themes/${path.basename(file, '.json')}-color-theme.json`,
+        source,
+        ...expandVariant(definition, source)
+      };
+    });
+}
+
+module.exports = {
+  VARIANTS_DIR,
+  resolveColor,
+  expandVariant,
+  loadVariants
+};
@@ -0,0 +1,13 @@
+-- Apollo Dark, generated from themes/apollo-dark-color-theme.json
+-- config.colors = require('apollo-dark')
+return {
+  foreground = '#ebede9',
+  background = '#090a14',
+  cursor_bg = '#ebede9',
+  cursor_fg = '#090a14',
+  cursor_border = '#ebede9',
+  selection_fg = '#ebede9',
+  selection_bg = '#253a5e',
+  ansi = { '#090a14', '#cf573c', '#75a743', '#de9e41', '#4f8fba', '#c65197', '#73bed3', '#ebede9' },
+  brights = { '#394a50', '#da863e', '#a8ca58', '#e8c170', '#73bed3', '#df84a5', '#a4dddb', '#ebede9' },
+}
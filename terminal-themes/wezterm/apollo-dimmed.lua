@@ -0,0 +1,13 @@
+-- Apollo Dimmed, generated from themes/apollo-dimmed-color-theme.json
+-- config.colors = require('apollo-dimmed')
+return {
+  foreground = '#ebede9',
+  background = '#151d28',
+  cursor_bg = '#ebede9',
+  cursor_fg = '#151d28',
+  cursor_border = '#ebede9',
+  selection_fg = '#ebede9',
+  selection_bg = '#253a5e',
+  ansi = { '#090a14', '#cf573c', '#75a743', '#de9e41', '#4f8fba', '#c65197', '#73bed3', '#ebede9' },
+  brights = { '#394a50', '#da863e', '#a8ca58', '#e8c170', '#73bed3', '#df84a5', '#a4dddb', '#ebede9' },
+}
@@ -0,0 +1,13 @@
+-- Apollo High Contrast Dark, generated from themes/apollo-hc-dark-color-theme.json
+-- config.colors = require('apollo-high-contrast-dark')
+return {
+  foreground = '#ebede9',
+  background = '#090a14',
+  cursor_bg = '#ebede9',
+  cursor_fg = '#090a14',
+  cursor_border = '#ebede9',
+  selection_fg = '#ebede9',
+  selection_bg = '#253a5e',
+  ansi = { '#090a14', '#df84a5', '#d0da91', '#de9e41', '#a4dddb', '#c65197', '#73bed3', '#ebede9' },
+  brights = { '#a8b5b2', '#da863e', '#a8ca58', '#e8c170', '#73bed3', '#df84a5', '#a4dddb', '#ebede9' },
+}
@@ -0,0 +1,13 @@
+-- Apollo High Contrast Light, generated from themes/apollo-hc-light-color-theme.json
+-- config.colors = require('apollo-high-contrast-light')
+return {
+  foreground = '#090a14',
+  background = '#ebede9',
+  cursor_bg = '#090a14',
+  cursor_fg = '#ebede9',
+  cursor_border = '#090a14',
+  selection_fg = '#090a14',
+  selection_bg = '#a4dddb',
+  ansi = { '#090a14', '#752438', '#19332d', '#602c2c', '#172038', '#c65197', '#253a5e', '#ebede9' },
+  brights = { '#394a50', '#da863e', '#25562e', '#e8c170', '#253a5e', '#df84a5', '#a4dddb', '#ebede9' },
+}
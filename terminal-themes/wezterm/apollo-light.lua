@@ -0,0 +1,13 @@
+-- Apollo Light, generated from themes/apollo-light-color-theme.json
+-- config.colors = require('apollo-light')
+return {
+  foreground = '#090a14',
+  background = '#ebede9',
+  cursor_bg = '#090a14',
+  cursor_fg = '#ebede9',
+  cursor_border = '#090a14',
+  selection_fg = '#090a14',
+  selection_bg = '#a4dddb',
+  ansi = { '#090a14', '#cf573c', '#75a743', '#de9e41', '#4f8fba', '#c65197', '#73bed3', '#ebede9' },
+  brights = { '#577277', '#da863e', '#a8ca58', '#e8c170', '#73bed3', '#df84a5', '#a4dddb', '#ebede9' },
+}
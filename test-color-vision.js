@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Color Vision Tests
+ *
+ * Tests for simulate-color-vision.js and the color vision helpers in
+ * src/color-math.js: Machado et al. (2009) simulation of pure primaries,
+ * CIEDE2000 against the Sharma, Wu & Dalal (2005) reference data, and which
+ * category pairs `simulate()` reports as confusable.
+ */
+
+const { simulateColorVision, deltaE2000, colorDistance } = require('./src/color-math');
+const { ApolloColorVisionSimulator } = require('./simulate-color-vision');
+
+// Sharma, Wu & Dalal (2005), Table 1: L*a*b* pairs and their ΔE2000 to four decimals
+const SHARMA_PAIRS = [
+  [[50.0000, 2.6772, -79.7751], [50.0000, 0.0000, -82.7485], 2.0425],
+  [[50.0000, 3.1571, -77.2803], [50.0000, 0.0000, -82.7485], 2.8615],
+  [[50.0000, 2.8361, -74.0200], [50.0000, 0.0000, -82.7485], 3.4412],
+  [[50.0000, -1.3802, -84.2814], [50.0000, 0.0000, -82.7485], 1.0000],
+  [[50.0000, -1.1848, -84.8006], [50.0000, 0.0000, -82.7485], 1.0000],
+  [[50.0000, -0.9009, -85.5211], [50.0000, 0.0000, -82.7485], 1.0000],
+  [[50.0000, 0.0000, 0.0000], [50.0000, -1.0000, 2.0000], 2.3669],
+  [[50.0000, -1.0000, 2.0000], [50.0000, 0.0000, 0.0000], 2.3669],
+  [[50.0000, 2.4900, -0.0010], [50.0000, -2.4900, 0.0009], 7.1792],
+  [[50.0000, 2.4900, -0.0010], [50.0000, -2.4900, 0.0010], 7.1792],
+  [[50.0000, 2.4900, -0.0010], [50.0000, -2.4900, 0.0011], 7.2195],
+  [[50.0000, 2.4900, -0.0010], [50.0000, -2.4900, 0.0012], 7.2195],
+  [[50.0000, -0.0010, 2.4900], [50.0000, 0.0009, -2.4900], 4.8045],
+  [[50.0000, -0.0010, 2.4900], [50.0000, 0.0010, -2.4900], 4.8045],
+  [[50.0000, -0.0010, 2.4900], [50.0000, 0.0011, -2.4900], 4.7461],
+  [[50.0000, 2.5000, 0.0000], [50.0000, 0.0000, -2.5000], 4.3065],
+  [[50.0000, 2.5000, 0.0000], [73.0000, 25.0000, -18.0000], 27.1492],
+  [[50.0000, 2.5000, 0.0000], [61.0000, -5.0000, 29.0000], 22.8977],
+  [[50.0000, 2.5000, 0.0000], [56.0000, -27.0000, -3.0000], 31.9030],
+  [[50.0000, 2.5000, 0.0000], [58.0000, 24.0000, 15.0000], 19.4535],
+  [[50.0000, 2.5000, 0.0000], [50.0000, 3.1736, 0.5854], 1.0000],
+  [[50.0000, 2.5000, 0.0000], [50.0000, 3.2972, 0.0000], 1.0000],
+  [[50.0000, 2.5000, 0.0000], [50.0000, 1.8634, 0.5757], 1.0000],
+  [[50.0000, 2.5000, 0.0000], [50.0000, 3.2592, 0.3350], 1.0000],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[63.0109, -31.0961, -5.8663], [62.8187, -29.7946, -4.0864], 1.2630],
+  [[61.2901, 3.7196, -5.3901], [61.4292, 2.2480, -4.9620], 1.8731],
+  [[35.0831, -44.1164, 3.7933], [35.0232, -40.0716, 1.5901], 1.8645],
+  [[22.7233, 20.0904, -46.6940], [23.0331, 14.9730, -42.5619], 2.0373],
+  [[36.4612, 47.8580, 18.3852], [36.2715, 50.5065, 21.2231], 1.4146],
+  [[90.8027, -2.0831, 1.4410], [91.1528, -1.6435, 0.0447], 1.4441],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381],
+  [[6.7747, -0.2908, -2.4247], [5.8714, -0.0985, -2.2286], 0.6377],
+  [[2.0776, 0.0795, -1.1350], [0.9033, -0.0636, -0.5514], 0.9082]
+];
+
+class ApolloColorVisionTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('👁️  Apollo Color Vision Tests');
+    console.log('=============================\n');
+
+    this.testSimulation();
+    this.testColorDistance();
+    this.testSimulator();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * A theme with one tokenColors rule per foreground, on Apollo Dark's background
+   */
+  theme(...foregrounds) {
+    return {
+      colors: { 'editor.background': '#090a14', 'editor.foreground': '#ebede9' },
+      tokenColors: foregrounds.map(([name, foreground]) => ({ name, scope: name.toLowerCase(), settings: { foreground } }))
+    };
+  }
+
+  testSimulation() {
+    console.log('🧪 Simulation');
+    console.log('─'.repeat(50));
+
+    this.runTest('Protanopia: pure red takes the first matrix column (0.152, 0.115, -0.004 clamped) to #6d5f00', () => {
+      return simulateColorVision('#ff0000', 'protanopia') === '#6d5f00';
+    });
+
+    this.runTest('Deuteranopia: pure green is #efd63a', () => {
+      return simulateColorVision('#00ff00', 'deuteranopia') === '#efd63a';
+    });
+
+    this.runTest('Tritanopia: pure blue is #006b96', () => {
+      return simulateColorVision('#0000ff', 'tritanopia') === '#006b96';
+    });
+
+    this.runTest('Achromatopsia: pure red is the gray of equal luminance, #7f7f7f', () => {
+      return simulateColorVision('#ff0000', 'achromatopsia') === '#7f7f7f';
+    });
+
+    this.runTest('White and black are unchanged by every deficiency', () => {
+      return ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'].every(deficiency =>
+        simulateColorVision('#ffffff', deficiency) === '#ffffff' && simulateColorVision('#000000', deficiency) === '#000000');
+    });
+
+    this.runTest('An unknown deficiency throws', () => {
+      try {
+        simulateColorVision('#ff0000', 'monochromacy');
+        return false;
+      } catch (error) {
+        return error.message === 'Unknown color vision deficiency: monochromacy';
+      }
+    });
+  }
+
+  testColorDistance() {
+    console.log('\n📏 Color Distance');
+    console.log('─'.repeat(50));
+
+    this.runTest(`deltaE2000 matches all ${SHARMA_PAIRS.length} Sharma et al. reference pairs to 4 decimals`, () => {
+      const lab = ([L, a, b]) => ({ L, a, b });
+      const wrong = SHARMA_PAIRS
+        .map(([first, second, expected], index) => ({ index: index + 1, expected, actual: deltaE2000(lab(first), lab(second)) }))
+        .filter(pair => Math.abs(pair.actual - pair.expected) >= 0.00005);
+      if (wrong.length > 0) {
+        throw new Error(wrong.map(pair => `pair ${pair.index}: ${pair.actual.toFixed(4)}, expected ${pair.expected}`).join('; '));
+      }
+      return true;
+    });
+
+    this.runTest('colorDistance is 0 for equal colors and symmetric', () => {
+      return colorDistance('#4f8fba', '#4F8FBA') === 0 &&
+        Math.abs(colorDistance('#cf573c', '#75a743') - colorDistance('#75a743', '#cf573c')) < 1e-9;
+    });
+
+    this.runTest('colorDistance: black to white is ΔE 100', () => {
+      return Math.abs(colorDistance('#000000', '#ffffff') - 100) < 0.01;
+    });
+  }
+
+  testSimulator() {
+    console.log('\n🎨 Simulator');
+    console.log('─'.repeat(50));
+
+    const orangeGreen = this.theme(['Functions', '#be772b'], ['Strings', '#75a743']);
+
+    this.runTest('Orange and green rules become confusable with deuteranopia', () => {
+      const result = new ApolloColorVisionSimulator().simulate('fixture-color-theme.json', orangeGreen, 'deuteranopia');
+      const [pair] = result.confusable;
+      return result.confusable.length === 1 && pair.a.names[0] === 'Functions' && pair.b.names[0] === 'Strings' &&
+        pair.original > 35 && pair.simulated < 5 && pair.a.simulated === simulateColorVision('#be772b', 'deuteranopia');
+    });
+
+    this.runTest('The same rules stay distinguishable with protanopia and tritanopia', () => {
+      const simulator = new ApolloColorVisionSimulator();
+      return ['protanopia', 'tritanopia'].every(deficiency =>
+        simulator.simulate('fixture-color-theme.json', orangeGreen, deficiency).confusable.length === 0);
+    });
+
+    this.runTest('A lower threshold no longer reports the pair', () => {
+      const result = new ApolloColorVisionSimulator({ threshold: 4 }).simulate('fixture-color-theme.json', orangeGreen, 'deuteranopia');
+      return result.confusable.length === 0;
+    });
+
+    this.runTest('Pairs already closer than the threshold without simulation are not reported', () => {
+      const theme = this.theme(['Functions', '#be772b'], ['Methods', '#c0792d']);
+      return new ApolloColorVisionSimulator().simulate('fixture-color-theme.json', theme, 'deuteranopia').confusable.length === 0;
+    });
+
+    this.runTest('Rules with the same foreground are one category', () => {
+      const theme = this.theme(['Strings', '#75a743'], ['JSON Values', '#75A743'], ['Comments', '#577277']);
+      theme.tokenColors.push({ scope: 'strong', settings: { fontStyle: 'bold' } });
+      const categories = new ApolloColorVisionSimulator().collectCategories(theme);
+      return categories.length === 2 && categories[0].names.join() === 'Strings,JSON Values';
+    });
+
+    this.runTest('Translucent foregrounds are composited over editor.background first', () => {
+      const [category] = new ApolloColorVisionSimulator().collectCategories(this.theme(['Comments', '#ffffff80']));
+      return category.color === '#84858a';
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloColorVisionTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloColorVisionTest };
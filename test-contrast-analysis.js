@@ -3,19 +3,21 @@
  * Identifies specific colors with low contrast and suggests improvements
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
+const { isApolloColor } = require('./src/colors');
+const { apcaContrast } = require('./src/color-math');
+const { APCA_THRESHOLDS } = require('./audit-contrast');
 
 function analyzeContrast() {
   try {
     const themePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
-    const themeContent = fs.readFileSync(themePath, 'utf8');
-    const theme = JSON.parse(themeContent);
+    const theme = loadTheme(themePath);
 
     console.log('🔍 Apollo Light Theme Contrast Analysis');
     console.log('======================================');
 
-    const backgroundColor = theme.colors['editor.background']; // #ebede9
+    const backgroundColor = theme.colors['editor.background'];
     const bgLuminance = calculateLuminance(backgroundColor);
     
     console.log(`Background: ${backgroundColor} (luminance: ${bgLuminance.toFixed(3)})`);
@@ -38,7 +40,8 @@ function analyzeContrast() {
           scope: rule.scope,
           luminance: colorLuminance,
           contrast: contrastRatio,
-          level: getContrastLevel(contrastRatio)
+          level: getContrastLevel(contrastRatio),
+          lc: apcaContrast(color, backgroundColor)
         };
         
         colorAnalysis.push(analysis);
@@ -57,7 +60,7 @@ function analyzeContrast() {
     
     lowContrastColors.forEach(item => {
       console.log(`❌ ${item.color} - ${item.name || 'Unnamed'}`);
-      console.log(`   Contrast: ${item.contrast.toFixed(2)}:1 (${item.level})`);
+      console.log(`   Contrast: ${item.contrast.toFixed(2)}:1 (${item.level}), APCA Lc ${item.lc.toFixed(1)}`);
       console.log(`   Scope: ${Array.isArray(item.scope) ? item.scope.join(', ') : item.scope}`);
       console.log('');
     });
@@ -71,7 +74,9 @@ function analyzeContrast() {
     
     colorAnalysis.forEach(item => {
       const status = item.contrast >= 4.5 ? '✅' : item.contrast >= 3 ? '⚠️' : '❌';
-      console.log(`${status} ${item.color} - ${item.contrast.toFixed(2)}:1 (${item.level}) - ${item.name || 'Unnamed'}`);
+      const paletteNote = isApolloColor(item.color.toLowerCase()) ? '' : ' (not in Apollo palette)';
+      const apcaNote = Math.abs(item.lc) >= APCA_THRESHOLDS.text ? '' : ` below body text Lc ${APCA_THRESHOLDS.text}`;
+      console.log(`${status} ${item.color} - ${item.contrast.toFixed(2)}:1 (${item.level}) - Lc ${item.lc.toFixed(1)}${apcaNote} - ${item.name || 'Unnamed'}${paletteNote}`);
     });
 
     return lowContrastColors;
@@ -109,4 +114,4 @@ if (require.main === module) {
   analyzeContrast();
 }
 
-module.exports = { analyzeContrast };
\ No newline at end of file
+module.exports = { analyzeContrast, calculateLuminance, getContrastLevel };
\ No newline at end of file
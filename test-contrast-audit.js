@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Contrast Audit Tests
+ *
+ * Tests for audit-contrast.js and the contrast helpers in src/color-math.js:
+ * WCAG ratios, alpha compositing and APCA Lc against published reference
+ * values, how the auditor resolves and records a pair, the APCA thresholds for
+ * body text and UI chrome with their command line flags, and how a baseline of
+ * known failures lets only new or worse failures through.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { contrastRatio, compositeOver, apcaContrast } = require('./src/color-math');
+const { ApolloContrastAuditor } = require('./audit-contrast');
+
+class ApolloContrastAuditTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🔍 Apollo Contrast Audit Tests');
+    console.log('==============================\n');
+
+    this.testColorMath();
+    this.testAuditor();
+    this.testApcaThresholds();
+    this.testBaseline();
+    this.testCommandLine();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Audit one theme and return the auditor with its results
+   */
+  audit(theme, options = {}, themeFile = 'fixture-color-theme.json') {
+    const auditor = new ApolloContrastAuditor(options);
+    auditor.auditTheme(themeFile, theme);
+    return auditor;
+  }
+
+  testColorMath() {
+    console.log('🧮 Color Math');
+    console.log('─'.repeat(50));
+
+    this.runTest('contrastRatio: black on white is 21:1 either way round', () => {
+      return contrastRatio('#000000', '#ffffff') === 21 && contrastRatio('#fff', '#000') === 21;
+    });
+
+    this.runTest('contrastRatio: #777777 on white is 4.48:1, just under AA', () => {
+      return Math.abs(contrastRatio('#777777', '#ffffff') - 4.478) < 0.001;
+    });
+
+    this.runTest('contrastRatio: a color on itself is 1:1', () => {
+      return contrastRatio('#4f8fba', '#4F8FBA') === 1;
+    });
+
+    this.runTest('compositeOver: 50% white over black is #808080', () => {
+      return compositeOver('#ffffff80', '#000000') === '#808080';
+    });
+
+    this.runTest('compositeOver: 25% black over white is #bfbfbf', () => {
+      return compositeOver('#00000040', '#ffffff') === '#bfbfbf';
+    });
+
+    this.runTest('compositeOver: opaque colors are returned as is, transparent ones disappear', () => {
+      return compositeOver('#4F8FBA', '#000000') === '#4f8fba' && compositeOver('#ff000000', '#123456') === '#123456';
+    });
+
+    this.runTest('apcaContrast: #888 text on #fff is Lc 63.06', () => {
+      return Math.abs(apcaContrast('#888', '#fff') - 63.06) < 0.01;
+    });
+
+    this.runTest('apcaContrast: #fff text on #000 is Lc -107.88', () => {
+      return Math.abs(apcaContrast('#fff', '#000') + 107.88) < 0.01;
+    });
+
+    this.runTest('apcaContrast: #000 text on #fff is Lc 106.04', () => {
+      return Math.abs(apcaContrast('#000', '#fff') - 106.04) < 0.01;
+    });
+
+    this.runTest('apcaContrast: near-identical colors are Lc 0', () => {
+      return apcaContrast('#808080', '#818181') === 0;
+    });
+  }
+
+  testAuditor() {
+    console.log('\n🔎 Auditor');
+    console.log('─'.repeat(50));
+
+    this.runTest('Translucent backgrounds are composited over their surface, then the editor', () => {
+      const auditor = new ApolloContrastAuditor();
+      const colors = { 'editor.background': '#000000', 'sideBar.background': '#ffffff80', 'list.hoverBackground': '#00000080' };
+      return auditor.resolve(colors, 'list.hoverBackground', 'sideBar.background') === '#404040' &&
+        auditor.resolve(colors, 'list.hoverBackground') === '#000000' &&
+        auditor.resolve(colors, 'sideBar.foreground') === null;
+    });
+
+    this.runTest('A pair passes at the threshold and fails just under it', () => {
+      const theme = { colors: { 'editor.background': '#ffffff', 'button.background': '#ffffff', 'button.foreground': '#777777' } };
+      const passed = threshold => this.audit(theme, { threshold })
+        .results.find(entry => entry.label === 'button.foreground on button.background').passed;
+      return passed(4.478) && !passed(4.48);
+    });
+
+    this.runTest('Pairs with a key the theme does not define are marked missing and fail the audit', () => {
+      const auditor = this.audit({ colors: { 'editor.background': '#000000', 'editor.foreground': '#ffffff' } });
+      const missing = auditor.results.find(entry => entry.label === 'tab.activeForeground on tab.activeBackground');
+      const passedOtherwise = auditor.results.filter(entry => !entry.missing).every(entry => entry.passed);
+      return missing.missing === true && missing.passed === undefined && passedOtherwise && !auditor.passed();
+    });
+
+    this.runTest('Token foregrounds are measured as body text on editor.background', () => {
+      const auditor = this.audit({
+        colors: { 'editor.background': '#ffffff' },
+        tokenColors: [{ name: 'Comments', scope: 'comment', settings: { foreground: '#888888' } }, { scope: 'strong', settings: { fontStyle: 'bold' } }]
+      });
+      const tokens = auditor.results.filter(entry => entry.label.startsWith('tokenColors'));
+      return tokens.length === 1 && tokens[0].label === 'tokenColors Comments (comment)' && tokens[0].kind === 'text' &&
+        Math.abs(tokens[0].lc - 63.06) < 0.01;
+    });
+
+    this.runTest('Semantic token foregrounds are measured as body text on editor.background', () => {
+      const auditor = this.audit({
+        colors: { 'editor.background': '#ffffff' },
+        semanticTokenColors: { comment: '#888888', '*.deprecated': { foreground: '#777777', fontStyle: 'strikethrough' }, '*.static': { fontStyle: 'italic' } }
+      });
+      const tokens = auditor.results.filter(entry => entry.label.startsWith('semanticTokenColors'));
+      return tokens.map(entry => entry.label).join('|') === 'semanticTokenColors comment|semanticTokenColors *.deprecated' &&
+        tokens.every(entry => entry.kind === 'text' && entry.background === '#ffffff') &&
+        Math.abs(tokens[0].lc - 63.06) < 0.01 && Math.abs(tokens[1].ratio - 4.478) < 0.001;
+    });
+
+    this.runTest('Token rules are labeled by name and scope, so reordering them keeps their baseline entries', () => {
+      const rules = [
+        { name: 'Comments', scope: ['comment', 'punctuation.definition.comment'], settings: { foreground: '#888888' } },
+        { scope: 'string', settings: { foreground: '#999999' } }
+      ];
+      const theme = order => ({ colors: { 'editor.background': '#ffffff' }, tokenColors: order });
+      const baseline = this.audit(theme(rules)).baselineEntries();
+      const reordered = this.audit(theme([...rules].reverse()), { baseline });
+      return Object.keys(baseline['fixture-color-theme.json']).join('|') ===
+          'tokenColors Comments (comment, punctuation.definition.comment)|tokenColors Unnamed (string)' &&
+        reordered.results.every(result => result.missing || result.known);
+    });
+  }
+
+  /**
+   * Result for one foreground on the Apollo Dark editor background, audited as
+   * `editor.foreground` (body text) or `button.foreground` (UI chrome)
+   */
+  apcaResult(foreground, kind, apcaThresholds) {
+    const [key, backgroundKey] = kind === 'text' ? ['editor.foreground', 'editor.background'] : ['button.foreground', 'button.background'];
+    const auditor = this.audit({ colors: { 'editor.background': '#090a14', [backgroundKey]: '#090a14', [key]: foreground } }, { apcaThresholds });
+    return auditor.results.find(result => result.label === `${key} on ${backgroundKey}`);
+  }
+
+  testApcaThresholds() {
+    console.log('\n🌗 APCA Thresholds');
+    console.log('─'.repeat(50));
+
+    this.runTest('Body text at Lc -95.5 (#ebede9 on #090a14) passes Lc 60', () => {
+      const result = this.apcaResult('#ebede9', 'text');
+      return result.kind === 'text' && result.passed && Math.abs(result.lc + 95.48) < 0.01;
+    });
+
+    this.runTest('Body text at Lc -56.5 (#de9e41 on #090a14) fails Lc 60 despite 8.52:1', () => {
+      const result = this.apcaResult('#de9e41', 'text');
+      return !result.passed && result.ratio > 8.5;
+    });
+
+    this.runTest('UI chrome at Lc -56.5 (#de9e41 on #090a14) passes Lc 45', () => {
+      const result = this.apcaResult('#de9e41', 'ui');
+      return result.kind === 'ui' && result.passed;
+    });
+
+    this.runTest('UI chrome at Lc -38.9 (#4f8fba on #090a14) fails Lc 45 despite 5.61:1', () => {
+      const result = this.apcaResult('#4f8fba', 'ui');
+      return !result.passed && result.ratio > 5.6;
+    });
+
+    this.runTest('Custom thresholds apply per kind and keep the default for the other', () => {
+      return this.apcaResult('#de9e41', 'text', { text: 56 }).passed &&
+        !this.apcaResult('#4f8fba', 'ui', { text: 0 }).passed &&
+        this.apcaResult('#4f8fba', 'ui', { ui: 38 }).passed;
+    });
+  }
+
+  testBaseline() {
+    console.log('\n📌 Baseline');
+    console.log('─'.repeat(50));
+
+    const theme = { colors: { 'editor.background': '#ffffff', 'editor.foreground': '#777777' } };
+    const label = 'editor.foreground on editor.background';
+    const failing = baseline => this.audit(theme, { baseline }).results.find(entry => entry.label === label);
+
+    this.runTest('baselineEntries records failures, rounded down', () => {
+      const entries = this.audit(theme).baselineEntries();
+      const entry = entries['fixture-color-theme.json'][label];
+      return entry.ratio === 4.47 && entry.lc === 71.1 && Object.keys(entries['fixture-color-theme.json']).length === 1;
+    });
+
+    this.runTest('A failure recorded in the baseline is known, and the theme passes', () => {
+      const baseline = this.audit(theme).baselineEntries();
+      const auditor = this.audit(theme, { baseline });
+      return failing(baseline).known === true &&
+        auditor.results.every(result => result.missing || result.passed || result.known);
+    });
+
+    this.runTest('A failure missing from the baseline, or worse than it, is a regression', () => {
+      return failing({}).known === false &&
+        failing({ 'other-color-theme.json': { [label]: { ratio: 4, lc: 60 } } }).known === false &&
+        failing({ 'fixture-color-theme.json': { [label]: { ratio: 4.48, lc: 60 } } }).known === false &&
+        failing({ 'fixture-color-theme.json': { [label]: { ratio: 4, lc: 80 } } }).known === false;
+    });
+
+    this.runTest('A variant may keep the failures of its base theme but not add its own', () => {
+      const colors = foreground => ({ 'editor.background': '#ffffff', 'editor.foreground': foreground, 'button.background': '#ffffff', 'button.foreground': foreground });
+      const auditor = new ApolloContrastAuditor({ baseline: {}, bases: { 'variant-color-theme.json': 'base-color-theme.json' } });
+      auditor.auditTheme('base-color-theme.json', { colors: { ...colors('#777777'), 'button.foreground': '#000000' } });
+      auditor.auditTheme('variant-color-theme.json', { colors: colors('#888888') });
+      auditor.compareWithBases();
+      const result = label => auditor.results.find(entry => entry.theme === 'variant-color-theme.json' && entry.label === label);
+      const shared = result('editor.foreground on editor.background');
+      const added = result('button.foreground on button.background');
+      return shared.known === true && shared.sharedWithBase === true && added.known === false && !added.sharedWithBase &&
+        Object.keys(auditor.baselineEntries()['variant-color-theme.json']).join() === 'button.foreground on button.background';
+    });
+
+    this.runTest('A variant failing WCAG where its base only fails APCA is a new failure', () => {
+      // #767676 on white passes 4.5:1 but not Lc 75; #949494 fails both
+      const auditor = new ApolloContrastAuditor({ baseline: {}, apcaThresholds: { text: 75 }, bases: { 'variant-color-theme.json': 'base-color-theme.json' } });
+      auditor.auditTheme('base-color-theme.json', { colors: { 'editor.background': '#ffffff', 'editor.foreground': '#767676' } });
+      auditor.auditTheme('variant-color-theme.json', { colors: { 'editor.background': '#ffffff', 'editor.foreground': '#949494' } });
+      auditor.compareWithBases();
+      const base = auditor.results.find(entry => entry.theme === 'base-color-theme.json' && entry.label === 'editor.foreground on editor.background');
+      const variant = auditor.results.find(entry => entry.theme === 'variant-color-theme.json' && entry.label === 'editor.foreground on editor.background');
+      return base.ratio >= 4.5 && !base.passed && variant.ratio < 4.5 && variant.known === false;
+    });
+
+    this.runTest('Apollo Dimmed is checked against Apollo Dark, not a baseline of its own', () => {
+      const baseline = ApolloContrastAuditor.loadBaseline(path.join(__dirname, 'contrast-baseline.json'));
+      return new ApolloContrastAuditor().bases['apollo-dimmed-color-theme.json'] === 'apollo-dark-color-theme.json' &&
+        !('apollo-dimmed-color-theme.json' in baseline);
+    });
+
+    this.runTest('The committed baseline loads, and a missing or broken one throws', () => {
+      const baseline = ApolloContrastAuditor.loadBaseline(path.join(__dirname, 'contrast-baseline.json'));
+      const broken = path.join(__dirname, 'test-fixtures', 'contrast-audit', 'broken-baseline.json');
+      const messages = ['missing.json', broken].map(file => {
+        try {
+          ApolloContrastAuditor.loadBaseline(file);
+          return '';
+        } catch (error) {
+          return error.message;
+        }
+      });
+      return Object.keys(baseline).length > 0 && messages[0].startsWith('Baseline not found:') &&
+        messages[1].includes('is not valid JSON');
+    });
+  }
+
+  testCommandLine() {
+    console.log('\n💻 Command Line');
+    console.log('─'.repeat(50));
+
+    const run = args => spawnSync(process.execPath, [path.join(__dirname, 'audit-contrast.js'), ...args], { encoding: 'utf8' });
+
+    this.runTest('The themes have no contrast regressions against contrast-baseline.json', () => {
+      const result = run(['--baseline', path.join(__dirname, 'contrast-baseline.json')]);
+      if (result.status !== 0) throw new Error((result.stdout.match(/^ {2}❌ .*$/gm) || []).slice(0, 5).join('; '));
+      return result.stdout.includes('Regressions: 0');
+    });
+
+    this.runTest('--apca-text and --apca-ui set the thresholds shown and applied', () => {
+      const result = run(['--threshold', '1', '--apca-text', '0', '--apca-ui', '0']);
+      return result.status === 0 && result.stdout.includes('Minimum APCA Lc: 0 body text, 0 UI and large text');
+    });
+
+    this.runTest('--apca-ui above a UI pair fails only UI pairs', () => {
+      const result = run(['--threshold', '1', '--apca-text', '0', '--apca-ui', '45.5']);
+      return result.status === 1 && /^ {2}❌ .* \[ui\]/m.test(result.stdout) && !/^ {2}❌ .* \[text\]/m.test(result.stdout);
+    });
+
+    this.runTest('--apca-text above a body text pair fails only body text pairs', () => {
+      const result = run(['--threshold', '1', '--apca-text', '60', '--apca-ui', '0']);
+      return result.status === 1 && /^ {2}❌ .* \[text\]/m.test(result.stdout) && !/^ {2}❌ .* \[ui\]/m.test(result.stdout);
+    });
+
+    this.runTest('--apca-text and --apca-ui without a number, or outside 0-110, exit 2', () => {
+      const invalid = [['--apca-text'], ['--apca-ui', 'high'], ['--apca-ui', '50abc'], ['--apca-text', '-5'], ['--apca-ui', '120']];
+      return invalid.every(args => {
+        const result = run(args);
+        return result.status === 2 && result.stderr.includes('--apca-text and --apca-ui must be Lc values between 0 and 110');
+      });
+    });
+
+    this.runTest('--baseline with a path that does not exist exits 2 with an error', () => {
+      const result = run(['--baseline', 'missing-baseline.json']);
+      return result.status === 2 && result.stderr.includes('Baseline not found') && result.stdout === '';
+    });
+
+    this.runTest('--baseline without a path exits 2', () => {
+      return run(['--baseline']).status === 2 && run(['--update-baseline']).status === 2;
+    });
+
+    this.runTest('--update-baseline writes a baseline the audit then passes against', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-contrast-'));
+      const baselinePath = path.join(directory, 'baseline.json');
+      try {
+        const update = run(['--threshold', '7', '--baseline', baselinePath, '--update-baseline']);
+        const written = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+        return update.status === 0 && Object.keys(written.pairs).length > 0 &&
+          run(['--threshold', '7', '--baseline', baselinePath]).status === 0 &&
+          run(['--threshold', '7']).status === 1;
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloContrastAuditTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloContrastAuditTest };
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { parseJsonc } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
 
 class ApolloThemeCrossPlatformTest {
     constructor() {
@@ -20,10 +22,7 @@ class ApolloThemeCrossPlatformTest {
             },
             tests: {}
         };
-        this.themeFiles = [
-            'themes/apollo-dark-color-theme.json',
-            'themes/apollo-light-color-theme.json'
-        ];
+        this.themes = loadThemeRegistry();
     }
 
     /**
@@ -114,8 +113,7 @@ class ApolloThemeCrossPlatformTest {
             }
             
             // Test theme file paths
-            this.themeFiles.forEach(themeFile => {
-                const fullPath = path.join(__dirname, themeFile);
+            this.themes.forEach(({ path: themeFile, file: fullPath }) => {
                 if (!fs.existsSync(fullPath)) {
                     issues.push(`Theme file not accessible: ${themeFile}`);
                     passed = false;
@@ -151,7 +149,7 @@ class ApolloThemeCrossPlatformTest {
             if (fs.existsSync(testFileUpper)) fs.unlinkSync(testFileUpper);
             
             // Check theme file references for consistent casing
-            this.themeFiles.forEach(themeFile => {
+            this.themes.forEach(({ path: themeFile }) => {
                 const fileName = path.basename(themeFile);
                 
                 // Check for mixed case in file names
@@ -197,9 +195,7 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const fullPath = path.join(__dirname, themeFile);
-                
+            this.themes.forEach(({ path: themeFile, file: fullPath }) => {
                 if (fs.existsSync(fullPath)) {
                     const stats = fs.statSync(fullPath);
                     
@@ -241,9 +237,7 @@ class ApolloThemeCrossPlatformTest {
         
         try {
             // Test if current paths are within reasonable limits
-            this.themeFiles.forEach(themeFile => {
-                const fullPath = path.resolve(__dirname, themeFile);
-                
+            this.themes.forEach(({ file: fullPath }) => {
                 // Windows has a 260 character limit for paths (unless long path support is enabled)
                 if (process.platform === 'win32' && fullPath.length > 250) {
                     issues.push(`Path may be too long for Windows: ${fullPath} (${fullPath.length} chars)`);
@@ -291,10 +285,7 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 // Check all color values
                 this.checkColorsInObject(themeData.colors, `${themeFile}:colors`, issues);
                 
@@ -371,10 +362,7 @@ class ApolloThemeCrossPlatformTest {
         let alphaColorsFound = 0;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 // Count alpha channel usage
                 if (themeData.colors) {
                     Object.entries(themeData.colors).forEach(([key, value]) => {
@@ -408,14 +396,11 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            if (this.themeFiles.length >= 2) {
-                const themes = this.themeFiles.map(file => {
-                    const themePath = path.join(__dirname, file);
-                    return {
-                        name: path.basename(file, '.json'),
-                        data: JSON.parse(fs.readFileSync(themePath, 'utf8'))
-                    };
-                });
+            if (this.themes.length >= 2) {
+                const themes = this.themes.map(({ path: file, theme }) => ({
+                    name: path.basename(file, '.json'),
+                    data: theme
+                }));
                 
                 // Check if both themes have similar structure
                 const darkTheme = themes.find(t => t.data.type === 'dark');
@@ -489,10 +474,7 @@ class ApolloThemeCrossPlatformTest {
         try {
             const validFontStyles = ['normal', 'italic', 'bold', 'underline', 'strikethrough'];
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 // Check token color font styles
                 if (themeData.tokenColors) {
                     themeData.tokenColors.forEach((token, index) => {
@@ -542,10 +524,7 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ theme: themeData }) => {
                 // Check theme name for problematic characters
                 if (themeData.name) {
                     // Check for non-ASCII characters that might cause issues
@@ -584,8 +563,7 @@ class ApolloThemeCrossPlatformTest {
         
         try {
             // Check if there are any font family specifications (which there shouldn't be in color themes)
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
+            this.themes.forEach(({ path: themeFile, file: themePath }) => {
                 const content = fs.readFileSync(themePath, 'utf8');
                 
                 // Look for font-family properties (which shouldn't exist in color themes)
@@ -680,10 +658,7 @@ class ApolloThemeCrossPlatformTest {
         
         try {
             // Check for use of modern theme features
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 // Check for semantic highlighting (modern feature)
                 if (themeData.semanticHighlighting === undefined) {
                     issues.push(`Consider adding semanticHighlighting property to ${themeFile}`);
@@ -716,10 +691,7 @@ class ApolloThemeCrossPlatformTest {
                 'editorIndentGuide.activeBackground'
             ];
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 if (themeData.colors) {
                     deprecatedColors.forEach(colorKey => {
                         if (themeData.colors[colorKey]) {
@@ -792,8 +764,8 @@ class ApolloThemeCrossPlatformTest {
             });
             
             // Check theme files exist
-            this.themeFiles.forEach(themeFile => {
-                if (!fs.existsSync(path.join(__dirname, themeFile))) {
+            this.themes.forEach(({ path: themeFile, file }) => {
+                if (!fs.existsSync(file)) {
                     issues.push(`Missing theme file: ${themeFile}`);
                     passed = false;
                 }
@@ -938,13 +910,12 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
+            this.themes.forEach(({ path: themeFile, file: themePath }) => {
                 const themeName = path.basename(themeFile, '.json');
                 
                 const startTime = process.hrtime.bigint();
                 const content = fs.readFileSync(themePath, 'utf8');
-                JSON.parse(content);
+                parseJsonc(content, themeFile);
                 const endTime = process.hrtime.bigint();
                 
                 const loadTimeMs = Number(endTime - startTime) / 1000000;
@@ -974,13 +945,12 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
+            this.themes.forEach(({ path: themeFile, file: themePath }) => {
                 const themeName = path.basename(themeFile, '.json');
                 
                 const memBefore = process.memoryUsage();
                 const content = fs.readFileSync(themePath, 'utf8');
-                const themeData = JSON.parse(content);
+                const themeData = parseJsonc(content, themeFile);
                 const memAfter = process.memoryUsage();
                 
                 const memoryUsed = memAfter.heapUsed - memBefore.heapUsed;
@@ -1010,8 +980,7 @@ class ApolloThemeCrossPlatformTest {
         let passed = true;
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
+            this.themes.forEach(({ path: themeFile, file: themePath }) => {
                 const themeName = path.basename(themeFile, '.json');
                 
                 const stats = fs.statSync(themePath);
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Customization Settings Tests
+ *
+ * Tests how the apollo.* settings become color customizations, and that
+ * applying and resetting them never touches values the user wrote
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAllApolloColors, GRAYSCALE, PALETTE_GROUPS } = require('./src/colors');
+const {
+  ACCENT_KEYS,
+  BORDER_KEYS,
+  RULE_NAMES,
+  buildCustomizations,
+  mergeColorCustomizations,
+  mergeTokenCustomizations
+} = require('./src/customizations');
+
+const SCOPES = ['[Apollo Dark]', '[Apollo Light]'];
+
+class ApolloThemeCustomizationTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+    this.packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+  }
+
+  async runAllTests() {
+    console.log('🎛️  Apollo Customization Settings Tests');
+    console.log('======================================\n');
+
+    await this.testBuildCustomizations();
+    await this.testMergeColors();
+    await this.testMergeTokenRules();
+    await this.testExtensionManifest();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  async testBuildCustomizations() {
+    console.log('🧱 Test 1: Settings to Customizations');
+    console.log('─'.repeat(50));
+
+    await this.runTest('Default settings write nothing', () => {
+      const result = buildCustomizations({ italicComments: true, boldKeywords: false, borderlessUI: false, accentColor: '' });
+      return Object.keys(result.colors).length === 0 && result.textMateRules.length === 0;
+    });
+
+    await this.runTest('apollo.borderlessUI makes structural borders transparent', () => {
+      const { colors } = buildCustomizations({ borderlessUI: true });
+      return BORDER_KEYS.every(key => colors[key] === '#00000000');
+    });
+
+    await this.runTest('apollo.accentColor drives accent keys with readable text', () => {
+      const { colors } = buildCustomizations({ accentColor: '#253a5e' });
+      return ACCENT_KEYS.every(key => colors[key] === '#253a5e') &&
+        colors['button.foreground'] === GRAYSCALE.WHITE;
+    });
+
+    await this.runTest('Off-palette apollo.accentColor is ignored with a warning', () => {
+      const result = buildCustomizations({ accentColor: '#ff0000' });
+      return Object.keys(result.colors).length === 0 && result.warnings.length === 1;
+    });
+
+    await this.runTest('apollo.italicComments and apollo.boldKeywords write named rules', () => {
+      const { textMateRules } = buildCustomizations({ italicComments: false, boldKeywords: true });
+      const comments = textMateRules.find(rule => rule.name === RULE_NAMES.italicComments);
+      const keywords = textMateRules.find(rule => rule.name === RULE_NAMES.boldKeywords);
+      return comments && comments.scope.includes('comment') && comments.settings.fontStyle === '' &&
+        keywords && keywords.scope.includes('keyword') && keywords.settings.fontStyle === 'bold';
+    });
+
+    console.log('');
+  }
+
+  async testMergeColors() {
+    console.log('🎨 Test 2: workbench.colorCustomizations');
+    console.log('─'.repeat(50));
+
+    const user = {
+      'editor.background': '#000000',
+      '[Apollo Dark]': { 'focusBorder': '#ffffff', 'sideBar.background': '#111111' }
+    };
+    const colors = buildCustomizations({ accentColor: '#a8ca58', borderlessUI: true }).colors;
+    const next = Object.fromEntries(SCOPES.map(scope => [scope, colors]));
+
+    await this.runTest('Applying keeps the user\'s own keys, including ones we would set', () => {
+      const { value, written } = mergeColorCustomizations(user, {}, next);
+      return value['editor.background'] === '#000000' &&
+        value['[Apollo Dark]'].focusBorder === '#ffffff' &&
+        value['[Apollo Dark]']['sideBar.background'] === '#111111' &&
+        value['[Apollo Light]'].focusBorder === '#a8ca58' &&
+        written['[Apollo Dark]'].focusBorder === undefined &&
+        written['[Apollo Dark]']['badge.background'] === '#a8ca58';
+    });
+
+    await this.runTest('Resetting removes exactly what was written', () => {
+      const applied = mergeColorCustomizations(user, {}, next);
+      const reset = mergeColorCustomizations(applied.value, applied.written, {});
+      return JSON.stringify(reset.value) === JSON.stringify(user);
+    });
+
+    await this.runTest('Keys the user edited after applying survive a reset', () => {
+      const applied = mergeColorCustomizations({}, {}, next);
+      applied.value['[Apollo Light]']['badge.background'] = '#c65197';
+      const reset = mergeColorCustomizations(applied.value, applied.written, {});
+      return JSON.stringify(reset.value) === JSON.stringify({ '[Apollo Light]': { 'badge.background': '#c65197' } });
+    });
+
+    await this.runTest('Resetting an extension-only setting leaves it undefined', () => {
+      const applied = mergeColorCustomizations(undefined, {}, next);
+      return mergeColorCustomizations(applied.value, applied.written, {}).value === undefined;
+    });
+
+    await this.runTest('Changing the accent replaces the previous accent', () => {
+      const first = mergeColorCustomizations({}, {}, { '[Apollo Dark]': buildCustomizations({ accentColor: '#a8ca58' }).colors });
+      const second = mergeColorCustomizations(first.value, first.written, { '[Apollo Dark]': buildCustomizations({ accentColor: '#253a5e' }).colors });
+      return second.value['[Apollo Dark]'].focusBorder === '#253a5e';
+    });
+
+    await this.runTest('Accent previews replace the applied accent and keep other settings', () => {
+      const settings = { accentColor: '#a8ca58', borderlessUI: true };
+      const applied = mergeColorCustomizations(user, {}, { '[Apollo Light]': buildCustomizations(settings).colors });
+      const preview = mergeColorCustomizations(applied.value, applied.written, {
+        '[Apollo Light]': buildCustomizations({ ...settings, accentColor: '#c65197' }).colors
+      });
+      const light = preview.value['[Apollo Light]'];
+      return light['tab.activeBorderTop'] === '#c65197' &&
+        light['sideBar.border'] === '#00000000' &&
+        preview.value['[Apollo Dark]'].focusBorder === '#ffffff';
+    });
+
+    console.log('');
+  }
+
+  async testMergeTokenRules() {
+    console.log('🔤 Test 3: editor.tokenColorCustomizations');
+    console.log('─'.repeat(50));
+
+    const userRule = { scope: 'string', settings: { foreground: '#a8ca58' } };
+    const user = {
+      comments: '#577277',
+      '[Apollo Dark]': { textMateRules: [userRule] }
+    };
+    const rules = buildCustomizations({ italicComments: false, boldKeywords: true }).textMateRules;
+
+    await this.runTest('Applying appends named rules after the user\'s rules', () => {
+      const value = mergeTokenCustomizations(user, SCOPES, rules);
+      return value.comments === '#577277' &&
+        value['[Apollo Dark]'].textMateRules.length === 3 &&
+        JSON.stringify(value['[Apollo Dark]'].textMateRules[0]) === JSON.stringify(userRule) &&
+        value['[Apollo Light]'].textMateRules.length === 2;
+    });
+
+    await this.runTest('Re-applying does not duplicate rules', () => {
+      const once = mergeTokenCustomizations(user, SCOPES, rules);
+      const twice = mergeTokenCustomizations(once, SCOPES, rules);
+      return JSON.stringify(once) === JSON.stringify(twice);
+    });
+
+    await this.runTest('Resetting restores the user\'s value exactly', () => {
+      const applied = mergeTokenCustomizations(user, SCOPES, rules);
+      return JSON.stringify(mergeTokenCustomizations(applied, SCOPES, [])) === JSON.stringify(user);
+    });
+
+    console.log('');
+  }
+
+  async testExtensionManifest() {
+    console.log('📦 Test 4: Extension Manifest');
+    console.log('─'.repeat(50));
+
+    const contributes = this.packageJson.contributes;
+    const properties = (contributes.configuration && contributes.configuration.properties) || {};
+
+    await this.runTest('Extension entry point exists', () => {
+      return this.packageJson.main && fs.existsSync(path.join(__dirname, this.packageJson.main));
+    });
+
+    await this.runTest('apollo.* settings are contributed', () => {
+      return ['apollo.italicComments', 'apollo.boldKeywords', 'apollo.borderlessUI', 'apollo.accentColor']
+        .every(setting => properties[setting]);
+    });
+
+    await this.runTest('apollo.accentColor is restricted to palette colors', () => {
+      const allowed = properties['apollo.accentColor'].enum.filter(color => color !== '');
+      const palette = getAllApolloColors();
+      return allowed.length === palette.length && palette.every(color => allowed.includes(color));
+    });
+
+    await this.runTest('Reset and accent picker commands are contributed', () => {
+      const commands = (contributes.commands || []).map(command => command.command);
+      return commands.includes('apollo.resetCustomizations') && commands.includes('apollo.chooseAccentColor');
+    });
+
+    await this.runTest('Accent picker groups cover the whole palette', () => {
+      const grouped = PALETTE_GROUPS.flatMap(group => Object.values(group.colors));
+      const palette = getAllApolloColors();
+      return grouped.length === palette.length && palette.every(color => grouped.includes(color));
+    });
+
+    await this.runTest('Extension code is not excluded from the package', () => {
+      const ignored = fs.readFileSync(path.join(__dirname, '.vscodeignore'), 'utf8').split('\n').map(line => line.trim());
+      return !ignored.includes('extension.js') && !ignored.includes('src/customizations.js');
+    });
+
+    console.log('');
+  }
+
+  async runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = await testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeCustomizationTest();
+  tester.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Customization tester crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApolloThemeCustomizationTest };
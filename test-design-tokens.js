@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Design Token Export Tests
+ *
+ * Golden-file tests for export-design-tokens.js: each format rendered from
+ * src/colors.js must match the committed file in design-tokens/, and each one
+ * must resolve every palette group and Apollo Dark/Light role to its color.
+ */
+
+const path = require('path');
+const { APOLLO_PALETTE } = require('./src/colors');
+const { SCHEMES, paletteGroups, roleGroups } = require('./src/design-tokens');
+const { OUTPUT_DIR, renderDesignTokens } = require('./export-design-tokens');
+const { checkGoldenFile } = require('./src/golden-files');
+
+class ApolloThemeDesignTokenTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+    this.exports = new Map(renderDesignTokens().map(entry => [entry.format.id, entry]));
+  }
+
+  runAllTests() {
+    console.log('🎨 Apollo Design Token Export Tests');
+    console.log('==================================\n');
+
+    console.log('📄 Golden files');
+    console.log('─'.repeat(50));
+    for (const entry of this.exports.values()) {
+      this.testGoldenFile(entry);
+    }
+
+    console.log('\n🔗 Palette groups and roles');
+    console.log('─'.repeat(50));
+    this.testCss();
+    this.testScss();
+    this.testTailwind();
+    this.testDtcg();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+    if (this.results.failedTests > 0) {
+      console.log('\nIf the changes are intended, run `npm run export:tokens` and commit design-tokens/.');
+    }
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Every role of every scheme, flattened
+   * @returns {{ scheme: Object, group: string, id: string, value: string, palette: string }[]}
+   */
+  allRoles() {
+    return SCHEMES.flatMap(scheme => roleGroups(scheme.roles).flatMap(group =>
+      group.roles.map(role => ({ scheme, group: group.id, ...role }))));
+  }
+
+  testCss() {
+    const { content } = this.exports.get('css');
+
+    this.runTest('CSS declares every palette color once', () => {
+      for (const group of paletteGroups()) {
+        for (const color of group.colors) {
+          const declarations = content.split(`--apollo-${color.id}: ${color.value};`).length - 1;
+          if (declarations !== 1) {
+            throw new Error(`--apollo-${color.id} declared ${declarations} times`);
+          }
+        }
+      }
+      return true;
+    });
+
+    this.runTest('CSS role variables point at their palette colors in each scheme', () => {
+      const blocks = {
+        dark: content.split('[data-apollo-theme="dark"] {')[1].split('}')[0],
+        light: content.split('[data-apollo-theme="light"] {')[1].split('}')[0],
+        system: content.split('@media (prefers-color-scheme: light) {')[1].split('}')[0]
+      };
+      for (const role of this.allRoles()) {
+        const declaration = `--apollo-${role.group}-${role.id}: var(--apollo-${role.palette});`;
+        const scopes = role.scheme.id === 'dark' ? ['dark'] : ['light', 'system'];
+        for (const scope of scopes) {
+          if (!blocks[scope].includes(declaration)) {
+            throw new Error(`${scope} block is missing ${declaration}`);
+          }
+        }
+      }
+      return true;
+    });
+  }
+
+  testScss() {
+    const { content } = this.exports.get('scss');
+    const variables = {};
+    content.replace(/^\$apollo-([\w-]+): (#[0-9a-f]{6});$/gm, (_, name, value) => {
+      variables[name] = value;
+    });
+
+    this.runTest('SCSS maps keep the palette groups', () => {
+      for (const group of paletteGroups()) {
+        const map = content.split(`$apollo-${group.id}: (`)[1].split(');')[0];
+        for (const color of group.colors) {
+          if (variables[color.id] !== color.value || !map.includes(`'${color.id}': $apollo-${color.id}`)) {
+            throw new Error(`${group.id} map is missing ${color.id}`);
+          }
+        }
+      }
+      return true;
+    });
+
+    this.runTest('SCSS scheme maps resolve every role', () => {
+      for (const role of this.allRoles()) {
+        const map = content.split(`$apollo-${role.scheme.id}: (`)[1].split('\n);')[0];
+        const group = map.split(`'${role.group}': (`)[1].split(')')[0];
+        const match = group.match(new RegExp(`'${role.id}': \\$apollo-([\\w-]+)`));
+        if (!match || variables[match[1]] !== role.value) {
+          throw new Error(`${role.scheme.id}.${role.group}.${role.id} does not resolve to ${role.value}`);
+        }
+      }
+      return true;
+    });
+  }
+
+  testTailwind() {
+    this.runTest('Tailwind preset loads and keeps groups and roles', () => {
+      const { content } = this.exports.get('tailwind');
+      const module = { exports: {} };
+      new Function('module', content)(module);
+      const colors = module.exports.theme.extend.colors.apollo;
+
+      for (const group of paletteGroups()) {
+        for (const color of group.colors) {
+          if (!colors[group.id] || colors[group.id][color.id] !== color.value) {
+            throw new Error(`apollo.${group.id}.${color.id} is not ${color.value}`);
+          }
+        }
+      }
+      for (const role of this.allRoles()) {
+        if (colors[role.group][role.id] !== `var(--apollo-${role.group}-${role.id})`) {
+          throw new Error(`apollo.${role.group}.${role.id} does not read its CSS variable`);
+        }
+      }
+      return true;
+    });
+  }
+
+  testDtcg() {
+    const tokens = JSON.parse(this.exports.get('dtcg').content);
+    const resolve = value => {
+      const reference = value.match(/^\{(.+)\}$/);
+      if (!reference) return value;
+      const token = reference[1].split('.').reduce((node, key) => node && node[key], tokens);
+      if (!token) throw new Error(`Unresolved alias ${value}`);
+      return resolve(token.$value);
+    };
+
+    this.runTest('DTCG tokens are typed colors grouped like the palette', () => {
+      if (tokens.apollo.$type !== 'color') {
+        throw new Error(`Root $type is ${tokens.apollo.$type}`);
+      }
+      const count = paletteGroups().reduce((sum, group) => {
+        group.colors.forEach(color => {
+          if (tokens.apollo.palette[group.id][color.id].$value !== color.value) {
+            throw new Error(`palette.${group.id}.${color.id} is not ${color.value}`);
+          }
+        });
+        return sum + group.colors.length;
+      }, 0);
+      return count === Object.keys(APOLLO_PALETTE).length;
+    });
+
+    this.runTest('DTCG role aliases resolve to the role colors', () => {
+      for (const role of this.allRoles()) {
+        const token = tokens.apollo[role.scheme.id][role.group][role.id];
+        if (!token.$value.startsWith('{') || resolve(token.$value) !== role.value) {
+          throw new Error(`${role.scheme.id}.${role.group}.${role.id} resolves to ${token.$value}, expected ${role.value}`);
+        }
+      }
+      return true;
+    });
+  }
+
+  testGoldenFile({ format, file, content }) {
+    const goldenPath = path.join(OUTPUT_DIR, file);
+    const relative = path.relative(__dirname, goldenPath);
+
+    this.runTest(`${format.label} matches ${relative}`, () => checkGoldenFile(goldenPath, content));
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeDesignTokenTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeDesignTokenTest };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Editor Theme Export Tests
+ *
+ * Golden-file tests for export-editor-themes.js: every Neovim, Helix and
+ * Sublime Text scheme rendered from the current themes must match the
+ * committed file in editor-themes/, and the mapping from tokenColors and
+ * semanticTokenColors must carry the theme's styles over.
+ */
+
+const path = require('path');
+const { EDITOR_TARGETS, lspGroup, scopeStyle, unmappedScopes } = require('./src/editor-themes');
+const { OUTPUT_DIR, renderEditorThemes } = require('./export-editor-themes');
+const { isApolloColor } = require('./src/colors');
+const { checkGoldenFile } = require('./src/golden-files');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+class ApolloThemeEditorExportTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('📝 Apollo Editor Theme Export Tests');
+    console.log('==================================\n');
+
+    this.testMapping();
+
+    const exports = renderEditorThemes();
+    for (const target of EDITOR_TARGETS) {
+      console.log(`\n📄 ${target.label}`);
+      console.log('─'.repeat(50));
+      exports
+        .filter(entry => entry.target === target)
+        .forEach(entry => this.testGoldenFile(entry));
+    }
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+    if (this.results.failedTests > 0) {
+      console.log('\nIf the changes are intended, run `npm run export:editors` and commit editor-themes/.');
+    }
+
+    return this.results.failedTests === 0;
+  }
+
+  testMapping() {
+    console.log('🗺️  Scope mapping');
+    console.log('─'.repeat(50));
+
+    const fixture = {
+      name: 'Fixture',
+      type: 'dark',
+      colors: { 'editor.background': '#000000', 'editor.foreground': '#ffffff' },
+      tokenColors: [
+        { scope: 'keyword.operator', settings: { foreground: '#111111' } },
+        { scope: ['keyword.operator.assignment', 'keyword.operator.new'], settings: { foreground: '#111111' } },
+        { scope: 'keyword.operator.spread', settings: { foreground: '#222222' } },
+        { scope: 'meta.tag string', settings: { foreground: '#333333' } },
+        { scope: 'markup.italic', settings: { fontStyle: 'italic' } }
+      ]
+    };
+
+    this.runTest('Semantic selectors map to LSP highlight groups', () => {
+      const expected = {
+        class: '@lsp.type.class',
+        'function.defaultLibrary': '@lsp.typemod.function.defaultLibrary',
+        '*.readonly': '@lsp.mod.readonly',
+        'variable.readonly.static': null,
+        'variable:javascript': null
+      };
+      for (const [selector, group] of Object.entries(expected)) {
+        if (lspGroup(selector) !== group) {
+          throw new Error(`${selector} mapped to ${lspGroup(selector)}, expected ${group}`);
+        }
+      }
+      return true;
+    });
+
+    this.runTest('Scopes resolve through tokenColors with editor.foreground as default', () => {
+      const operator = scopeStyle(fixture, 'keyword.operator.assignment');
+      const plain = scopeStyle(fixture, 'entity.name.label');
+      const italic = scopeStyle(fixture, 'markup.italic');
+      return operator.foreground === '#111111' && plain.foreground === '#ffffff' &&
+        italic.fontStyle.join(' ') === 'italic';
+    });
+
+    this.runTest('Coverage report lists only selectors a target cannot draw', () => {
+      const unmapped = unmappedScopes(fixture, ['keyword.operator', 'markup.italic', 'string']);
+      const expected = ['keyword.operator.spread', 'meta.tag string'];
+      if (JSON.stringify(unmapped) !== JSON.stringify(expected)) {
+        throw new Error(`Unmapped ${JSON.stringify(unmapped)}, expected ${JSON.stringify(expected)}`);
+      }
+      return true;
+    });
+
+    for (const variant of loadThemeRegistry()) {
+      const { theme } = variant;
+
+      this.runTest(`${variant.label}: every semantic token color has a Neovim LSP group`, () => {
+        const { content } = renderEditorThemes(['neovim']).find(entry => entry.variant.path === variant.path);
+        const missing = Object.keys(theme.semanticTokenColors || {})
+          .filter(selector => lspGroup(selector) && !content.includes(`['${lspGroup(selector)}']`));
+        if (missing.length > 0) {
+          throw new Error(`No group for ${missing.join(', ')}`);
+        }
+        return true;
+      });
+
+      this.runTest(`${variant.label}: Sublime Text keeps every tokenColors rule`, () => {
+        const { content } = renderEditorThemes(['sublime']).find(entry => entry.variant.path === variant.path);
+        const scheme = JSON.parse(content);
+        const rules = (theme.tokenColors || []).filter(rule => rule.scope && rule.settings);
+        if (scheme.rules.length !== rules.length) {
+          throw new Error(`${scheme.rules.length} rules, theme has ${rules.length}`);
+        }
+        const variables = scheme.variables;
+        const resolve = value => (value && value.startsWith('var(') ? variables[value.slice(4, -1)] : value);
+        rules.forEach((rule, index) => {
+          if (rule.settings.foreground && resolve(scheme.rules[index].foreground) !== rule.settings.foreground.toLowerCase()) {
+            throw new Error(`Rule ${index} is ${resolve(scheme.rules[index].foreground)}, theme has ${rule.settings.foreground}`);
+          }
+        });
+        return true;
+      });
+
+      this.runTest(`${variant.label}: every exported color is an Apollo palette color`, () => {
+        const offPalette = renderEditorThemes()
+          .filter(entry => entry.variant.path === variant.path)
+          .flatMap(entry => (entry.content.match(/#[0-9a-fA-F]{6}\b|#[0-9a-fA-F]{8}\b/g) || [])
+            .filter(color => !isApolloColor(color.slice(0, 7).toLowerCase()))
+            .map(color => `${entry.file}: ${color}`));
+        if (offPalette.length > 0) {
+          throw new Error(`Off-palette ${[...new Set(offPalette)].join(', ')}`);
+        }
+        return true;
+      });
+    }
+  }
+
+  testGoldenFile({ variant, file, content }) {
+    const goldenPath = path.join(OUTPUT_DIR, file);
+    const relative = path.relative(__dirname, goldenPath);
+
+    this.runTest(`${variant.label} matches ${relative}`, () => checkGoldenFile(goldenPath, content));
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeEditorExportTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeEditorExportTest };
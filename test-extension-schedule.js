@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Extension Schedule Tests
+ *
+ * Runs the schedule glue in extension.js against a stand-in for the `vscode`
+ * module: which settings it writes when `apollo.schedule` changes, when it
+ * switches `workbench.colorTheme`, and when it warns instead. The schedule
+ * logic itself is covered by test-schedule.js.
+ */
+
+const Module = require('module');
+const packageJson = require('./package.json');
+
+const EXTENSION = require.resolve('./extension');
+
+// VS Code's own defaults for the settings the extension reads
+const VSCODE_DEFAULTS = {
+  'window.autoDetectColorScheme': false,
+  'workbench.colorTheme': 'Default Dark Modern',
+  'workbench.preferredDarkColorTheme': 'Default Dark Modern',
+  'workbench.preferredLightColorTheme': 'Default Light Modern'
+};
+
+const COLOR_THEME_KINDS = { Light: 1, Dark: 2, HighContrast: 3, HighContrastLight: 4 };
+
+// The host the `vscode` module resolves to while a test runs
+let host;
+
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'vscode' && host ? host.vscode : load.call(this, request, ...args);
+};
+
+/**
+ * A VS Code host with global settings only. As in VS Code, getConfiguration()
+ * returns a snapshot that later updates do not change, and every update fires
+ * onDidChangeConfiguration.
+ * @param {Object<string, any>} settings - Global settings by full section
+ * @param {'Light'|'Dark'} colorThemeKind - Kind of the theme VS Code is showing
+ */
+function createHost(settings, colorThemeKind) {
+  const defaults = { ...VSCODE_DEFAULTS };
+  for (const [section, property] of Object.entries(packageJson.contributes.configuration.properties)) {
+    defaults[section] = property.default;
+  }
+
+  const global = { ...settings };
+  const listeners = [];
+  const warnings = [];
+  const errors = [];
+
+  const getConfiguration = prefix => {
+    const snapshot = { ...global };
+    const full = key => (prefix ? `${prefix}.${key}` : key);
+    return {
+      get: key => (full(key) in snapshot ? snapshot[full(key)] : defaults[full(key)]),
+      inspect: key => ({ defaultValue: defaults[full(key)], globalValue: snapshot[full(key)] }),
+      update: async (key, value) => set(full(key), value)
+    };
+  };
+
+  const set = async (section, value) => {
+    if (value === undefined) {
+      delete global[section];
+    } else {
+      global[section] = value;
+    }
+    const event = { affectsConfiguration: name => section === name || section.startsWith(`${name}.`) };
+    listeners.forEach(listener => listener(event));
+  };
+
+  const vscode = {
+    ConfigurationTarget: { Global: 1 },
+    ColorThemeKind: COLOR_THEME_KINDS,
+    commands: {
+      registerCommand: () => ({ dispose: () => {} })
+    },
+    window: {
+      activeColorTheme: { kind: COLOR_THEME_KINDS[colorThemeKind] },
+      showWarningMessage: message => warnings.push(message),
+      showErrorMessage: message => errors.push(message)
+    },
+    workspace: {
+      getConfiguration,
+      onDidChangeConfiguration: listener => {
+        listeners.push(listener);
+        return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+      }
+    }
+  };
+
+  return { vscode, global, warnings, errors, set };
+}
+
+/**
+ * Wait until every settings write the extension queued has finished. The
+ * stand-in host resolves its writes as microtasks, which all run before
+ * setImmediate.
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+class ApolloExtensionScheduleTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  async runAllTests() {
+    console.log('🕰️  Apollo Extension Schedule Tests');
+    console.log('==================================\n');
+
+    await this.testSystem();
+    await this.testTimes();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * apollo.scheduleLightTime and apollo.scheduleDarkTime that make the `times`
+   * schedule ask for `kind` right now
+   * @param {'light'|'dark'} kind
+   */
+  timesFor(kind) {
+    const hoursFromNow = hours => {
+      const date = new Date(Date.now() + hours * 3600000);
+      return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    };
+    const [light, dark] = kind === 'light' ? [hoursFromNow(-2), hoursFromNow(2)] : [hoursFromNow(2), hoursFromNow(-2)];
+    return { 'apollo.scheduleLightTime': light, 'apollo.scheduleDarkTime': dark };
+  }
+
+  /**
+   * Activate a fresh copy of extension.js in a host with these settings, run
+   * the test against the host once activation has settled, then dispose it
+   */
+  async withExtension(settings, colorThemeKind, fn) {
+    host = createHost(settings, colorThemeKind);
+    delete require.cache[EXTENSION];
+
+    const state = {};
+    const context = {
+      subscriptions: [],
+      extension: { packageJSON: packageJson },
+      globalState: {
+        get: (key, fallback) => (key in state ? state[key] : fallback),
+        update: async (key, value) => { state[key] = value; }
+      }
+    };
+
+    try {
+      await require(EXTENSION).activate(context);
+      await settle();
+      return await fn(host);
+    } finally {
+      context.subscriptions.forEach(subscription => subscription.dispose());
+      host = undefined;
+    }
+  }
+
+  async testSystem() {
+    console.log('🖥️  System');
+    console.log('─'.repeat(50));
+
+    await this.runTest('system makes VS Code follow the OS between the active Apollo theme and its counterpart', () =>
+      this.withExtension({ 'apollo.schedule': 'system', 'workbench.colorTheme': 'Apollo Dark' }, 'Dark', ({ global, warnings }) => {
+        return global['window.autoDetectColorScheme'] === true &&
+          global['workbench.preferredDarkColorTheme'] === 'Apollo Dark' &&
+          global['workbench.preferredLightColorTheme'] === 'Apollo Light' &&
+          warnings.length === 0;
+      }));
+
+    for (const [schedule, settings] of [['times', this.timesFor('light')], ['sunriseSunset', { 'apollo.scheduleLatitude': 51.5, 'apollo.scheduleLongitude': -0.13 }]]) {
+      await this.runTest(`Switching from system to ${schedule} removes the scheme settings without a window.autoDetectColorScheme warning`, () =>
+        this.withExtension({ 'apollo.schedule': 'system', 'workbench.colorTheme': 'Apollo Dark', ...settings }, 'Dark', async ({ global, warnings, set }) => {
+          await set('apollo.schedule', schedule);
+          await settle();
+          return !('window.autoDetectColorScheme' in global) &&
+            !('workbench.preferredDarkColorTheme' in global) &&
+            !('workbench.preferredLightColorTheme' in global) &&
+            !warnings.some(warning => warning.includes('window.autoDetectColorScheme'));
+        }));
+    }
+
+    await this.runTest('Switching from system to times switches to the scheduled theme right away', () =>
+      this.withExtension({ 'apollo.schedule': 'system', 'workbench.colorTheme': 'Apollo Dark', ...this.timesFor('light') }, 'Dark', async ({ global, set }) => {
+        await set('apollo.schedule', 'times');
+        await settle();
+        return global['workbench.colorTheme'] === 'Apollo Light';
+      }));
+  }
+
+  async testTimes() {
+    console.log('\n⏰ Times');
+    console.log('─'.repeat(50));
+
+    await this.runTest('times switches an active Apollo theme to the scheduled kind', () =>
+      this.withExtension({ 'apollo.schedule': 'times', 'workbench.colorTheme': 'Apollo Dark', ...this.timesFor('light') }, 'Dark', ({ global, warnings }) => {
+        return global['workbench.colorTheme'] === 'Apollo Light' && warnings.length === 0;
+      }));
+
+    await this.runTest('A theme the user picks is kept while the scheduled kind stays the same', () =>
+      this.withExtension({ 'apollo.schedule': 'times', 'workbench.colorTheme': 'Apollo Dark', ...this.timesFor('dark') }, 'Dark', async ({ global, set }) => {
+        await set('workbench.colorTheme', 'Apollo Light');
+        await settle();
+        return global['workbench.colorTheme'] === 'Apollo Light';
+      }));
+
+    await this.runTest('A window.autoDetectColorScheme the user turned on pauses the switch with a warning', () =>
+      this.withExtension({ 'apollo.schedule': 'times', 'workbench.colorTheme': 'Apollo Dark', 'window.autoDetectColorScheme': true, ...this.timesFor('light') }, 'Dark', ({ global, warnings, errors }) => {
+        return global['workbench.colorTheme'] === 'Apollo Dark' && global['window.autoDetectColorScheme'] === true &&
+          warnings.some(warning => warning.includes('window.autoDetectColorScheme is on')) && errors.length === 0;
+      }));
+  }
+
+  async runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = await testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloExtensionScheduleTest();
+  tester.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Extension schedule tester crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApolloExtensionScheduleTest };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo High Contrast Validation
+ * Checks that every foreground in the high contrast themes reaches 7:1 (WCAG AAA)
+ * against the background it is drawn on. Workbench colors are checked with the
+ * explicit foreground/background pairs from audit-contrast.js, so a pair such
+ * as tab.inactiveForeground on tab.inactiveBackground is measured the same
+ * way the auditor measures it, and every other `*Foreground` key is checked
+ * against its sibling `*Background` key or the editor background.
+ */
+
+const { calculateLuminance } = require('./test-contrast-analysis');
+const { compositeOver } = require('./src/color-math');
+const { CONTRAST_PAIRS, ApolloContrastAuditor } = require('./audit-contrast');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const REQUIRED_RATIO = 7;
+
+class ApolloThemeHighContrastTest {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.failures = [];
+  }
+
+  logPass(message) {
+    this.passed++;
+    console.log(`  ✅ ${message}`);
+  }
+
+  logFail(message) {
+    this.failed++;
+    this.failures.push(message);
+    console.log(`  ❌ ${message}`);
+  }
+
+  contrastRatio(foreground, background) {
+    const l1 = calculateLuminance(foreground);
+    const l2 = calculateLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Background a foreground key is drawn on: its sibling `*Background` key when
+   * the theme defines one, otherwise the editor background
+   */
+  backgroundFor(colors, key) {
+    const sibling = key.replace(/Foreground$/, 'Background').replace(/foreground$/, 'background');
+    return colors[sibling] ? sibling : 'editor.background';
+  }
+
+  checkPair(label, foreground, background) {
+    const ratio = this.contrastRatio(foreground, background);
+    const message = `${label}: ${foreground} on ${background} = ${ratio.toFixed(2)}:1`;
+    if (ratio >= REQUIRED_RATIO) {
+      this.passed++;
+    } else {
+      this.logFail(message);
+    }
+  }
+
+  testWorkbenchColors(theme) {
+    const colors = theme.colors;
+    const auditor = new ApolloContrastAuditor();
+
+    for (const pair of CONTRAST_PAIRS) {
+      const label = `${pair.foreground} on ${pair.background}`;
+      const background = auditor.resolve(colors, pair.background, pair.surface);
+      const foreground = background && colors[pair.foreground] ? compositeOver(colors[pair.foreground], background) : null;
+
+      if (!foreground || !background) {
+        this.logFail(`${label}: ${foreground ? pair.background : pair.foreground} is not defined`);
+        continue;
+      }
+      this.checkPair(label, foreground, background);
+    }
+  }
+
+  testForegroundKeys(theme) {
+    const colors = theme.colors;
+    const auditor = new ApolloContrastAuditor();
+
+    for (const [key, color] of Object.entries(colors)) {
+      if (!/[Ff]oreground$/.test(key)) continue;
+
+      const backgroundKey = this.backgroundFor(colors, key);
+      const background = auditor.resolve(colors, backgroundKey, 'editor.background');
+      this.checkPair(`${key} on ${backgroundKey}`, compositeOver(color, background), background);
+    }
+  }
+
+  testTokenColors(theme) {
+    const background = theme.colors['editor.background'];
+
+    theme.tokenColors.forEach(rule => {
+      if (rule.settings && rule.settings.foreground) {
+        this.checkPair(`tokenColors "${rule.name}"`, compositeOver(rule.settings.foreground, background), background);
+      }
+    });
+
+    for (const [selector, value] of Object.entries(theme.semanticTokenColors || {})) {
+      const foreground = typeof value === 'string' ? value : value.foreground;
+      if (foreground) {
+        this.checkPair(`semanticTokenColors "${selector}"`, compositeOver(foreground, background), background);
+      }
+    }
+  }
+
+  testContrastBorders(theme) {
+    for (const key of ['contrastBorder', 'contrastActiveBorder']) {
+      if (theme.colors[key]) {
+        this.logPass(`${key} is defined (${theme.colors[key]})`);
+      } else {
+        this.logFail(`${key} is missing`);
+      }
+    }
+  }
+
+  runAllTests() {
+    console.log('🔲 Apollo High Contrast Validation');
+    console.log('==================================');
+
+    const variants = loadThemeRegistry().filter(variant => variant.uiTheme === 'hc-black' || variant.uiTheme === 'hc-light');
+
+    for (const variant of variants) {
+      const { theme } = variant;
+      const failedBefore = this.failed;
+
+      console.log(`\n🎨 ${theme.name} (${variant.path})`);
+      this.testContrastBorders(theme);
+      this.testWorkbenchColors(theme);
+      this.testForegroundKeys(theme);
+      this.testTokenColors(theme);
+
+      if (this.failed === failedBefore) {
+        this.logPass(`Every foreground reaches ${REQUIRED_RATIO}:1`);
+      }
+    }
+
+    console.log('\n📊 Summary');
+    console.log(`   Pairs passed: ${this.passed}`);
+    console.log(`   Pairs failed: ${this.failed}`);
+
+    return this.failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const test = new ApolloThemeHighContrastTest();
+  process.exit(test.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeHighContrastTest };
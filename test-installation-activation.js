@@ -10,6 +10,9 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { parseJsonc } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const { UI_THEMES } = require('./build-themes');
 
 class InstallationActivationTester {
   constructor() {
@@ -22,10 +25,7 @@ class InstallationActivationTester {
     
     this.extensionPath = __dirname;
     this.packageJsonPath = path.join(this.extensionPath, 'package.json');
-    this.themePaths = {
-      dark: path.join(this.extensionPath, 'themes', 'apollo-dark-color-theme.json'),
-      light: path.join(this.extensionPath, 'themes', 'apollo-light-color-theme.json')
-    };
+    this.themes = loadThemeRegistry(this.extensionPath);
   }
 
   async runAllTests() {
@@ -103,9 +103,9 @@ class InstallationActivationTester {
         throw new Error('Themes must be an array with at least one theme');
       }
       
-      // Verify both Apollo Dark and Apollo Light are configured
+      // Verify Apollo Dark, Apollo Dimmed and Apollo Light are configured
       const themeLabels = themes.map(theme => theme.label);
-      const expectedThemes = ['Apollo Dark', 'Apollo Light'];
+      const expectedThemes = ['Apollo Dark', 'Apollo Dimmed', 'Apollo Light'];
       
       for (const expectedTheme of expectedThemes) {
         if (!themeLabels.includes(expectedTheme)) {
@@ -120,8 +120,8 @@ class InstallationActivationTester {
         }
         
         // Verify UI theme mapping
-        if (theme.label === 'Apollo Dark' && theme.uiTheme !== 'vs-dark') {
-          throw new Error('Apollo Dark must use "vs-dark" UI theme');
+        if ((theme.label === 'Apollo Dark' || theme.label === 'Apollo Dimmed') && theme.uiTheme !== 'vs-dark') {
+          throw new Error(`${theme.label} must use "vs-dark" UI theme`);
         }
         if (theme.label === 'Apollo Light' && theme.uiTheme !== 'vs') {
           throw new Error('Apollo Light must use "vs" UI theme');
@@ -163,7 +163,7 @@ class InstallationActivationTester {
 
     // Test 2.1: Theme files exist and are accessible
     await this.runTest('Theme files exist and are accessible', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
+      for (const { label: themeName, file: themePath } of this.themes) {
         if (!fs.existsSync(themePath)) {
           throw new Error(`Theme file not found: ${themePath}`);
         }
@@ -180,10 +180,10 @@ class InstallationActivationTester {
 
     // Test 2.2: Theme files have valid JSON structure
     await this.runTest('Theme files have valid JSON structure', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
+      for (const { label: themeName, file: themePath } of this.themes) {
         try {
           const themeContent = fs.readFileSync(themePath, 'utf8');
-          JSON.parse(themeContent);
+          parseJsonc(themeContent, themePath);
         } catch (error) {
           throw new Error(`Invalid JSON in ${themeName} theme: ${error.message}`);
         }
@@ -193,9 +193,7 @@ class InstallationActivationTester {
 
     // Test 2.3: Theme files have required properties for activation
     await this.runTest('Theme files have required properties for activation', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
-        const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-        
+      for (const { label: themeName, uiTheme, theme: themeContent } of this.themes) {
         const requiredProperties = ['name', 'type', 'colors', 'tokenColors'];
         const missingProperties = requiredProperties.filter(prop => !themeContent[prop]);
         
@@ -204,7 +202,7 @@ class InstallationActivationTester {
         }
         
         // Verify theme type matches expected values
-        const expectedType = themeName === 'dark' ? 'dark' : 'light';
+        const expectedType = Object.keys(UI_THEMES).find(type => UI_THEMES[type] === uiTheme);
         if (themeContent.type !== expectedType) {
           throw new Error(`${themeName} theme has incorrect type: expected "${expectedType}", got "${themeContent.type}"`);
         }
@@ -215,9 +213,7 @@ class InstallationActivationTester {
     // Test 2.4: Theme activation simulation
     await this.runTest('Theme activation simulation', () => {
       // Simulate VS Code theme activation by validating theme structure
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
-        const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-        
+      for (const { label: themeName, theme: themeContent } of this.themes) {
         // Check essential workbench colors for activation
         const essentialColors = [
           'editor.background',
@@ -268,7 +264,7 @@ class InstallationActivationTester {
     // Test 3.2: Theme files are stable and consistent
     await this.runTest('Theme files are stable and consistent', () => {
       // Read theme files multiple times to ensure consistency
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
+      for (const { label: themeName, file: themePath } of this.themes) {
         const content1 = fs.readFileSync(themePath, 'utf8');
         const content2 = fs.readFileSync(themePath, 'utf8');
         
@@ -277,8 +273,8 @@ class InstallationActivationTester {
         }
         
         // Verify JSON parsing is consistent
-        const parsed1 = JSON.parse(content1);
-        const parsed2 = JSON.parse(content2);
+        const parsed1 = parseJsonc(content1, themePath);
+        const parsed2 = parseJsonc(content2, themePath);
         
         if (JSON.stringify(parsed1) !== JSON.stringify(parsed2)) {
           throw new Error(`${themeName} theme JSON parsing is inconsistent`);
@@ -289,16 +285,14 @@ class InstallationActivationTester {
 
     // Test 3.3: Theme metadata supports persistence
     await this.runTest('Theme metadata supports persistence', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
-        const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-        
+      for (const { label: themeName, theme: themeContent } of this.themes) {
         // Verify theme has stable name for persistence
         if (!themeContent.name || typeof themeContent.name !== 'string') {
           throw new Error(`${themeName} theme missing or invalid name for persistence`);
         }
         
         // Verify theme type is properly set for VS Code persistence
-        if (!themeContent.type || !['dark', 'light'].includes(themeContent.type)) {
+        if (!themeContent.type || !Object.keys(UI_THEMES).includes(themeContent.type)) {
           throw new Error(`${themeName} theme has invalid type for VS Code persistence`);
         }
       }
@@ -345,8 +339,8 @@ class InstallationActivationTester {
 
     // Test 4.2: Theme switching compatibility
     await this.runTest('Theme switching compatibility', () => {
-      const darkTheme = JSON.parse(fs.readFileSync(this.themePaths.dark, 'utf8'));
-      const lightTheme = JSON.parse(fs.readFileSync(this.themePaths.light, 'utf8'));
+      const darkTheme = this.themes.find(variant => variant.label === 'Apollo Dark').theme;
+      const lightTheme = this.themes.find(variant => variant.label === 'Apollo Light').theme;
       
       // Verify themes have compatible structure for switching
       const darkColorKeys = Object.keys(darkTheme.colors || {});
@@ -383,8 +377,8 @@ class InstallationActivationTester {
 
     // Test 4.3: Theme contrast compatibility for switching
     await this.runTest('Theme contrast compatibility for switching', () => {
-      const darkTheme = JSON.parse(fs.readFileSync(this.themePaths.dark, 'utf8'));
-      const lightTheme = JSON.parse(fs.readFileSync(this.themePaths.light, 'utf8'));
+      const darkTheme = this.themes.find(variant => variant.label === 'Apollo Dark').theme;
+      const lightTheme = this.themes.find(variant => variant.label === 'Apollo Light').theme;
       
       // Verify themes have appropriate contrast for their type
       const darkBg = darkTheme.colors['editor.background'];
@@ -476,7 +470,7 @@ class InstallationActivationTester {
 
     // Test 6.1: File permissions and accessibility
     await this.runTest('Theme files have proper permissions', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
+      for (const { label: themeName, file: themePath } of this.themes) {
         try {
           // Test read access
           fs.accessSync(themePath, fs.constants.R_OK);
@@ -505,7 +499,7 @@ class InstallationActivationTester {
 
     // Test 6.2: Theme file encoding
     await this.runTest('Theme files have proper encoding', () => {
-      for (const [themeName, themePath] of Object.entries(this.themePaths)) {
+      for (const { label: themeName, file: themePath } of this.themes) {
         try {
           const content = fs.readFileSync(themePath, 'utf8');
           
@@ -515,7 +509,7 @@ class InstallationActivationTester {
           }
           
           // Verify content is valid UTF-8 by parsing as JSON
-          JSON.parse(content);
+          parseJsonc(content, themePath);
           
         } catch (error) {
           throw new Error(`${themeName} theme encoding issue: ${error.message}`);
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo JetBrains Theme Export Tests
+ *
+ * Golden-file tests for export-jetbrains-themes.js: every .icls scheme,
+ * .theme.json UI theme and the mapping table rendered from the current themes
+ * must match the committed files in jetbrains-themes/, and each export must
+ * carry the colors its mapping resolved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JETBRAINS_ATTRIBUTES, JETBRAINS_UI_KEYS, jetbrainsMapping, exportJetBrainsTheme, mappingTable } = require('./src/jetbrains-themes');
+const { OUTPUT_DIR, renderJetBrainsThemes } = require('./export-jetbrains-themes');
+const { checkGoldenFile } = require('./src/golden-files');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+/**
+ * Read the attributes of an .icls scheme as { NAME: { FOREGROUND: 'rrggbb', ... } }
+ */
+function parseIclsAttributes(content) {
+  const attributes = {};
+  const pattern = /<option name="(\w+)">\s*<value>([\s\S]*?)<\/value>/g;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    const options = {};
+    match[2].replace(/<option name="(\w+)" value="([^"]*)" \/>/g, (_, name, value) => {
+      options[name] = value;
+    });
+    attributes[match[1]] = options;
+  }
+  return attributes;
+}
+
+class ApolloThemeJetBrainsExportTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🧩 Apollo JetBrains Theme Export Tests');
+    console.log('=====================================\n');
+
+    this.testMapping();
+
+    const exports = renderJetBrainsThemes();
+    console.log('\n🔗 Exports');
+    console.log('─'.repeat(50));
+    exports.filter(entry => entry.kind === 'scheme').forEach(entry => this.testScheme(entry));
+    exports.filter(entry => entry.kind === 'ui').forEach(entry => this.testUiTheme(entry));
+
+    console.log('\n📄 Golden files');
+    console.log('─'.repeat(50));
+    exports.forEach(entry => this.testGoldenFile(entry));
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+    if (this.results.failedTests > 0) {
+      console.log('\nIf the changes are intended, run `npm run export:jetbrains` and commit jetbrains-themes/.');
+    }
+
+    return this.results.failedTests === 0;
+  }
+
+  testMapping() {
+    console.log('🗺️  Attribute mapping');
+    console.log('─'.repeat(50));
+
+    const fixture = {
+      name: 'Fixture',
+      type: 'dark',
+      colors: {
+        'editor.background': '#000000',
+        'editor.foreground': '#ffffff',
+        'sideBar.background': '#101010',
+        'list.activeSelectionBackground': '#ffffff80'
+      },
+      tokenColors: [
+        { scope: 'entity.name.function', settings: { foreground: '#111111', fontStyle: 'bold italic' } },
+        { scope: 'invalid.illegal', settings: { foreground: '#222222', fontStyle: 'strikethrough' } },
+        { scope: 'source.css entity.name.tag', settings: { foreground: '#333333' } }
+      ]
+    };
+    const mapping = jetbrainsMapping(fixture);
+    const attribute = name => mapping.attributes.find(entry => entry.name === name);
+    const uiKey = key => mapping.ui.find(entry => entry.key === key);
+
+    this.runTest('DEFAULT_FUNCTION_DECLARATION takes the entity.name.function style', () => {
+      const { style, fallback } = attribute('DEFAULT_FUNCTION_DECLARATION');
+      return style.foreground === '#111111' && style.fontStyle.join(' ') === 'bold italic' && !fallback;
+    });
+
+    this.runTest('Attributes without a tokenColors rule fall back to editor.foreground', () => {
+      const { style, fallback } = attribute('DEFAULT_KEYWORD');
+      return style.foreground === '#ffffff' && fallback;
+    });
+
+    this.runTest('UI keys follow their workbench fallback chain and flatten alpha', () => {
+      return uiKey('*.background').source === 'sideBar.background' &&
+        uiKey('*.foreground').source === 'editor.foreground' &&
+        uiKey('*.selectionBackground').color === '#808080';
+    });
+
+    this.runTest('Mapping table flags unmapped attributes and UI keys', () => {
+      const table = mappingTable([{ name: 'Fixture', mapping }]);
+      const rowOf = name => table.split('\n').find(line => line.startsWith(`| \`${name}\``));
+      const flagged = ['DEFAULT_DOC_MARKUP', 'Component.focusColor'].every(name => rowOf(name).endsWith('⚠️ unmapped |'));
+      const filled = ['DEFAULT_FUNCTION_DECLARATION', '*.background'].every(name => !rowOf(name).includes('⚠️'));
+      const rows = JETBRAINS_ATTRIBUTES.length + JETBRAINS_UI_KEYS.length;
+      if (table.split('\n').filter(line => /^\| `/.test(line)).length !== rows) {
+        throw new Error(`Table does not have one row per attribute and UI key (${rows})`);
+      }
+      return flagged && filled && table.includes('- `source.css entity.name.tag`');
+    });
+
+    this.runTest('Font styles become FONT_TYPE bits and effects', () => {
+      // The scheme also needs the editor and terminal colors of a full theme
+      const dark = loadThemeRegistry()[0].theme;
+      const [scheme] = exportJetBrainsTheme({ ...dark, tokenColors: fixture.tokenColors }, 'fixture.json').files;
+      const attributes = parseIclsAttributes(scheme.content);
+      const declaration = attributes.DEFAULT_FUNCTION_DECLARATION;
+      const invalid = attributes.DEFAULT_INVALID_STRING_ESCAPE;
+      return declaration.FONT_TYPE === '3' && !declaration.EFFECT_TYPE &&
+        invalid.EFFECT_TYPE === '3' && invalid.EFFECT_COLOR === '222222' &&
+        !attributes.DEFAULT_DOC_MARKUP;
+    });
+  }
+
+  testScheme({ variant, content, mapping }) {
+    this.runTest(`${variant.label}: .icls carries every mapped attribute`, () => {
+      const attributes = parseIclsAttributes(content);
+      for (const { name, style } of mapping.attributes) {
+        const written = attributes[name];
+        if (!style) {
+          if (written) throw new Error(`${name} has no scope but is written`);
+          continue;
+        }
+        if (!written || `#${written.FOREGROUND}` !== style.foreground) {
+          throw new Error(`${name} is ${written && written.FOREGROUND}, expected ${style.foreground}`);
+        }
+      }
+      const parent = variant.theme.type === 'dark' || variant.theme.type === 'hcDark' ? 'Darcula' : 'Default';
+      return content.includes(`<scheme name="${variant.label}" version="142" parent_scheme="${parent}">`);
+    });
+  }
+
+  testUiTheme({ variant, file, content, mapping }) {
+    this.runTest(`${variant.label}: .theme.json carries every mapped UI key`, () => {
+      const theme = JSON.parse(content);
+      const resolve = value => theme.colors[value] || value;
+      for (const { key, color } of mapping.ui) {
+        const written = key.split('.').reduce((node, segment) => node && node[segment], theme.ui);
+        if ((written && resolve(written)) !== (color || undefined)) {
+          throw new Error(`${key} is ${written}, expected ${color}`);
+        }
+      }
+      const scheme = file.replace(/\.theme\.json$/, '.icls');
+      if (theme.editorScheme !== `/${scheme}` || !fs.existsSync(path.join(OUTPUT_DIR, scheme))) {
+        throw new Error(`editorScheme ${theme.editorScheme} is not the exported scheme`);
+      }
+      return theme.dark === (variant.theme.type === 'dark' || variant.theme.type === 'hcDark');
+    });
+  }
+
+  testGoldenFile({ variant, file, content }) {
+    const goldenPath = path.join(OUTPUT_DIR, file);
+    const relative = path.relative(__dirname, goldenPath);
+
+    this.runTest(`${variant ? variant.label : 'Mapping table'} matches ${relative}`, () => checkGoldenFile(goldenPath, content));
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeJetBrainsExportTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeJetBrainsExportTest };
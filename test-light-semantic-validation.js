@@ -3,15 +3,14 @@
  * This script checks if the light theme JSON structure is valid and contains semantic token definitions
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
 
 function validateLightThemeStructure() {
   try {
     // Read the Apollo Light theme file
     const themePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
-    const themeContent = fs.readFileSync(themePath, 'utf8');
-    const theme = JSON.parse(themeContent);
+    const theme = loadTheme(themePath);
 
     console.log('🌞 Apollo Light Theme Semantic Token Validation');
     console.log('===============================================');
@@ -131,8 +130,7 @@ function validateLightThemeStructure() {
     
     try {
       const darkThemePath = path.join(__dirname, 'themes', 'apollo-dark-color-theme.json');
-      const darkThemeContent = fs.readFileSync(darkThemePath, 'utf8');
-      const darkTheme = JSON.parse(darkThemeContent);
+      const darkTheme = loadTheme(darkThemePath);
       
       const lightSemanticTokens = Object.keys(theme.semanticTokenColors);
       const darkSemanticTokens = Object.keys(darkTheme.semanticTokenColors);
@@ -3,15 +3,14 @@
  * Tests color distinction, accessibility, and coverage across all file types
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
 
 function testLightThemeSyntaxHighlighting() {
   try {
     // Read the Apollo Light theme file
     const themePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
-    const themeContent = fs.readFileSync(themePath, 'utf8');
-    const theme = JSON.parse(themeContent);
+    const theme = loadTheme(themePath);
 
     console.log('🎨 Apollo Light Theme Syntax Highlighting Test');
     console.log('===============================================');
@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
 
 function runFinalTest() {
   console.log('🎨 Apollo Light Theme - Final Syntax Highlighting Test');
@@ -34,7 +35,7 @@ function runFinalTest() {
 
   // Load and validate theme
   const themePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
-  const theme = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+  const theme = loadTheme(themePath);
 
   console.log('\n🎯 Syntax highlighting features:');
   console.log('--------------------------------');
@@ -3,15 +3,14 @@
  * This script checks if the light theme has proper syntax highlighting implementation
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
 
 function validateLightThemeStructure() {
   try {
     // Read the Apollo Light theme file
     const themePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
-    const themeContent = fs.readFileSync(themePath, 'utf8');
-    const theme = JSON.parse(themeContent);
+    const theme = loadTheme(themePath);
 
     console.log('🌞 Apollo Light Theme Validation');
     console.log('=================================');
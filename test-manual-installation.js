@@ -10,6 +10,8 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const { UI_THEMES } = require('./build-themes');
 
 class ManualInstallationTester {
   constructor() {
@@ -50,11 +52,7 @@ class ManualInstallationTester {
 
     // Test 1.1: Extension structure validation
     await this.runTest('Extension structure validation', () => {
-      const requiredFiles = [
-        'package.json',
-        'themes/apollo-dark-color-theme.json',
-        'themes/apollo-light-color-theme.json'
-      ];
+      const requiredFiles = ['package.json', ...loadThemeRegistry(this.extensionPath).map(variant => variant.path)];
       
       const missingFiles = [];
       for (const file of requiredFiles) {
@@ -110,18 +108,10 @@ class ManualInstallationTester {
 
     // Test 1.3: Theme file validation for installation
     await this.runTest('Theme file validation for installation', () => {
-      const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, 'utf8'));
-      
-      for (const theme of packageJson.contributes.themes) {
-        const themePath = path.join(this.extensionPath, theme.path);
-        
-        if (!fs.existsSync(themePath)) {
-          throw new Error(`Theme file not found: ${theme.path}`);
-        }
-        
+      for (const theme of loadThemeRegistry(this.extensionPath)) {
         // Validate theme file content
         try {
-          const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+          const themeContent = theme.theme;
           
           if (!themeContent.colors || !themeContent.tokenColors) {
             throw new Error(`Theme ${theme.label} missing required properties`);
@@ -345,12 +335,9 @@ class ManualInstallationTester {
 
     // Test 4.1: Theme availability validation
     await this.runTest('Theme availability validation', () => {
-      const packageJson = JSON.parse(fs.readFileSync(this.packageJsonPath, 'utf8'));
-      
       // Verify all contributed themes are valid
-      for (const theme of packageJson.contributes.themes) {
-        const themePath = path.join(this.extensionPath, theme.path);
-        const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+      for (const theme of loadThemeRegistry(this.extensionPath)) {
+        const themeContent = theme.theme;
         
         // Verify theme would be selectable
         if (!theme.label || theme.label.trim() === '') {
@@ -358,7 +345,7 @@ class ManualInstallationTester {
         }
         
         // Verify UI theme mapping is correct
-        const expectedUiTheme = themeContent.type === 'dark' ? 'vs-dark' : 'vs';
+        const expectedUiTheme = UI_THEMES[themeContent.type];
         if (theme.uiTheme !== expectedUiTheme) {
           throw new Error(`Theme ${theme.label} has incorrect uiTheme mapping`);
         }
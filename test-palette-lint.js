@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Palette Lint Tests
+ *
+ * Tests for lint-palette.js: which theme colors count as off-palette, the
+ * nearest palette color it suggests, allowlist wildcards from
+ * test-fixtures/palette-lint/, and the exit code for an unreadable allowlist.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { GRAYSCALE, BLUES_TEALS, WARM_TONES } = require('./src/colors');
+const { ApolloPaletteLinter } = require('./lint-palette');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures', 'palette-lint');
+
+class ApolloPaletteLintTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🧹 Apollo Palette Lint Tests');
+    console.log('============================\n');
+
+    this.testColors();
+    this.testAllowlist();
+    this.testCommandLine();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Lint one theme and return the linter with its findings
+   */
+  lint(theme, allowlist = path.join(FIXTURES, 'allowlist.json'), themeFile = 'fixture-color-theme.json') {
+    const linter = new ApolloPaletteLinter(allowlist);
+    linter.lintTheme(themeFile, theme);
+    return linter;
+  }
+
+  testColors() {
+    console.log('🎨 Colors');
+    console.log('─'.repeat(50));
+
+    this.runTest('Palette colors pass with or without alpha, in any case', () => {
+      const linter = this.lint({
+        colors: { 'editor.background': GRAYSCALE.BLACK, 'editor.selectionBackground': `${BLUES_TEALS.MEDIUM_BLUE}80`, 'focusBorder': WARM_TONES.BRIGHT_WARM.toUpperCase() }
+      });
+      return linter.violations.length === 0;
+    });
+
+    this.runTest('#rgb and #rgba shorthand is expanded, not rejected as invalid', () => {
+      const linter = this.lint({ colors: { 'editor.foreground': '#fff', 'editor.lineHighlightBackground': '#fff8' } });
+      return linter.violations.length === 2 &&
+        linter.violations.every(violation => violation.suggestion === GRAYSCALE.WHITE);
+    });
+
+    this.runTest('The nearest palette color is suggested with its CIEDE2000 distance', () => {
+      const [violation] = this.lint({ colors: { 'badge.background': '#172039' } }).violations;
+      return violation.path === 'colors["badge.background"]' && violation.suggestion === BLUES_TEALS.DARKEST_BLUE &&
+        violation.distance > 0 && violation.distance < 1;
+    });
+
+    this.runTest('Values that are not hex colors are reported without a suggestion', () => {
+      const linter = this.lint({ colors: { 'editor.foreground': 'red', 'editor.background': '#12345' } });
+      return linter.violations.length === 2 && linter.violations.every(violation => violation.suggestion === undefined);
+    });
+
+    this.runTest('Token and semantic token colors are linted with their key path', () => {
+      const linter = this.lint({
+        tokenColors: [{ name: 'Strings', scope: 'string', settings: { foreground: '#00ff00' } }],
+        semanticTokenColors: { variable: '#0000ff', parameter: { foreground: '#ff00ff', italic: true } }
+      });
+      return linter.violations.map(violation => violation.path).join('|') ===
+        'tokenColors[0].settings.foreground|semanticTokenColors["variable"]|semanticTokenColors["parameter"].foreground' &&
+        linter.violations[0].label === 'Strings';
+    });
+  }
+
+  testAllowlist() {
+    console.log('\n📝 Allowlist');
+    console.log('─'.repeat(50));
+
+    this.runTest('A * in the path matches any key', () => {
+      const linter = this.lint({ colors: { 'terminal.ansiRed': '#ff0000', 'terminal.ansiBrightRed': '#ff5555', 'terminal.foreground': '#ff0000' } });
+      return linter.allowed.length === 2 && linter.violations.map(violation => violation.path).join() === 'colors["terminal.foreground"]' &&
+        linter.allowed.every(entry => entry.reason === 'Any theme may use pure terminal colors');
+    });
+
+    this.runTest('Exceptions limited to a theme and color only match that theme and color', () => {
+      const theme = { tokenColors: [{ scope: 'a', settings: { background: '#ff0000' } }, { scope: 'b', settings: { background: '#00ff00' } }] };
+      const fixture = this.lint(theme);
+      const other = this.lint(theme, undefined, 'other-color-theme.json');
+      return fixture.allowed.length === 1 && fixture.allowed[0].path === 'tokenColors[0].settings.background' &&
+        fixture.violations.length === 1 && other.allowed.length === 0 && other.violations.length === 2;
+    });
+
+    this.runTest('The repository allowlist loads when no path is given', () => {
+      return Array.isArray(new ApolloPaletteLinter().exceptions);
+    });
+
+    this.runTest('A missing or broken allowlist throws', () => {
+      const messages = ['missing.json', 'broken-allowlist.json'].map(file => {
+        try {
+          new ApolloPaletteLinter(path.join(FIXTURES, file));
+          return '';
+        } catch (error) {
+          return error.message;
+        }
+      });
+      return messages[0].startsWith('Allowlist not found:') && messages[1].includes('is not valid JSON');
+    });
+  }
+
+  testCommandLine() {
+    console.log('\n💻 Command Line');
+    console.log('─'.repeat(50));
+
+    const run = args => spawnSync(process.execPath, [path.join(__dirname, 'lint-palette.js'), ...args], { encoding: 'utf8' });
+
+    this.runTest('--allowlist with a path that does not exist exits 2 with an error', () => {
+      const result = run(['--allowlist', path.join(FIXTURES, 'missing.json')]);
+      return result.status === 2 && result.stderr.includes('Allowlist not found') && result.stdout === '';
+    });
+
+    this.runTest('--allowlist without a path exits 2', () => {
+      return run(['--allowlist']).status === 2;
+    });
+
+    this.runTest('--allowlist with a valid file lints the themes', () => {
+      return run(['--allowlist', path.join(FIXTURES, 'allowlist.json')]).status === 0;
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloPaletteLintTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloPaletteLintTest };
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const { performance } = require('perf_hooks');
+const { parseJsonc } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
 
 class ApolloThemePerformanceTest {
     constructor() {
@@ -17,10 +19,7 @@ class ApolloThemePerformanceTest {
             optimization: {},
             crossPlatform: {}
         };
-        this.themeFiles = [
-            'themes/apollo-dark-color-theme.json',
-            'themes/apollo-light-color-theme.json'
-        ];
+        this.themes = loadThemeRegistry();
     }
 
     /**
@@ -29,8 +28,7 @@ class ApolloThemePerformanceTest {
     async testThemeLoadingPerformance() {
         console.log('🚀 Testing theme loading performance...');
         
-        for (const themeFile of this.themeFiles) {
-            const themePath = path.join(__dirname, themeFile);
+        for (const { path: themeFile, file: themePath } of this.themes) {
             const themeName = path.basename(themeFile, '.json');
             
             // Test file size
@@ -44,7 +42,7 @@ class ApolloThemePerformanceTest {
             try {
                 const themeContent = fs.readFileSync(themePath, 'utf8');
                 const parseStart = performance.now();
-                const themeData = JSON.parse(themeContent);
+                const themeData = parseJsonc(themeContent, themeFile);
                 const parseEnd = performance.now();
                 
                 const memAfter = process.memoryUsage();
@@ -93,13 +91,12 @@ class ApolloThemePerformanceTest {
     async testJSONStructureOptimization() {
         console.log('\n🔧 Testing JSON structure optimization...');
         
-        for (const themeFile of this.themeFiles) {
-            const themePath = path.join(__dirname, themeFile);
+        for (const { path: themeFile, file: themePath } of this.themes) {
             const themeName = path.basename(themeFile, '.json');
             
             try {
                 const themeContent = fs.readFileSync(themePath, 'utf8');
-                const themeData = JSON.parse(themeContent);
+                const themeData = parseJsonc(themeContent, themeFile);
                 
                 // Check for optimization opportunities
                 const optimizations = {
@@ -223,7 +220,7 @@ class ApolloThemePerformanceTest {
      */
     calculateCompressionPotential(content) {
         const originalSize = content.length;
-        const minified = JSON.stringify(JSON.parse(content));
+        const minified = JSON.stringify(parseJsonc(content));
         const minifiedSize = minified.length;
         
         return ((originalSize - minifiedSize) / originalSize * 100).toFixed(1);
@@ -236,11 +233,8 @@ class ApolloThemePerformanceTest {
         const issues = [];
         let valid = true;
         
-        for (const themeFile of this.themeFiles) {
+        for (const { path: themeFile, theme: themeData } of this.themes) {
             try {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
                 // Check all color values
                 const allColors = { ...themeData.colors };
                 
@@ -335,11 +329,8 @@ class ApolloThemePerformanceTest {
         const issues = [];
         let valid = true;
         
-        for (const themeFile of this.themeFiles) {
+        for (const { path: themeFile, theme: themeData } of this.themes) {
             try {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
                 if (themeData.tokenColors) {
                     themeData.tokenColors.forEach((token, index) => {
                         if (token.settings && token.settings.fontStyle) {
@@ -410,10 +401,7 @@ class ApolloThemePerformanceTest {
             }
             
             // Check for deprecated theme properties
-            for (const themeFile of this.themeFiles) {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            for (const { path: themeFile, theme: themeData } of this.themes) {
                 // Check for deprecated color keys
                 const deprecatedColors = [
                     'editorIndentGuide.background',
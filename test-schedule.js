@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Schedule Tests
+ *
+ * Tests for src/schedule.js: when the time and sunrise/sunset schedules ask for
+ * Apollo Light or Apollo Dark, which themes they may replace, and how the OS
+ * sync settings are written and removed without touching values the user set
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const {
+  SCHEDULE_MODES,
+  parseTime,
+  sunTimes,
+  scheduledKind,
+  scheduledTheme,
+  systemSchemeSettings,
+  mergeSchemeSettings
+} = require('./src/schedule');
+
+// Published sunrise and sunset times (UTC) the computed ones must be within two minutes of
+const SUN_REFERENCES = [
+  ['London, June solstice', 51.5074, -0.1278, [2024, 5, 21], '03:43', '20:21'],
+  ['London, December solstice', 51.5074, -0.1278, [2024, 11, 21], '08:04', '15:53'],
+  ['San Francisco, June solstice', 37.7749, -122.4194, [2024, 5, 21], '12:48', '03:35'],
+  ['Quito, March equinox', -0.1807, -78.4678, [2024, 2, 20], '11:17', '23:23']
+];
+
+class ApolloScheduleTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+    this.themes = loadThemeRegistry();
+    this.packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+  }
+
+  runAllTests() {
+    console.log('🕰️  Apollo Schedule Tests');
+    console.log('========================\n');
+
+    this.testTimes();
+    this.testSunriseSunset();
+    this.testThemeSelection();
+    this.testSystemScheme();
+    this.testManifest();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Local time today at hours:minutes
+   */
+  at(hours, minutes) {
+    const date = new Date(2024, 5, 21);
+    date.setHours(hours, minutes);
+    return date;
+  }
+
+  testTimes() {
+    console.log('⏰ Local Times');
+    console.log('─'.repeat(50));
+
+    const kindAt = (settings, hours, minutes) => scheduledKind({ schedule: 'times', ...settings }, this.at(hours, minutes)).kind;
+
+    this.runTest('Times parse as minutes after midnight', () => {
+      return parseTime('07:00') === 420 && parseTime('7:05') === 425 && parseTime(' 23:59 ') === 1439 &&
+        parseTime('24:00') === null && parseTime('7pm') === null && parseTime(undefined) === null;
+    });
+
+    this.runTest('Light from the light time up to the dark time', () => {
+      const settings = { scheduleLightTime: '07:00', scheduleDarkTime: '19:00' };
+      return kindAt(settings, 6, 59) === 'dark' && kindAt(settings, 7, 0) === 'light' &&
+        kindAt(settings, 18, 59) === 'light' && kindAt(settings, 19, 0) === 'dark';
+    });
+
+    this.runTest('A light period can wrap past midnight', () => {
+      const settings = { scheduleLightTime: '22:00', scheduleDarkTime: '06:00' };
+      return kindAt(settings, 23, 0) === 'light' && kindAt(settings, 5, 59) === 'light' &&
+        kindAt(settings, 6, 0) === 'dark' && kindAt(settings, 12, 0) === 'dark';
+    });
+
+    this.runTest('Invalid or equal times pause the schedule with a warning', () => {
+      const invalid = scheduledKind({ schedule: 'times', scheduleLightTime: '7am', scheduleDarkTime: '19:00' }, this.at(12, 0));
+      const equal = scheduledKind({ schedule: 'times', scheduleLightTime: '08:00', scheduleDarkTime: '08:00' }, this.at(12, 0));
+      return invalid.kind === null && invalid.warnings[0].startsWith('apollo.scheduleLightTime "7am"') &&
+        equal.kind === null && equal.warnings.length === 1;
+    });
+
+    this.runTest('Off and system modes never ask for a kind', () => {
+      return ['off', 'system', undefined].every(schedule => {
+        const result = scheduledKind({ schedule, scheduleLightTime: '07:00', scheduleDarkTime: '19:00' }, this.at(12, 0));
+        return result.kind === null && result.warnings.length === 0;
+      });
+    });
+  }
+
+  testSunriseSunset() {
+    console.log('\n🌅 Sunrise and Sunset');
+    console.log('─'.repeat(50));
+
+    const minutesUtc = date => date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const withinTwoMinutes = (date, expected) => {
+      const difference = Math.abs(minutesUtc(date) - parseTime(expected));
+      return Math.min(difference, 1440 - difference) <= 2;
+    };
+
+    for (const [label, latitude, longitude, [year, month, day], sunrise, sunset] of SUN_REFERENCES) {
+      this.runTest(`${label}: ${sunrise}/${sunset} UTC`, () => {
+        const sun = sunTimes(new Date(year, month, day, 12), latitude, longitude);
+        if (!withinTwoMinutes(sun.sunrise, sunrise) || !withinTwoMinutes(sun.sunset, sunset)) {
+          throw new Error(`computed ${sun.sunrise.toISOString()} and ${sun.sunset.toISOString()}`);
+        }
+        return true;
+      });
+    }
+
+    this.runTest('Polar day and polar night have no sunrise or sunset', () => {
+      return sunTimes(new Date(2024, 5, 21, 12), 69.6492, 18.9553).polar === 'day' &&
+        sunTimes(new Date(2024, 11, 21, 12), 69.6492, 18.9553).polar === 'night';
+    });
+
+    this.runTest('Light from sunrise up to sunset', () => {
+      // A longitude in this machine's time zone, so sunrise and sunset fall on the same local day
+      const longitude = Math.max(-180, Math.min(180, -this.at(12, 0).getTimezoneOffset() / 4));
+      const settings = { schedule: 'sunriseSunset', scheduleLatitude: 51.5074, scheduleLongitude: longitude };
+      const { sunrise, sunset } = sunTimes(this.at(12, 0), settings.scheduleLatitude, settings.scheduleLongitude);
+      const kindAt = time => scheduledKind(settings, new Date(time)).kind;
+      return kindAt(sunrise.getTime() - 60000) === 'dark' && kindAt(sunrise.getTime()) === 'light' &&
+        kindAt(sunset.getTime() - 60000) === 'light' && kindAt(sunset.getTime()) === 'dark';
+    });
+
+    this.runTest('Polar day is light and polar night is dark', () => {
+      const settings = { schedule: 'sunriseSunset', scheduleLatitude: 69.6492, scheduleLongitude: 18.9553 };
+      return scheduledKind(settings, new Date(2024, 5, 21, 0, 30)).kind === 'light' &&
+        scheduledKind(settings, new Date(2024, 11, 21, 12, 0)).kind === 'dark';
+    });
+
+    this.runTest('Missing or out of range coordinates pause the schedule with a warning', () => {
+      return [[null, null], [51.5, undefined], [91, 0], [0, -181], ['51.5', 0]].every(([latitude, longitude]) => {
+        const result = scheduledKind({ schedule: 'sunriseSunset', scheduleLatitude: latitude, scheduleLongitude: longitude }, this.at(12, 0));
+        return result.kind === null && result.warnings.length === 1;
+      });
+    });
+  }
+
+  testThemeSelection() {
+    console.log('\n🎨 Theme Selection');
+    console.log('─'.repeat(50));
+
+    this.runTest('Apollo Light switches to Apollo Dark and back', () => {
+      return scheduledTheme('dark', 'Apollo Light', this.themes) === 'Apollo Dark' &&
+        scheduledTheme('light', 'Apollo Dark', this.themes) === 'Apollo Light';
+    });
+
+    this.runTest('An Apollo theme of the scheduled kind is kept', () => {
+      return scheduledTheme('dark', 'Apollo Dark', this.themes) === null &&
+        scheduledTheme('dark', 'Apollo Dimmed', this.themes) === null &&
+        scheduledTheme('dark', 'Apollo High Contrast Dark', this.themes) === null &&
+        scheduledTheme('light', 'Apollo High Contrast Light', this.themes) === null;
+    });
+
+    this.runTest('Other Apollo themes switch to Apollo Light or Apollo Dark', () => {
+      return scheduledTheme('light', 'Apollo Dimmed', this.themes) === 'Apollo Light' &&
+        scheduledTheme('dark', 'Apollo High Contrast Light', this.themes) === 'Apollo Dark';
+    });
+
+    this.runTest('A theme that is not an Apollo theme is never replaced', () => {
+      return scheduledTheme('dark', 'Default Light Modern', this.themes) === null &&
+        scheduledTheme('light', 'Monokai', this.themes) === null &&
+        scheduledTheme('dark', undefined, this.themes) === null;
+    });
+  }
+
+  testSystemScheme() {
+    console.log('\n🖥️  OS Color Scheme');
+    console.log('─'.repeat(50));
+
+    const written = {
+      'window.autoDetectColorScheme': true,
+      'workbench.preferredDarkColorTheme': 'Apollo Dimmed',
+      'workbench.preferredLightColorTheme': 'Apollo Light'
+    };
+
+    this.runTest('Nothing is written while another theme is active', () => {
+      return Object.keys(systemSchemeSettings('Monokai', this.themes, {})).length === 0;
+    });
+
+    this.runTest('The active Apollo theme becomes the preferred theme of its kind', () => {
+      const dark = systemSchemeSettings('Apollo Dimmed', this.themes, {});
+      const light = systemSchemeSettings('Apollo Light', this.themes, {});
+      return JSON.stringify(dark) === JSON.stringify(written) &&
+        light['workbench.preferredLightColorTheme'] === 'Apollo Light' &&
+        light['workbench.preferredDarkColorTheme'] === 'Apollo Dark';
+    });
+
+    this.runTest('Settings written earlier are kept when VS Code has switched away', () => {
+      return JSON.stringify(systemSchemeSettings('Monokai', this.themes, written)) === JSON.stringify(written);
+    });
+
+    this.runTest('Unset settings are written, settings the user set are not', () => {
+      const current = { 'workbench.preferredDarkColorTheme': 'Monokai' };
+      const { value, written: applied } = mergeSchemeSettings(current, {}, written);
+      return value['window.autoDetectColorScheme'] === true &&
+        value['workbench.preferredDarkColorTheme'] === 'Monokai' &&
+        value['workbench.preferredLightColorTheme'] === 'Apollo Light' &&
+        !('workbench.preferredDarkColorTheme' in applied) && Object.keys(applied).length === 2;
+    });
+
+    this.runTest('Writing the same settings again changes nothing', () => {
+      const { value, written: applied } = mergeSchemeSettings(written, written, written);
+      return JSON.stringify(value) === JSON.stringify(written) && JSON.stringify(applied) === JSON.stringify(written);
+    });
+
+    this.runTest('Leaving system mode removes only values the extension still owns', () => {
+      const current = { ...written, 'workbench.preferredLightColorTheme': 'Solarized Light' };
+      const { value, written: applied } = mergeSchemeSettings(current, written, {});
+      return value['window.autoDetectColorScheme'] === undefined &&
+        value['workbench.preferredDarkColorTheme'] === undefined &&
+        value['workbench.preferredLightColorTheme'] === 'Solarized Light' &&
+        Object.keys(applied).length === 0;
+    });
+  }
+
+  testManifest() {
+    console.log('\n📦 Extension Manifest');
+    console.log('─'.repeat(50));
+
+    const properties = this.packageJson.contributes.configuration.properties;
+
+    this.runTest('apollo.schedule offers every schedule mode and is off by default', () => {
+      const schedule = properties['apollo.schedule'];
+      return schedule && schedule.default === 'off' &&
+        JSON.stringify(schedule.enum) === JSON.stringify(SCHEDULE_MODES) &&
+        schedule.enumDescriptions.length === SCHEDULE_MODES.length;
+    });
+
+    this.runTest('Time settings default to valid times and accept what parseTime accepts', () => {
+      return ['apollo.scheduleLightTime', 'apollo.scheduleDarkTime'].every(setting => {
+        const pattern = new RegExp(properties[setting].pattern);
+        return parseTime(properties[setting].default) !== null &&
+          ['07:00', '7:05', '23:59', '24:00', '7pm', '12:60'].every(time => pattern.test(time) === (parseTime(time) !== null));
+      });
+    });
+
+    this.runTest('Coordinates are bounded numbers without a default location', () => {
+      return properties['apollo.scheduleLatitude'].default === null && properties['apollo.scheduleLatitude'].maximum === 90 &&
+        properties['apollo.scheduleLongitude'].default === null && properties['apollo.scheduleLongitude'].minimum === -180;
+    });
+
+    this.runTest('The extension activates on startup so the schedule runs', () => {
+      return (this.packageJson.activationEvents || []).includes('onStartupFinished');
+    });
+
+    this.runTest('Schedule code is not excluded from the package', () => {
+      const ignored = fs.readFileSync(path.join(__dirname, '.vscodeignore'), 'utf8').split('\n').map(line => line.trim());
+      return !ignored.includes('src/schedule.js') && !ignored.includes('src/*.js');
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloScheduleTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloScheduleTest };
@@ -3,8 +3,8 @@
  * This script validates that both themes have matching semantic token support
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
 
 function testSemanticTokenConsistency() {
   console.log('🔄 Apollo Theme Semantic Token Consistency Test');
@@ -15,8 +15,8 @@ function testSemanticTokenConsistency() {
     const darkThemePath = path.join(__dirname, 'themes', 'apollo-dark-color-theme.json');
     const lightThemePath = path.join(__dirname, 'themes', 'apollo-light-color-theme.json');
     
-    const darkTheme = JSON.parse(fs.readFileSync(darkThemePath, 'utf8'));
-    const lightTheme = JSON.parse(fs.readFileSync(lightThemePath, 'utf8'));
+    const darkTheme = loadTheme(darkThemePath);
+    const lightTheme = loadTheme(lightThemePath);
 
     console.log(`📁 Dark Theme: ${darkTheme.name} (${darkTheme.type})`);
     console.log(`📁 Light Theme: ${lightTheme.name} (${lightTheme.type})\n`);
@@ -1,20 +1,21 @@
 /**
- * Validation script for Apollo Dark theme semantic token support
+ * Validation script for Apollo theme semantic token support
  * This script checks if the theme JSON structure is valid and contains semantic token definitions
+ *
+ * Usage: node test-semantic-validation.js [theme-file]  (defaults to every contributed theme)
  */
 
-const fs = require('fs');
 const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
 
-function validateThemeStructure() {
+function validateThemeStructure(themeFile) {
   try {
-    // Read the Apollo Dark theme file
-    const themePath = path.join(__dirname, 'themes', 'apollo-dark-color-theme.json');
-    const themeContent = fs.readFileSync(themePath, 'utf8');
-    const theme = JSON.parse(themeContent);
+    const theme = loadTheme(path.resolve(__dirname, themeFile));
 
-    console.log('🎨 Apollo Dark Theme Validation');
-    console.log('================================');
+    const title = `🎨 ${theme.name} Theme Validation`;
+    console.log(title);
+    console.log('='.repeat(title.length));
 
     // Check basic theme structure
     console.log('✓ Theme JSON is valid');
@@ -89,7 +90,7 @@ function validateThemeStructure() {
     }
 
     console.log('\n🎉 Theme validation completed successfully!');
-    console.log('The Apollo Dark theme now supports semantic token highlighting.');
+    console.log(`The ${theme.name} theme now supports semantic token highlighting.`);
     
     return true;
 
@@ -105,8 +106,12 @@ function isValidHexColor(color) {
 
 // Run validation
 if (require.main === module) {
-  const isValid = validateThemeStructure();
-  process.exit(isValid ? 0 : 1);
+  const themeFiles = process.argv[2] ? [process.argv[2]] : loadThemeRegistry().map(variant => variant.path);
+  const results = themeFiles.map((themeFile, index) => {
+    if (index > 0) console.log('');
+    return validateThemeStructure(themeFile);
+  });
+  process.exit(results.every(Boolean) ? 0 : 1);
 }
 
 module.exports = { validateThemeStructure };
\ No newline at end of file
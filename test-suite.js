@@ -12,6 +12,118 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DARK_THEME_COLORS, DARK_SYNTAX_COLORS, PALETTE_GROUPS } = require('./src/colors');
+const { THEMES, UI_THEMES } = require('./build-themes');
+const { apcaContrast } = require('./src/color-math');
+const { APCA_THRESHOLDS } = require('./audit-contrast');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const { resolveTokenStyle } = require('./src/scope-selectors');
+const { createRegistry, grammarForFile, tokenizeText } = require('./src/grammars');
+
+const SAMPLES_DIR = path.join(__dirname, 'assets', 'samples');
+
+// Language-specific constructs: a snippet from the language's sample and the
+// token in it to check, as tokenized by the grammar vendored in grammars/. Each
+// must get its color from one of the language's own tokenColors rules, named
+// "<language> …" in src/colors.js
+const LANGUAGE_COVERAGE = {
+  Python: {
+    sample: 'sample.py',
+    tokens: [
+      ['@dataclass', 'dataclass'],
+      ['f"Theme({', '{'],
+      ['{self.name!r}', 'name'],
+      ['def background(self)', 'self'],
+      ['isinstance(', 'isinstance']
+    ]
+  },
+  Go: {
+    sample: 'sample.go',
+    tokens: [
+      ['`json:"name"`', 'json:"name"'],
+      ['package main', 'main'],
+      ['map[string]string', 'string'],
+      ['make(', 'make']
+    ]
+  },
+  Rust: {
+    sample: 'sample.rs',
+    tokens: [
+      ["Theme<'a>", 'a'],
+      ['colors! {', 'colors!'],
+      ['$key:literal', 'key'],
+      ['#[derive(Debug', 'derive'],
+      ['u32', 'u32'],
+      ['pub trait Palette', 'Palette']
+    ]
+  },
+  Java: {
+    sample: 'sample.java',
+    tokens: [
+      ['@Override', 'Override'],
+      ['private static final int', 'int'],
+      ['package dev.apollo.theme', 'dev']
+    ]
+  },
+  'C#': {
+    sample: 'sample.cs',
+    tokens: [
+      ['string Name', 'string'],
+      ['$"{name}-color-theme.json"', '{'],
+      ['{theme.Name}', '}'],
+      ['#if APOLLO_DEBUG', 'if']
+    ]
+  },
+  'C/C++': {
+    sample: 'sample.cpp',
+    tokens: [
+      ['#include <string>', 'include'],
+      ['#define RGB(', 'RGB'],
+      ['unsigned char', 'char'],
+      ['apollo::theme', 'apollo'],
+      ['apollo::theme', 'theme']
+    ]
+  },
+  PHP: {
+    sample: 'sample.php',
+    tokens: [
+      ['$name', 'name'],
+      ['$name', '$'],
+      ['<?php', '<?php'],
+      ['namespace Apollo\\Theme', 'Apollo']
+    ]
+  },
+  Ruby: {
+    sample: 'sample.rb',
+    tokens: [
+      [':dark', 'dark'],
+      ['@name', 'name'],
+      ['@@loaded', 'loaded'],
+      ['"#{name}', '#{'],
+      ['{name}', 'name']
+    ]
+  },
+  Shell: {
+    sample: 'sample.sh',
+    tokens: [
+      ['"$name"', 'name'],
+      ['${THEMES_DIR}', 'THEMES_DIR'],
+      ['$1', '$'],
+      ['$$', '$'],
+      ['$(theme_path', '$('],
+      ['printf', 'printf']
+    ]
+  },
+  YAML: {
+    sample: 'sample.yaml',
+    tokens: [
+      ['&defaults', 'defaults'],
+      ['*defaults', 'defaults'],
+      ['!!str', '!!str'],
+      ['---', '---']
+    ]
+  }
+};
 
 class ApolloThemeTestSuite {
   constructor() {
@@ -61,13 +173,10 @@ class ApolloThemeTestSuite {
     console.log('📋 Test 1: Theme JSON Structure Validation');
     console.log('-------------------------------------------');
 
-    const themes = ['apollo-dark-color-theme.json', 'apollo-light-color-theme.json'];
-    
-    for (const themeFile of themes) {
+    for (const variant of loadThemeRegistry()) {
+      const themeFile = path.basename(variant.path);
       try {
-        const themePath = path.join(__dirname, 'themes', themeFile);
-        const themeContent = fs.readFileSync(themePath, 'utf8');
-        const theme = JSON.parse(themeContent);
+        const { theme } = variant;
 
         // Required properties
         const requiredProps = ['name', 'type', 'colors', 'tokenColors'];
@@ -80,7 +189,7 @@ class ApolloThemeTestSuite {
         }
 
         // Validate theme type
-        if (['dark', 'light'].includes(theme.type)) {
+        if (Object.keys(UI_THEMES).includes(theme.type)) {
           this.logPass(`${themeFile}: Valid theme type (${theme.type})`);
         } else {
           this.logFail(`${themeFile}: Invalid theme type: ${theme.type}`);
@@ -120,12 +229,10 @@ class ApolloThemeTestSuite {
     console.log('🎨 Test 2: Color Format Compliance');
     console.log('----------------------------------');
 
-    const themes = ['apollo-dark-color-theme.json', 'apollo-light-color-theme.json'];
-    
-    for (const themeFile of themes) {
+    for (const variant of loadThemeRegistry()) {
+      const themeFile = path.basename(variant.path);
       try {
-        const themePath = path.join(__dirname, 'themes', themeFile);
-        const theme = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+        const { theme } = variant;
 
         let invalidColors = [];
 
@@ -195,13 +302,14 @@ class ApolloThemeTestSuite {
       }
     }
 
+    // Tokenize the covered constructs once, their scopes are the same in every theme
+    const coverage = await this.tokenizeLanguageCoverage();
+
     // Validate syntax highlighting coverage
-    const themes = ['apollo-dark-color-theme.json', 'apollo-light-color-theme.json'];
-    
-    for (const themeFile of themes) {
+    for (const variant of loadThemeRegistry()) {
+      const themeFile = path.basename(variant.path);
       try {
-        const themePath = path.join(__dirname, 'themes', themeFile);
-        const theme = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+        const { theme } = variant;
 
         const essentialScopes = [
           'comment', 'keyword', 'string', 'constant.numeric', 'variable',
@@ -231,43 +339,111 @@ class ApolloThemeTestSuite {
           this.logWarning(`${themeFile}: Missing scopes: ${missingScopes.join(', ')}`);
         }
 
+        for (const [language, tokens] of coverage) {
+          const generic = tokens
+            .map(({ text, scopes }) => ({ text, rule: resolveTokenStyle(theme.tokenColors, scopes).rule }))
+            .filter(({ rule }) => !rule || !rule.name.startsWith(`${language} `));
+
+          if (generic.length === 0) {
+            this.logPass(`${themeFile}: ${language} constructs use ${language} rules`);
+          } else {
+            this.logFail(`${themeFile}: ${language} constructs fall back to generic colors: ${generic.map(({ text, rule }) => `${text} (${rule ? rule.name : 'editor.foreground'})`).join(', ')}`);
+          }
+        }
+
       } catch (error) {
         this.logFail(`${themeFile}: Syntax highlighting validation failed - ${error.message}`);
       }
     }
+
     console.log('');
   }
 
+  // Tokenize each language's sample with its vendored grammar and look up the
+  // scope stack of every covered token
+  async tokenizeLanguageCoverage() {
+    const registry = createRegistry();
+    const coverage = new Map();
+
+    for (const [language, { sample, tokens }] of Object.entries(LANGUAGE_COVERAGE)) {
+      const samplePath = path.join(SAMPLES_DIR, sample);
+      const grammar = grammarForFile(samplePath);
+      if (!fs.existsSync(samplePath)) {
+        this.logFail(`${language}: Sample missing: assets/samples/${sample}`);
+        continue;
+      }
+      if (!grammar) {
+        this.logFail(`${language}: No grammar in grammars/grammars.json tokenizes assets/samples/${sample}`);
+        continue;
+      }
+
+      const lines = tokenizeText(await registry.loadGrammar(grammar.scopeName), fs.readFileSync(samplePath, 'utf8'));
+      const found = tokens.map(([snippet, text]) => ({ snippet, text, scopes: this.findToken(lines, snippet, text) }));
+      const missing = found.filter(({ scopes }) => !scopes);
+
+      if (missing.length === 0) {
+        this.logPass(`${language}: ${grammar.scopeName} tokenizes every covered construct in assets/samples/${sample}`);
+        coverage.set(language, found);
+      } else {
+        this.logFail(`${language}: assets/samples/${sample} has no token ${missing.map(({ snippet, text }) => `${JSON.stringify(text)} in ${snippet}`).join(', ')}`);
+      }
+    }
+
+    return coverage;
+  }
+
+  // Scopes of the token `text` in the first line containing `snippet`, or
+  // undefined when the snippet is missing or the grammar splits it differently
+  findToken(lines, snippet, text) {
+    for (const tokens of lines) {
+      const start = tokens.map(token => token.text).join('').indexOf(snippet);
+      if (start === -1) continue;
+
+      const column = start + snippet.indexOf(text);
+      let offset = 0;
+      for (const token of tokens) {
+        if (offset === column && token.text === text) return token.scopes;
+        offset += token.text.length;
+      }
+      return undefined;
+    }
+    return undefined;
+  }
+
   // Test 4: Contrast Ratio Accessibility
   async testContrastRatios() {
     console.log('♿ Test 4: Contrast Ratio Accessibility');
     console.log('---------------------------------------');
 
-    const themes = [
-      { file: 'apollo-dark-color-theme.json', name: 'Apollo Dark' },
-      { file: 'apollo-light-color-theme.json', name: 'Apollo Light' }
-    ];
-
-    for (const { file: themeFile, name: themeName } of themes) {
+    for (const variant of loadThemeRegistry()) {
+      const themeFile = path.basename(variant.path);
+      const themeName = variant.label;
       try {
-        const themePath = path.join(__dirname, 'themes', themeFile);
-        const theme = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+        const { theme } = variant;
 
         const backgroundColor = theme.colors['editor.background'];
         const foregroundColor = theme.colors['editor.foreground'];
         
         // Test main editor contrast
         const mainContrast = this.calculateContrastRatio(backgroundColor, foregroundColor);
+        const mainLc = apcaContrast(foregroundColor, backgroundColor);
         if (mainContrast >= 4.5) {
-          this.logPass(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1 (AA compliant)`);
+          this.logPass(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1, Lc ${mainLc.toFixed(1)} (AA compliant)`);
         } else if (mainContrast >= 3) {
-          this.logWarning(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1 (AA Large only)`);
+          this.logWarning(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1, Lc ${mainLc.toFixed(1)} (AA Large only)`);
+        } else {
+          this.logFail(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1, Lc ${mainLc.toFixed(1)} (Below AA standards)`);
+        }
+
+        if (Math.abs(mainLc) >= APCA_THRESHOLDS.text) {
+          this.logPass(`${themeName}: Main editor APCA Lc ${mainLc.toFixed(1)} meets body text minimum (Lc ${APCA_THRESHOLDS.text})`);
         } else {
-          this.logFail(`${themeName}: Main editor contrast ${mainContrast.toFixed(2)}:1 (Below AA standards)`);
+          this.logWarning(`${themeName}: Main editor APCA Lc ${mainLc.toFixed(1)} below body text minimum (Lc ${APCA_THRESHOLDS.text})`);
         }
 
         // Test syntax highlighting contrast
         let lowContrastCount = 0;
+        let lowApcaCount = 0;
         let totalColors = 0;
 
         theme.tokenColors.forEach(rule => {
@@ -277,6 +453,9 @@ class ApolloThemeTestSuite {
             if (contrast < 3) {
               lowContrastCount++;
             }
+            if (Math.abs(apcaContrast(rule.settings.foreground, backgroundColor)) < APCA_THRESHOLDS.text) {
+              lowApcaCount++;
+            }
           }
         });
 
@@ -287,55 +466,96 @@ class ApolloThemeTestSuite {
           this.logWarning(`${themeName}: ${lowContrastCount}/${totalColors} syntax colors below 3:1 contrast (${contrastPercentage}% compliant)`);
         }
 
+        if (lowApcaCount === 0) {
+          this.logPass(`${themeName}: All syntax colors meet APCA body text minimum (Lc ${APCA_THRESHOLDS.text})`);
+        } else {
+          this.logWarning(`${themeName}: ${lowApcaCount}/${totalColors} syntax colors below APCA body text minimum (Lc ${APCA_THRESHOLDS.text})`);
+        }
+
       } catch (error) {
         this.logFail(`${themeFile}: Contrast validation failed - ${error.message}`);
       }
     }
+
+    this.testDimmedSyntaxSteps();
     console.log('');
   }
 
+  // Apollo Dimmed moves each Apollo Dark syntax role at most one step within
+  // its palette group, without dropping the WCAG level it has in Apollo Dark
+  testDimmedSyntaxSteps() {
+    const tier = ratio => (ratio >= 4.5 ? 2 : ratio >= 3 ? 1 : 0);
+    const locate = color => {
+      for (const group of PALETTE_GROUPS) {
+        const index = Object.values(group.colors).indexOf(color);
+        if (index !== -1) {
+          return { group: group.name, index };
+        }
+      }
+      return null;
+    };
+
+    const dimmed = THEMES.find(variant => variant.name === 'Apollo Dimmed');
+    if (!dimmed) {
+      this.logFail('Apollo Dimmed: No variant definition found in variants/');
+      return;
+    }
+
+    const problems = [];
+    for (const [role, darkColor] of Object.entries(DARK_SYNTAX_COLORS)) {
+      const dimmedColor = dimmed.syntax[role];
+      const from = locate(darkColor);
+      const to = locate(dimmedColor);
+
+      if (!to || to.group !== from.group || Math.abs(to.index - from.index) > 1) {
+        problems.push(`${role} moves more than one ${from.group} step (${darkColor} → ${dimmedColor})`);
+        continue;
+      }
+
+      const darkTier = tier(this.calculateContrastRatio(DARK_THEME_COLORS.background.primary, darkColor));
+      const dimmedTier = tier(this.calculateContrastRatio(dimmed.roles.background.primary, dimmedColor));
+      if (dimmedTier < darkTier) {
+        problems.push(`${role} loses contrast against the dimmed background (${dimmedColor})`);
+      }
+    }
+
+    if (problems.length === 0) {
+      this.logPass(`Apollo Dimmed: All ${Object.keys(DARK_SYNTAX_COLORS).length} syntax roles stay within one palette step of Apollo Dark and keep its contrast level`);
+    } else {
+      problems.forEach(problem => this.logFail(`Apollo Dimmed: ${problem}`));
+    }
+  }
+
   // Test 5: Theme Loading Functionality
   async testThemeLoading() {
     console.log('⚙️  Test 5: Theme Loading Functionality');
     console.log('--------------------------------------');
 
     try {
-      // Test package.json configuration
+      // Test package.json configuration; the registry fails on a missing theme file
       const packagePath = path.join(__dirname, 'package.json');
       const packageContent = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+      const themes = loadThemeRegistry();
 
-      // Validate extension configuration
-      if (packageContent.contributes && packageContent.contributes.themes) {
-        const themes = packageContent.contributes.themes;
-        
-        if (themes.length === 2) {
-          this.logPass('Package.json: Both themes configured');
-        } else {
-          this.logFail(`Package.json: Expected 2 themes, found ${themes.length}`);
-        }
-
-        // Validate theme paths
-        themes.forEach(theme => {
-          const themePath = path.join(__dirname, theme.path);
-          if (fs.existsSync(themePath)) {
-            this.logPass(`Theme file exists: ${theme.path}`);
-          } else {
-            this.logFail(`Theme file missing: ${theme.path}`);
-          }
-
-          // Validate UI theme mapping
-          const expectedUITheme = theme.label.includes('Dark') ? 'vs-dark' : 'vs';
-          if (theme.uiTheme === expectedUITheme) {
-            this.logPass(`${theme.label}: Correct UI theme mapping (${theme.uiTheme})`);
-          } else {
-            this.logFail(`${theme.label}: Incorrect UI theme mapping (${theme.uiTheme})`);
-          }
-        });
-
+      if (themes.length === THEMES.length) {
+        this.logPass(`Package.json: All ${THEMES.length} themes configured`);
       } else {
-        this.logFail('Package.json: Theme contributions not found');
+        this.logFail(`Package.json: Expected ${THEMES.length} themes, found ${themes.length}`);
       }
 
+      // Validate theme paths
+      themes.forEach(variant => {
+        this.logPass(`Theme file exists: ${variant.path}`);
+
+        // Validate UI theme mapping
+        const expectedUITheme = UI_THEMES[variant.theme.type];
+        if (variant.uiTheme === expectedUITheme) {
+          this.logPass(`${variant.label}: Correct UI theme mapping (${variant.uiTheme})`);
+        } else {
+          this.logFail(`${variant.label}: Incorrect UI theme mapping (${variant.uiTheme})`);
+        }
+      });
+
       // Validate VS Code engine compatibility
       if (packageContent.engines && packageContent.engines.vscode) {
         this.logPass(`VS Code engine compatibility: ${packageContent.engines.vscode}`);
@@ -355,11 +575,12 @@ class ApolloThemeTestSuite {
     console.log('----------------------------------');
 
     try {
-      const darkTheme = JSON.parse(fs.readFileSync(path.join(__dirname, 'themes', 'apollo-dark-color-theme.json'), 'utf8'));
-      const lightTheme = JSON.parse(fs.readFileSync(path.join(__dirname, 'themes', 'apollo-light-color-theme.json'), 'utf8'));
+      const themes = loadThemeRegistry();
+      const darkTheme = themes.find(variant => variant.label === 'Apollo Dark').theme;
+      const lightTheme = themes.find(variant => variant.label === 'Apollo Light').theme;
 
       // Test accent color consistency
-      const accentColors = ['73bed3', 'a8ca58', 'de9e41', 'cf573c', '4f8fba', '75a743'];
+      const accentColors = Object.values(DARK_THEME_COLORS.accents).map(color => color.slice(1));
       let consistentAccents = 0;
 
       accentColors.forEach(color => {
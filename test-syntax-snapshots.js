@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Syntax Highlighting Snapshot Tests
+ *
+ * Tokenizes the test-syntax.* fixtures, and the samples in assets/samples/ of
+ * languages without a fixture, offline with the vendored grammars, resolves
+ * every token's foreground and fontStyle through each theme the way VS Code
+ * does, and compares the result with the snapshots in snapshots/.
+ * A theme edit that recolors code shows up as a snapshot diff to review.
+ *
+ * Usage:
+ *   node test-syntax-snapshots.js            Compare against the stored snapshots
+ *   node test-syntax-snapshots.js --update   Rewrite the snapshots after an intended change
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRegistry, grammarForFile, tokenizeText } = require('./src/grammars');
+const { checkGoldenFile } = require('./src/golden-files');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const FIXTURES = [
+  'test-syntax.js',
+  'test-syntax.ts',
+  'test-syntax.css',
+  'test-syntax.html',
+  'test-syntax.json',
+  'test-syntax.md',
+  'assets/samples/sample.py',
+  'assets/samples/sample.go',
+  'assets/samples/sample.rs',
+  'assets/samples/sample.java',
+  'assets/samples/sample.cs',
+  'assets/samples/sample.cpp',
+  'assets/samples/sample.php',
+  'assets/samples/sample.rb',
+  'assets/samples/sample.sh',
+  'assets/samples/sample.yaml'
+];
+
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+
+// Diff lines printed per failing snapshot before truncating
+const MAX_DIFF_LINES = 60;
+
+class ApolloThemeSyntaxSnapshotTest {
+  constructor({ update = false } = {}) {
+    this.update = update;
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0,
+      updated: 0
+    };
+  }
+
+  async runAllTests() {
+    console.log('📸 Apollo Syntax Highlighting Snapshot Tests');
+    console.log('============================================\n');
+
+    for (const variant of loadThemeRegistry()) {
+      await this.testVariant(variant);
+    }
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+    if (this.update) {
+      console.log(`   Updated: ${this.results.updated}`);
+    } else if (this.results.failedTests > 0) {
+      console.log('\nIf the changes are intended, run `npm run test:snapshots -- --update` and commit the snapshots.');
+    }
+
+    return this.results.failedTests === 0;
+  }
+
+  async testVariant(variant) {
+    console.log(`🎨 ${variant.label}`);
+    console.log('─'.repeat(50));
+
+    const { theme } = variant;
+    const registry = createRegistry({ theme });
+
+    for (const fixture of FIXTURES) {
+      const snapshotPath = path.join(SNAPSHOTS_DIR, this.snapshotName(variant), `${path.basename(fixture)}.snap`);
+
+      await this.runTest(fixture, async () => {
+        const snapshot = await this.renderSnapshot(registry, theme, variant, fixture);
+        const stored = fs.existsSync(snapshotPath) ? fs.readFileSync(snapshotPath, 'utf8') : undefined;
+
+        if (stored === snapshot) return true;
+
+        if (this.update) {
+          fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+          fs.writeFileSync(snapshotPath, snapshot);
+          this.results.updated++;
+          console.log(`   📝 Updated ${path.relative(__dirname, snapshotPath)}`);
+          return true;
+        }
+
+        return checkGoldenFile(snapshotPath, snapshot, { subject: 'Highlighting', golden: 'snapshot', maxDiffLines: MAX_DIFF_LINES });
+      });
+    }
+
+    console.log('');
+  }
+
+  /**
+   * Snapshot directory for a variant, e.g. 'apollo-dark'
+   */
+  snapshotName(variant) {
+    return path.basename(variant.path).replace(/-color-theme\.json$/, '');
+  }
+
+  /**
+   * Render one fixture as `line:column "token" → color fontStyle scope` lines.
+   * Whitespace tokens are left out because their color is never visible.
+   */
+  async renderSnapshot(registry, theme, variant, fixture) {
+    const grammar = await registry.loadGrammar(grammarForFile(fixture).scopeName);
+    const text = fs.readFileSync(path.join(__dirname, fixture), 'utf8');
+    const defaultForeground = theme.colors['editor.foreground'].toLowerCase();
+
+    const lines = [
+      `# ${fixture} in ${variant.label}`,
+      `# line:column  "token"  →  foreground fontStyle  innermost scope (editor.foreground is ${defaultForeground})`,
+      ''
+    ];
+
+    tokenizeText(grammar, text, registry).forEach((tokens, lineIndex) => {
+      let column = 1;
+      for (const token of tokens) {
+        if (token.text.trim()) {
+          const position = `${lineIndex + 1}:${column}`;
+          const style = [token.foreground, token.fontStyle].filter(Boolean).join(' ');
+          lines.push(`${position.padEnd(8)} ${JSON.stringify(token.text).padEnd(24)} → ${style.padEnd(15)} ${token.scopes[token.scopes.length - 1]}`);
+        }
+        column += token.text.length;
+      }
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  async runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = await testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeSyntaxSnapshotTest({ update: process.argv.includes('--update') });
+  tester.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Snapshot tester crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApolloThemeSyntaxSnapshotTest, FIXTURES };
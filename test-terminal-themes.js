@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Terminal Theme Export Tests
+ *
+ * Golden-file tests for export-terminal-themes.js: every format rendered from
+ * the current themes must match the committed file in terminal-themes/, and
+ * each export must decode back to the theme's terminal colors.
+ */
+
+const path = require('path');
+const { TERMINAL_FORMATS, terminalPalette } = require('./src/terminal-themes');
+const { OUTPUT_DIR, renderTerminalThemes } = require('./export-terminal-themes');
+const { checkGoldenFile } = require('./src/golden-files');
+
+// Read background, foreground and the 16 ANSI colors back out of an exported file
+const DECODERS = {
+  'windows-terminal': content => {
+    const scheme = JSON.parse(content);
+    const names = ['black', 'red', 'green', 'yellow', 'blue', 'purple', 'cyan', 'white'];
+    return {
+      background: scheme.background,
+      foreground: scheme.foreground,
+      ansi: [...names, ...names.map(name => `bright${name[0].toUpperCase()}${name.slice(1)}`)].map(name => scheme[name])
+    };
+  },
+  iterm2: content => {
+    const colors = {};
+    const entry = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+    let match;
+    while ((match = entry.exec(content))) {
+      const component = name => Math.round(parseFloat(match[2].match(new RegExp(`<key>${name} Component</key>\\s*<real>([^<]+)</real>`))[1]) * 255);
+      colors[match[1]] = '#' + ['Red', 'Green', 'Blue'].map(name => component(name).toString(16).padStart(2, '0')).join('');
+    }
+    return {
+      background: colors['Background Color'],
+      foreground: colors['Foreground Color'],
+      ansi: Array.from({ length: 16 }, (_, index) => colors[`Ansi ${index} Color`])
+    };
+  },
+  alacritty: content => {
+    const value = (table, key) => {
+      const section = content.split(`[colors.${table}]`)[1].split('\n[')[0];
+      return section.match(new RegExp(`^${key} = "(#[0-9a-f]{6})"`, 'm'))[1];
+    };
+    const names = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+    return {
+      background: value('primary', 'background'),
+      foreground: value('primary', 'foreground'),
+      ansi: [...names.map(name => value('normal', name)), ...names.map(name => value('bright', name))]
+    };
+  },
+  kitty: content => {
+    const value = key => content.match(new RegExp(`^${key} (#[0-9a-f]{6})$`, 'm'))[1];
+    return {
+      background: value('background'),
+      foreground: value('foreground'),
+      ansi: Array.from({ length: 16 }, (_, index) => value(`color${index}`))
+    };
+  },
+  wezterm: content => {
+    const value = key => content.match(new RegExp(`^  ${key} = '(#[0-9a-f]{6})',$`, 'm'))[1];
+    const list = key => content.match(new RegExp(`^  ${key} = \\{([^}]*)\\},$`, 'm'))[1].match(/#[0-9a-f]{6}/g);
+    return {
+      background: value('background'),
+      foreground: value('foreground'),
+      ansi: [...list('ansi'), ...list('brights')]
+    };
+  },
+  foot: content => {
+    const value = key => '#' + content.match(new RegExp(`^${key}=([0-9a-f]{6})$`, 'm'))[1];
+    return {
+      background: value('background'),
+      foreground: value('foreground'),
+      ansi: [
+        ...Array.from({ length: 8 }, (_, index) => value(`regular${index}`)),
+        ...Array.from({ length: 8 }, (_, index) => value(`bright${index}`))
+      ]
+    };
+  },
+  'gnome-terminal': content => {
+    const value = key => content.match(new RegExp(`^${key}='(#[0-9a-f]{6})'$`, 'm'))[1];
+    return {
+      background: value('background-color'),
+      foreground: value('foreground-color'),
+      ansi: content.match(/^palette=\[(.*)\]$/m)[1].match(/#[0-9a-f]{6}/g)
+    };
+  }
+};
+
+class ApolloThemeTerminalExportTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🖥️  Apollo Terminal Theme Export Tests');
+    console.log('=====================================\n');
+
+    this.testPalette();
+
+    const exports = renderTerminalThemes();
+    for (const format of TERMINAL_FORMATS) {
+      console.log(`\n📄 ${format.label}`);
+      console.log('─'.repeat(50));
+      exports
+        .filter(entry => entry.format === format)
+        .forEach(entry => this.testGoldenFile(entry));
+    }
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+    if (this.results.failedTests > 0) {
+      console.log('\nIf the changes are intended, run `npm run export:terminal` and commit terminal-themes/.');
+    }
+
+    return this.results.failedTests === 0;
+  }
+
+  testPalette() {
+    console.log('🎨 Terminal palette');
+    console.log('─'.repeat(50));
+
+    const base = {
+      name: 'Fixture',
+      type: 'dark',
+      colors: {
+        'editor.background': '#000000',
+        'editor.foreground': '#ffffff',
+        'editor.selectionBackground': '#ffffff80',
+        'terminal.background': '#101010',
+        'terminal.foreground': '#f0f0f0'
+      }
+    };
+    ['Black', 'Red', 'Green', 'Yellow', 'Blue', 'Magenta', 'Cyan', 'White'].forEach((name, index) => {
+      base.colors[`terminal.ansi${name}`] = `#0${index}0${index}0${index}`;
+      base.colors[`terminal.ansiBright${name}`] = `#1${index}1${index}1${index}`;
+    });
+
+    this.runTest('Cursor and selection fall back like the integrated terminal', () => {
+      const palette = terminalPalette(base);
+      if (palette.cursor !== '#f0f0f0' || palette.cursorText !== '#101010') {
+        throw new Error(`cursor ${palette.cursor} on ${palette.cursorText}`);
+      }
+      if (palette.selectionForeground !== '#f0f0f0') {
+        throw new Error(`selection foreground ${palette.selectionForeground}`);
+      }
+      return true;
+    });
+
+    this.runTest('Translucent colors are flattened over terminal.background', () => {
+      const palette = terminalPalette(base);
+      if (palette.selectionBackground !== '#888888') {
+        throw new Error(`editor.selectionBackground #ffffff80 flattened to ${palette.selectionBackground}, expected #888888`);
+      }
+      return true;
+    });
+
+    this.runTest('ANSI colors follow palette order 0-15', () => {
+      const { ansi } = terminalPalette(base);
+      const expected = [0, 1, 2, 3, 4, 5, 6, 7].map(index => `#0${index}0${index}0${index}`)
+        .concat([0, 1, 2, 3, 4, 5, 6, 7].map(index => `#1${index}1${index}1${index}`));
+      return JSON.stringify(ansi) === JSON.stringify(expected);
+    });
+
+    this.runTest('A theme without every ANSI color is rejected', () => {
+      const colors = { ...base.colors };
+      delete colors['terminal.ansiBrightCyan'];
+      try {
+        terminalPalette({ ...base, colors });
+      } catch (error) {
+        return error.message.includes('terminal.ansiBrightCyan');
+      }
+      throw new Error('Expected an error naming terminal.ansiBrightCyan');
+    });
+  }
+
+  testGoldenFile({ variant, format, file, content }) {
+    const goldenPath = path.join(OUTPUT_DIR, file);
+    const relative = path.relative(__dirname, goldenPath);
+
+    this.runTest(`${variant.label} matches ${relative}`, () => checkGoldenFile(goldenPath, content));
+
+    this.runTest(`${variant.label} decodes to the theme's terminal colors`, () => {
+      const { theme } = variant;
+      const expected = terminalPalette(theme);
+      const decoded = DECODERS[format.id](content);
+
+      for (const key of ['background', 'foreground']) {
+        if (decoded[key] !== expected[key]) {
+          throw new Error(`${key} is ${decoded[key]}, theme has ${expected[key]}`);
+        }
+      }
+      expected.ansi.forEach((color, index) => {
+        if (decoded.ansi[index] !== color) {
+          throw new Error(`ANSI ${index} is ${decoded.ansi[index]}, theme has ${color}`);
+        }
+      });
+      return true;
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeTerminalExportTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeTerminalExportTest };
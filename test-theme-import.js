@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Import Tests
+ *
+ * Tests for import-theme.js: every color of the themes in test-fixtures/themes/
+ * is re-quantized to the nearest Apollo palette color with its alpha kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAllApolloColors, isApolloColor } = require('./src/colors');
+const { colorDistance } = require('./src/color-math');
+const { loadTheme } = require('./src/theme-loader');
+const { quantizeColor, quantizeTheme, largestShifts } = require('./src/theme-import');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures', 'themes');
+
+class ApolloThemeImportTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('📥 Apollo Theme Import Tests');
+    console.log('===========================\n');
+
+    this.testQuantization();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  testQuantization() {
+    console.log('🎯 Quantization');
+    console.log('─'.repeat(50));
+
+    const palette = getAllApolloColors();
+
+    this.runTest('Colors move to the nearest palette color by ΔE2000', () => {
+      for (const color of ['#282c34', '#61afef', '#e06c75', '#fdf6e3']) {
+        const { color: quantized, distance } = quantizeColor(color);
+        const best = Math.min(...palette.map(candidate => colorDistance(color, candidate)));
+        if (!isApolloColor(quantized) || Math.abs(distance - best) > 1e-9) {
+          throw new Error(`${color} → ${quantized} (ΔE ${distance}), nearest is ΔE ${best}`);
+        }
+      }
+      return true;
+    });
+
+    this.runTest('Alpha and shorthand forms are kept', () => {
+      const translucent = quantizeColor('#61AFEF80');
+      const shorthand = quantizeColor('#fff3');
+      return translucent.color === `${quantizeColor('#61afef').color}80` &&
+        shorthand.color === `${quantizeColor('#ffffff').color}33` &&
+        quantizeColor('default') === null;
+    });
+
+    this.runTest('Every color of an imported theme is a palette color', () => {
+      const { theme, shifts, skipped } = quantizeTheme(loadTheme(path.join(FIXTURES, 'child-color-theme.jsonc')));
+      const colors = [
+        ...Object.values(theme.colors),
+        ...theme.tokenColors.flatMap(rule => [rule.settings.foreground, rule.settings.background]),
+        ...Object.values(theme.semanticTokenColors).map(value => (typeof value === 'string' ? value : value.foreground))
+      ].filter(color => color && color !== 'default');
+
+      const offPalette = colors.filter(color => !isApolloColor(color.slice(0, 7)));
+      if (offPalette.length > 0) {
+        throw new Error(`Off-palette: ${offPalette.join(', ')}`);
+      }
+      return shifts.length === colors.length && theme.name === 'Fixture Child (Apollo)' &&
+        theme.semanticTokenColors['variable.readonly'] === quantizeColor('#e5c07b').color &&
+        skipped.length === 1 && skipped[0].path === 'colors["badge.background"]' &&
+        theme.colors['badge.background'] === 'default' &&
+        theme.tokenColors[2].settings.fontStyle === 'bold';
+    });
+
+    this.runTest('Shift report lists distinct colors, largest first', () => {
+      const { shifts } = quantizeTheme(loadTheme(path.join(FIXTURES, 'child-color-theme.jsonc')));
+      const report = largestShifts(shifts);
+      const sorted = report.every((shift, index) => index === 0 || report[index - 1].distance >= shift.distance);
+      const purple = report.find(shift => shift.from === '#c678dd');
+      return sorted && purple.paths.length === 2 && largestShifts(shifts, 3).length === 3;
+    });
+
+    for (const variant of loadThemeRegistry()) {
+      this.runTest(`${variant.label} imports unchanged`, () => {
+        const original = JSON.parse(fs.readFileSync(variant.file, 'utf8'));
+        const { theme, shifts } = quantizeTheme(variant.theme, { name: original.name });
+        const moved = shifts.filter(shift => shift.distance > 0 || shift.from.toLowerCase() !== shift.to);
+        if (moved.length > 0) {
+          throw new Error(`${moved.length} colors moved, e.g. ${moved[0].path} ${moved[0].from} → ${moved[0].to}`);
+        }
+        return JSON.stringify(theme) === JSON.stringify(original);
+      });
+    }
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeImportTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeImportTest };
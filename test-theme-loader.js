@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Loader Tests
+ *
+ * Tests for src/theme-loader.js, the loader every theme-reading script uses:
+ * JSONC parsing with line/column errors, and `include` chains in
+ * test-fixtures/themes/ merged with VS Code's semantics.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseJsonc, readThemeFile, loadTheme } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures', 'themes');
+
+class ApolloThemeLoaderTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('📂 Apollo Theme Loader Tests');
+    console.log('===========================\n');
+
+    this.testParsing();
+    this.testIncludes();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * The error a function throws, or null when it does not throw
+   */
+  errorOf(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  testParsing() {
+    console.log('📄 JSONC');
+    console.log('─'.repeat(50));
+
+    this.runTest('Comments and trailing commas are ignored outside strings', () => {
+      const parsed = parseJsonc('{\n  // line\n  "url": "http://x/*y*/", /* block */\n  "list": [1, 2,],\n  "rule": "a, }",\n}');
+      return parsed.url === 'http://x/*y*/' && parsed.list.length === 2 && parsed.rule === 'a, }';
+    });
+
+    this.runTest('Plain JSON parses exactly as JSON.parse', () => {
+      const text = '{"a": [1, -2.5e3, true, false, null], "b": {"c": "\\u00e9\\n\\"q\\""}, "__proto__": {"d": 1}}';
+      return JSON.stringify(parseJsonc(text)) === JSON.stringify(JSON.parse(text));
+    });
+
+    this.runTest('Parse errors report line and column', () => {
+      const cases = [
+        ['{\n  "a": 1\n  "b": 2\n}', 3, 3, 'Expected \',\' or \'}\' after property value'],
+        ['{\n  "a": [1,, 2]\n}', 2, 11, 'Unexpected \',\''],
+        ['{\n  /* open', 2, 3, 'Unterminated comment'],
+        ['{ "a": "b', 1, 8, 'Unterminated string'],
+        ['{ "a": 1 }\n]', 2, 1, 'Unexpected \']\' after the end of the value'],
+        ['{ "a": ', 1, 8, 'Unexpected end of file']
+      ];
+      for (const [text, line, column, reason] of cases) {
+        const error = this.errorOf(() => parseJsonc(text, 'case.json'));
+        if (!error || error.line !== line || error.column !== column || !error.message.startsWith(`case.json:${line}:${column}: ${reason}`)) {
+          throw new Error(`${JSON.stringify(text)}: ${error ? error.message : 'parsed'}, expected ${line}:${column} ${reason}`);
+        }
+      }
+      return true;
+    });
+
+    this.runTest('File errors name the file, line and column', () => {
+      const error = this.errorOf(() => readThemeFile(path.join(FIXTURES, 'broken-color-theme.jsonc')));
+      return error && error.message.startsWith(`${path.join('test-fixtures', 'themes', 'broken-color-theme.jsonc')}:6:5: Expected ','`);
+    });
+
+    for (const variant of loadThemeRegistry()) {
+      this.runTest(`${variant.label} loads as JSON.parse reads it`, () => {
+        return JSON.stringify(loadTheme(variant.file)) === JSON.stringify(JSON.parse(fs.readFileSync(variant.file, 'utf8')));
+      });
+    }
+  }
+
+  testIncludes() {
+    console.log('\n🔗 Includes');
+    console.log('─'.repeat(50));
+
+    this.runTest('Include chains merge like VS Code', () => {
+      const theme = loadTheme(path.join(FIXTURES, 'child-color-theme.jsonc'));
+      const scopes = theme.tokenColors.map(rule => rule.scope).join(',');
+      return theme.name === 'Fixture Child' && theme.type === 'dark' && !('include' in theme) &&
+        theme.colors['editor.background'] === '#21252b' &&
+        theme.colors['editor.foreground'] === '#abb2bf' &&
+        scopes === 'comment,string,keyword' &&
+        theme.semanticTokenColors.parameter === '#d19a66' &&
+        theme.semanticTokenColors['variable.readonly'] === '#e5c07b';
+    });
+
+    this.runTest('readThemeFile keeps include unresolved', () => {
+      const theme = readThemeFile(path.join(FIXTURES, 'child-color-theme.jsonc'));
+      return theme.include === './base-color-theme.json' && theme.tokenColors.length === 1;
+    });
+
+    this.runTest('Include cycles and missing includes are reported', () => {
+      const cycle = this.errorOf(() => loadTheme(path.join(FIXTURES, 'cycle-a-color-theme.json')));
+      const missing = this.errorOf(() => loadTheme(path.join(FIXTURES, 'missing-include-color-theme.json')));
+      return cycle && cycle.message === 'Include cycle: cycle-a-color-theme.json → cycle-b-color-theme.json → cycle-a-color-theme.json' &&
+        missing && /Included theme \.\/does-not-exist\.json does not exist$/.test(missing.message);
+    });
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeLoaderTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeLoaderTest };
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Optimizer Tests
+ *
+ * Tests for the backup generations and failure handling of
+ * optimize-theme-structure.js, the unified diff in src/json-diff.js and the
+ * golden file check in src/golden-files.js.
+ * Optimizations, backups and restores run against themes registered in a
+ * temporary directory, never the repository's own themes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ApolloThemeOptimizer = require('./optimize-theme-structure');
+const { checkGoldenFile, truncatedDiff } = require('./src/golden-files');
+const { unifiedDiff, unifiedJsonDiff } = require('./src/json-diff');
+
+const THEMES = ['dawn', 'dusk'];
+
+class ApolloThemeOptimizerTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🔧 Apollo Theme Optimizer Tests');
+    console.log('===============================\n');
+
+    this.testBackups();
+    this.testRestore();
+    this.testOptimize();
+    this.testDiff();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Run a test against a temporary extension that registers one theme per
+   * THEMES entry, each containing `<name> current`, then remove it
+   */
+  withThemes(fn) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-optimizer-'));
+    try {
+      fs.mkdirSync(path.join(rootDir, 'themes'));
+      const contributions = THEMES.map(name => ({ label: name, uiTheme: 'vs-dark', path: `./themes/${name}-color-theme.json` }));
+      fs.writeFileSync(path.join(rootDir, 'package.json'), JSON.stringify({ contributes: { themes: contributions } }));
+
+      const themePaths = {};
+      for (const name of THEMES) {
+        themePaths[name] = path.join(rootDir, 'themes', `${name}-color-theme.json`);
+        fs.writeFileSync(themePaths[name], `${name} current`);
+      }
+      return fn({ rootDir, themePaths });
+    } finally {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Back up versions 1..count of every theme, so backup generation n holds
+   * version count - n + 1
+   */
+  backUp(optimizer, themePaths, count) {
+    for (let version = 1; version <= count; version++) {
+      for (const [name, themePath] of Object.entries(themePaths)) {
+        optimizer.createBackup(themePath, `${name} v${version}`);
+      }
+    }
+  }
+
+  /**
+   * The content of a theme file followed by its backups, newest first
+   */
+  generations(optimizer, themePath) {
+    const files = fs.existsSync(themePath) ? [themePath] : [];
+    return [...files, ...optimizer.listBackups(themePath)].map(file => fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Restore without the progress output
+   */
+  restore(optimizer, generation) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return optimizer.restoreFromBackup(generation);
+    } finally {
+      console.log = log;
+    }
+  }
+
+  testBackups() {
+    console.log('💾 Backups');
+    console.log('─'.repeat(50));
+
+    this.runTest('The newest backup is .backup, older generations are .backup.2, .backup.3, ...', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      this.backUp(optimizer, themePaths, 3);
+      const backups = optimizer.listBackups(themePaths.dawn).map(file => path.basename(file));
+      return backups.join() === 'dawn-color-theme.json.backup,dawn-color-theme.json.backup.2,dawn-color-theme.json.backup.3' &&
+        this.generations(optimizer, themePaths.dawn).join() === 'dawn current,dawn v3,dawn v2,dawn v1';
+    }));
+
+    this.runTest('Backups rotate up to maxBackups and drop the oldest', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      this.backUp(optimizer, themePaths, 7);
+      return optimizer.maxBackups === 5 && !fs.existsSync(`${themePaths.dawn}.backup.6`) &&
+        this.generations(optimizer, themePaths.dawn).join() === 'dawn current,dawn v7,dawn v6,dawn v5,dawn v4,dawn v3';
+    }));
+
+    this.runTest('maxBackups can be lowered', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir, maxBackups: 2 });
+      this.backUp(optimizer, themePaths, 4);
+      return this.generations(optimizer, themePaths.dusk).join() === 'dusk current,dusk v4,dusk v3';
+    }));
+  }
+
+  testRestore() {
+    console.log('\n🔄 Restore');
+    console.log('─'.repeat(50));
+
+    this.runTest('Restoring generation 1 backs up the current file, so restoring again undoes it', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      this.backUp(optimizer, themePaths, 2);
+      const restored = this.restore(optimizer, 1) &&
+        this.generations(optimizer, themePaths.dawn).join() === 'dawn v2,dawn current,dawn v2,dawn v1';
+      const undone = this.restore(optimizer, 1) &&
+        THEMES.every(name => fs.readFileSync(themePaths[name], 'utf8') === `${name} current`);
+      return restored && undone;
+    }));
+
+    this.runTest('Restoring generation n writes the nth newest backup to every theme', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      this.backUp(optimizer, themePaths, 4);
+      return this.restore(optimizer, 3) &&
+        THEMES.every(name => fs.readFileSync(themePaths[name], 'utf8') === `${name} v2`) &&
+        this.generations(optimizer, themePaths.dusk).join() === 'dusk v2,dusk current,dusk v4,dusk v3,dusk v2,dusk v1';
+    }));
+
+    this.runTest('A missing generation for any theme fails before anything is written', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      this.backUp(optimizer, themePaths, 2);
+      optimizer.createBackup(themePaths.dusk, 'dusk v3');
+
+      const before = THEMES.map(name => this.generations(optimizer, themePaths[name]).join());
+      const restored = this.restore(optimizer, 3);
+      const after = THEMES.map(name => this.generations(optimizer, themePaths[name]).join());
+      return restored === false && after.join('|') === before.join('|');
+    }));
+
+    this.runTest('Restoring over a file that already matches leaves the backups alone', () => this.withThemes(({ rootDir, themePaths }) => {
+      const optimizer = new ApolloThemeOptimizer({ rootDir });
+      for (const name of THEMES) optimizer.createBackup(themePaths[name], `${name} current`);
+      return this.restore(optimizer, 1) && optimizer.listBackups(themePaths.dawn).length === 1;
+    }));
+
+    this.runTest('A deleted theme is rejected by default and restored with allowMissingThemes', () => this.withThemes(({ rootDir, themePaths }) => {
+      this.backUp(new ApolloThemeOptimizer({ rootDir }), themePaths, 2);
+      fs.unlinkSync(themePaths.dawn);
+
+      let rejected = false;
+      try {
+        new ApolloThemeOptimizer({ rootDir });
+      } catch (error) {
+        rejected = error.message.includes('does not exist');
+      }
+
+      const optimizer = new ApolloThemeOptimizer({ rootDir, allowMissingThemes: true });
+      return rejected && this.restore(optimizer, 1) &&
+        this.generations(optimizer, themePaths.dawn).join() === 'dawn v2,dawn v2,dawn v1' &&
+        this.generations(optimizer, themePaths.dusk).join() === 'dusk v2,dusk current,dusk v2,dusk v1';
+    }));
+  }
+
+  testOptimize() {
+    console.log('\n⚡ Optimize');
+    console.log('─'.repeat(50));
+
+    // optimizeAllThemes is async, so it runs in a child process that prints its result
+    this.runTest('A theme that cannot be optimized fails the run and reports 0% instead of NaN', () => this.withThemes(({ rootDir }) => {
+      const script = `new (require(${JSON.stringify(require.resolve('./optimize-theme-structure'))}))({ rootDir: ${JSON.stringify(rootDir)} })` +
+        '.optimizeAllThemes().then(optimized => process.stderr.write(JSON.stringify(optimized)))';
+      const child = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+      const report = JSON.parse(fs.readFileSync(path.join(rootDir, 'theme-optimization-report.json'), 'utf8'));
+      return child.stderr === 'false' && report.optimizations.length === 0 && report.summary.totalPercentReduction === 0;
+    }));
+  }
+
+  testDiff() {
+    console.log('\n📝 Diff');
+    console.log('─'.repeat(50));
+
+    const json = value => JSON.stringify(value, null, 2) + '\n';
+    const before = json({
+      name: 'Fixture',
+      colors: { 'editor.background': '#000000', 'editor.foreground': '#ffffff', 'badge.background': '#111111' },
+      tokenColors: [{ scope: 'comment', settings: { foreground: '#123456' } }]
+    });
+    const diff = after => unifiedJsonDiff(before, json(after), { fromFile: 'a/fixture.json', toFile: 'b/fixture.json' }).split('\n');
+
+    this.runTest('Identical texts have an empty diff', () => {
+      return unifiedJsonDiff(before, before) === '' && unifiedDiff('a\n', 'a\n') === '';
+    });
+
+    this.runTest('A changed key shows old and new lines under its key path', () => {
+      const lines = diff({ ...JSON.parse(before), colors: { ...JSON.parse(before).colors, 'editor.background': '#010101' } });
+      return lines[0] === '--- a/fixture.json' && lines[1] === '+++ b/fixture.json' &&
+        lines[2] === '@@ -1,7 +1,7 @@ colors["editor.background"]' &&
+        lines.includes('-    "editor.background": "#000000",') && lines.includes('+    "editor.background": "#010101",');
+    });
+
+    this.runTest('An added key is a + line under the new key path', () => {
+      const theme = JSON.parse(before);
+      theme.tokenColors[0].settings.fontStyle = 'italic';
+      const lines = diff(theme);
+      return lines.includes('@@ -9,7 +9,8 @@ tokenColors[0].settings.foreground') &&
+        lines.includes('-        "foreground": "#123456"') && lines.includes('+        "foreground": "#123456",') &&
+        lines.includes('+        "fontStyle": "italic"') && lines.filter(line => line.startsWith('+')).length === 3;
+    });
+
+    this.runTest('A removed key is a - line under the old key path', () => {
+      const theme = JSON.parse(before);
+      delete theme.colors['editor.foreground'];
+      const lines = diff(theme);
+      return lines.includes('@@ -2,7 +2,6 @@ colors["editor.foreground"]') &&
+        lines.includes('-    "editor.foreground": "#ffffff",') && lines.filter(line => /^[-+][^-+]/.test(line)).length === 1;
+    });
+
+    this.runTest('Changes separated by up to 2 * context unchanged lines share a hunk, as in diff -U', () => {
+      const numbers = Array.from({ length: 20 }, (_, index) => String(index + 1));
+      const changed = numbers.map(line => (line === '2' ? 'two' : line === '9' ? 'nine' : line)).filter(line => line !== '18');
+      const headers = unifiedDiff(numbers.join('\n') + '\n', changed.join('\n') + '\n').split('\n').filter(line => line.startsWith('@@'));
+      const tight = unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', { context: 0 }).split('\n');
+      return headers.join('|') === '@@ -1,12 +1,12 @@|@@ -15,6 +15,5 @@' &&
+        tight.slice(2).join('|') === '@@ -2,1 +2,1 @@|-b|+B|';
+    });
+
+    this.runTest('A golden file diff stops after maxDiffLines lines and counts the rest', () => {
+      const lines = truncatedDiff('a\nb\nc\n', 'A\nB\nC\n', { maxDiffLines: 4 });
+      return lines.join('|') === '--- a|+++ b|@@ -1,3 +1,3 @@|-a|… 5 more diff lines';
+    });
+
+    this.runTest('A missing or different golden file fails with its path and the diff', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-golden-'));
+      try {
+        const goldenPath = path.join(dir, 'golden.txt');
+        const missing = this.errorOf(() => checkGoldenFile(goldenPath, 'a\n'));
+        fs.writeFileSync(goldenPath, 'a\n');
+        const differs = this.errorOf(() => checkGoldenFile(goldenPath, 'b\n', { subject: 'Highlighting', golden: 'snapshot' }));
+        return checkGoldenFile(goldenPath, 'a\n') === true &&
+          /^No golden file at .*golden\.txt$/.test(missing) &&
+          differs.split('\n')[0] === 'Highlighting differs from the snapshot' && differs.includes('   -a') && differs.includes('   +b');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  /**
+   * Message of the error fn throws, or undefined
+   */
+  errorOf(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error.message;
+    }
+    return undefined;
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeOptimizerTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeOptimizerTest };
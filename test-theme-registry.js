@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Registry Tests
+ *
+ * Tests for src/theme-registry.js: the registry follows package.json
+ * `contributes.themes`, parses each theme on first use, and rejects the
+ * manifests in test-fixtures/registry/ that list missing or incomplete themes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTheme } = require('./src/theme-loader');
+const { loadThemeRegistry } = require('./src/theme-registry');
+const { UI_THEMES } = require('./build-themes');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures', 'registry');
+
+class ApolloThemeRegistryTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🗂️  Apollo Theme Registry Tests');
+    console.log('==============================\n');
+
+    this.testFixtures();
+    this.testValidation();
+    this.testContributedThemes();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * The error a function throws, or null when it does not throw
+   */
+  errorOf(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  testFixtures() {
+    console.log('📦 Entries');
+    console.log('─'.repeat(50));
+
+    const rootDir = path.join(FIXTURES, 'complete');
+    const registry = loadThemeRegistry(rootDir);
+    const [night, broken] = registry;
+
+    this.runTest('Entries follow contributes.themes order with label and uiTheme', () => {
+      return registry.length === 2 &&
+        night.label === 'Fixture Night' && night.uiTheme === 'vs-dark' &&
+        broken.label === 'Fixture Broken' && broken.uiTheme === 'vs';
+    });
+
+    this.runTest('Paths are normalized relative to the extension directory', () => {
+      return night.path === 'themes/fixture-night-color-theme.json' &&
+        night.file === path.join(rootDir, 'themes', 'fixture-night-color-theme.json') &&
+        broken.path === '../../themes/broken-color-theme.jsonc';
+    });
+
+    this.runTest('Theme content is parsed with its include chain merged', () => {
+      return night.theme.name === 'Fixture Night' && night.theme.type === 'dark' &&
+        night.theme.colors['editor.background'] === '#1e2127' &&
+        night.theme.colors['editor.foreground'] === '#abb2bf' &&
+        night.theme.tokenColors.length === 2;
+    });
+
+    this.runTest('Theme content is parsed once and reused', () => {
+      return night.theme === night.theme;
+    });
+
+    this.runTest('A theme that does not parse only fails when its content is read', () => {
+      const error = this.errorOf(() => broken.theme);
+      return error !== null && error.message.includes('broken-color-theme.jsonc:6:5');
+    });
+  }
+
+  testValidation() {
+    console.log('\n🚫 Validation');
+    console.log('─'.repeat(50));
+
+    const cases = [
+      ['A contributed path that does not exist', 'missing', 'package.json: contributes.themes[1] (Fixture Gone) points at ./themes/fixture-gone-color-theme.json, which does not exist'],
+      ['An entry without a uiTheme', 'incomplete', 'package.json: contributes.themes[0] has no uiTheme'],
+      ['A manifest without themes', 'empty', 'package.json: contributes.themes must list at least one theme']
+    ];
+
+    for (const [label, fixture, expected] of cases) {
+      this.runTest(`${label} is rejected`, () => {
+        const error = this.errorOf(() => loadThemeRegistry(path.join(FIXTURES, fixture)));
+        if (!error || error.message !== expected) {
+          throw new Error(`${error ? error.message : 'loaded'}, expected ${expected}`);
+        }
+        return true;
+      });
+    }
+
+    this.runTest('allowMissing keeps an entry whose file does not exist, failing only when it is read', () => {
+      const registry = loadThemeRegistry(path.join(FIXTURES, 'missing'), { allowMissing: true });
+      const gone = registry[1];
+      return registry.length === 2 && gone.path === 'themes/fixture-gone-color-theme.json' &&
+        this.errorOf(() => gone.theme) !== null && registry[0].theme.name !== undefined;
+    });
+  }
+
+  testContributedThemes() {
+    console.log('\n🎨 Contributed Themes');
+    console.log('─'.repeat(50));
+
+    const registry = loadThemeRegistry();
+    const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+
+    this.runTest('The registry lists every contributes.themes entry', () => {
+      const contributions = packageJson.contributes.themes;
+      return registry.length === contributions.length &&
+        registry.every((variant, index) => variant.label === contributions[index].label &&
+          `./${variant.path}` === contributions[index].path);
+    });
+
+    for (const variant of registry) {
+      this.runTest(`${variant.label} is named and typed as contributed`, () => {
+        return variant.theme.name === variant.label && UI_THEMES[variant.theme.type] === variant.uiTheme &&
+          JSON.stringify(variant.theme) === JSON.stringify(loadTheme(variant.file));
+      });
+    }
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeRegistryTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeRegistryTest };
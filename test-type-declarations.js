@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Palette Type Declaration Tests
+ *
+ * Checks src/colors.d.ts against the runtime exports of src/colors.js and
+ * src/colors.mjs: every declared export exists at runtime and nothing runtime
+ * is undeclared, palette constants carry their exact hex literals, and role
+ * maps have the keys their interfaces declare. `tsc --noEmit` checks that the
+ * declarations themselves compile.
+ */
+
+const path = require('path');
+const ts = require('typescript');
+const colors = require('./src/colors');
+
+const DECLARATIONS = path.join(__dirname, 'src', 'colors.d.ts');
+
+class ApolloTypeDeclarationTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+
+    const program = ts.createProgram([DECLARATIONS], { strict: true, noEmit: true, types: [] });
+    this.checker = program.getTypeChecker();
+    const moduleSymbol = this.checker.getSymbolAtLocation(program.getSourceFile(DECLARATIONS));
+    this.declared = new Map(this.checker.getExportsOfModule(moduleSymbol)
+      .filter(symbol => symbol.flags & (ts.SymbolFlags.Variable | ts.SymbolFlags.Function))
+      .map(symbol => [symbol.name, symbol]));
+  }
+
+  async runAllTests() {
+    console.log('🔷 Apollo Palette Type Declaration Tests');
+    console.log('=======================================\n');
+
+    await this.testExports();
+    this.testShapes();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * Differences between a declared type and a runtime value, as key paths
+   * String literal types must match exactly, object types must have the same
+   * keys, and array element types are checked against every element.
+   */
+  mismatches(type, value, where) {
+    if (type.flags & ts.TypeFlags.BooleanLike) {
+      return typeof value === 'boolean' ? [] : [`${where}: declared boolean, runtime ${typeof value}`];
+    }
+    if (type.isUnion()) {
+      return type.types.some(member => this.mismatches(member, value, where).length === 0)
+        ? []
+        : [`${where}: ${JSON.stringify(value)} matches none of ${this.checker.typeToString(type)}`];
+    }
+    if (type.isStringLiteral()) {
+      return value === type.value ? [] : [`${where}: declared ${JSON.stringify(type.value)}, runtime ${JSON.stringify(value)}`];
+    }
+    if (type.flags & ts.TypeFlags.String) {
+      return typeof value === 'string' ? [] : [`${where}: declared string, runtime ${typeof value}`];
+    }
+    if (type.getCallSignatures().length > 0) {
+      return typeof value === 'function' ? [] : [`${where}: declared a function, runtime ${typeof value}`];
+    }
+    if (this.checker.isArrayType(type) || this.checker.isTupleType(type)) {
+      if (!Array.isArray(value)) return [`${where}: declared an array, runtime ${typeof value}`];
+      const [element] = this.checker.getTypeArguments(type);
+      return value.flatMap((item, index) => this.mismatches(element, item, `${where}[${index}]`));
+    }
+    if (type.flags & ts.TypeFlags.Object || type.isIntersection()) {
+      if (!value || typeof value !== 'object') return [`${where}: declared an object, runtime ${typeof value}`];
+      // Index signatures (Record<string, ...>) accept any keys
+      if (this.checker.getIndexInfosOfType(type).length > 0) return [];
+
+      const properties = this.checker.getPropertiesOfType(type);
+      const names = properties.map(property => property.name);
+      const optional = properties.filter(property => property.flags & ts.SymbolFlags.Optional).map(property => property.name);
+      const missing = names.filter(name => !(name in value) && !optional.includes(name));
+      const extra = Object.keys(value).filter(key => !names.includes(key));
+
+      return [
+        ...missing.map(name => `${where}.${name}: declared, missing at runtime`),
+        ...extra.map(name => `${where}.${name}: at runtime, not declared`),
+        ...properties
+          .filter(property => property.name in value)
+          .flatMap(property => this.mismatches(
+            this.checker.getNonNullableType(this.checker.getTypeOfSymbol(property)),
+            value[property.name],
+            `${where}.${property.name}`
+          ))
+      ];
+    }
+    return [];
+  }
+
+  async testExports() {
+    console.log('📤 Exports');
+    console.log('─'.repeat(50));
+
+    this.runTest('Every colors.js export is declared in colors.d.ts', () => {
+      const undeclared = Object.keys(colors).filter(name => !this.declared.has(name));
+      if (undeclared.length > 0) throw new Error(`Undeclared: ${undeclared.join(', ')}`);
+      return true;
+    });
+
+    this.runTest('Every declared export exists in colors.js', () => {
+      const missing = [...this.declared.keys()].filter(name => !(name in colors));
+      if (missing.length > 0) throw new Error(`Missing at runtime: ${missing.join(', ')}`);
+      return true;
+    });
+
+    const esm = await import('./src/colors.mjs');
+    this.runTest('colors.mjs exports the same names and values as colors.js', () => {
+      const names = Object.keys(esm).filter(name => name !== 'default');
+      const missing = [...this.declared.keys()].filter(name => !names.includes(name));
+      if (missing.length > 0) throw new Error(`Missing from colors.mjs: ${missing.join(', ')}`);
+      return names.every(name => esm[name] === colors[name]) && esm.default === colors;
+    });
+  }
+
+  testShapes() {
+    console.log('\n🧩 Shapes');
+    console.log('─'.repeat(50));
+
+    for (const [name, symbol] of this.declared) {
+      this.runTest(`${name} matches its declared type`, () => {
+        const problems = this.mismatches(this.checker.getTypeOfSymbol(symbol), colors[name], name);
+        if (problems.length > 0) throw new Error(problems.slice(0, 5).join('; '));
+        return true;
+      });
+    }
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloTypeDeclarationTest();
+  tester.runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('Type declaration tester crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApolloTypeDeclarationTest };
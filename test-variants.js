@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Apollo Theme Variant Tests
+ *
+ * Tests for src/variants.js: definitions in test-fixtures/variants/ expand over
+ * their base theme's roles, bad definitions are rejected with the offending key,
+ * and every definition in variants/ is generated and registered in package.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { APOLLO_PALETTE, DARK_THEME_COLORS, LIGHT_THEME_COLORS, LIGHT_SYNTAX_COLORS, composeWorkbenchColors } = require('./src/colors');
+const { expandVariant, loadVariants } = require('./src/variants');
+const { THEMES, UI_THEMES } = require('./build-themes');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures', 'variants');
+
+class ApolloThemeVariantTest {
+  constructor() {
+    this.results = {
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0
+    };
+  }
+
+  runAllTests() {
+    console.log('🧬 Apollo Theme Variant Tests');
+    console.log('============================\n');
+
+    this.testExpansion();
+    this.testValidation();
+    this.testRegistration();
+
+    console.log('\n📊 Summary');
+    console.log(`   Total: ${this.results.totalTests}`);
+    console.log(`   Passed: ${this.results.passedTests}`);
+    console.log(`   Failed: ${this.results.failedTests}`);
+
+    return this.results.failedTests === 0;
+  }
+
+  /**
+   * The error a function throws, or null when it does not throw
+   */
+  errorOf(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  testExpansion() {
+    console.log('🔧 Expansion');
+    console.log('─'.repeat(50));
+
+    const fixtures = loadVariants(FIXTURES);
+    const dusk = fixtures.find(variant => variant.name === 'Fixture Dusk');
+    const paper = fixtures.find(variant => variant.name === 'Fixture Paper');
+
+    this.runTest('Definitions load in file name order with their theme path and base type', () => {
+      return fixtures.map(variant => variant.name).join(',') === 'Fixture Dusk,Fixture Paper' &&
+        paper.type === 'light' && paper.path === 'themes/fixture-paper-color-theme.json' &&
+        paper.source === path.join('test-fixtures', 'variants', 'fixture-paper.json');
+    });
+
+    this.runTest('Replaced roles change, every other role comes from the base', () => {
+      return paper.roles.background.primary === APOLLO_PALETTE.CREAM &&
+        paper.roles.accents.primary === APOLLO_PALETTE.LIGHTEST_TEAL &&
+        paper.roles.background.secondary === LIGHT_THEME_COLORS.background.secondary &&
+        JSON.stringify(paper.roles.text) === JSON.stringify(LIGHT_THEME_COLORS.text) &&
+        paper.syntax.comment === APOLLO_PALETTE.LIGHT_MEDIUM_GRAY &&
+        paper.syntax.keyword === LIGHT_SYNTAX_COLORS.keyword;
+    });
+
+    this.runTest('Workbench colors are composed from the roles, then overridden per key', () => {
+      const composed = composeWorkbenchColors(paper.roles);
+      const changed = Object.keys(composed).filter(key => composed[key] !== paper.colors[key]);
+      return changed.join(',') === 'statusBar.background' &&
+        paper.colors['statusBar.background'] === APOLLO_PALETTE.LIGHTEST_BROWN &&
+        paper.colors['editor.background'] === APOLLO_PALETTE.CREAM;
+    });
+
+    this.runTest('A definition with only overrides keeps the base roles', () => {
+      return JSON.stringify(dusk.roles) === JSON.stringify(DARK_THEME_COLORS) &&
+        dusk.colors['statusBar.background'] === '#202e3780';
+    });
+
+    this.runTest('Expansion does not modify the base role maps', () => {
+      return DARK_THEME_COLORS.background.primary === APOLLO_PALETTE.BLACK &&
+        LIGHT_THEME_COLORS.background.primary === APOLLO_PALETTE.WHITE;
+    });
+  }
+
+  testValidation() {
+    console.log('\n🚫 Validation');
+    console.log('─'.repeat(50));
+
+    const cases = [
+      ['Unknown base', { name: 'X', base: 'sepia' }, 'x.json: base must be one of dark, light, not "sepia"'],
+      ['Missing name', { base: 'dark' }, 'x.json: name must be a non-empty string'],
+      ['Unknown top-level key', { name: 'X', base: 'dark', colors: {} }, 'x.json: Unknown keys colors'],
+      ['Unknown role group', { name: 'X', base: 'dark', roles: { surface: {} } }, 'x.json: roles.surface is not a role of the base theme'],
+      ['Unknown role', { name: 'X', base: 'dark', roles: { text: { faint: 'WHITE' } } }, 'x.json: roles.text.faint is not a role of the base theme'],
+      ['Unknown syntax role', { name: 'X', base: 'dark', syntax: { strings: 'WHITE' } }, 'x.json: syntax.strings is not a role of the base theme'],
+      ['Role group given a color', { name: 'X', base: 'dark', roles: { text: 'WHITE' } }, 'x.json: roles.text must be an object'],
+      ['Unknown palette name', { name: 'X', base: 'dark', syntax: { string: 'lightest_brown' } }, 'x.json: syntax.string: "lightest_brown" is neither an Apollo palette color name nor a hex color'],
+      ['Short hex color', { name: 'X', base: 'dark', syntax: { string: '#fff' } }, 'x.json: syntax.string: "#fff" is neither'],
+      ['Unknown override key', { name: 'X', base: 'dark', overrides: { 'editor.backgroud': 'BLACK' } }, 'x.json: overrides.editor.backgroud is not a workbench color the themes define']
+    ];
+
+    for (const [label, definition, expected] of cases) {
+      this.runTest(`${label} is rejected`, () => {
+        const error = this.errorOf(() => expandVariant(definition, 'x.json'));
+        if (!error || !error.message.startsWith(expected)) {
+          throw new Error(`${error ? error.message : 'expanded'}, expected ${expected}`);
+        }
+        return true;
+      });
+    }
+  }
+
+  testRegistration() {
+    console.log('\n📦 Registration');
+    console.log('─'.repeat(50));
+
+    const variants = loadVariants();
+    const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+    const contributions = packageJson.contributes.themes;
+
+    this.runTest('Every variants/*.json definition is a generated theme', () => {
+      const definitions = fs.readdirSync(path.join(__dirname, 'variants')).filter(file => file.endsWith('.json'));
+      return definitions.length === variants.length &&
+        variants.every(variant => THEMES.some(theme => theme.name === variant.name && theme.path === variant.path));
+    });
+
+    for (const variant of variants) {
+      this.runTest(`${variant.name} is registered in package.json`, () => {
+        const contribution = contributions.find(entry => entry.label === variant.name);
+        if (!contribution) {
+          throw new Error(`No contributes.themes entry for ${variant.name}`);
+        }
+        return contribution.path === `./${variant.path}` && contribution.uiTheme === UI_THEMES[variant.type] &&
+          fs.existsSync(path.join(__dirname, variant.path));
+      });
+    }
+  }
+
+  runTest(testName, testFunction) {
+    this.results.totalTests++;
+
+    try {
+      const result = testFunction();
+      if (result) {
+        console.log(`✅ ${testName}`);
+        this.results.passedTests++;
+      } else {
+        throw new Error('Test function returned false');
+      }
+    } catch (error) {
+      console.log(`❌ ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.results.failedTests++;
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApolloThemeVariantTest();
+  process.exit(tester.runAllTests() ? 0 : 1);
+}
+
+module.exports = { ApolloThemeVariantTest };
@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadThemeRegistry } = require('./src/theme-registry');
 
 class VSCodeIntegrationTester {
   constructor() {
@@ -401,22 +402,10 @@ class VSCodeIntegrationTester {
 
     // Test 4.2: Theme contribution activation simulation
     await this.runTest('Theme contribution activation simulation', () => {
-      const packageJsonPath = path.join(this.extensionPath, 'package.json');
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      
-      const themes = packageJson.contributes.themes;
-      
-      for (const theme of themes) {
-        // Simulate VS Code loading theme file
-        const themePath = path.join(this.extensionPath, theme.path);
-        
-        if (!fs.existsSync(themePath)) {
-          throw new Error(`Theme file not found for activation: ${theme.path}`);
-        }
-        
+      for (const theme of loadThemeRegistry(this.extensionPath)) {
         // Simulate theme parsing
         try {
-          const themeContent = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+          const themeContent = theme.theme;
           
           // Verify theme has required properties for activation
           if (!themeContent.colors || !themeContent.tokenColors) {
@@ -439,15 +428,10 @@ class VSCodeIntegrationTester {
         throw new Error('Extension package.json not found for installation');
       }
       
-      // Simulate extension activation
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      
-      // Verify all theme files are accessible during activation
-      for (const theme of packageJson.contributes.themes) {
-        const themePath = path.join(this.extensionPath, theme.path);
-        
+      // Simulate extension activation: verify all theme files are accessible
+      for (const theme of loadThemeRegistry(this.extensionPath)) {
         try {
-          fs.accessSync(themePath, fs.constants.R_OK);
+          fs.accessSync(theme.file, fs.constants.R_OK);
         } catch (error) {
           throw new Error(`Theme file not accessible during activation: ${theme.path}`);
         }
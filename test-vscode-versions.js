@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadThemeRegistry } = require('./src/theme-registry');
 
 class ApolloThemeVSCodeVersionTest {
     constructor() {
@@ -14,10 +15,7 @@ class ApolloThemeVSCodeVersionTest {
             compatibility: {},
             recommendations: []
         };
-        this.themeFiles = [
-            'themes/apollo-dark-color-theme.json',
-            'themes/apollo-light-color-theme.json'
-        ];
+        this.themes = loadThemeRegistry();
         
         // VS Code version milestones and their key features
         this.vscodeVersions = {
@@ -168,10 +166,7 @@ class ApolloThemeVSCodeVersionTest {
             let hasSemanticHighlighting = false;
             let hasSemanticTokenColors = false;
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ theme: themeData }) => {
                 if (themeData.semanticHighlighting !== undefined) {
                     hasSemanticHighlighting = true;
                 }
@@ -219,10 +214,7 @@ class ApolloThemeVSCodeVersionTest {
             let supportedColors = 0;
             let totalChecked = 0;
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ theme: themeData }) => {
                 if (themeData.colors) {
                     modernColors.forEach(colorKey => {
                         totalChecked++;
@@ -274,10 +266,7 @@ class ApolloThemeVSCodeVersionTest {
             let implementedTokens = 0;
             let totalTokens = 0;
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ theme: themeData }) => {
                 if (themeData.semanticTokenColors) {
                     requiredSemanticTokens.forEach(token => {
                         totalTokens++;
@@ -317,10 +306,7 @@ class ApolloThemeVSCodeVersionTest {
             let hasAdvancedFeatures = false;
             let featureCount = 0;
             
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ theme: themeData }) => {
                 // Check for advanced semantic token features
                 if (themeData.semanticTokenColors) {
                     Object.values(themeData.semanticTokenColors).forEach(value => {
@@ -378,10 +364,7 @@ class ApolloThemeVSCodeVersionTest {
         const foundDeprecated = [];
         
         try {
-            this.themeFiles.forEach(themeFile => {
-                const themePath = path.join(__dirname, themeFile);
-                const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-                
+            this.themes.forEach(({ path: themeFile, theme: themeData }) => {
                 // Check for deprecated colors
                 if (themeData.colors) {
                     deprecatedFeatures.colors.forEach(colorKey => {
@@ -448,9 +431,7 @@ class ApolloThemeVSCodeVersionTest {
      * Check if themes have semantic highlighting
      */
     hasSemanticHighlighting() {
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+        return this.themes.every(({ theme: themeData }) => {
             return themeData.semanticHighlighting === true;
         });
     }
@@ -459,10 +440,7 @@ class ApolloThemeVSCodeVersionTest {
      * Check if themes have advanced semantic tokens
      */
     hasAdvancedSemanticTokens() {
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-            
+        return this.themes.every(({ theme: themeData }) => {
             if (!themeData.semanticTokenColors) return false;
             
             // Check for advanced features like font styles and modifiers
@@ -479,10 +457,7 @@ class ApolloThemeVSCodeVersionTest {
      * Check if themes have comprehensive workbench colors
      */
     hasComprehensiveWorkbenchColors() {
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-            
+        return this.themes.every(({ theme: themeData }) => {
             return themeData.colors && Object.keys(themeData.colors).length >= 150;
         });
     }
@@ -493,10 +468,7 @@ class ApolloThemeVSCodeVersionTest {
     hasChartColors() {
         const chartColors = ['charts.foreground', 'charts.lines', 'charts.red', 'charts.blue'];
         
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-            
+        return this.themes.every(({ theme: themeData }) => {
             return chartColors.every(color => themeData.colors && themeData.colors[color]);
         });
     }
@@ -507,10 +479,7 @@ class ApolloThemeVSCodeVersionTest {
     hasDebugColors() {
         const debugColors = ['debugToolBar.background', 'debugExceptionWidget.background'];
         
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-            
+        return this.themes.every(({ theme: themeData }) => {
             return debugColors.every(color => themeData.colors && themeData.colors[color]);
         });
     }
@@ -525,10 +494,7 @@ class ApolloThemeVSCodeVersionTest {
             'gitDecoration.deletedResourceForeground'
         ];
         
-        return this.themeFiles.every(themeFile => {
-            const themePath = path.join(__dirname, themeFile);
-            const themeData = JSON.parse(fs.readFileSync(themePath, 'utf8'));
-            
+        return this.themes.every(({ theme: themeData }) => {
             return gitColors.every(color => themeData.colors && themeData.colors[color]);
         });
     }